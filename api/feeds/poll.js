@@ -0,0 +1,36 @@
+// Feed Poll Endpoint
+// Polls due feed subscriptions and queues new posting URLs; called by .github/workflows/feed-poll.yml
+
+import { pollDueFeeds } from '../../lib/feeds/poller.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const token = req.headers['x-service-token'];
+  if (!process.env.FEED_POLL_SECRET || token !== process.env.FEED_POLL_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { feed_ids, time_budget_ms } = req.body || {};
+
+    // feed_ids forces specific feeds to be polled regardless of their interval
+    const summary = await pollDueFeeds({
+      feedIds: Array.isArray(feed_ids) && feed_ids.length > 0 ? feed_ids : undefined,
+      timeBudgetMs: parseInt(time_budget_ms, 10) || undefined
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Feed poll error:', error);
+    return res.status(500).json({
+      error: 'Feed poll failed',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,167 @@
+// Feed Subscriptions API Endpoint
+// Register RSS/Atom feeds or careers sitemaps; /api/feeds/poll checks them on a schedule
+//
+// GET   /api/feeds/subscriptions   - list feeds with their last-poll status
+// POST  /api/feeds/subscriptions   - register a feed ({ feed_url, name?, url_pattern?, poll_interval_minutes? })
+// PATCH /api/feeds/subscriptions   - update a feed ({ id, ...fields }), e.g. { id, enabled: false }
+
+import { createClient } from '@supabase/supabase-js';
+import { fetchFeed } from '../../lib/feeds/poller.js';
+import { parseFeed } from '../../lib/feeds/parser.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const EDITABLE_FIELDS = ['name', 'url_pattern', 'enabled', 'poll_interval_minutes'];
+
+const MIN_INTERVAL_MINUTES = 15;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return await listFeeds(req, res);
+    } else if (req.method === 'POST') {
+      return await registerFeed(req, res);
+    } else if (req.method === 'PATCH') {
+      return await updateFeed(req, res);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Feed subscriptions error:', error);
+    return res.status(500).json({
+      error: 'Feed subscriptions request failed',
+      message: error.message
+    });
+  }
+}
+
+async function listFeeds(req, res) {
+  const { data, error } = await supabase
+    .from('feed_subscriptions')
+    .select('*')
+    .order('id', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch feeds: ${error.message}`);
+  }
+
+  return res.status(200).json({
+    success: true,
+    count: data.length,
+    feeds: data
+  });
+}
+
+/**
+ * POST - Probe the feed once so a typo or an HTML page is rejected up front
+ */
+async function registerFeed(req, res) {
+  const { feed_url } = req.body || {};
+  const fields = pickEditable(req.body || {});
+
+  try {
+    new URL(feed_url);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid input', message: 'feed_url must be a valid URL' });
+  }
+
+  const validationError = validateFields(fields);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid input', message: validationError });
+  }
+
+  let parsed;
+  try {
+    const document = await fetchFeed(feed_url);
+    parsed = parseFeed(document.body, feed_url);
+  } catch (error) {
+    return res.status(422).json({
+      error: 'Feed could not be read',
+      message: error.message
+    });
+  }
+
+  const { data, error } = await supabase
+    .from('feed_subscriptions')
+    .insert({
+      feed_url,
+      feed_type: parsed.type,
+      ...fields
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Feed already registered' });
+    }
+    throw new Error(`Failed to register feed: ${error.message}`);
+  }
+
+  return res.status(201).json({
+    success: true,
+    feed: data,
+    listed_items: parsed.type === 'sitemap_index' ? null : parsed.items.length,
+    child_sitemaps: parsed.sitemaps.length || undefined
+  });
+}
+
+async function updateFeed(req, res) {
+  const { id } = req.body || {};
+  const fields = pickEditable(req.body || {});
+
+  if (!id || Object.keys(fields).length === 0) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: `id and at least one of ${EDITABLE_FIELDS.join(', ')} are required`
+    });
+  }
+
+  const validationError = validateFields(fields);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid input', message: validationError });
+  }
+
+  const { data, error } = await supabase
+    .from('feed_subscriptions')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update feed: ${error.message}`);
+  }
+
+  if (!data) {
+    return res.status(404).json({ error: 'Feed not found' });
+  }
+
+  return res.status(200).json({ success: true, feed: data });
+}
+
+function pickEditable(body) {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+}
+
+function validateFields(fields) {
+  if (fields.poll_interval_minutes !== undefined &&
+      !(Number.isInteger(fields.poll_interval_minutes) && fields.poll_interval_minutes >= MIN_INTERVAL_MINUTES)) {
+    return `poll_interval_minutes must be an integer of at least ${MIN_INTERVAL_MINUTES}`;
+  }
+
+  if (fields.url_pattern) {
+    try {
+      new RegExp(fields.url_pattern);
+    } catch (error) {
+      return `url_pattern is not a valid regular expression: ${error.message}`;
+    }
+  }
+
+  return null;
+}
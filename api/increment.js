@@ -0,0 +1,37 @@
+// Scheduled Increment Endpoint
+// Runs every enabled saved job board search that is due; called by .github/workflows/cron-increment.yml
+// New results are queued for the ingestion worker, so this endpoint only searches and stores snapshots
+
+import { runDueQueries } from '../lib/sources/runner.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const token = req.headers['x-service-token'];
+  if (!process.env.INCREMENT_SECRET || token !== process.env.INCREMENT_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { query_ids, time_budget_ms } = req.body || {};
+
+    // query_ids forces specific queries to run regardless of their interval
+    const summary = await runDueQueries({
+      queryIds: Array.isArray(query_ids) && query_ids.length > 0 ? query_ids : undefined,
+      timeBudgetMs: parseInt(time_budget_ms, 10) || undefined
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Increment error:', error);
+    return res.status(500).json({
+      error: 'Increment failed',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,142 @@
+// Job Alert Email Import API Endpoint
+// Queues the postings listed in saved LinkedIn, Indeed and Reed alert emails (.eml or mbox)
+// Each posting is queued with source_type set to the alert provider; the title, company and
+// location printed in the email are kept as annotations on the job
+//
+// POST /api/ingest/alerts
+// Body: multipart/form-data with the file as "file", JSON { content: "<raw email or mbox>" },
+// or the raw message itself as text/plain / message/rfc822
+// Progress is reported by GET /api/ingest/bulk/:id like any other import
+
+import { createClient } from '@supabase/supabase-js';
+import { readAlertEmails, ALERT_PROVIDERS } from '../../lib/alerts/index.js';
+import { enqueueUrls, refreshImportProgress, findQueuedUrls } from '../../lib/ingest/queue.js';
+import { isMultipart, readMultipart } from '../../lib/ingest/upload.js';
+import { interleaveByHost } from '../../lib/fetch/polite-fetch.js';
+import { findKnownUrls } from '../../lib/dedupe/job-matcher.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+// mbox exports of a whole alerts folder get large quickly
+const MAX_ALERT_BYTES = 20 * 1024 * 1024;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    let upload;
+    try {
+      upload = await readInput(req);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid upload', message: error.message });
+    }
+
+    if (!upload.content || upload.content.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Send the .eml or mbox file as the "file" form field or as { content }'
+      });
+    }
+
+    const messages = readAlertEmails(upload.content);
+
+    // The same posting shows up in several days' alerts - keep the first mention
+    const postings = new Map();
+    for (const message of messages) {
+      for (const job of message.jobs) {
+        if (!postings.has(job.url)) {
+          postings.set(job.url, { ...job, provider: message.provider });
+        }
+      }
+    }
+
+    const knownUrls = await findKnownUrls([...postings.keys()]);
+    const unknown = [...postings.values()].filter(job => !knownUrls.has(job.url));
+
+    // A re-uploaded mbox or overlapping exports list postings still waiting in the queue
+    const queuedUrls = await findQueuedUrls(unknown.map(job => job.url));
+    const newPostings = unknown.filter(job => !queuedUrls.has(job.url));
+
+    const { data: importJob, error: jobError } = await supabase
+      .from('bulk_import_jobs')
+      .insert({
+        import_type: 'email_alert',
+        source_file: upload.filename ? upload.filename.slice(0, 255) : null,
+        total_urls: newPostings.length,
+        status: 'queued',
+        started_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (jobError) {
+      throw new Error(`Failed to create import job: ${jobError.message}`);
+    }
+
+    for (const provider of Object.keys(ALERT_PROVIDERS)) {
+      const jobs = newPostings.filter(job => job.provider === provider);
+      if (jobs.length === 0) continue;
+
+      const annotations = Object.fromEntries(jobs.map(job => [job.url, alertAnnotations(job)]));
+      await enqueueUrls(importJob.id, interleaveByHost(jobs.map(job => job.url)), provider, annotations);
+    }
+
+    // Closes the import straight away if every posting was already known or queued
+    await refreshImportProgress(importJob.id);
+
+    return res.status(202).json({
+      message: 'Alert import queued',
+      import_job_id: importJob.id,
+      messages: messages.length,
+      alerts: messages.filter(message => message.provider).length,
+      postings: postings.size,
+      queued: newPostings.length,
+      already_known: postings.size - unknown.length,
+      already_queued: unknown.length - newPostings.length,
+      unrecognised: messages
+        .filter(message => !message.provider)
+        .map(({ subject, from, date }) => ({ subject, from, date })),
+      jobs: [...postings.values()].map(job => ({
+        ...job,
+        already_known: knownUrls.has(job.url),
+        already_queued: queuedUrls.has(job.url)
+      }))
+    });
+  } catch (error) {
+    console.error('Alert import error:', error);
+    return res.status(500).json({
+      error: 'Alert import failed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Raw email content from whichever body shape the client used
+ * @returns {Object} { content: Buffer|string, filename }
+ */
+async function readInput(req) {
+  if (isMultipart(req)) {
+    const { file } = await readMultipart(req, { maxBytes: MAX_ALERT_BYTES });
+    return { content: file?.buffer, filename: file?.filename || null };
+  }
+
+  if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+    return { content: req.body, filename: null };
+  }
+
+  return { content: req.body?.content, filename: req.body?.filename || null };
+}
+
+function alertAnnotations(job) {
+  const annotations = { source: `${ALERT_PROVIDERS[job.provider].label} alert` };
+  if (job.title) annotations.alert_title = job.title;
+  if (job.company) annotations.alert_company = job.company;
+  if (job.location) annotations.alert_location = job.location;
+  return annotations;
+}
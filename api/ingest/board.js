@@ -0,0 +1,132 @@
+// Company Board Import API Endpoint
+// Imports every open role on a Greenhouse, Lever or Ashby board in one request
+// The board JSON is fetched once; each posting is stored as a snapshot and queued for the ingestion worker
+//
+// POST /api/ingest/board
+// Body: { provider: "greenhouse" | "lever" | "ashby", board: "acme" } or { url: "https://jobs.lever.co/acme" }
+// Optional webhook: { url, events?, recommendations?, secret? } is called for this import's events
+// Progress is reported by GET /api/ingest/bulk/:id like any other import
+
+import { createClient } from '@supabase/supabase-js';
+import { BOARD_PROVIDERS, BOARD_TOKEN, matchAtsUrl, fetchAtsBoard } from '../../lib/ats/index.js';
+import { storeRawJobs } from '../../lib/ingest/pipeline.js';
+import { enqueueSnapshots, refreshImportProgress, findQueuedUrls } from '../../lib/ingest/queue.js';
+import { findKnownUrls } from '../../lib/dedupe/job-matcher.js';
+import { canonicalizeUrl } from '../../lib/dedupe/canonical-url.js';
+import { readWebhookOption, createSubscription } from '../../lib/webhooks/subscriptions.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { provider, board, region } = resolveBoard(req.body || {});
+
+    if (!provider || !board) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: `Provide { provider, board } (provider one of ${BOARD_PROVIDERS.join(', ')}) or a board url`
+      });
+    }
+
+    if (!BOARD_TOKEN.test(board)) {
+      return res.status(400).json({ error: 'Invalid input', message: `Not a board name: ${board}` });
+    }
+
+    let webhook;
+    try {
+      webhook = readWebhookOption((req.body || {}).webhook);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid input', message: error.message });
+    }
+
+    const postings = await fetchAtsBoard(provider, board, { region });
+
+    // Roles we already hold are skipped rather than re-ingested
+    const knownUrls = await findKnownUrls(postings.map(({ url }) => url));
+    const unknown = postings.filter(({ url }) => !knownUrls.has(canonicalizeUrl(url)));
+
+    // ...and so are roles still waiting in the queue from an earlier import of the same board
+    const queuedUrls = await findQueuedUrls(unknown.map(({ url }) => url));
+    const newPostings = unknown.filter(({ url }) => !queuedUrls.has(url));
+
+    const sourceType = `${provider}_board`;
+
+    const { data: importJob, error: jobError } = await supabase
+      .from('bulk_import_jobs')
+      .insert({
+        import_type: sourceType,
+        total_urls: newPostings.length,
+        status: 'queued',
+        started_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (jobError) {
+      throw new Error(`Failed to create import job: ${jobError.message}`);
+    }
+
+    const subscription = webhook ? await createSubscription(webhook, importJob.id) : null;
+
+    const fetchedAt = new Date().toISOString();
+    const rawJobs = await storeRawJobs(
+      newPostings.map(({ url, posting }) => ({
+        url,
+        html: JSON.stringify({ provider, board, fetched_at: fetchedAt, posting })
+      })),
+      sourceType
+    );
+
+    await enqueueSnapshots(
+      importJob.id,
+      rawJobs.map(rawJob => ({ url: rawJob.source_url, jobRawId: rawJob.id })),
+      sourceType
+    );
+
+    // Closes the import straight away if every role was already known
+    await refreshImportProgress(importJob.id);
+
+    return res.status(202).json({
+      message: 'Board import queued',
+      import_job_id: importJob.id,
+      provider,
+      board,
+      open_roles: postings.length,
+      queued: newPostings.length,
+      already_known: postings.length - unknown.length,
+      already_queued: unknown.length - newPostings.length,
+      ...(subscription && {
+        webhook: { id: subscription.id, url: subscription.url, events: subscription.events, secret: subscription.secret }
+      })
+    });
+  } catch (error) {
+    console.error('Board import error:', error);
+    return res.status(error.status === 404 ? 404 : 500).json({
+      error: 'Board import failed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Provider and board token from the request body
+ */
+function resolveBoard({ provider, board, url }) {
+  if (url) {
+    const match = matchAtsUrl(url);
+    return match && BOARD_PROVIDERS.includes(match.adapter.provider)
+      ? { provider: match.adapter.provider, board: match.ref.board, region: match.ref.region }
+      : {};
+  }
+
+  if (!BOARD_PROVIDERS.includes(provider)) return {};
+
+  return { provider, board: board ? String(board).trim().toLowerCase() : null };
+}
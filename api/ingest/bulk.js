@@ -1,35 +1,127 @@
 // Bulk URL Import API Endpoint
-// Supports CSV upload or JSON array of URLs
+// Supports a CSV/XLSX upload (multipart/form-data) or a JSON array of URLs
+// Spreadsheet columns other than the URL are stored on the job as user annotations
+// URLs are queued in ingestion_queue and processed by the ingestion worker (api/ingest/worker.js)
+//
+// POST /api/ingest/bulk       - queue an import
+// GET  /api/ingest/bulk       - list imports
+// GET  /api/ingest/bulk/:id   - import progress and per-URL results
 
 import { createClient } from '@supabase/supabase-js';
+import { enqueueUrls, rejectUrls, refreshImportProgress, listImportTasks } from '../../lib/ingest/queue.js';
+import { interleaveByHost } from '../../lib/fetch/polite-fetch.js';
+import { isMultipart, readMultipart } from '../../lib/ingest/upload.js';
+import { readSpreadsheet, mapSpreadsheetRows } from '../../lib/ingest/spreadsheet.js';
+import { isPreviewRequest, previewUrl } from '../../lib/ingest/preview.js';
+import { readWebhookOption, createSubscription } from '../../lib/webhooks/subscriptions.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_KEY
 );
 
+// Rows per spreadsheet upload; larger lists should be split into several imports
+const MAX_UPLOAD_ROWS = 2000;
+
+// A preview fetches synchronously, so it only samples the first few URLs
+const MAX_PREVIEW_URLS = 5;
+
+// PostgREST .in() lists are chunked to keep the query string a sane length
+const ID_CHUNK = 100;
+
 export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  if (req.method === 'POST') {
+    return createImport(req, res);
+  } else if (req.method === 'GET') {
+    return req.query.id ? getImport(req, res) : listImports(req, res);
   }
 
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+/**
+ * POST - Validate and queue URLs
+ * JSON body { urls, source_type, preview?, webhook? } or a multipart CSV/XLSX upload (see readUpload)
+ * webhook ({ url, events?, recommendations?, secret? }) registers a callback for this import only.
+ * With preview the URLs are validated and the first few run through the pipeline; nothing is queued or stored.
+ */
+async function createImport(req, res) {
   try {
-    const { urls, source_type = 'bulk_manual' } = req.body;
+    let input;
+    const multipart = isMultipart(req);
+
+    if (multipart) {
+      try {
+        input = await readUpload(req);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid upload', message: error.message });
+      }
+    } else {
+      const { urls, source_type = 'bulk_manual' } = req.body;
+
+      if (!urls || !Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json({
+          error: 'Invalid input',
+          message: 'urls must be a non-empty array'
+        });
+      }
+
+      input = { entries: urls.map(url => ({ url })), sourceType: source_type };
+    }
+
+    // Multipart bodies are not parsed by the platform - read the flag from the form fields instead
+    const preview = isPreviewRequest({ query: req.query, body: multipart ? input.fields : req.body });
+
+    const { entries, sourceType } = input;
+
+    let webhook;
+    try {
+      webhook = readWebhookOption(multipart ? input.fields.webhook : req.body.webhook);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid input', message: error.message });
+    }
+
+    // Validate URLs up front; duplicates within the request are dropped (the first row wins)
+    const validUrls = [];
+    const rejected = [];
+    const annotations = {};
+
+    for (const entry of entries) {
+      const label = entry.row ? `row ${entry.row}` : null;
+
+      if (!entry.url) {
+        rejected.push({ url: label, error: label ? `Missing URL in ${label}` : 'Missing URL' });
+        continue;
+      }
+
+      try {
+        new URL(entry.url);
+      } catch (error) {
+        rejected.push({ url: entry.url, error: `Invalid URL${label ? ` in ${label}` : ''}: ${entry.url}` });
+        continue;
+      }
+
+      if (validUrls.includes(entry.url)) continue;
 
-    if (!urls || !Array.isArray(urls) || urls.length === 0) {
-      return res.status(400).json({ 
-        error: 'Invalid input', 
-        message: 'urls must be a non-empty array' 
-      });
+      validUrls.push(entry.url);
+      if (entry.annotations && Object.keys(entry.annotations).length > 0) {
+        annotations[entry.url] = entry.annotations;
+      }
+    }
+
+    if (preview) {
+      return res.status(200).json(await previewImport(validUrls, rejected, annotations, input));
     }
 
     // Create bulk import job
     const { data: importJob, error: jobError } = await supabase
       .from('bulk_import_jobs')
       .insert({
-        import_type: source_type,
-        total_urls: urls.length,
-        status: 'processing',
+        import_type: sourceType,
+        source_file: input.filename ? input.filename.slice(0, 255) : null,
+        column_mapping: input.columns || null,
+        total_urls: validUrls.length + rejected.length,
+        status: 'queued',
         started_at: new Date().toISOString()
       })
       .select()
@@ -39,224 +131,280 @@ export default async function handler(req, res) {
       throw new Error(`Failed to create import job: ${jobError.message}`);
     }
 
-    // Process URLs in batches
-    const batchSize = 5;
-    const results = {
-      successful: [],
-      failed: [],
-      errors: []
-    };
-
-    for (let i = 0; i < urls.length; i += batchSize) {
-      const batch = urls.slice(i, i + batchSize);
-      
-      await Promise.allSettled(
-        batch.map(async (url) => {
-          try {
-            // Validate URL
-            const urlObj = new URL(url);
-            
-            // Check if already exists
-            const { data: existing } = await supabase
-              .from('job_raw')
-              .select('id, source_url')
-              .eq('source_url', url)
-              .single();
-
-            if (existing) {
-              results.failed.push(url);
-              results.errors.push({
-                url,
-                error: 'Duplicate URL - already exists in database'
-              });
-              return;
-            }
-
-            // Fetch the URL content
-            const response = await fetch(url, {
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; JobScanAI/1.0)',
-              },
-              timeout: 10000
-            });
-
-            if (!response.ok) {
-              throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const html = await response.text();
-
-            // Store raw HTML
-            const { data: jobRaw, error: rawError } = await supabase
-              .from('job_raw')
-              .insert({
-                source_url: url,
-                raw_html: html,
-                source_type,
-                fetched_at: new Date().toISOString()
-              })
-              .select()
-              .single();
-
-            if (rawError) {
-              throw new Error(`Failed to store: ${rawError.message}`);
-            }
-
-            results.successful.push(url);
-
-            // Trigger processing in background (fire and forget)
-            processJobInBackground(jobRaw.id, url, html).catch(err => {
-              console.error(`Background processing failed for ${url}:`, err);
-            });
-
-          } catch (error) {
-            results.failed.push(url);
-            results.errors.push({
-              url,
-              error: error.message
-            });
-          }
-        })
-      );
-
-      // Update progress
-      await supabase
-        .from('bulk_import_jobs')
-        .update({
-          processed_urls: Math.min(i + batchSize, urls.length),
-          successful_urls: results.successful.length,
-          failed_urls: results.failed.length
-        })
-        .eq('id', importJob.id);
+    // Registered before anything is queued so an import that closes straight away still notifies it
+    const subscription = webhook ? await createSubscription(webhook, importJob.id) : null;
+
+    // Interleave hosts so the worker never hammers one site with consecutive requests
+    if (validUrls.length > 0) {
+      await enqueueUrls(importJob.id, interleaveByHost(validUrls), sourceType, annotations);
     }
+    await rejectUrls(importJob.id, rejected, sourceType);
 
-    // Finalize import job
-    await supabase
-      .from('bulk_import_jobs')
-      .update({
-        status: 'completed',
-        successful_urls: results.successful.length,
-        failed_urls: results.failed.length,
-        error_log: results.errors,
-        completed_at: new Date().toISOString()
-      })
-      .eq('id', importJob.id);
+    // Closes the import straight away if nothing was valid
+    await refreshImportProgress(importJob.id);
 
-    return res.status(200).json({
-      message: 'Bulk import completed',
+    return res.status(202).json({
+      message: 'Bulk import queued',
       import_job_id: importJob.id,
-      total: urls.length,
-      successful: results.successful.length,
-      failed: results.failed.length,
-      errors: results.errors
+      source_file: importJob.source_file,
+      total: validUrls.length + rejected.length,
+      queued: validUrls.length,
+      rejected: rejected.length,
+      ...(input.columns && { url_column: input.urlColumn, column_mapping: input.columns }),
+      ...(subscription && { webhook: formatWebhook(subscription) }),
+      errors: rejected
     });
 
   } catch (error) {
     console.error('Bulk import error:', error);
-    return res.status(500).json({ 
-      error: 'Bulk import failed', 
-      message: error.message 
+    return res.status(500).json({
+      error: 'Bulk import failed',
+      message: error.message
     });
   }
 }
 
-// Background processing function
-async function processJobInBackground(jobRawId, url, html) {
+/**
+ * Preview response: validation results plus the pipeline output for a sample of URLs
+ */
+async function previewImport(validUrls, rejected, annotations, input) {
+  const sample = validUrls.slice(0, MAX_PREVIEW_URLS);
+  const results = [];
+
+  // One at a time - the polite fetch layer spaces requests to the same host anyway
+  for (const url of sample) {
+    results.push({ ...(await previewUrl(url)), annotations: annotations[url] || null });
+  }
+
+  return {
+    success: true,
+    preview: true,
+    total: validUrls.length + rejected.length,
+    valid: validUrls.length,
+    rejected: rejected.length,
+    ...(input.columns && { url_column: input.urlColumn, column_mapping: input.columns }),
+    previewed: results.length,
+    not_previewed: validUrls.length - results.length,
+    results,
+    errors: rejected
+  };
+}
+
+/**
+ * Read a CSV/XLSX upload into URL entries with per-row annotations
+ * Form fields: file, column_mapping (JSON object of header -> "url" | "ignore" | annotation key), source_type,
+ * webhook (JSON object)
+ * Throws on anything the client needs to fix.
+ */
+async function readUpload(req) {
+  const { fields, file } = await readMultipart(req);
+
+  if (!file || file.buffer.length === 0) {
+    throw new Error('Attach the spreadsheet as the "file" form field');
+  }
+
+  if (!/\.(csv|tsv|txt|xlsx)$/i.test(file.filename || '') && !/csv|spreadsheetml|text\/plain/i.test(file.mimeType || '')) {
+    throw new Error('Only CSV and XLSX files are supported');
+  }
+
+  let mapping = {};
+  if (fields.column_mapping) {
+    try {
+      mapping = JSON.parse(fields.column_mapping);
+    } catch (error) {
+      throw new Error('column_mapping must be a JSON object');
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error('column_mapping must be a JSON object');
+    }
+  }
+
+  const sheet = readSpreadsheet(file.buffer, file.filename);
+  if (sheet.rows.length > MAX_UPLOAD_ROWS) {
+    throw new Error(`The file has ${sheet.rows.length} rows; the limit is ${MAX_UPLOAD_ROWS} per import`);
+  }
+
+  const { entries, urlColumn, columns } = mapSpreadsheetRows(sheet, mapping);
+
+  return {
+    entries,
+    urlColumn,
+    columns,
+    fields,
+    filename: file.filename,
+    sourceType: fields.source_type || 'bulk_upload'
+  };
+}
+
+/**
+ * The import's webhook with its signing secret - the only time the secret is returned
+ */
+function formatWebhook(subscription) {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    events: subscription.events,
+    recommendations: subscription.recommendations,
+    secret: subscription.secret
+  };
+}
+
+/**
+ * GET - List imports, newest first
+ */
+async function listImports(req, res) {
   try {
-    // Import processing modules
-    const normalizer = await import('../../lib/normalizers/enhanced.js');
-    const visaIntel = await import('../../lib/visa_intel/enhanced.js');
-    const multiScore = await import('../../lib/scoring/multi-score.js');
-
-    // Normalize the HTML
-    const normalized = normalizer.normalizeJobHTML(html, url);
-
-    // Get visa intelligence
-    const visaData = await visaIntel.analyzeVisaSponsorship(
-      normalized.company,
-      normalized.location,
-      normalized.normalized_text,
-      normalized.salary
-    );
-
-    // Get user profile for scoring
-    const { data: profile } = await supabase
-      .from('user_profile')
+    const { status, limit = 20 } = req.query;
+
+    let query = supabase
+      .from('bulk_import_jobs')
       .select('*')
-      .limit(1)
-      .single();
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit, 10) || 20);
 
-    // Get scoring config
-    const { data: config } = await supabase
-      .from('scoring_config')
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch imports: ${error.message}`);
+    }
+
+    return res.status(200).json({
+      success: true,
+      count: data.length,
+      imports: data.map(formatImport)
+    });
+  } catch (error) {
+    console.error('List imports error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch imports',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET - Overall progress plus the outcome of every URL in an import
+ */
+async function getImport(req, res) {
+  try {
+    const importId = parseInt(req.query.id, 10);
+    if (isNaN(importId)) {
+      return res.status(400).json({ error: 'Invalid input', message: 'id must be numeric' });
+    }
+
+    const { data: importJob, error: importError } = await supabase
+      .from('bulk_import_jobs')
       .select('*')
-      .eq('config_name', 'default')
-      .single();
+      .eq('id', importId)
+      .maybeSingle();
+
+    if (importError) {
+      throw new Error(`Failed to fetch import: ${importError.message}`);
+    }
 
-    // Calculate multi-score
-    const scoring = multiScore.calculateMultiScore(
-      normalized,
-      profile || {},
-      visaData,
-      config || {}
-    );
+    if (!importJob) {
+      return res.status(404).json({ error: 'import_not_found', message: `No import with id ${importId}` });
+    }
 
-    // Store normalized job with multi-scores
-    await supabase
-      .from('job_normalized')
-      .insert({
-        job_raw_id: jobRawId,
-        source_url: url,
-        title: normalized.title,
-        company: normalized.company,
-        location: normalized.location,
-        normalized_text: normalized.normalized_text,
-        skill_tags: normalized.skills,
-        domain_tags: normalized.domains,
-        country_code: normalized.country_code,
-        salary_raw: normalized.salary?.raw,
-        salary_min: normalized.salary?.min,
-        salary_max: normalized.salary?.max,
-        salary_currency: normalized.salary?.currency,
-        is_remote: normalized.is_remote,
-        recruiter_email: normalized.recruiter_email,
-        recruiter_type: normalized.recruiter_type,
-        
-        // Multi-Score System (Phase 1.5)
-        visa_score: scoring.visa_score,
-        resume_match_score: scoring.resume_match_score,
-        job_relevance_score: scoring.job_relevance_score,
-        overall_score: scoring.overall_score,
-        score_breakdown: scoring.breakdown,
-        
-        // Legacy fields (kept for backward compatibility)
-        visa_confidence: visaData.confidence,
-        visa_score_int: visaData.score,
-        visa_categories: visaData.categories,
-        visa_explanation: visaData.explanation,
-        visa_registry_match: visaData.registry_match,
-        visa_recent_activity: visaData.recent_activity_score,
-        visa_community_score: visaData.community_score,
-        visa_jd_keywords_score: visaData.jd_keywords_score,
-        
-        // Overall
-        total_score: scoring.overall_score,
-        recommendation: scoring.recommendation,
-        relevance_score: scoring.overall_score
-      });
-
-    console.log(`Successfully processed job: ${url} - Score: ${scoring.overall_score}/100`);
+    const tasks = await listImportTasks(importId);
+
+    const scores = await fetchScores(tasks);
+
+    const results = tasks.map(task => {
+      const job = scores.get(task.job_normalized_id);
+
+      return {
+        url: task.source_url,
+        state: task.state,
+        attempts: task.attempts,
+        job_raw_id: task.job_raw_id,
+        job_normalized_id: task.job_normalized_id,
+        duplicate: task.duplicate_of_existing || false,
+        annotations: task.annotations || null,
+        title: job?.title || null,
+        company: job?.company || null,
+        overall_score: job?.overall_score ?? null,
+        recommendation: job?.recommendation || null,
+        failed_stage: task.failed_stage || null,
+        error: task.error_message || null,
+        updated_at: task.updated_at
+      };
+    });
+
+    // Imports created before the queue existed only have the error_log summary
+    if (tasks.length === 0 && Array.isArray(importJob.error_log)) {
+      results.push(...importJob.error_log.map(entry => ({
+        url: entry.url,
+        state: 'failed',
+        failed_stage: entry.stage || 'fetching',
+        error: entry.error
+      })));
+    }
+
+    return res.status(200).json({
+      success: true,
+      import: formatImport(importJob),
+      states: countStates(tasks),
+      results
+    });
   } catch (error) {
-    console.error(`Failed to process job ${url}:`, error);
-    
-    // Log the error
-    await supabase
-      .from('ingestion_log')
-      .insert({
-        source_url: url,
-        job_raw_id: jobRawId,
-        status: 'failed',
-        error_message: error.message
-      });
+    console.error('Get import error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch import',
+      message: error.message
+    });
+  }
+}
+
+function formatImport(importJob) {
+  const total = importJob.total_urls || 0;
+  const processed = importJob.processed_urls || 0;
+
+  return {
+    id: importJob.id,
+    import_type: importJob.import_type,
+    source_file: importJob.source_file,
+    column_mapping: importJob.column_mapping || null,
+    status: importJob.status,
+    total,
+    processed,
+    successful: importJob.successful_urls || 0,
+    failed: importJob.failed_urls || 0,
+    percent_complete: total > 0 ? Math.round((processed / total) * 100) : 100,
+    started_at: importJob.started_at,
+    completed_at: importJob.completed_at,
+    created_at: importJob.created_at
+  };
+}
+
+function countStates(tasks) {
+  const counts = {};
+  for (const task of tasks) {
+    counts[task.state] = (counts[task.state] || 0) + 1;
+  }
+  return counts;
+}
+
+async function fetchScores(tasks) {
+  const ids = [...new Set(tasks.map(t => t.job_normalized_id).filter(Boolean))];
+  const scores = new Map();
+
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const { data, error } = await supabase
+      .from('job_normalized')
+      .select('id, title, company, overall_score, recommendation')
+      .in('id', ids.slice(i, i + ID_CHUNK));
+
+    if (error) {
+      throw new Error(`Failed to fetch scores: ${error.message}`);
+    }
+
+    data.forEach(job => scores.set(job.id, job));
   }
+
+  return scores;
 }
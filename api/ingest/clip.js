@@ -0,0 +1,226 @@
+// Clip-from-Browser Ingest API Endpoint
+// Ingests a posting from page HTML the browser has already rendered (bookmarklet or extension),
+// for pages a server-side fetch only sees as an empty shell: LinkedIn behind login, SPA careers sites
+//
+// POST /api/ingest/clip
+// Body: { url, html }
+// The clipped HTML is stored as the raw snapshot; normalization, visa analysis and scoring run as for
+// POST /api/ingest/manual. A URL we already know is refreshed from the clipped HTML.
+
+import {
+  storeRawJob,
+  normalizeJob,
+  scoreJob,
+  buildNormalizedRecord,
+  storeNormalizedJob,
+  loadNormalizedJob,
+  updateNormalizedJob,
+  reopenedJobFields,
+  linkRawJob,
+  logIngestion
+} from '../../lib/ingest/pipeline.js';
+import { diffJobRecords } from '../../lib/ingest/job-diff.js';
+import { fingerprintJob } from '../../lib/dedupe/fingerprint.js';
+import { findJobByUrl, findDuplicateJob, recordAlias } from '../../lib/dedupe/job-matcher.js';
+import { notifyJobIngested } from '../../lib/webhooks/events.js';
+import { skillNames } from '../../lib/skills/taxonomy.js';
+
+// Below this much posting text the clip is a loading shell or a login wall, not a job
+const MIN_CLIP_TEXT_LENGTH = 200;
+
+export default async function handler(req, res) {
+  // The request comes from a script running on the job site's origin
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const body = typeof req.body === 'string' ? parseJson(req.body) : req.body || {};
+  const { url, html } = body;
+
+  if (!url || !html || typeof html !== 'string') {
+    return res.status(400).json({ error: 'Invalid input', message: 'url and html are required' });
+  }
+
+  try {
+    new URL(url);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid input', message: `Invalid URL: ${url}` });
+  }
+
+  try {
+    const normalized = normalizeJob(html, url);
+
+    if ((normalized.normalized_text || '').length < MIN_CLIP_TEXT_LENGTH) {
+      return res.status(422).json({
+        error: 'No posting found',
+        message: 'The clipped page has no job description - wait for it to finish loading, or open the posting itself'
+      });
+    }
+
+    const knownJob = await findJobByUrl(url);
+    const result = knownJob
+      ? await refreshFromClip(knownJob.job_normalized_id, url, html, normalized)
+      : await ingestClip(url, html, normalized);
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Clip ingestion error:', error);
+    return res.status(500).json({
+      error: 'Failed to ingest clipped page',
+      message: error.message
+    });
+  }
+}
+
+async function ingestClip(url, html, normalized) {
+  const rawJob = await storeRawJob(url, html, 'clip');
+
+  // Same posting already stored from another site
+  const duplicateJob = await findDuplicateJob(fingerprintJob(normalized), normalized);
+  if (duplicateJob) {
+    await recordAlias({
+      jobNormalizedId: duplicateJob.job_normalized_id,
+      url,
+      sourceType: 'clip',
+      jobRawId: rawJob.id,
+      matchType: duplicateJob.match_type
+    });
+    await linkRawJob(rawJob.id, duplicateJob.job_normalized_id);
+
+    const job = await loadNormalizedJob(duplicateJob.job_normalized_id);
+    return {
+      success: true,
+      duplicate: true,
+      match_type: duplicateJob.match_type,
+      ...storedJobSummary(job)
+    };
+  }
+
+  const { visaData, scoring } = await scoreJob(normalized);
+
+  const normalizedJob = await storeNormalizedJob(
+    buildNormalizedRecord(rawJob.id, url, normalized, visaData, scoring)
+  );
+
+  await recordAlias({ jobNormalizedId: normalizedJob.id, url, sourceType: 'clip', jobRawId: rawJob.id });
+
+  await logIngestion({
+    source_url: url,
+    job_raw_id: rawJob.id,
+    job_normalized_id: normalizedJob.id,
+    status: 'success'
+  });
+  await notifyJobIngested(normalizedJob, { sourceType: 'clip' });
+
+  return {
+    success: true,
+    job_normalized_id: normalizedJob.id,
+    job_raw_id: rawJob.id,
+    ...scoredSummary(normalized, visaData, scoring)
+  };
+}
+
+// The rendered page is usually better than what the server saw - re-score the known job from it
+async function refreshFromClip(jobNormalizedId, url, html, normalized) {
+  const existingJob = await loadNormalizedJob(jobNormalizedId);
+  const rawJob = await storeRawJob(url, html, 'clip_refresh', jobNormalizedId);
+
+  const { visaData, scoring } = await scoreJob(normalized);
+
+  // Keep the job's original source URL as its identity
+  const record = buildNormalizedRecord(rawJob.id, existingJob.source_url, normalized, visaData, scoring);
+  const changes = diffJobRecords(existingJob, record);
+
+  const refreshedAt = new Date().toISOString();
+  await updateNormalizedJob(jobNormalizedId, {
+    ...record,
+    ...reopenedJobFields(refreshedAt),
+    refreshed_at: refreshedAt,
+    refresh_count: (existingJob.refresh_count || 0) + 1,
+    last_changes: changes
+  });
+
+  await recordAlias({ jobNormalizedId, url, sourceType: 'clip', jobRawId: rawJob.id, matchType: 'url' });
+
+  await logIngestion({
+    source_url: url,
+    job_raw_id: rawJob.id,
+    job_normalized_id: jobNormalizedId,
+    status: 'refreshed'
+  });
+
+  return {
+    success: true,
+    refreshed: true,
+    job_normalized_id: jobNormalizedId,
+    job_raw_id: rawJob.id,
+    ...scoredSummary(normalized, visaData, scoring),
+    changed_fields: Object.keys(changes)
+  };
+}
+
+/**
+ * What the popup shows for a freshly scored posting
+ */
+function scoredSummary(normalized, visaData, scoring) {
+  return {
+    title: normalized.title,
+    company: normalized.company,
+    location: normalized.location,
+    salary: normalized.salary || null,
+    is_remote: normalized.is_remote,
+    skills: skillNames(normalized.skills),
+    overall_score: scoring.overall_score,
+    scores: {
+      visa: scoring.visa_score,
+      resume_match: scoring.resume_match_score,
+      job_relevance: scoring.job_relevance_score,
+      breakdown: scoring.breakdown
+    },
+    visa: {
+      score: visaData.score,
+      confidence: visaData.confidence,
+      explanation: visaData.explanation
+    },
+    recommendation: scoring.recommendation
+  };
+}
+
+function storedJobSummary(job) {
+  return {
+    job_normalized_id: job.id,
+    title: job.title,
+    company: job.company,
+    location: job.location,
+    skills: skillNames(job.skill_tags),
+    overall_score: job.overall_score,
+    scores: {
+      visa: job.visa_score,
+      resume_match: job.resume_match_score,
+      job_relevance: job.job_relevance_score,
+      breakdown: job.score_breakdown
+    },
+    visa: {
+      score: job.visa_score_int,
+      confidence: job.visa_confidence,
+      explanation: job.visa_explanation
+    },
+    recommendation: job.recommendation
+  };
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return {};
+  }
+}
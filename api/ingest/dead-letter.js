@@ -0,0 +1,93 @@
+// Dead-Letter API Endpoint
+// Lists ingestion tasks that failed permanently or ran out of retries, and requeues them
+//
+// GET  /api/ingest/dead-letter?import_job_id=&stage=&limit=
+// POST /api/ingest/dead-letter   { ids: [...] } | { import_job_id } | { all: true }
+
+import { listDeadLetters, requeueTasks, refreshImportProgress } from '../../lib/ingest/queue.js';
+
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    return listFailedTasks(req, res);
+  } else if (req.method === 'POST') {
+    return requeueFailedTasks(req, res);
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+/**
+ * GET - List dead-lettered URLs
+ */
+async function listFailedTasks(req, res) {
+  try {
+    const { import_job_id, stage, limit } = req.query;
+
+    const tasks = await listDeadLetters({
+      importJobId: parseInt(import_job_id, 10) || null,
+      stage,
+      limit: parseInt(limit, 10) || 50
+    });
+
+    return res.status(200).json({
+      success: true,
+      count: tasks.length,
+      dead_letters: tasks.map(task => ({
+        id: task.id,
+        import_job_id: task.bulk_import_job_id,
+        url: task.source_url,
+        failed_stage: task.failed_stage,
+        error: task.error_message,
+        attempts: task.attempts,
+        max_attempts: task.max_attempts,
+        last_error_at: task.last_error_at,
+        requeueable: task.failed_stage !== 'validation'
+      }))
+    });
+  } catch (error) {
+    console.error('Dead-letter list error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch dead letters',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * POST - Requeue dead-lettered URLs with a fresh set of attempts
+ */
+async function requeueFailedTasks(req, res) {
+  try {
+    const { ids, import_job_id, all = false } = req.body || {};
+
+    if (!all && !import_job_id && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Provide ids, import_job_id, or all: true'
+      });
+    }
+
+    const requeued = await requeueTasks({
+      ids: Array.isArray(ids) && ids.length > 0 ? ids : null,
+      importJobId: import_job_id || null
+    });
+
+    // Reopen the imports these tasks belong to
+    const importIds = new Set(requeued.map(t => t.bulk_import_job_id).filter(Boolean));
+    for (const importJobId of importIds) {
+      await refreshImportProgress(importJobId);
+    }
+
+    return res.status(200).json({
+      success: true,
+      requeued: requeued.length,
+      urls: requeued.map(t => t.source_url)
+    });
+  } catch (error) {
+    console.error('Dead-letter requeue error:', error);
+    return res.status(500).json({
+      error: 'Failed to requeue',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,210 @@
+// Document Ingest API Endpoint
+// Ingests a job spec that has no URL: an uploaded PDF or pasted plain text
+// The text runs through the same extraction, visa analysis and scoring as a fetched page and is stored
+// under a synthetic document:<hash> source id, so it lists in GET /api/jobs like any other job
+//
+// POST /api/ingest/document
+// Body: multipart/form-data { file (PDF or .txt), title?, company?, location?, source? }
+//       or JSON { text, title?, company?, location?, source? }
+
+import {
+  storeRawJob,
+  normalizeJob,
+  scoreJob,
+  buildNormalizedRecord,
+  storeNormalizedJob,
+  loadNormalizedJob,
+  annotateJob,
+  linkRawJob,
+  logIngestion
+} from '../../lib/ingest/pipeline.js';
+import {
+  extractPdfText,
+  documentSourceId,
+  buildDocumentSnapshot,
+  MAX_DOCUMENT_CHARS
+} from '../../lib/ingest/document.js';
+import { isMultipart, readMultipart } from '../../lib/ingest/upload.js';
+import { fingerprintJob } from '../../lib/dedupe/fingerprint.js';
+import { findJobByUrl, findDuplicateJob, recordAlias } from '../../lib/dedupe/job-matcher.js';
+import { notifyJobIngested } from '../../lib/webhooks/events.js';
+import { skillNames } from '../../lib/skills/taxonomy.js';
+
+// Shorter than this is a title or a note, not a job description
+const MIN_DOCUMENT_CHARS = 100;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let input;
+  try {
+    input = await readInput(req);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid upload', message: error.message });
+  }
+
+  const text = (input.text || '').trim();
+
+  if (text.length < MIN_DOCUMENT_CHARS) {
+    return res.status(422).json({
+      error: 'No job description found',
+      message: input.kind === 'pdf'
+        ? 'The PDF has no extractable text (scanned documents are not supported)'
+        : `Send at least ${MIN_DOCUMENT_CHARS} characters of job description`
+    });
+  }
+
+  if (text.length > MAX_DOCUMENT_CHARS) {
+    return res.status(413).json({
+      error: 'Document too large',
+      message: `Job descriptions are limited to ${MAX_DOCUMENT_CHARS} characters`
+    });
+  }
+
+  try {
+    const result = await ingestDocument(text, input);
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Document ingestion error:', error);
+    return res.status(500).json({
+      error: 'Failed to ingest document',
+      message: error.message
+    });
+  }
+}
+
+async function ingestDocument(text, input) {
+  const sourceId = documentSourceId(text);
+  const sourceType = `${input.kind}_upload`;
+
+  // The same spec was uploaded before
+  const knownJob = await findJobByUrl(sourceId);
+  if (knownJob) {
+    await annotateJob(knownJob.job_normalized_id, sourceAnnotation(input));
+    return existingJobResponse(knownJob);
+  }
+
+  const snapshot = JSON.stringify(buildDocumentSnapshot(text, input));
+  const rawJob = await storeRawJob(sourceId, snapshot, sourceType);
+  const normalized = normalizeJob(snapshot, sourceId);
+
+  // Same posting already ingested from a job site
+  const duplicateJob = await findDuplicateJob(fingerprintJob(normalized), normalized);
+  if (duplicateJob) {
+    await recordAlias({
+      jobNormalizedId: duplicateJob.job_normalized_id,
+      url: sourceId,
+      sourceType,
+      jobRawId: rawJob.id,
+      matchType: duplicateJob.match_type
+    });
+    await linkRawJob(rawJob.id, duplicateJob.job_normalized_id);
+    await annotateJob(duplicateJob.job_normalized_id, sourceAnnotation(input));
+    return existingJobResponse(duplicateJob);
+  }
+
+  const { visaData, scoring } = await scoreJob(normalized);
+
+  const normalizedJob = await storeNormalizedJob(
+    buildNormalizedRecord(rawJob.id, sourceId, normalized, visaData, scoring)
+  );
+
+  await recordAlias({ jobNormalizedId: normalizedJob.id, url: sourceId, sourceType, jobRawId: rawJob.id });
+  await annotateJob(normalizedJob.id, sourceAnnotation(input));
+
+  await logIngestion({
+    source_url: sourceId,
+    job_raw_id: rawJob.id,
+    job_normalized_id: normalizedJob.id,
+    status: 'success'
+  });
+  await notifyJobIngested(normalizedJob, { sourceType });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      job_normalized_id: normalizedJob.id,
+      source_id: sourceId,
+      title: normalized.title,
+      company: normalized.company,
+      location: normalized.location,
+      salary: normalized.salary,
+      skills: skillNames(normalized.skills),
+      domains: normalized.domains,
+      overall_score: scoring.overall_score,
+      visa_score: visaData.score,
+      recommendation: scoring.recommendation
+    }
+  };
+}
+
+/**
+ * Text and optional fields from a PDF/text upload or a JSON body
+ * @returns {Object} { kind, text, filename, title, company, location, source }
+ */
+async function readInput(req) {
+  if (isMultipart(req)) {
+    const { fields, file } = await readMultipart(req);
+
+    if (!file) {
+      return { kind: 'text', ...pickFields(fields), text: fields.text };
+    }
+
+    const isPdf = /\.pdf$/i.test(file.filename || '') || file.mimeType === 'application/pdf' ||
+      file.buffer.slice(0, 5).toString('latin1') === '%PDF-';
+
+    if (isPdf) {
+      let text;
+      try {
+        text = await extractPdfText(file.buffer);
+      } catch (error) {
+        throw new Error(`Could not read the PDF: ${error.message}`);
+      }
+      return { kind: 'pdf', filename: file.filename, ...pickFields(fields), text };
+    }
+
+    if (!/^text\//i.test(file.mimeType || '') && !/\.(txt|md)$/i.test(file.filename || '')) {
+      throw new Error('Only PDF and plain-text files are supported');
+    }
+
+    return { kind: 'text', filename: file.filename, ...pickFields(fields), text: file.buffer.toString('utf8') };
+  }
+
+  if (typeof req.body === 'string') {
+    return { kind: 'text', text: req.body };
+  }
+
+  return { kind: 'text', ...pickFields(req.body || {}), text: req.body?.text };
+}
+
+function pickFields({ title, company, location, source }) {
+  const clean = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  return { title: clean(title), company: clean(company), location: clean(location), source: clean(source) };
+}
+
+function sourceAnnotation(input) {
+  return input.source ? { source: input.source } : null;
+}
+
+async function existingJobResponse(match) {
+  const job = await loadNormalizedJob(match.job_normalized_id);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      duplicate: true,
+      match_type: match.match_type,
+      job_normalized_id: job.id,
+      source_id: job.source_url,
+      title: job.title,
+      company: job.company,
+      overall_score: job.overall_score,
+      visa_score: job.visa_score,
+      recommendation: job.recommendation
+    }
+  };
+}
@@ -1,130 +1,229 @@
-const { createClient } = require('@supabase/supabase-js');
-const fetch = require('node-fetch');
-const { normalizeJobHTML } = require('../../lib/normalizers/enhanced');
-const { analyzeVisaSponsorship } = require('../../lib/visa_intel/enhanced');
-const { calculateMultiScore } = require('../../lib/scoring/multi-score');
+const {
+  fetchJobPage,
+  storeRawJob,
+  normalizeJob,
+  scoreJob,
+  buildNormalizedRecord,
+  storeNormalizedJob,
+  loadNormalizedJob,
+  updateNormalizedJob,
+  reopenedJobFields,
+  linkRawJob,
+  logIngestion
+} = require('../../lib/ingest/pipeline');
+const { withRetry } = require('../../lib/ingest/retry');
+const { diffJobRecords } = require('../../lib/ingest/job-diff');
+const { fingerprintJob } = require('../../lib/dedupe/fingerprint');
+const { findJobByUrl, findDuplicateJob, recordAlias } = require('../../lib/dedupe/job-matcher');
+const { isPreviewRequest, previewUrl } = require('../../lib/ingest/preview');
+const { notifyJobIngested, notifyJobFailed } = require('../../lib/webhooks/events');
+const {
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} = require('../../lib/ingest/idempotency');
 
+// POST /api/ingest/manual
+// Body: { url, idempotency_key?, preview? } (or an Idempotency-Key header)
+// A URL we already know is treated as a refresh: re-fetch, re-normalize, re-score and report changes.
+// preview: true (or ?preview=true) runs the pipeline and returns its output without writing anything.
 module.exports = async (req, res) => {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { url, resume_baseline } = req.body;
+  const { url } = req.body;
+  const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotency_key;
 
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
   }
 
+  if (isPreviewRequest(req)) {
+    const preview = await previewUrl(url);
+    const status = !preview.error ? 200 : preview.stage === 'fetching' ? 502 : 500;
+    return res.status(status).json({ success: !preview.error, preview: true, ...preview });
+  }
+
   try {
-    // Initialize Supabase client
-    const supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_KEY
-    );
-
-    // Fetch the URL
-    const response = await fetch(url);
-    const html = await response.text();
-
-    // Store raw job
-    const { data: rawJob, error: rawError } = await supabase
-      .from('job_raw')
-      .insert({
-        source_url: url,
-        raw_html: html,
-        fetched_at: new Date().toISOString(),
-        source_type: 'manual'
-      })
-      .select()
-      .single();
-
-    if (rawError) {
-      throw new Error(`Failed to store raw job: ${rawError.message}`);
+    if (idempotencyKey) {
+      const claim = await claimIdempotencyKey(idempotencyKey, 'manual_ingest', url);
+
+      if (claim.replay) {
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(claim.replay.status).json(claim.replay.body);
+      }
+
+      if (claim.in_progress) {
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this idempotency key is still being processed'
+        });
+      }
+
+      if (claim.mismatch) {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          message: 'This idempotency key was already used for a different request'
+        });
+      }
     }
 
-    // Normalize the HTML
-    const normalized = normalizeJobHTML(html, url);
-
-    // Get user profile for scoring
-    const { data: profileData } = await supabase
-      .from('user_profile')
-      .select('*')
-      .limit(1)
-      .single();
-
-    // Compute visa score
-    const visaResult = await analyzeVisaSponsorship(
-      normalized.company,
-      normalized.location,
-      normalized.normalized_text,
-      normalized.salary
-    );
-
-    // Compute overall score using multi-score system
-    const resumeBaseline = resume_baseline || {};
-    const profile = profileData || {};
-    const multiScore = calculateMultiScore(normalized, profile, visaResult);
-
-    // Store normalized job
-    const { data: normalizedJob, error: normalizedError } = await supabase
-      .from('job_normalized')
-      .insert({
-        job_raw_id: rawJob.id,
-        source_url: url,
-        title: normalized.title,
-        company: normalized.company,
-        location: normalized.location,
-        country_code: normalized.country_code,
-        normalized_text: normalized.normalized_text,
-        skill_tags: normalized.skills,
-        domain_tags: normalized.domains,
-        is_remote: normalized.is_remote,
-        salary_min: normalized.salary?.min,
-        salary_max: normalized.salary?.max,
-        salary_currency: normalized.salary?.currency,
-        visa_score_int: visaResult.score,
-        visa_confidence: visaResult.confidence,
-        visa_categories: visaResult.categories,
-        visa_explanation: visaResult.explanation,
-        overall_score: multiScore.overall_score,
-        visa_score: multiScore.visa_score,
-        resume_match_score: multiScore.resume_match_score,
-        job_relevance_score: multiScore.job_relevance_score,
-        recommendation: multiScore.recommendation?.action,
-        ingested_at: new Date().toISOString()
-      })
-      .select()
-      .single();
-
-    if (normalizedError) {
-      throw new Error(`Failed to store normalized job: ${normalizedError.message}`);
+    const result = await ingestUrl(url);
+
+    if (idempotencyKey) {
+      await completeIdempotencyKey(idempotencyKey, result.status, result.body);
     }
 
-    // Log ingestion
-    await supabase
-      .from('ingestion_log')
-      .insert({
-        source_url: url,
-        job_raw_id: rawJob.id,
-        job_normalized_id: normalizedJob.id,
-        status: 'success',
-        created_at: new Date().toISOString()
-      });
-
-    res.status(200).json({
-      success: true,
-      job_normalized_id: normalizedJob.id,
-      title: normalized.title,
-      company: normalized.company,
-      overall_score: multiScore.overall_score,
-      visa_score: visaResult.score,
-      recommendation: multiScore.recommendation
-    });
+    res.status(result.status).json(result.body);
   } catch (error) {
     console.error('Ingestion error:', error);
+
+    await notifyJobFailed({ url, error: error.message }, { sourceType: 'manual' });
+
+    // Let the client retry with the same key
+    if (idempotencyKey) {
+      await releaseIdempotencyKey(idempotencyKey);
+    }
+
     res.status(500).json({
       error: 'Failed to ingest job',
       message: error.message
     });
   }
 };
+
+async function ingestUrl(url) {
+  // Already known under this or another URL shape - refresh it
+  const knownJob = await findJobByUrl(url);
+  if (knownJob) {
+    return refreshJob(knownJob.job_normalized_id, url);
+  }
+
+  // Fetch the URL, retrying transient failures (429/503, timeouts) with backoff
+  const page = await withRetry(() => fetchJobPage(url));
+  const { html } = page;
+
+  // Store raw job
+  const rawJob = await storeRawJob(url, html, 'manual', null, page);
+
+  // Normalize the HTML
+  const normalized = normalizeJob(html, url);
+
+  // Same posting already stored from another site
+  const duplicateJob = await findDuplicateJob(fingerprintJob(normalized), normalized);
+  if (duplicateJob) {
+    await recordAlias({
+      jobNormalizedId: duplicateJob.job_normalized_id,
+      url,
+      sourceType: 'manual',
+      jobRawId: rawJob.id,
+      matchType: duplicateJob.match_type
+    });
+    await linkRawJob(rawJob.id, duplicateJob.job_normalized_id);
+    return existingJobResponse(duplicateJob);
+  }
+
+  // Compute visa intelligence and multi-score
+  const { visaData, scoring } = await scoreJob(normalized);
+
+  // Store normalized job
+  const normalizedJob = await storeNormalizedJob(
+    buildNormalizedRecord(rawJob.id, url, normalized, visaData, scoring)
+  );
+
+  await recordAlias({ jobNormalizedId: normalizedJob.id, url, sourceType: 'manual', jobRawId: rawJob.id });
+
+  // Log ingestion
+  await logIngestion({
+    source_url: url,
+    job_raw_id: rawJob.id,
+    job_normalized_id: normalizedJob.id,
+    status: 'success'
+  });
+  await notifyJobIngested(normalizedJob, { sourceType: 'manual' });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      job_normalized_id: normalizedJob.id,
+      title: normalized.title,
+      company: normalized.company,
+      overall_score: scoring.overall_score,
+      visa_score: visaData.score,
+      recommendation: scoring.recommendation
+    }
+  };
+}
+
+// Re-fetch a known posting into a new snapshot of the same job and report what changed
+async function refreshJob(jobNormalizedId, url) {
+  const existingJob = await loadNormalizedJob(jobNormalizedId);
+
+  const page = await withRetry(() => fetchJobPage(url));
+  const { html } = page;
+  const rawJob = await storeRawJob(url, html, 'manual_refresh', jobNormalizedId, page);
+
+  const normalized = normalizeJob(html, url);
+  const { visaData, scoring } = await scoreJob(normalized);
+
+  // Keep the job's original source URL as its identity
+  const record = buildNormalizedRecord(rawJob.id, existingJob.source_url, normalized, visaData, scoring);
+  const changes = diffJobRecords(existingJob, record);
+
+  const refreshedAt = new Date().toISOString();
+  await updateNormalizedJob(jobNormalizedId, {
+    ...record,
+    ...reopenedJobFields(refreshedAt),
+    refreshed_at: refreshedAt,
+    refresh_count: (existingJob.refresh_count || 0) + 1,
+    last_changes: changes
+  });
+
+  await recordAlias({ jobNormalizedId, url, sourceType: 'manual', jobRawId: rawJob.id, matchType: 'url' });
+
+  await logIngestion({
+    source_url: url,
+    job_raw_id: rawJob.id,
+    job_normalized_id: jobNormalizedId,
+    status: 'refreshed'
+  });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      refreshed: true,
+      job_normalized_id: jobNormalizedId,
+      job_raw_id: rawJob.id,
+      title: normalized.title,
+      company: normalized.company,
+      overall_score: scoring.overall_score,
+      visa_score: visaData.score,
+      recommendation: scoring.recommendation,
+      changed_fields: Object.keys(changes),
+      changes
+    }
+  };
+}
+
+// Respond with a job we already hold instead of creating a duplicate
+async function existingJobResponse(match) {
+  const job = await loadNormalizedJob(match.job_normalized_id);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      duplicate: true,
+      match_type: match.match_type,
+      job_normalized_id: job.id,
+      title: job.title,
+      company: job.company,
+      overall_score: job.overall_score,
+      visa_score: job.visa_score,
+      recommendation: job.recommendation
+    }
+  };
+}
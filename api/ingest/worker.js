@@ -0,0 +1,35 @@
+// Ingestion Worker Endpoint
+// Drains the ingestion queue; called on a schedule by .github/workflows/ingest-worker.yml
+
+import { drainQueue } from '../../lib/ingest/worker.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const token = req.headers['x-service-token'];
+  if (!process.env.INGEST_WORKER_SECRET || token !== process.env.INGEST_WORKER_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { batch_size, time_budget_ms } = req.body || {};
+
+    const summary = await drainQueue({
+      batchSize: parseInt(batch_size, 10) || undefined,
+      timeBudgetMs: parseInt(time_budget_ms, 10) || undefined
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Ingestion worker error:', error);
+    return res.status(500).json({
+      error: 'Ingestion worker failed',
+      message: error.message
+    });
+  }
+}
@@ -1,4 +1,5 @@
 const { createClient } = require('@supabase/supabase-js');
+const { skillNames } = require('../../lib/skills/taxonomy');
 
 module.exports = async (req, res) => {
   if (req.method !== 'GET') {
@@ -20,10 +21,13 @@ module.exports = async (req, res) => {
       min_visa_score,
       min_resume_score,
       min_relevance_score,
+      include_closed,
       sort_by = 'overall_score',
       limit = 50
     } = req.query;
 
+    const includeClosed = include_closed === 'true';
+
     // Build query - default sort by overall_score
     let query = supabase
       .from('job_normalized')
@@ -31,6 +35,11 @@ module.exports = async (req, res) => {
       .order(sort_by, { ascending: false })
       .limit(parseInt(limit, 10) || 50);
 
+    // Closed or expired postings are hidden unless asked for
+    if (!includeClosed) {
+      query = query.eq('is_closed', false);
+    }
+
     // Apply filters
     if (country) {
       query = query.ilike('location', `%${country}%`);
@@ -84,6 +93,8 @@ module.exports = async (req, res) => {
     const jobs = data.map(job => ({
       id: job.id,
       title: job.title,
+      role_family: job.role_family || null,
+      seniority: job.seniority || null,
       company: job.company,
       location: job.location,
       country_code: job.country_code,
@@ -94,7 +105,10 @@ module.exports = async (req, res) => {
         raw: job.salary_raw,
         min: job.salary_min,
         max: job.salary_max,
-        currency: job.salary_currency
+        currency: job.salary_currency,
+        period: job.salary_period || null,
+        annual_min: job.salary_annual_min ?? null,
+        annual_max: job.salary_annual_max ?? null
       },
       
       // Multi-Score System (Phase 1.5)
@@ -110,12 +124,29 @@ module.exports = async (req, res) => {
       recommendation: job.recommendation,
       
       // Tags
-      skills: job.skill_tags,
+      skills: skillNames(job.skill_tags),
+      skill_ids: job.skill_tags,
       domains: job.domain_tags,
       
       // Job details
       is_remote: job.is_remote,
-      created_at: job.created_at
+      experience: job.experience_min != null
+        ? { min: job.experience_min, max: job.experience_max, raw: job.experience_raw }
+        : null,
+      posting_date: job.posting_date,
+      expires_at: job.expires_at,
+      created_at: job.created_at,
+
+      // Liveness
+      is_closed: job.is_closed,
+      closed_at: job.closed_at,
+      closed_reason: job.closed_reason,
+
+      // User notes (spreadsheet import columns)
+      annotations: job.user_annotations || {},
+
+      // Where each field was read from (json_ld or heuristic)
+      field_sources: job.field_sources || null
     }));
 
     res.status(200).json({
@@ -127,6 +158,7 @@ module.exports = async (req, res) => {
         min_visa_score: min_visa_score || null,
         min_resume_score: min_resume_score || null,
         min_relevance_score: min_relevance_score || null,
+        include_closed: includeClosed,
         sort_by,
         limit: parseInt(limit, 10) || 50
       },
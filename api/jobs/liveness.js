@@ -0,0 +1,35 @@
+// Liveness Check Endpoint
+// Expires past-deadline jobs and re-checks open postings; called daily by .github/workflows/liveness-check.yml
+
+import { runLivenessPass } from '../../lib/liveness/runner.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const token = req.headers['x-service-token'];
+  if (!process.env.LIVENESS_SECRET || token !== process.env.LIVENESS_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { limit, time_budget_ms } = req.body || {};
+
+    const summary = await runLivenessPass({
+      limit: parseInt(limit, 10) || undefined,
+      timeBudgetMs: parseInt(time_budget_ms, 10) || undefined
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Liveness check error:', error);
+    return res.status(500).json({
+      error: 'Liveness check failed',
+      message: error.message
+    });
+  }
+}
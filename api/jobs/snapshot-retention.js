@@ -0,0 +1,36 @@
+// Snapshot Retention Endpoint
+// Compresses legacy snapshots and prunes old ones; called weekly by .github/workflows/snapshot-retention.yml
+
+import { runSnapshotRetention } from '../../lib/snapshots/retention.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const token = req.headers['x-service-token'];
+  if (!process.env.SNAPSHOT_RETENTION_SECRET || token !== process.env.SNAPSHOT_RETENTION_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { retention_days, keep_latest, time_budget_ms } = req.body || {};
+
+    const summary = await runSnapshotRetention({
+      retentionDays: parseInt(retention_days, 10) || undefined,
+      keepLatest: parseInt(keep_latest, 10) || undefined,
+      timeBudgetMs: parseInt(time_budget_ms, 10) || undefined
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Snapshot retention error:', error);
+    return res.status(500).json({
+      error: 'Snapshot retention failed',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,91 @@
+// Job Snapshot History API Endpoint
+// Lists the stored fetches of a job and replays normalization against any of them
+//
+// GET  /api/jobs/snapshots?job_id=123                      - snapshot history (metadata only)
+// GET  /api/jobs/snapshots?snapshot_id=456&content=true    - one snapshot, optionally with its content
+// POST /api/jobs/snapshots { snapshot_id, apply? }         - re-normalize and re-score from a snapshot;
+//                                                            apply: true writes the result to the job
+
+import { listJobSnapshots, getSnapshot, replaySnapshot } from '../../lib/snapshots/history.js';
+
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    return req.query.snapshot_id ? showSnapshot(req, res) : listSnapshots(req, res);
+  } else if (req.method === 'POST') {
+    return replay(req, res);
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+async function listSnapshots(req, res) {
+  const jobId = parseInt(req.query.job_id, 10);
+  if (isNaN(jobId)) {
+    return res.status(400).json({ error: 'Invalid input', message: 'job_id or snapshot_id is required' });
+  }
+
+  try {
+    const snapshots = await listJobSnapshots(jobId);
+
+    return res.status(200).json({
+      success: true,
+      job_normalized_id: jobId,
+      count: snapshots.length,
+      snapshots
+    });
+  } catch (error) {
+    console.error('List snapshots error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch snapshots',
+      message: error.message
+    });
+  }
+}
+
+async function showSnapshot(req, res) {
+  const snapshotId = parseInt(req.query.snapshot_id, 10);
+  if (isNaN(snapshotId)) {
+    return res.status(400).json({ error: 'Invalid input', message: 'snapshot_id must be numeric' });
+  }
+
+  try {
+    const snapshot = await getSnapshot(snapshotId, { includeContent: req.query.content === 'true' });
+
+    if (!snapshot) {
+      return res.status(404).json({ error: 'snapshot_not_found', message: `No snapshot with id ${snapshotId}` });
+    }
+
+    return res.status(200).json({ success: true, snapshot });
+  } catch (error) {
+    console.error('Get snapshot error:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch snapshot',
+      message: error.message
+    });
+  }
+}
+
+async function replay(req, res) {
+  const { snapshot_id, apply = false } = req.body || {};
+  const snapshotId = parseInt(snapshot_id, 10);
+
+  if (isNaN(snapshotId)) {
+    return res.status(400).json({ error: 'Invalid input', message: 'snapshot_id is required' });
+  }
+
+  try {
+    if (!(await getSnapshot(snapshotId))) {
+      return res.status(404).json({ error: 'snapshot_not_found', message: `No snapshot with id ${snapshotId}` });
+    }
+
+    const result = await replaySnapshot(snapshotId, { apply: apply === true });
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Snapshot replay error:', error);
+    return res.status(500).json({
+      error: 'Snapshot replay failed',
+      message: error.message
+    });
+  }
+}
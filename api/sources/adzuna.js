@@ -0,0 +1,39 @@
+// Adzuna Search API Endpoint
+// Previews one page of results mapped to the normalized job shape; nothing is stored.
+// Save the search in /api/sources/queries to have /api/increment import it on a schedule.
+//
+// GET /api/sources/adzuna?country=nl&keywords=Product+Manager
+
+import { SOURCE_CONNECTORS, previewSearch } from '../../lib/sources/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SOURCE_CONNECTORS.adzuna.isConfigured()) {
+    return res.status(503).json({
+      error: 'Source not configured',
+      message: 'Set ADZUNA_APP_ID and ADZUNA_APP_KEY to search Adzuna'
+    });
+  }
+
+  try {
+    const { keywords, location, country, page = 0 } = req.query;
+
+    const result = await previewSearch('adzuna', { keywords, location, country }, parseInt(page, 10) || 0);
+
+    return res.status(200).json({
+      success: true,
+      source: 'adzuna',
+      count: result.jobs.length,
+      ...result
+    });
+  } catch (error) {
+    console.error('Adzuna Search error:', error);
+    return res.status(error.status ? 502 : 500).json({
+      error: 'Adzuna Search failed',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,164 @@
+// Saved Search Queries API Endpoint
+// Searches saved here are run by /api/increment every run_interval_minutes
+//
+// GET   /api/sources/queries              - list saved queries with their last run
+// POST  /api/sources/queries              - save a query
+// PATCH /api/sources/queries              - update a query ({ id, ...fields }), e.g. { id, enabled: false }
+
+import { createClient } from '@supabase/supabase-js';
+import { SOURCE_CONNECTORS } from '../../lib/sources/index.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+// Fields a client may set
+const EDITABLE_FIELDS = ['name', 'keywords', 'location', 'country', 'params', 'enabled', 'run_interval_minutes', 'max_pages'];
+
+// Keeps free API tiers (Adzuna: 250 calls/day) from being exhausted by one query
+const MIN_INTERVAL_MINUTES = 60;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return await listQueries(req, res);
+    } else if (req.method === 'POST') {
+      return await createQuery(req, res);
+    } else if (req.method === 'PATCH') {
+      return await updateQuery(req, res);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Saved queries error:', error);
+    return res.status(500).json({
+      error: 'Saved queries request failed',
+      message: error.message
+    });
+  }
+}
+
+async function listQueries(req, res) {
+  const { data, error } = await supabase
+    .from('source_queries')
+    .select('*')
+    .order('id', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch saved queries: ${error.message}`);
+  }
+
+  return res.status(200).json({
+    success: true,
+    count: data.length,
+    sources: Object.keys(SOURCE_CONNECTORS),
+    queries: data
+  });
+}
+
+async function createQuery(req, res) {
+  const fields = pickEditable(req.body || {});
+  const { source } = req.body || {};
+
+  if (!SOURCE_CONNECTORS[source]) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: `source must be one of ${Object.keys(SOURCE_CONNECTORS).join(', ')}`
+    });
+  }
+
+  if (!fields.keywords && !fields.location) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: 'keywords or location is required'
+    });
+  }
+
+  const validationError = validateFields(source, fields);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid input', message: validationError });
+  }
+
+  const { data, error } = await supabase
+    .from('source_queries')
+    .insert({
+      name: fields.name || [fields.keywords, fields.location].filter(Boolean).join(' - '),
+      source,
+      ...fields
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save query: ${error.message}`);
+  }
+
+  return res.status(201).json({ success: true, query: data });
+}
+
+async function updateQuery(req, res) {
+  const { id } = req.body || {};
+  const fields = pickEditable(req.body || {});
+
+  if (!id || Object.keys(fields).length === 0) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: `id and at least one of ${EDITABLE_FIELDS.join(', ')} are required`
+    });
+  }
+
+  const { data: existing } = await supabase
+    .from('source_queries')
+    .select('id, source')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!existing) {
+    return res.status(404).json({ error: 'Saved query not found' });
+  }
+
+  const validationError = validateFields(existing.source, fields);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid input', message: validationError });
+  }
+
+  const { data, error } = await supabase
+    .from('source_queries')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update query: ${error.message}`);
+  }
+
+  return res.status(200).json({ success: true, query: data });
+}
+
+function pickEditable(body) {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+}
+
+function validateFields(source, fields) {
+  if (fields.run_interval_minutes !== undefined &&
+      !(Number.isInteger(fields.run_interval_minutes) && fields.run_interval_minutes >= MIN_INTERVAL_MINUTES)) {
+    return `run_interval_minutes must be an integer of at least ${MIN_INTERVAL_MINUTES}`;
+  }
+
+  if (fields.max_pages !== undefined && !(Number.isInteger(fields.max_pages) && fields.max_pages >= 1 && fields.max_pages <= 20)) {
+    return 'max_pages must be an integer between 1 and 20';
+  }
+
+  if (source === 'adzuna' && (fields.country || fields.params?.countries)) {
+    const connector = SOURCE_CONNECTORS.adzuna;
+    if (connector.partitions({ country: fields.country, params: fields.params }).length === 0) {
+      return `No supported Adzuna country; use ${connector.SUPPORTED_COUNTRIES.join(', ')}`;
+    }
+  }
+
+  return null;
+}
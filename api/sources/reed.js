@@ -0,0 +1,39 @@
+// Reed Search API Endpoint
+// Previews one page of results mapped to the normalized job shape; nothing is stored.
+// Save the search in /api/sources/queries to have /api/increment import it on a schedule.
+//
+// GET /api/sources/reed?keywords=Product+Manager+Payments&location=London
+
+import { SOURCE_CONNECTORS, previewSearch } from '../../lib/sources/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SOURCE_CONNECTORS.reed.isConfigured()) {
+    return res.status(503).json({
+      error: 'Source not configured',
+      message: 'Set REED_API_KEY to search Reed'
+    });
+  }
+
+  try {
+    const { keywords, location, page = 0 } = req.query;
+
+    const result = await previewSearch('reed', { keywords, location }, parseInt(page, 10) || 0);
+
+    return res.status(200).json({
+      success: true,
+      source: 'reed',
+      count: result.jobs.length,
+      ...result
+    });
+  } catch (error) {
+    console.error('Reed Search error:', error);
+    return res.status(error.status ? 502 : 500).json({
+      error: 'Reed Search failed',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,54 @@
+// Webhook Deliveries API Endpoint
+// Delivery log: every attempt's outcome, with the receiver's status code and reply
+//
+// GET  /api/webhooks/deliveries   - newest first (?subscription_id=, ?status=pending|delivered|failed, ?event=, ?limit=)
+// POST /api/webhooks/deliveries   - send a delivery again now with a fresh set of attempts ({ id })
+
+import { listDeliveries, redeliver } from '../../lib/webhooks/delivery.js';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const { subscription_id, status, event, limit } = req.query;
+
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid input',
+          message: `status must be one of ${DELIVERY_STATUSES.join(', ')}`
+        });
+      }
+
+      const deliveries = await listDeliveries({
+        subscriptionId: subscription_id,
+        status,
+        event,
+        limit: Math.min(parseInt(limit, 10) || 50, 200)
+      });
+
+      return res.status(200).json({ success: true, count: deliveries.length, deliveries });
+    } else if (req.method === 'POST') {
+      const { id } = req.body || {};
+
+      if (!id) {
+        return res.status(400).json({ error: 'Invalid input', message: 'id is required' });
+      }
+
+      const result = await redeliver(id);
+      if (!result) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+
+      return res.status(200).json({ success: result.status === 'delivered', delivery_id: id, ...result });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Webhook deliveries error:', error);
+    return res.status(500).json({
+      error: 'Webhook deliveries request failed',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,156 @@
+// Webhook Subscriptions API Endpoint
+// Register callback URLs for ingestion events; payloads are signed with the subscription's secret
+//
+// GET    /api/webhooks/subscriptions        - list global webhooks (?import_id= for an import's own)
+// POST   /api/webhooks/subscriptions        - register ({ url, events?, recommendations?, description?, secret? })
+// PATCH  /api/webhooks/subscriptions        - update ({ id, ...fields }), e.g. { id, enabled: false }
+// DELETE /api/webhooks/subscriptions?id=    - remove a webhook and its delivery log
+
+import { createClient } from '@supabase/supabase-js';
+import {
+  WEBHOOK_EVENTS,
+  validateSubscription,
+  createSubscription,
+  formatSubscription
+} from '../../lib/webhooks/subscriptions.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const EDITABLE_FIELDS = ['url', 'events', 'recommendations', 'description', 'enabled'];
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return await listWebhooks(req, res);
+    } else if (req.method === 'POST') {
+      return await registerWebhook(req, res);
+    } else if (req.method === 'PATCH') {
+      return await updateWebhook(req, res);
+    } else if (req.method === 'DELETE') {
+      return await deleteWebhook(req, res);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Webhook subscriptions error:', error);
+    return res.status(500).json({
+      error: 'Webhook subscriptions request failed',
+      message: error.message
+    });
+  }
+}
+
+async function listWebhooks(req, res) {
+  let query = supabase
+    .from('webhook_subscriptions')
+    .select('*')
+    .order('id', { ascending: true });
+
+  query = req.query.import_id
+    ? query.eq('bulk_import_job_id', req.query.import_id)
+    : query.is('bulk_import_job_id', null);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch webhooks: ${error.message}`);
+  }
+
+  return res.status(200).json({
+    success: true,
+    count: data.length,
+    events: WEBHOOK_EVENTS,
+    webhooks: data.map(formatSubscription)
+  });
+}
+
+/**
+ * POST - The response is the only place the signing secret is returned
+ */
+async function registerWebhook(req, res) {
+  const body = req.body || {};
+
+  if (!body.url) {
+    return res.status(400).json({ error: 'Invalid input', message: 'url is required' });
+  }
+
+  const validationError = validateSubscription(body);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid input', message: validationError });
+  }
+
+  const subscription = await createSubscription(body);
+
+  return res.status(201).json({
+    success: true,
+    webhook: { ...formatSubscription(subscription), secret: subscription.secret }
+  });
+}
+
+async function updateWebhook(req, res) {
+  const { id } = req.body || {};
+  const fields = pickEditable(req.body || {});
+
+  if (!id || Object.keys(fields).length === 0) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: `id and at least one of ${EDITABLE_FIELDS.join(', ')} are required`
+    });
+  }
+
+  const validationError = validateSubscription(fields);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid input', message: validationError });
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update webhook: ${error.message}`);
+  }
+
+  if (!data) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  return res.status(200).json({ success: true, webhook: formatSubscription(data) });
+}
+
+async function deleteWebhook(req, res) {
+  const id = req.query.id || (req.body || {}).id;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid input', message: 'id is required' });
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .delete()
+    .eq('id', id)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to delete webhook: ${error.message}`);
+  }
+
+  if (!data) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  return res.status(200).json({ success: true, deleted: data.id });
+}
+
+function pickEditable(body) {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+}
@@ -0,0 +1,32 @@
+// Indeed job alert emails (alert@indeed.com, donotreply@match.indeed.com)
+// Cards link /rc/clk/dl?jk=<key>&from=ja... with the title as link text; company, location,
+// salary and badges follow on separate lines
+
+import { canonicalizeUrl } from '../dedupe/canonical-url.js';
+
+export const provider = 'indeed';
+export const label = 'Indeed';
+
+const NOISE = [
+  /^(easily apply|just posted|urgently hiring|responsive employer|new|hiring multiple candidates|view job|apply now)$/i,
+  /^(posted )?(\d+\+? days? ago|today)$/i,
+  /[£$€]\s?\d/, // salary
+  /\b(an hour|a year|a month|a week|a day|per (hour|annum|year|day))$/i
+];
+
+export function matchSender(from) {
+  return /@(?:[a-z-]+\.)*indeed\.com\b/i.test(from);
+}
+
+export function postingUrl(href) {
+  if (!/^https?:\/\/(?:[a-z-]+\.)*indeed\.[a-z.]+\//i.test(href)) return null;
+
+  // Opaque cts.indeed.com redirects carry no job key and cannot be resolved offline
+  const url = canonicalizeUrl(href);
+  return /\/viewjob\?jk=[0-9a-z]+$/.test(url) ? url : null;
+}
+
+export function readCard(lines) {
+  const details = lines.filter(line => !NOISE.some(pattern => pattern.test(line)));
+  return { company: details[0] || null, location: details[1] || null };
+}
@@ -0,0 +1,163 @@
+// Job Alert Emails
+// Extracts posting links, and the title/company/location printed next to them, from saved
+// LinkedIn, Indeed and Reed alert emails so they can be queued like any bulk import
+//
+// Provider interface (see linkedin.js):
+//   provider, label
+//   matchSender(from)   -> whether the From header belongs to this provider
+//   postingUrl(href)    -> canonical posting URL for an email link, or null
+//   readCard(lines)     -> { company, location } from the card lines after the title
+
+import * as cheerio from 'cheerio';
+import { splitMessages, parseMessage } from './mime.js';
+import * as linkedin from './linkedin.js';
+import * as indeed from './indeed.js';
+import * as reed from './reed.js';
+
+export const ALERT_PROVIDERS = { linkedin, indeed, reed };
+
+// Link text that is a call to action rather than the job title
+const CTA_TEXT = /^(view( job)?|apply( now)?|easy apply|easily apply|see (job|more|details)|save|more details?)$/i;
+
+const BLOCK_ELEMENTS = 'p, div, td, th, tr, table, li, ul, h1, h2, h3, h4, h5, h6, span[style*="block"]';
+
+/**
+ * Read every alert in an .eml file or mbox
+ * @param {Buffer|string} input - Raw file contents
+ * @returns {Array} One entry per message: { subject, from, date, message_id, provider, jobs }
+ *   provider is null (and jobs empty) for mail that is not a known alert template
+ */
+export function readAlertEmails(input) {
+  return splitMessages(input).map(raw => {
+    const message = parseMessage(raw);
+    const { provider, jobs } = extractAlertJobs(message);
+
+    return {
+      subject: message.subject,
+      from: message.from,
+      date: message.date,
+      message_id: message.message_id,
+      provider: provider?.provider || null,
+      jobs
+    };
+  });
+}
+
+/**
+ * Postings listed in one parsed message
+ * @param {Object} message - Output of parseMessage
+ * @returns {Object} { provider, jobs: [{ url, title, company, location }] }
+ */
+export function extractAlertJobs(message) {
+  const provider = detectProvider(message);
+  if (!provider) return { provider: null, jobs: [] };
+
+  const jobs = message.html
+    ? jobsFromHtml(message.html, provider)
+    : jobsFromText(message.text || '', provider);
+
+  return { provider, jobs };
+}
+
+function detectProvider(message) {
+  const bySender = Object.values(ALERT_PROVIDERS).find(p => p.matchSender(message.from));
+  if (bySender) return bySender;
+
+  // Forwarded alerts lose the original sender - fall back to whose posting links the body carries
+  const links = findLinks(message);
+  const ranked = Object.values(ALERT_PROVIDERS)
+    .map(p => ({ provider: p, count: links.filter(href => p.postingUrl(href)).length }))
+    .sort((a, b) => b.count - a.count);
+
+  return ranked[0].count > 0 ? ranked[0].provider : null;
+}
+
+function findLinks(message) {
+  if (message.html) {
+    const $ = cheerio.load(message.html);
+    return $('a[href]').toArray().map(a => $(a).attr('href'));
+  }
+  return (message.text || '').match(/https?:\/\/[^\s<>"]+/g) || [];
+}
+
+/**
+ * Group the links of each posting and read the surrounding card
+ * A card is the largest element around a posting link that mentions no other posting.
+ */
+function jobsFromHtml(html, provider) {
+  const $ = cheerio.load(html);
+  const anchorsByUrl = new Map();
+
+  $('a[href]').each((_, a) => {
+    const url = provider.postingUrl($(a).attr('href').trim());
+    if (!url) return;
+    if (!anchorsByUrl.has(url)) anchorsByUrl.set(url, []);
+    anchorsByUrl.get(url).push(a);
+  });
+
+  const postingsIn = el => new Set(
+    $(el).find('a[href]').toArray()
+      .map(a => provider.postingUrl($(a).attr('href').trim()))
+      .filter(Boolean)
+  ).size;
+
+  return [...anchorsByUrl.entries()].map(([url, anchors]) => {
+    let card = anchors[0];
+    while (card.parent && card.parent.type === 'tag' && card.parent.name !== 'body' && postingsIn(card.parent) <= 1) {
+      card = card.parent;
+    }
+
+    const title = anchors
+      .map(a => cleanLine($(a).text()))
+      .find(text => text && !CTA_TEXT.test(text)) || null;
+
+    const lines = cardLines($, card).filter(line => line !== title && !CTA_TEXT.test(line));
+
+    return { url, title: title || lines.shift() || null, ...provider.readCard(lines) };
+  });
+}
+
+// Visible text of a card, one line per block element or <br>
+function cardLines($, card) {
+  const clone = $(card).clone();
+  clone.find('style, script, img').remove();
+  clone.find('br').replaceWith('\n');
+  clone.find(BLOCK_ELEMENTS).append('\n');
+
+  return dedupeLines(clone.text().split('\n').map(cleanLine));
+}
+
+/**
+ * Plain-text alerts: each posting is the paragraph that ends with its link
+ */
+function jobsFromText(text, provider) {
+  const jobs = new Map();
+  let paragraph = [];
+
+  for (const line of text.split(/\r?\n/).map(cleanLine)) {
+    const hrefs = line.match(/https?:\/\/[^\s<>"]+/g) || [];
+    const url = hrefs.map(href => provider.postingUrl(href)).find(Boolean);
+
+    if (url && !jobs.has(url)) {
+      const lines = dedupeLines(paragraph).filter(l => !CTA_TEXT.test(l));
+      const title = lines.shift() || null;
+      jobs.set(url, { url, title, ...provider.readCard(lines) });
+    }
+
+    if (url || !line) {
+      paragraph = [];
+    } else if (hrefs.length === 0 && !/^[-=_*]{3,}$/.test(line)) {
+      paragraph.push(line);
+    }
+  }
+
+  return [...jobs.values()];
+}
+
+function cleanLine(text) {
+  return text.replace(/ /g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function dedupeLines(lines) {
+  return lines.filter((line, index) => line && line !== lines[index - 1]);
+}
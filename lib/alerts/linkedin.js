@@ -0,0 +1,44 @@
+// LinkedIn job alert emails (jobalerts-noreply@linkedin.com)
+// Each card links /comm/jobs/view/<id>/?trackingId=... with the title as link text,
+// followed by "Company · Location" and badges such as "Actively recruiting" or "Easy Apply"
+
+import { canonicalizeUrl } from '../dedupe/canonical-url.js';
+
+export const provider = 'linkedin';
+export const label = 'LinkedIn';
+
+const NOISE = [
+  /^(easy apply|actively recruiting|promoted|new|be an early applicant|apply now|view job|see all jobs)$/i,
+  /^\d+ (connections?|alumni|applicants?)/i,
+  /(school )?alum(ni|nus)? works? here/i,
+  /^(\d+ (minutes?|hours?|days?|weeks?) ago|just now)$/i
+];
+
+export function matchSender(from) {
+  return /@(?:[a-z-]+\.)*linkedin\.com\b/i.test(from);
+}
+
+/**
+ * Canonical posting URL for a link in the email, or null if it is not a posting
+ */
+export function postingUrl(href) {
+  if (!/^https?:\/\/(?:[a-z-]+\.)*linkedin\.com\//i.test(href)) return null;
+
+  const url = canonicalizeUrl(href);
+  return /\/jobs\/view\/\d+$/.test(url) ? url : null;
+}
+
+/**
+ * Company and location from the card lines that follow the title
+ */
+export function readCard(lines) {
+  const details = lines.filter(line => !NOISE.some(pattern => pattern.test(line)));
+
+  const dotted = details.find(line => line.includes(' · '));
+  if (dotted) {
+    const [company, ...location] = dotted.split(' · ').map(part => part.trim());
+    return { company: company || null, location: location.join(', ') || null };
+  }
+
+  return { company: details[0] || null, location: details[1] || null };
+}
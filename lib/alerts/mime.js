@@ -0,0 +1,179 @@
+// Email Reader
+// Just enough RFC 5322 / MIME to pull the HTML and text bodies out of saved alert emails (.eml or mbox)
+
+/**
+ * Split raw input into individual messages
+ * mbox files separate messages with "From " lines; anything else is treated as a single .eml
+ * @param {Buffer|string} input
+ * @returns {Array} Raw messages as binary (latin1) strings
+ */
+export function splitMessages(input) {
+  const raw = Buffer.isBuffer(input) ? input.toString('latin1') : Buffer.from(input, 'utf8').toString('latin1');
+
+  if (!/^From \S/.test(raw)) {
+    return raw.trim() ? [raw] : [];
+  }
+
+  return raw
+    .split(/^From \S.*\r?\n/m)
+    .filter(message => message.trim())
+    // mboxrd escapes body lines starting with "From " as ">From "
+    .map(message => message.replace(/^>(>*From )/gm, '$1'));
+}
+
+/**
+ * Parse one message
+ * @param {string} raw - Binary (latin1) string as returned by splitMessages
+ * @returns {Object} { from, subject, date, message_id, html, text }
+ */
+export function parseMessage(raw) {
+  const { headers, body } = splitHeaders(raw);
+  const bodies = { html: null, text: null };
+
+  collectBodies(headers, body, bodies);
+
+  return {
+    from: decodeWords(headers['from'] || ''),
+    subject: decodeWords(headers['subject'] || ''),
+    date: parseDate(headers['date']),
+    message_id: (headers['message-id'] || '').replace(/[<>]/g, '').trim() || null,
+    html: bodies.html,
+    text: bodies.text
+  };
+}
+
+function splitHeaders(raw) {
+  const separator = raw.match(/\r?\n\r?\n/);
+  const headerBlock = separator ? raw.slice(0, separator.index) : raw;
+  const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+
+  const headers = {};
+  // Unfold continuation lines before splitting
+  for (const line of headerBlock.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) {
+      headers[name] = line.slice(colon + 1).trim();
+    }
+  }
+
+  return { headers, body };
+}
+
+// Walk the MIME tree keeping the first text/html and text/plain parts that are not attachments
+function collectBodies(headers, body, bodies) {
+  const { type, params } = parseContentType(headers['content-type']);
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    for (const part of splitMultipart(body, params.boundary)) {
+      const parsed = splitHeaders(part);
+      collectBodies(parsed.headers, parsed.body, bodies);
+    }
+    return;
+  }
+
+  if (/^attachment/i.test(headers['content-disposition'] || '')) return;
+
+  const key = type === 'text/html' ? 'html' : type === 'text/plain' ? 'text' : null;
+  if (!key || bodies[key] !== null) return;
+
+  const bytes = decodeTransfer(body, headers['content-transfer-encoding']);
+  bodies[key] = decodeCharset(bytes, params.charset);
+}
+
+function parseContentType(value = 'text/plain') {
+  const [type, ...rest] = value.split(';');
+  const params = {};
+
+  for (const param of rest) {
+    const match = param.match(/^\s*([^=\s]+)\s*=\s*"?([^"]*)"?\s*$/);
+    if (match) params[match[1].toLowerCase()] = match[2];
+  }
+
+  return { type: type.trim().toLowerCase() || 'text/plain', params };
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+
+  const sections = body.split(new RegExp(`^${escapeRegex(delimiter)}`, 'm'));
+  // sections[0] is the preamble; the closing delimiter leaves "--" at the start of the last section
+  for (const section of sections.slice(1)) {
+    if (section.startsWith('--')) break;
+    parts.push(section.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, ''));
+  }
+
+  return parts;
+}
+
+function decodeTransfer(body, encoding = '') {
+  switch (encoding.trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+function decodeQuotedPrintable(body) {
+  const unwrapped = body.replace(/[ \t]+(\r?\n)/g, '$1').replace(/=\r?\n/g, '');
+  const bytes = [];
+
+  for (let i = 0; i < unwrapped.length; i++) {
+    const hex = unwrapped[i] === '=' && unwrapped.slice(i + 1, i + 3);
+    if (hex && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(unwrapped.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function decodeCharset(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(bytes);
+  } catch (error) {
+    // Unknown label - UTF-8 is the best guess for alert mail
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+// RFC 2047 encoded words: =?utf-8?Q?New_jobs?= / =?UTF-8?B?...?=
+// Unencoded 8-bit header text is almost always UTF-8
+function decodeWords(value) {
+  const encodedWord = /=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g;
+
+  return value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .split(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)/)
+    .map(segment => {
+      const match = encodedWord.exec(segment);
+      encodedWord.lastIndex = 0;
+      if (!match) return decodeCharset(Buffer.from(segment, 'latin1'), 'utf-8');
+
+      const [, charset, encoding, text] = match;
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    })
+    .join('');
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,37 @@
+// Reed job alert emails (jobalerts@reed.co.uk)
+// Cards link /jobs/<slug>/<id>?utm_source=... with the title as link text,
+// then company, location, salary and contract type
+
+import { canonicalizeUrl } from '../dedupe/canonical-url.js';
+
+export const provider = 'reed';
+export const label = 'Reed';
+
+const NOISE = [
+  /^(view job|apply now|easy apply|new|featured|promoted)$/i,
+  /^(posted )?(today|yesterday|\d+ days? ago)/i,
+  /[£$€]\s?\d/, // salary
+  /^(salary negotiable|competitive( salary)?)$/i,
+  /^(permanent|contract|temporary)(,\s*(full|part)[- ]time)?$/i,
+  /^(full|part)[- ]time$/i
+];
+
+export function matchSender(from) {
+  return /@(?:[a-z-]+\.)*reed\.co\.uk\b/i.test(from);
+}
+
+export function postingUrl(href) {
+  if (!/^https?:\/\/(?:[a-z-]+\.)*reed\.co\.uk\//i.test(href)) return null;
+
+  const url = canonicalizeUrl(href);
+  return /\/jobs\/\d+$/.test(url) ? url : null;
+}
+
+export function readCard(lines) {
+  // "Posted today by Acme Ltd" carries the company
+  const details = lines
+    .map(line => line.replace(/^posted .*? by /i, ''))
+    .filter(line => !NOISE.some(pattern => pattern.test(line)));
+
+  return { company: details[0] || null, location: details[1] || null };
+}
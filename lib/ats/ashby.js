@@ -0,0 +1,105 @@
+// Ashby Adapter
+// Posting API: https://api.ashbyhq.com/posting-api/job-board/{board}
+// Ashby has no single-posting endpoint, so a posting is picked out of its board payload
+
+import { normalizeStructuredJob } from '../normalizers/enhanced.js';
+import { companyFromBoard, toDate, buildSalary } from './common.js';
+
+export const provider = 'ashby';
+
+const API_BASE = 'https://api.ashbyhq.com/posting-api/job-board';
+
+const SALARY_PERIODS = {
+  '1 YEAR': 'year',
+  '1 MONTH': 'month',
+  '1 WEEK': 'week',
+  '1 DAY': 'day',
+  '1 HOUR': 'hour'
+};
+
+/**
+ * Board name and posting id from a posting or board URL
+ * @returns {Object|null} { board, jobId } - jobId is null for a board URL
+ */
+export function parseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+
+  if (host === 'jobs.ashbyhq.com') {
+    const match = parsed.pathname.match(/^\/([^/]+)(?:\/([0-9a-f-]{36}))?/i);
+    return match ? { board: match[1].toLowerCase(), jobId: match[2]?.toLowerCase() || null } : null;
+  }
+
+  if (host === 'api.ashbyhq.com') {
+    const match = parsed.pathname.match(/^\/posting-api\/job-board\/([^/]+)/);
+    return match ? { board: match[1].toLowerCase(), jobId: null } : null;
+  }
+
+  return null;
+}
+
+export function postingApiUrl({ board }) {
+  return boardApiUrl(board);
+}
+
+export function boardApiUrl(board) {
+  return `${API_BASE}/${encodeURIComponent(board)}?includeCompensation=true`;
+}
+
+export function selectPosting(payload, { jobId }) {
+  return listPostings(payload).find(job => job.id.toLowerCase() === jobId) || null;
+}
+
+export function listPostings(payload) {
+  // Unlisted postings are reachable by link but not meant to be imported from the board
+  return (payload?.jobs || []).filter(job => job.isListed !== false);
+}
+
+export function postingUrl(posting, board) {
+  return posting.jobUrl || `https://jobs.ashbyhq.com/${board}/${posting.id}`;
+}
+
+/**
+ * Map an Ashby posting onto the normalized job shape
+ */
+export function mapPosting(posting, board) {
+  const secondary = (posting.secondaryLocations || []).map(entry => entry.location).filter(Boolean);
+  const location = posting.location || null;
+
+  const salaryComponent = (posting.compensation?.summaryComponents || [])
+    .find(component => component.compensationType === 'Salary');
+  const salary = salaryComponent
+    ? buildSalary(
+      salaryComponent.minValue,
+      salaryComponent.maxValue,
+      salaryComponent.currencyCode,
+      SALARY_PERIODS[salaryComponent.interval] || 'year'
+    )
+    : null;
+  if (salary && posting.compensation.compensationTierSummary) {
+    salary.raw = posting.compensation.compensationTierSummary;
+  }
+
+  const country = posting.address?.postalAddress?.addressCountry;
+
+  return normalizeStructuredJob({
+    title: posting.title,
+    company: companyFromBoard(board),
+    location: location && country && !location.includes(country) ? `${location}, ${country}` : location,
+    locations: [...new Set([location, ...secondary].filter(Boolean))],
+    description_html: posting.descriptionHtml || '',
+    salary,
+    is_remote: typeof posting.isRemote === 'boolean' ? posting.isRemote : undefined,
+    posting_date: toDate(posting.publishedAt),
+    departments: [...new Set([posting.department, posting.team].filter(Boolean))],
+    employment_type: posting.employmentType || null,
+    source_provider: provider,
+    source_job_id: posting.id
+  });
+}
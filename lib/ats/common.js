@@ -0,0 +1,50 @@
+// Shared helpers for ATS adapters
+
+/**
+ * Best-effort company name from a board token ("acme-robotics" -> "Acme Robotics")
+ */
+export function companyFromBoard(board) {
+  return String(board || '')
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ') || null;
+}
+
+/**
+ * ISO timestamp (or epoch ms) to a YYYY-MM-DD date
+ */
+export function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Salary object in the normalizer's shape ({ raw, min, max, currency, period })
+ */
+export function buildSalary(min, max, currency, period) {
+  if (min == null && max == null) return null;
+
+  const low = min ?? max;
+  const high = max ?? min;
+  const range = low === high ? `${low}` : `${low} - ${high}`;
+
+  return {
+    raw: `${range} ${currency || ''} per ${period}`.replace(/\s+/g, ' ').trim(),
+    min: Math.round(low),
+    max: Math.round(high),
+    currency: currency || null,
+    period
+  };
+}
+
+/**
+ * schema.org employmentType ("FULL_TIME") as a label ("Full time")
+ */
+export function employmentTypeLabel(value) {
+  const type = [].concat(value || [])[0];
+  if (!type) return null;
+  const label = String(type).replace(/[_-]+/g, ' ').toLowerCase();
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
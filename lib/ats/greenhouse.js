@@ -0,0 +1,104 @@
+// Greenhouse Adapter
+// Job Board API: https://boards-api.greenhouse.io/v1/boards/{board}/jobs/{id}
+
+import * as cheerio from 'cheerio';
+import { normalizeStructuredJob } from '../normalizers/enhanced.js';
+import { companyFromBoard, toDate, buildSalary } from './common.js';
+
+export const provider = 'greenhouse';
+
+const API_BASE = 'https://boards-api.greenhouse.io/v1/boards';
+
+/**
+ * Board token and job id from a posting or board URL
+ * @returns {Object|null} { board, jobId } - jobId is null for a board URL
+ */
+export function parseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  if (!host.endsWith('greenhouse.io')) return null;
+
+  // boards-api.greenhouse.io/v1/boards/acme/jobs/123
+  const apiMatch = parsed.pathname.match(/^\/v1\/boards\/([^/]+)(?:\/jobs\/(\d+))?/);
+  if (apiMatch) return { board: apiMatch[1].toLowerCase(), jobId: apiMatch[2] || null };
+
+  // boards.greenhouse.io/embed/job_app?for=acme&token=123
+  const embedBoard = parsed.searchParams.get('for');
+  if (embedBoard) return { board: embedBoard.toLowerCase(), jobId: parsed.searchParams.get('token') };
+
+  // boards.greenhouse.io/acme/jobs/123, job-boards.greenhouse.io/acme
+  const pathMatch = parsed.pathname.match(/^\/([^/]+)(?:\/jobs\/(\d+))?\/?$/);
+  if (pathMatch && pathMatch[1] !== 'embed') {
+    return { board: pathMatch[1].toLowerCase(), jobId: pathMatch[2] || null };
+  }
+
+  return null;
+}
+
+export function postingApiUrl({ board, jobId }) {
+  return `${API_BASE}/${encodeURIComponent(board)}/jobs/${encodeURIComponent(jobId)}?pay_transparency=true`;
+}
+
+export function boardApiUrl(board) {
+  return `${API_BASE}/${encodeURIComponent(board)}/jobs?content=true&pay_transparency=true`;
+}
+
+/**
+ * The posting within a fetched posting payload
+ */
+export function selectPosting(payload) {
+  return payload && payload.id ? payload : null;
+}
+
+/**
+ * Every open posting within a fetched board payload
+ */
+export function listPostings(payload) {
+  return payload?.jobs || [];
+}
+
+export function postingUrl(posting, board) {
+  return `https://boards.greenhouse.io/${board}/jobs/${posting.id}`;
+}
+
+/**
+ * Map a Greenhouse job onto the normalized job shape
+ */
+export function mapPosting(posting, board) {
+  // content arrives HTML-escaped ("&lt;p&gt;...")
+  const descriptionHtml = posting.content ? cheerio.load(posting.content).text() : '';
+
+  const offices = (posting.offices || [])
+    .map(office => office.location || office.name)
+    .filter(Boolean);
+  const location = posting.location?.name || offices[0] || null;
+
+  const payRange = (posting.pay_input_ranges || [])[0];
+  const salary = payRange
+    ? buildSalary(payRange.min_cents / 100, payRange.max_cents / 100, payRange.currency_type, 'year')
+    : null;
+
+  const employmentType = (posting.metadata || [])
+    .find(field => /employment type|time type/i.test(field.name || ''))?.value;
+
+  return normalizeStructuredJob({
+    title: posting.title,
+    company: posting.company_name || companyFromBoard(board),
+    location,
+    locations: [...new Set([location, ...offices].filter(Boolean))],
+    description_html: descriptionHtml,
+    salary,
+    posting_date: toDate(posting.first_published || posting.updated_at),
+    departments: (posting.departments || []).map(department => department.name).filter(Boolean),
+    employment_type: typeof employmentType === 'string' ? employmentType : null,
+    requisition_id: posting.requisition_id || null,
+    source_provider: provider,
+    source_job_id: String(posting.id)
+  });
+}
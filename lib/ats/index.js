@@ -0,0 +1,132 @@
+// ATS Adapters
+// Greenhouse, Lever, Ashby, Workday and SmartRecruiters publish postings as JSON; postings on
+// those platforms are ingested from that payload instead of scraping the rendered page
+
+import { politeFetch } from '../fetch/polite-fetch.js';
+import { HttpError, parseRetryAfter } from '../ingest/retry.js';
+import * as greenhouse from './greenhouse.js';
+import * as lever from './lever.js';
+import * as ashby from './ashby.js';
+import * as workday from './workday.js';
+import * as smartrecruiters from './smartrecruiters.js';
+
+export const ATS_ADAPTERS = { greenhouse, lever, ashby, workday, smartrecruiters };
+
+// Providers whose whole board can be listed in one request
+export const BOARD_PROVIDERS = Object.keys(ATS_ADAPTERS).filter(name => ATS_ADAPTERS[name].boardApiUrl);
+
+// Board names are URL slugs ("monzo", "acme-corp", "acme.io"); anything else must not reach an API path
+export const BOARD_TOKEN = /^[a-z0-9][a-z0-9_-]*(?:\.[a-z0-9_-]+)*$/i;
+
+/**
+ * Find the adapter for a posting or board URL
+ * @returns {Object|null} { adapter, ref } where ref is { board, jobId, ... }
+ */
+export function matchAtsUrl(url) {
+  for (const adapter of Object.values(ATS_ADAPTERS)) {
+    const ref = adapter.parseUrl(url);
+    if (ref) return { adapter, ref };
+  }
+  return null;
+}
+
+/**
+ * Whether a URL points at a single posting we can fetch as JSON
+ */
+export function isAtsPostingUrl(url) {
+  return Boolean(matchAtsUrl(url)?.ref.jobId);
+}
+
+async function fetchJson(apiUrl) {
+  // Public, documented APIs - still rate limited per host, but not subject to the boards' robots.txt
+  const response = await politeFetch(apiUrl, {
+    skipRobots: true,
+    headers: { Accept: 'application/json' }
+  });
+
+  if (!response.ok) {
+    throw new HttpError(
+      response.status,
+      response.statusText,
+      parseRetryAfter(response.headers.get('retry-after'))
+    );
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch the JSON for a single posting
+ * @returns {Object} { provider, board, fetched_at, posting }
+ */
+export async function fetchAtsPosting(url) {
+  const match = matchAtsUrl(url);
+  if (!match?.ref.jobId) {
+    throw new Error(`Not an ATS posting URL: ${url}`);
+  }
+
+  const { adapter, ref } = match;
+  const payload = await fetchJson(adapter.postingApiUrl(ref));
+  const posting = adapter.selectPosting(payload, ref);
+
+  if (!posting) {
+    // Gone from the board - same as a 404 on the page
+    throw new HttpError(404, `Posting ${ref.jobId} not found on ${adapter.provider} board ${ref.board}`);
+  }
+
+  return { provider: adapter.provider, board: ref.board, fetched_at: new Date().toISOString(), posting };
+}
+
+/**
+ * Fetch every open posting on a company board
+ * @param {string} provider - greenhouse | lever | ashby
+ * @param {string} board - Board token (e.g. "monzo")
+ * @returns {Array} [{ url, posting }]
+ */
+export async function fetchAtsBoard(provider, board, options = {}) {
+  if (!BOARD_PROVIDERS.includes(provider)) {
+    throw new Error(`Board import is not supported for provider: ${provider}`);
+  }
+
+  if (!BOARD_TOKEN.test(board || '')) {
+    throw new Error(`Not a board name: ${board}`);
+  }
+
+  const adapter = ATS_ADAPTERS[provider];
+
+  const payload = await fetchJson(adapter.boardApiUrl(board, options));
+
+  return adapter.listPostings(payload).map(posting => ({
+    url: adapter.postingUrl(posting, board),
+    posting
+  }));
+}
+
+/**
+ * Map a stored posting payload onto the normalized job shape
+ * @param {string} url - Posting URL (identifies the adapter and board)
+ * @param {Object} snapshot - { provider, board, fetched_at, posting } as returned by fetchAtsPosting
+ */
+export function normalizeAtsPosting(url, snapshot) {
+  const adapter = ATS_ADAPTERS[snapshot.provider] || matchAtsUrl(url)?.adapter;
+  if (!adapter) {
+    throw new Error(`No ATS adapter for ${url}`);
+  }
+
+  return adapter.mapPosting(
+    snapshot.posting,
+    snapshot.board || adapter.parseUrl(url)?.board,
+    { fetchedAt: snapshot.fetched_at }
+  );
+}
+
+/**
+ * Map a posting page saved as HTML, for platforms whose pages carry structured data
+ * @returns {Object|null} Normalized job, or null when no adapter can read the page
+ */
+export function normalizeAtsPage(url, html) {
+  const match = matchAtsUrl(url);
+  if (!match?.adapter.mapPage) return null;
+
+  return match.adapter.mapPage(html, match.ref);
+}
@@ -0,0 +1,106 @@
+// Lever Adapter
+// Postings API: https://api.lever.co/v0/postings/{company}/{id}
+
+import { normalizeStructuredJob } from '../normalizers/enhanced.js';
+import { companyFromBoard, toDate, buildSalary } from './common.js';
+
+export const provider = 'lever';
+
+const SALARY_PERIODS = {
+  'per-year-salary': 'year',
+  'per-month-salary': 'month',
+  'per-week-salary': 'week',
+  'per-day-wage': 'day',
+  'per-hour-wage': 'hour'
+};
+
+/**
+ * Company and posting id from a posting or board URL
+ * @returns {Object|null} { board, jobId, region } - jobId is null for a board URL
+ */
+export function parseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const region = host.includes('.eu.') ? 'eu' : null;
+
+  if (host === 'jobs.lever.co' || host === 'jobs.eu.lever.co') {
+    const match = parsed.pathname.match(/^\/([^/]+)(?:\/([0-9a-f-]{36}))?/i);
+    return match ? { board: match[1].toLowerCase(), jobId: match[2]?.toLowerCase() || null, region } : null;
+  }
+
+  if (host === 'api.lever.co' || host === 'api.eu.lever.co') {
+    const match = parsed.pathname.match(/^\/v0\/postings\/([^/]+)(?:\/([0-9a-f-]{36}))?/i);
+    return match ? { board: match[1].toLowerCase(), jobId: match[2]?.toLowerCase() || null, region } : null;
+  }
+
+  return null;
+}
+
+function apiBase(region) {
+  return region === 'eu' ? 'https://api.eu.lever.co/v0/postings' : 'https://api.lever.co/v0/postings';
+}
+
+export function postingApiUrl({ board, jobId, region }) {
+  return `${apiBase(region)}/${encodeURIComponent(board)}/${encodeURIComponent(jobId)}`;
+}
+
+export function boardApiUrl(board, { region } = {}) {
+  return `${apiBase(region)}/${encodeURIComponent(board)}?mode=json`;
+}
+
+export function selectPosting(payload) {
+  return payload && payload.id ? payload : null;
+}
+
+export function listPostings(payload) {
+  return Array.isArray(payload) ? payload : [];
+}
+
+export function postingUrl(posting, board) {
+  return posting.hostedUrl || `https://jobs.lever.co/${board}/${posting.id}`;
+}
+
+/**
+ * Map a Lever posting onto the normalized job shape
+ */
+export function mapPosting(posting, board) {
+  const categories = posting.categories || {};
+
+  // Lever splits the description into an intro, titled lists and a closing section
+  const lists = (posting.lists || [])
+    .map(list => `<h3>${list.text}</h3><ul>${list.content}</ul>`)
+    .join('');
+  const descriptionHtml = `${posting.description || ''}${lists}${posting.additional || ''}`;
+
+  const location = categories.location || null;
+  const locations = categories.allLocations?.length ? categories.allLocations : (location ? [location] : []);
+
+  const range = posting.salaryRange;
+  const salary = range
+    ? buildSalary(range.min, range.max, range.currency, SALARY_PERIODS[range.interval] || 'year')
+    : null;
+
+  const departments = [categories.department, categories.team].filter(Boolean);
+
+  return normalizeStructuredJob({
+    title: posting.text,
+    company: companyFromBoard(board),
+    location,
+    locations,
+    country_code: posting.country || null,
+    description_html: descriptionHtml,
+    salary,
+    is_remote: posting.workplaceType ? posting.workplaceType === 'remote' : undefined,
+    posting_date: toDate(posting.createdAt),
+    departments: [...new Set(departments)],
+    employment_type: categories.commitment || null,
+    source_provider: provider,
+    source_job_id: posting.id
+  });
+}
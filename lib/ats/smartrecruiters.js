@@ -0,0 +1,124 @@
+// SmartRecruiters Adapter
+// Posting API: https://api.smartrecruiters.com/v1/companies/{company}/postings/{postingId}
+
+import * as cheerio from 'cheerio';
+import { normalizeStructuredJob } from '../normalizers/enhanced.js';
+import { readJobPostingJsonLd, jsonLdLocations } from '../normalizers/json-ld.js';
+import { companyFromBoard, toDate, employmentTypeLabel } from './common.js';
+
+export const provider = 'smartrecruiters';
+
+const API_BASE = 'https://api.smartrecruiters.com/v1/companies';
+
+// Job ad sections, in the order they appear on the posting page
+const AD_SECTIONS = ['companyDescription', 'jobDescription', 'qualifications', 'additionalInformation'];
+
+/**
+ * Company identifier and posting id from a posting or careers URL
+ * @returns {Object|null} { board, jobId } - jobId is null for a careers page
+ */
+export function parseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+
+  // jobs.smartrecruiters.com/Acme/743999912345678-senior-analyst
+  if (host === 'jobs.smartrecruiters.com' || host === 'careers.smartrecruiters.com') {
+    const match = parsed.pathname.match(/^\/([^/]+)(?:\/(\d+)(?:-[^/]*)?)?\/?$/);
+    return match ? { board: match[1], jobId: match[2] || null } : null;
+  }
+
+  // api.smartrecruiters.com/v1/companies/Acme/postings/743999912345678
+  if (host === 'api.smartrecruiters.com') {
+    const match = parsed.pathname.match(/^\/v1\/companies\/([^/]+)\/postings(?:\/(\d+))?/);
+    return match ? { board: match[1], jobId: match[2] || null } : null;
+  }
+
+  return null;
+}
+
+export function postingApiUrl({ board, jobId }) {
+  return `${API_BASE}/${board}/postings/${jobId}`;
+}
+
+export function selectPosting(payload) {
+  return payload && payload.id ? payload : null;
+}
+
+function formatLocation(location) {
+  if (!location) return null;
+  return location.fullLocation ||
+    [location.city, location.region, location.country?.toUpperCase()].filter(Boolean).join(', ') ||
+    null;
+}
+
+/**
+ * Map a SmartRecruiters posting onto the normalized job shape
+ */
+export function mapPosting(posting, board) {
+  const sections = posting.jobAd?.sections || {};
+  const descriptionHtml = AD_SECTIONS
+    .map(key => sections[key])
+    .filter(section => section?.text)
+    .map(section => `<h3>${section.title || ''}</h3>${section.text}`)
+    .join('');
+
+  const location = formatLocation(posting.location);
+  const extraLocations = (posting.locations || []).map(formatLocation);
+
+  return normalizeStructuredJob({
+    title: posting.name,
+    company: posting.company?.name || companyFromBoard(board),
+    location,
+    locations: [...new Set([location, ...extraLocations].filter(Boolean))],
+    country_code: posting.location?.country ? posting.location.country.toUpperCase() : null,
+    description_html: descriptionHtml,
+    is_remote: typeof posting.location?.remote === 'boolean' ? posting.location.remote : undefined,
+    posting_date: toDate(posting.releasedDate),
+    departments: [...new Set([posting.department?.label, posting.function?.label].filter(Boolean))],
+    employment_type: posting.typeOfEmployment?.label || null,
+    requisition_id: posting.refNumber || null,
+    source_provider: provider,
+    source_job_id: posting.id
+  });
+}
+
+/**
+ * Map a SmartRecruiters posting page (HTML snapshot) from its JSON-LD, falling back to microdata
+ * @returns {Object|null} Normalized job, or null when the page is not a posting
+ */
+export function mapPage(html, ref) {
+  const $ = cheerio.load(html);
+  const posting = readJobPostingJsonLd($);
+
+  const itemprop = name => $(`[itemprop="${name}"]`).first();
+  const title = posting?.title || itemprop('title').text().trim();
+  if (!title) return null;
+
+  const locations = posting
+    ? jsonLdLocations(posting.jobLocation)
+    : [$('spl-job-location').attr('formattedaddress') || itemprop('address').text().trim()].filter(Boolean);
+
+  const descriptionHtml = posting?.description || itemprop('description').html() || '';
+
+  return normalizeStructuredJob({
+    title,
+    company: posting?.hiringOrganization?.name ||
+      itemprop('hiringOrganization').find('[itemprop="name"]').attr('content') ||
+      companyFromBoard(ref.board),
+    location: locations[0] || null,
+    locations,
+    description_html: descriptionHtml,
+    posting_date: toDate(posting?.datePosted || itemprop('datePosted').attr('content')),
+    expires_at: toDate(posting?.validThrough),
+    employment_type: employmentTypeLabel(posting?.employmentType || itemprop('employmentType').text().trim()),
+    requisition_id: posting?.identifier?.value || null,
+    source_provider: provider,
+    source_job_id: ref.jobId
+  });
+}
@@ -0,0 +1,140 @@
+// Workday Adapter
+// Candidate experience API: https://{tenant}.wd3.myworkdayjobs.com/wday/cxs/{tenant}/{site}/job/{location}/{title}_{reqId}
+// Posting pages are a client-side app, so HTML snapshots are read from their embedded JSON-LD
+
+import * as cheerio from 'cheerio';
+import { normalizeStructuredJob } from '../normalizers/enhanced.js';
+import { readJobPostingJsonLd, jsonLdLocations } from '../normalizers/json-ld.js';
+import { companyFromBoard, toDate, employmentTypeLabel } from './common.js';
+
+export const provider = 'workday';
+
+/**
+ * Tenant, career site and job path from a posting URL
+ * @returns {Object|null} { board, host, site, jobPath, jobId } - jobId is the requisition id suffix
+ */
+export function parseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  if (!host.endsWith('.myworkdayjobs.com')) return null;
+
+  const tenant = host.split('.')[0];
+
+  // API form: /wday/cxs/{tenant}/{site}/job/...
+  const apiMatch = parsed.pathname.match(/^\/wday\/cxs\/[^/]+\/([^/]+)(\/job\/.+)$/);
+  // Page form: /{locale?}/{site}/job/{location}/{title}_{reqId}[/apply]
+  const pageMatch = parsed.pathname
+    .replace(/\/(apply|login)\/?$/i, '')
+    .match(/^\/(?:[a-z]{2}-[A-Z]{2}\/)?([^/]+)(\/job\/.+)$/);
+
+  const match = apiMatch || pageMatch;
+  if (!match) {
+    // Career site root - not a posting
+    const siteMatch = parsed.pathname.match(/^\/(?:[a-z]{2}-[A-Z]{2}\/)?([^/]+)\/?$/);
+    return siteMatch ? { board: tenant, host, site: siteMatch[1], jobPath: null, jobId: null } : null;
+  }
+
+  const jobPath = match[2].replace(/\/$/, '');
+  const reqMatch = jobPath.match(/_([A-Za-z0-9-]+)$/);
+
+  return {
+    board: tenant,
+    host,
+    site: match[1],
+    jobPath,
+    jobId: reqMatch ? reqMatch[1] : jobPath
+  };
+}
+
+export function postingApiUrl({ board, host, site, jobPath }) {
+  return `https://${host}/wday/cxs/${board}/${site}${jobPath}`;
+}
+
+export function selectPosting(payload) {
+  return payload?.jobPostingInfo ? payload : null;
+}
+
+/**
+ * "Posted 3 Days Ago" relative to when the snapshot was taken
+ * "30+ Days Ago" is too vague to date, so it yields null.
+ */
+export function parsePostedOn(postedOn, fetchedAt) {
+  if (!postedOn) return null;
+
+  const base = fetchedAt ? new Date(fetchedAt) : new Date();
+  if (isNaN(base.getTime())) return null;
+
+  let daysAgo = null;
+  if (/today/i.test(postedOn)) daysAgo = 0;
+  else if (/yesterday/i.test(postedOn)) daysAgo = 1;
+  else {
+    const match = postedOn.match(/(\d+)\s+days?\s+ago/i);
+    if (match && !/\+/.test(postedOn)) daysAgo = parseInt(match[1], 10);
+  }
+
+  if (daysAgo === null) return null;
+  return toDate(base.getTime() - daysAgo * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Map a Workday jobPostingInfo payload onto the normalized job shape
+ * @param {Object} payload - { jobPostingInfo, hiringOrganization }
+ * @param {Object} context - { fetchedAt } so relative "posted" dates resolve against the snapshot time
+ */
+export function mapPosting(payload, board, context = {}) {
+  const info = payload.jobPostingInfo;
+
+  const location = info.location || null;
+  const locations = [...new Set([location, ...(info.additionalLocations || [])].filter(Boolean))];
+  const remoteType = info.remoteType || '';
+
+  return normalizeStructuredJob({
+    title: info.title,
+    company: payload.hiringOrganization?.name || companyFromBoard(board),
+    location,
+    locations,
+    country: info.country?.descriptor,
+    description_html: info.jobDescription || '',
+    is_remote: remoteType ? /remote/i.test(remoteType) : undefined,
+    posting_date: toDate(info.startDate) || parsePostedOn(info.postedOn, context.fetchedAt),
+    expires_at: toDate(info.endDate),
+    employment_type: info.timeType || null,
+    requisition_id: info.jobReqId || null,
+    source_provider: provider,
+    source_job_id: info.jobPostingId || info.jobReqId || info.id
+  });
+}
+
+/**
+ * Map a Workday posting page (HTML snapshot) using its JSON-LD JobPosting
+ * @returns {Object|null} Normalized job, or null when the page carries no JobPosting
+ */
+export function mapPage(html, ref) {
+  const $ = cheerio.load(html);
+  const posting = readJobPostingJsonLd($);
+  if (!posting) return null;
+
+  const locations = jsonLdLocations(posting.jobLocation);
+  const identifier = typeof posting.identifier === 'object' ? posting.identifier : null;
+
+  return normalizeStructuredJob({
+    title: posting.title || $('meta[property="og:title"]').attr('content'),
+    company: posting.hiringOrganization?.name || identifier?.name || companyFromBoard(ref.board),
+    location: locations[0] || null,
+    locations,
+    description_html: posting.description || $('meta[property="og:description"]').attr('content') || '',
+    is_remote: posting.jobLocationType === 'TELECOMMUTE' ? true : undefined,
+    posting_date: toDate(posting.datePosted),
+    expires_at: toDate(posting.validThrough),
+    employment_type: employmentTypeLabel(posting.employmentType),
+    requisition_id: identifier?.value || ref.jobId,
+    source_provider: provider,
+    source_job_id: identifier?.value || ref.jobId
+  });
+}
@@ -0,0 +1,300 @@
+// Re-normalize / Re-score Backfill
+// Re-runs normalization from a job's stored snapshot and/or re-runs scoring for a filtered set of jobs,
+// so extractor and weight changes reach rows ingested before them. Driven by scripts/rescore-jobs.js.
+//
+// Runs are resumable: progress (a job id cursor plus running counts) is saved to backfill_runs after
+// every batch, and a run picks up after the last job it finished.
+
+import { createClient } from '@supabase/supabase-js';
+import {
+  loadRawJob,
+  normalizeJob,
+  scoreJob,
+  buildNormalizedRecord,
+  updateNormalizedJob
+} from '../ingest/pipeline.js';
+import { diffJobRecords } from '../ingest/job-diff.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+export const BACKFILL_MODES = ['normalize', 'score'];
+
+export const BATCH_SIZE = 50;
+
+// Columns a score-only run writes; normalization output is left as stored
+const SCORE_FIELDS = [
+  'visa_score',
+  'resume_match_score',
+  'job_relevance_score',
+  'overall_score',
+  'score_breakdown',
+  'visa_confidence',
+  'visa_score_int',
+  'visa_categories',
+  'visa_explanation',
+  'visa_registry_match',
+  'visa_recent_activity',
+  'visa_community_score',
+  'visa_jd_keywords_score',
+  'total_score',
+  'recommendation',
+  'relevance_score'
+];
+
+// Extracted tags the job diff does not track but a re-normalize can change
+const TAG_FIELDS = ['skill_tags', 'domain_tags', 'country_code'];
+
+/**
+ * Start a new run
+ * @param {string} mode - 'normalize' (snapshot -> normalize -> score) or 'score' (stored fields -> score)
+ * @param {Object} filters - { ids, country, company, since, include_closed }
+ * @param {Object} options - { dryRun }
+ */
+export async function createRun(mode, filters, options = {}) {
+  const total = await countJobs(filters);
+
+  const { data, error } = await supabase
+    .from('backfill_runs')
+    .insert({
+      mode,
+      filters,
+      dry_run: Boolean(options.dryRun),
+      status: 'running',
+      total_jobs: total,
+      last_job_id: 0,
+      summary: emptySummary(),
+      started_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create backfill run: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Load a run to resume: a specific id, or the most recent unfinished one
+ */
+export async function loadRun(runId = null) {
+  let query = supabase.from('backfill_runs').select('*');
+
+  query = runId
+    ? query.eq('id', runId)
+    : query.in('status', ['running', 'interrupted']).order('started_at', { ascending: false }).limit(1);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load backfill run: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Persist progress after a batch
+ */
+export async function saveRun(run, fields = {}) {
+  const { error } = await supabase
+    .from('backfill_runs')
+    .update({
+      last_job_id: run.last_job_id,
+      summary: run.summary,
+      updated_at: new Date().toISOString(),
+      ...fields
+    })
+    .eq('id', run.id);
+
+  if (error) {
+    throw new Error(`Failed to save backfill run ${run.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Next batch of jobs after the run's cursor
+ */
+export async function fetchBatch(run, size = BATCH_SIZE) {
+  const { data, error } = await applyFilters(
+    supabase.from('job_normalized').select('*'),
+    run.filters
+  )
+    .gt('id', run.last_job_id)
+    .order('id', { ascending: true })
+    .limit(size);
+
+  if (error) {
+    throw new Error(`Failed to fetch jobs: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Re-run one job and record the outcome in the run summary
+ * @param {Object} context - Scoring context from loadScoringContext (loaded once per run)
+ * @returns {Object} { status: 'updated'|'unchanged'|'skipped'|'failed', changes }
+ */
+export async function rescoreJob(job, run, context) {
+  const summary = run.summary;
+  let outcome;
+
+  try {
+    const record = run.mode === 'normalize'
+      ? await renormalize(job, context)
+      : await rescore(job, context);
+
+    if (!record) {
+      outcome = { status: 'skipped', reason: 'no_snapshot' };
+    } else {
+      const changes = diffJobRecords(job, record);
+      const tagChanges = TAG_FIELDS.filter(field => !sameValues(job[field], record[field]));
+      const changed = Object.keys(changes).length > 0 || tagChanges.length > 0;
+
+      if (changed && !run.dry_run) {
+        // A score-only run leaves the normalized fields exactly as stored
+        const update = run.mode === 'score'
+          ? Object.fromEntries(SCORE_FIELDS.map(field => [field, record[field]]))
+          : record;
+
+        await updateNormalizedJob(job.id, {
+          ...update,
+          last_changes: Object.keys(changes).length > 0 ? changes : job.last_changes,
+          rescored_at: new Date().toISOString()
+        });
+      }
+
+      recordChanges(summary, job, record, [...Object.keys(changes), ...tagChanges]);
+      outcome = { status: changed ? 'updated' : 'unchanged', changes };
+    }
+  } catch (error) {
+    outcome = { status: 'failed', error: error.message };
+    if (summary.failures.length < 50) {
+      summary.failures.push({ job_id: job.id, error: error.message });
+    }
+  }
+
+  summary.processed++;
+  summary[outcome.status]++;
+  run.last_job_id = job.id;
+
+  return outcome;
+}
+
+// Snapshot -> normalize -> score; the job keeps its identity (source URL)
+async function renormalize(job, context) {
+  if (!job.job_raw_id) return null;
+
+  const raw = await loadRawJob(job.job_raw_id).catch(() => null);
+  if (!raw || !raw.raw_html) return null;
+
+  const normalized = normalizeJob(raw.raw_html, raw.source_url);
+  const { visaData, scoring } = await scoreJob(normalized, context);
+
+  return buildNormalizedRecord(job.job_raw_id, job.source_url, normalized, visaData, scoring);
+}
+
+// Stored fields -> score
+async function rescore(job, context) {
+  const normalized = {
+    title: job.title,
+    role_family: job.role_family,
+    seniority: job.seniority,
+    company: job.company,
+    location: job.location,
+    country_code: job.country_code,
+    is_remote: job.is_remote,
+    normalized_text: job.normalized_text || '',
+    skills: job.skill_tags || [],
+    domains: job.domain_tags || [],
+    experience_min: job.experience_min,
+    experience_max: job.experience_max,
+    experience_raw: job.experience_raw,
+    salary: job.salary_min || job.salary_max
+      ? {
+        raw: job.salary_raw,
+        min: job.salary_min,
+        max: job.salary_max,
+        currency: job.salary_currency,
+        period: job.salary_period || 'year'
+      }
+      : null
+  };
+
+  const { visaData, scoring } = await scoreJob(normalized, context);
+
+  return buildNormalizedRecord(job.job_raw_id, job.source_url, normalized, visaData, scoring);
+}
+
+function emptySummary() {
+  return {
+    processed: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0,
+    score_changed: 0,
+    score_up: 0,
+    score_down: 0,
+    score_delta_total: 0,
+    recommendation_changed: 0,
+    recommendation_transitions: {},
+    field_changes: {},
+    failures: []
+  };
+}
+
+function recordChanges(summary, job, record, changedFields) {
+  for (const field of changedFields) {
+    summary.field_changes[field] = (summary.field_changes[field] || 0) + 1;
+  }
+
+  const delta = (record.overall_score ?? 0) - (job.overall_score ?? 0);
+  if (delta !== 0) {
+    summary.score_changed++;
+    summary.score_delta_total += delta;
+    if (delta > 0) summary.score_up++;
+    else summary.score_down++;
+  }
+
+  if ((record.recommendation || null) !== (job.recommendation || null)) {
+    summary.recommendation_changed++;
+    const transition = `${job.recommendation || 'none'} -> ${record.recommendation || 'none'}`;
+    summary.recommendation_transitions[transition] = (summary.recommendation_transitions[transition] || 0) + 1;
+  }
+}
+
+function sameValues(before, after) {
+  if (Array.isArray(before) || Array.isArray(after)) {
+    return [...(before || [])].sort().join('|') === [...(after || [])].sort().join('|');
+  }
+  return (before ?? null) === (after ?? null);
+}
+
+async function countJobs(filters) {
+  const { count, error } = await applyFilters(
+    supabase.from('job_normalized').select('id', { count: 'exact', head: true }),
+    filters
+  );
+
+  if (error) {
+    throw new Error(`Failed to count jobs: ${error.message}`);
+  }
+
+  return count || 0;
+}
+
+function applyFilters(query, filters = {}) {
+  if (filters.ids?.length) query = query.in('id', filters.ids);
+  if (filters.country) query = query.eq('country_code', filters.country);
+  if (filters.company) query = query.ilike('company', `%${filters.company}%`);
+  if (filters.since) query = query.gte('created_at', filters.since);
+  if (filters.recommendation) query = query.eq('recommendation', filters.recommendation);
+  if (!filters.include_closed) query = query.eq('is_closed', false);
+  return query;
+}
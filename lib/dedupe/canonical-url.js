@@ -0,0 +1,112 @@
+// Canonical URL Normalization
+// Maps the many shapes of a posting URL (tracking params, LinkedIn variants, ATS embeds)
+// onto one canonical form used as the dedupe key
+
+// Query params that only carry tracking / referral data
+const TRACKING_PARAMS = [
+  /^utm_/i, /^trk/i, /^refid$/i, /^trackingid$/i, /^ref$/i, /^referrer$/i, /^src$/i,
+  /^source$/i, /^gh_src$/i, /^lever-(source|origin)/i, /^fbclid$/i, /^gclid$/i, /^msclkid$/i,
+  /^mc_(cid|eid)$/i, /^_hs(enc|mi)$/i, /^originalsubdomain$/i
+];
+
+// Host-specific rewrites, tried in order; each returns a canonical URL string or null
+const HOST_RULES = [
+  {
+    // linkedin.com/jobs/view/123, /jobs/view/senior-pm-at-acme-123, ?currentJobId=123, uk.linkedin.com/...
+    match: host => host === 'linkedin.com' || host.endsWith('.linkedin.com'),
+    canonicalize: url => {
+      const viewMatch = url.pathname.match(/\/jobs\/view\/(?:[^/]*?-)?(\d{6,})\/?$/);
+      const jobId = viewMatch?.[1] || url.searchParams.get('currentJobId');
+      return jobId ? `https://www.linkedin.com/jobs/view/${jobId}` : null;
+    }
+  },
+  {
+    // boards.greenhouse.io/acme/jobs/123, job-boards.greenhouse.io/..., /embed/job_app?for=acme&token=123
+    match: host => host.endsWith('greenhouse.io'),
+    canonicalize: url => {
+      const pathMatch = url.pathname.match(/^\/([^/]+)\/jobs\/(\d+)/);
+      if (pathMatch) return `https://boards.greenhouse.io/${pathMatch[1].toLowerCase()}/jobs/${pathMatch[2]}`;
+
+      const board = url.searchParams.get('for');
+      const token = url.searchParams.get('token');
+      return board && token ? `https://boards.greenhouse.io/${board.toLowerCase()}/jobs/${token}` : null;
+    }
+  },
+  {
+    // jobs.lever.co/acme/<uuid>/apply
+    match: host => host === 'jobs.lever.co' || host === 'jobs.eu.lever.co',
+    canonicalize: url => {
+      const pathMatch = url.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})/i);
+      return pathMatch ? `https://${url.hostname}/${pathMatch[1].toLowerCase()}/${pathMatch[2].toLowerCase()}` : null;
+    }
+  },
+  {
+    // jobs.ashbyhq.com/acme/<uuid>/application
+    match: host => host === 'jobs.ashbyhq.com',
+    canonicalize: url => {
+      const pathMatch = url.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})/i);
+      return pathMatch ? `https://jobs.ashbyhq.com/${pathMatch[1].toLowerCase()}/${pathMatch[2].toLowerCase()}` : null;
+    }
+  },
+  {
+    // uk.indeed.com/viewjob?jk=abc, /rc/clk?jk=abc, /m/viewjob?jk=abc
+    match: host => /(^|\.)indeed\.[a-z.]+$/.test(host),
+    canonicalize: url => {
+      const jobKey = url.searchParams.get('jk') || url.searchParams.get('vjk');
+      return jobKey ? `https://${url.hostname}/viewjob?jk=${jobKey.toLowerCase()}` : null;
+    }
+  },
+  {
+    // reed.co.uk/jobs/product-manager/51234567
+    match: host => host === 'reed.co.uk' || host.endsWith('.reed.co.uk'),
+    canonicalize: url => {
+      const pathMatch = url.pathname.match(/\/jobs\/(?:[^/]+\/)?(\d{6,})/);
+      return pathMatch ? `https://www.reed.co.uk/jobs/${pathMatch[1]}` : null;
+    }
+  },
+  {
+    // acme.wd3.myworkdayjobs.com/en-US/careers/job/London/Product-Manager_R123
+    match: host => host.endsWith('myworkdayjobs.com'),
+    canonicalize: url => {
+      const path = url.pathname.replace(/^\/[a-z]{2}-[A-Z]{2}(?=\/)/, '').replace(/\/(apply|login)\/?$/i, '');
+      return `https://${url.hostname}${path}`;
+    }
+  }
+];
+
+/**
+ * Canonicalize a posting URL
+ * @param {string} rawUrl
+ * @returns {string} Canonical URL (the input unchanged if it cannot be parsed)
+ */
+export function canonicalizeUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(String(rawUrl).trim());
+  } catch (error) {
+    return rawUrl;
+  }
+
+  // Synthetic ids (document:<hash> for uploaded specs) are already canonical
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return rawUrl;
+
+  url.hash = '';
+  url.protocol = 'https:';
+  url.hostname = url.hostname.toLowerCase();
+
+  const host = url.hostname.replace(/^www\./, '');
+
+  const rule = HOST_RULES.find(r => r.match(host));
+  const rewritten = rule ? rule.canonicalize(url) : null;
+  if (rewritten) return rewritten;
+
+  // Generic: drop tracking params, sort the rest, trim trailing slash
+  const params = Array.from(url.searchParams.entries())
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = new URLSearchParams(params).toString();
+  const path = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : '';
+
+  return `https://${host}${path}${query ? `?${query}` : ''}`;
+}
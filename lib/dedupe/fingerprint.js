@@ -0,0 +1,128 @@
+// Content Fingerprinting
+// Identifies the same posting arriving through different URLs (e.g. a job board mirroring the company ATS)
+
+import crypto from 'crypto';
+
+// Legal-entity suffixes that differ between boards ("Wise" vs "Wise Ltd")
+const COMPANY_SUFFIXES = /\b(ltd|limited|plc|inc|incorporated|llc|llp|gmbh|ag|bv|b v|nv|n v|ab|as|sa|srl|corp|corporation|co)\b/g;
+
+// Maximum simhash bit distance (of 64) for two descriptions to count as the same posting;
+// unrelated texts sit around 32, page chrome around the same description adds roughly 10-15
+export const NEAR_DUPLICATE_DISTANCE = 16;
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ */
+export function normalizeForMatch(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function normalizeCompany(company) {
+  return normalizeForMatch(company).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeTitle(title) {
+  return normalizeForMatch(title)
+    .replace(/\bsr\b/g, 'senior')
+    .replace(/\bjr\b/g, 'junior')
+    .replace(/\bmgr\b/g, 'manager');
+}
+
+/**
+ * Fingerprint a normalized job
+ * @param {Object} job - { title, company, location, normalized_text }
+ * @returns {Object} { dedupe_key, content_hash, description_simhash }
+ */
+export function fingerprintJob(job) {
+  const title = normalizeTitle(job.title);
+  const company = normalizeCompany(job.company);
+  const location = normalizeForMatch(job.location);
+  const description = normalizeForMatch(job.normalized_text);
+
+  return {
+    dedupe_key: `${title}|${company}`,
+    content_hash: crypto
+      .createHash('sha256')
+      .update(`${title}|${company}|${location}|${description}`)
+      .digest('hex'),
+    description_simhash: simhash(description)
+  };
+}
+
+/**
+ * 64-bit simhash over word 3-shingles, as 16 hex chars
+ */
+export function simhash(text) {
+  const words = text.split(' ').filter(Boolean);
+  const weights = new Array(64).fill(0);
+
+  const shingles = [];
+  for (let i = 0; i + 3 <= words.length; i++) {
+    shingles.push(words.slice(i, i + 3).join(' '));
+  }
+  if (shingles.length === 0 && words.length > 0) {
+    shingles.push(words.join(' '));
+  }
+
+  for (const shingle of shingles) {
+    const hash = crypto.createHash('md5').update(shingle).digest();
+    const value = hash.readBigUInt64BE(0);
+
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (value >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let result = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) result |= 1n << BigInt(bit);
+  }
+
+  return result.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hex simhashes
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * City part of a location ("London, England, UK" -> "london") for comparing postings across boards
+ */
+export function locationKey(location) {
+  return normalizeForMatch(String(location || '').split(/[,;|/(]/)[0]);
+}
+
+/**
+ * Whether two postings describe the same job
+ * Identical descriptions posted for several cities, or under different requisition ids, stay separate jobs;
+ * a location or requisition id one side does not state does not block the match.
+ * @param {Object} a - Output of fingerprintJob plus the job's location and requisition_id
+ * @param {Object} b - Same shape (a job_normalized row)
+ */
+export function isNearDuplicate(a, b) {
+  if (a.content_hash && a.content_hash === b.content_hash) return true;
+  if (a.dedupe_key !== b.dedupe_key) return false;
+  if (!a.description_simhash || !b.description_simhash) return false;
+
+  const locationA = locationKey(a.location);
+  const locationB = locationKey(b.location);
+  if (locationA && locationB && locationA !== locationB) return false;
+
+  if (a.requisition_id && b.requisition_id && String(a.requisition_id) !== String(b.requisition_id)) return false;
+
+  return hammingDistance(a.description_simhash, b.description_simhash) <= NEAR_DUPLICATE_DISTANCE;
+}
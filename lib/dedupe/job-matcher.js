@@ -0,0 +1,149 @@
+// Job Matcher
+// Finds an existing job for an incoming URL or normalized posting, and records URL aliases
+
+import { createClient } from '@supabase/supabase-js';
+import { canonicalizeUrl } from './canonical-url.js';
+import { isNearDuplicate } from './fingerprint.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const NEAR_DUPLICATE_CANDIDATES = 20;
+const KNOWN_URL_CHUNK = 100;
+
+/**
+ * Find the job a URL already belongs to
+ * @returns {Object|null} { job_normalized_id, canonical_url, match_type }
+ */
+export async function findJobByUrl(url) {
+  const canonicalUrl = canonicalizeUrl(url);
+
+  const { data: alias } = await supabase
+    .from('job_url_aliases')
+    .select('job_normalized_id')
+    .eq('canonical_url', canonicalUrl)
+    .maybeSingle();
+
+  if (alias) {
+    return { job_normalized_id: alias.job_normalized_id, canonical_url: canonicalUrl, match_type: 'url' };
+  }
+
+  // Jobs ingested before aliases existed only carry source_url
+  // One .eq() per column: a URL's commas and parentheses would break an .or() filter string
+  const lookups = [
+    ['canonical_url', canonicalUrl],
+    ['source_url', url],
+    ['source_url', canonicalUrl]
+  ];
+
+  for (const [column, value] of lookups) {
+    const { data: jobs } = await supabase
+      .from('job_normalized')
+      .select('id')
+      .eq(column, value)
+      .order('id', { ascending: true })
+      .limit(1);
+
+    if (jobs && jobs.length > 0) {
+      return { job_normalized_id: jobs[0].id, canonical_url: canonicalUrl, match_type: 'url' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Which of a batch of URLs already belong to a stored job
+ * @returns {Set} Canonical URLs that are already known
+ */
+export async function findKnownUrls(urls) {
+  const canonicalUrls = [...new Set(urls.map(canonicalizeUrl))];
+  const known = new Set();
+
+  // Chunked to keep the PostgREST query string a sane length
+  for (let i = 0; i < canonicalUrls.length; i += KNOWN_URL_CHUNK) {
+    const chunk = canonicalUrls.slice(i, i + KNOWN_URL_CHUNK);
+
+    const [{ data: aliases }, { data: jobs }] = await Promise.all([
+      supabase.from('job_url_aliases').select('canonical_url').in('canonical_url', chunk),
+      supabase.from('job_normalized').select('canonical_url').in('canonical_url', chunk)
+    ]);
+
+    [...(aliases || []), ...(jobs || [])].forEach(row => known.add(row.canonical_url));
+  }
+
+  return known;
+}
+
+/**
+ * Find a stored job with the same content fingerprint
+ * @param {Object} fingerprint - Output of fingerprintJob
+ * @param {Object} job - The normalized job it was taken from ({ location, requisition_id })
+ * @returns {Object|null} { job_normalized_id, match_type }
+ */
+export async function findDuplicateJob(fingerprint, job = {}) {
+  const { data: exact } = await supabase
+    .from('job_normalized')
+    .select('id')
+    .eq('content_hash', fingerprint.content_hash)
+    .order('id', { ascending: true })
+    .limit(1);
+
+  if (exact && exact.length > 0) {
+    return { job_normalized_id: exact[0].id, match_type: 'content_hash' };
+  }
+
+  const { data: candidates } = await supabase
+    .from('job_normalized')
+    .select('id, dedupe_key, content_hash, description_simhash, location, requisition_id')
+    .eq('dedupe_key', fingerprint.dedupe_key)
+    .order('id', { ascending: true })
+    .limit(NEAR_DUPLICATE_CANDIDATES);
+
+  const posting = { ...fingerprint, location: job.location, requisition_id: job.requisition_id };
+  const match = (candidates || []).find(candidate => isNearDuplicate(posting, candidate));
+
+  return match ? { job_normalized_id: match.id, match_type: 'near_duplicate' } : null;
+}
+
+/**
+ * Record that a job was seen at a URL (refreshes last_seen_at if already known)
+ * @param {Object} alias - { jobNormalizedId, url, sourceType, jobRawId, matchType }
+ */
+export async function recordAlias({ jobNormalizedId, url, sourceType, jobRawId = null, matchType = 'original' }) {
+  const canonicalUrl = canonicalizeUrl(url);
+  const now = new Date().toISOString();
+
+  const { data: existing } = await supabase
+    .from('job_url_aliases')
+    .select('id')
+    .eq('canonical_url', canonicalUrl)
+    .maybeSingle();
+
+  if (existing) {
+    await supabase
+      .from('job_url_aliases')
+      .update({ last_seen_at: now })
+      .eq('id', existing.id);
+    return;
+  }
+
+  const { error } = await supabase
+    .from('job_url_aliases')
+    .insert({
+      job_normalized_id: jobNormalizedId,
+      source_url: url,
+      canonical_url: canonicalUrl,
+      source_type: sourceType,
+      job_raw_id: jobRawId,
+      match_type: matchType,
+      first_seen_at: now,
+      last_seen_at: now
+    });
+
+  if (error) {
+    console.error(`Failed to record alias for ${url}:`, error);
+  }
+}
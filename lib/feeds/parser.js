@@ -0,0 +1,96 @@
+// Feed Parser
+// Reads posting links out of RSS 2.0, Atom and sitemap.xml documents
+
+import * as cheerio from 'cheerio';
+
+/**
+ * Parse a feed document
+ * @param {string} xml - Feed body
+ * @param {string} baseUrl - Feed URL, to resolve relative links
+ * @returns {Object} { type: 'rss'|'atom'|'sitemap'|'sitemap_index', items: [{ url, guid, title, published_at }], sitemaps }
+ */
+export function parseFeed(xml, baseUrl) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  if ($('sitemapindex').length > 0) {
+    return {
+      type: 'sitemap_index',
+      items: [],
+      sitemaps: $('sitemapindex > sitemap > loc').toArray().map(el => resolveUrl($(el).text(), baseUrl)).filter(Boolean)
+    };
+  }
+
+  if ($('urlset').length > 0) {
+    return {
+      type: 'sitemap',
+      items: $('urlset > url').toArray().map(el => {
+        const url = resolveUrl($(el).children('loc').text(), baseUrl);
+        return {
+          url,
+          guid: url,
+          title: null,
+          published_at: toIso($(el).children('lastmod').text())
+        };
+      }).filter(item => item.url),
+      sitemaps: []
+    };
+  }
+
+  if ($('feed > entry').length > 0 || $('feed').length > 0) {
+    return {
+      type: 'atom',
+      items: $('feed > entry').toArray().map(el => {
+        const entry = $(el);
+        const link = entry.children('link[rel="alternate"]').first().attr('href') ||
+          entry.children('link:not([rel])').first().attr('href') ||
+          entry.children('link').first().attr('href');
+        const url = resolveUrl(link, baseUrl);
+        return {
+          url,
+          guid: entry.children('id').text().trim() || url,
+          title: entry.children('title').text().trim() || null,
+          published_at: toIso(entry.children('published').text() || entry.children('updated').text())
+        };
+      }).filter(item => item.url),
+      sitemaps: []
+    };
+  }
+
+  if ($('rss, rdf\\:RDF').length > 0) {
+    return {
+      type: 'rss',
+      items: $('item').toArray().map(el => {
+        const item = $(el);
+        const guid = item.children('guid').text().trim();
+        const permalink = item.children('guid').attr('isPermaLink') !== 'false' && /^https?:/i.test(guid) ? guid : null;
+        const url = resolveUrl(item.children('link').text().trim() || permalink, baseUrl);
+        return {
+          url,
+          guid: guid || url,
+          title: item.children('title').text().trim() || null,
+          published_at: toIso(item.children('pubDate').text() || item.children('dc\\:date').text())
+        };
+      }).filter(item => item.url),
+      sitemaps: []
+    };
+  }
+
+  throw new Error('Not an RSS, Atom or sitemap document');
+}
+
+function resolveUrl(value, baseUrl) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return null;
+
+  try {
+    return new URL(trimmed, baseUrl).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+function toIso(value) {
+  if (!value || !value.trim()) return null;
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
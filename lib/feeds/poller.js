@@ -0,0 +1,304 @@
+// Feed Poller
+// Polls due feed subscriptions, diffs listed URLs against feed_items and queues only new postings
+// for the ingestion worker, recording each feed's last-poll status
+
+import { createClient } from '@supabase/supabase-js';
+import { parseFeed } from './parser.js';
+import { politeFetch, interleaveByHost } from '../fetch/polite-fetch.js';
+import { HttpError, parseRetryAfter } from '../ingest/retry.js';
+import { enqueueUrls, refreshImportProgress } from '../ingest/queue.js';
+import { canonicalizeUrl } from '../dedupe/canonical-url.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+// Sitemaps list every page on a site; without a url_pattern only job-looking URLs are kept
+const DEFAULT_SITEMAP_PATTERN = /\/(jobs?|careers?|vacanc(y|ies)|positions?|openings?|roles?)\//i;
+
+// A first poll of a big sitemap is spread over several runs; unqueued items stay unseen until then
+const MAX_NEW_PER_POLL = 200;
+
+// Child sitemaps followed from a sitemap index per poll
+const MAX_CHILD_SITEMAPS = 5;
+
+const SEEN_CHUNK = 100;
+
+// Stop before the serverless function times out
+const DEFAULT_TIME_BUDGET_MS = 50000;
+
+/**
+ * Poll every enabled feed whose interval has elapsed
+ * @param {Object} options - { timeBudgetMs, feedIds }
+ */
+export async function pollDueFeeds(options = {}) {
+  const timeBudgetMs = options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS;
+  const startTime = Date.now();
+
+  let query = supabase
+    .from('feed_subscriptions')
+    .select('*')
+    .eq('enabled', true)
+    .order('last_polled_at', { ascending: true, nullsFirst: true });
+
+  if (options.feedIds) {
+    query = query.in('id', options.feedIds);
+  }
+
+  const { data: feeds, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load feed subscriptions: ${error.message}`);
+  }
+
+  const now = Date.now();
+  const due = feeds.filter(feed =>
+    options.feedIds ||
+    !feed.last_polled_at ||
+    now - new Date(feed.last_polled_at).getTime() >= feed.poll_interval_minutes * 60 * 1000
+  );
+
+  const polls = [];
+  for (const feed of due) {
+    if (Date.now() - startTime > timeBudgetMs) break;
+    polls.push(await pollFeed(feed));
+  }
+
+  return {
+    enabled: feeds.length,
+    due: due.length,
+    polled: polls.length,
+    queued: polls.reduce((sum, poll) => sum + (poll.new_items || 0), 0),
+    polls,
+    elapsed_ms: Date.now() - startTime
+  };
+}
+
+/**
+ * Poll a single feed
+ * @returns {Object} Poll outcome for the summary
+ */
+export async function pollFeed(feed) {
+  const polledAt = new Date().toISOString();
+
+  try {
+    const document = await fetchFeed(feed.feed_url, feed);
+
+    if (document.notModified) {
+      await recordPoll(feed.id, {
+        last_polled_at: polledAt,
+        last_poll_status: 'not_modified',
+        last_error: null,
+        last_new_count: 0,
+        consecutive_failures: 0
+      });
+      return { feed_id: feed.id, status: 'not_modified', new_items: 0 };
+    }
+
+    let parsed = parseFeed(document.body, feed.feed_url);
+    const feedType = parsed.type;
+
+    if (parsed.type === 'sitemap_index') {
+      parsed = await readChildSitemaps(parsed.sitemaps);
+    }
+
+    const pattern = feed.url_pattern
+      ? new RegExp(feed.url_pattern, 'i')
+      : (feedType.startsWith('sitemap') ? DEFAULT_SITEMAP_PATTERN : null);
+    const listed = dedupeItems(parsed.items.filter(item => !pattern || pattern.test(item.url)));
+
+    const seen = await findSeenUrls(feed.id, listed.map(item => item.canonical_url));
+    const unseen = listed.filter(item => !seen.has(item.canonical_url));
+    const newItems = unseen.slice(0, MAX_NEW_PER_POLL);
+
+    // With a backlog left over, skip the validators so the next poll is not answered with a 304
+    const backlog = unseen.length > newItems.length;
+
+    let importJobId = null;
+    let queued = 0;
+    if (newItems.length > 0) {
+      ({ importJobId, queued } = await queueNewItems(feed, newItems));
+    }
+
+    await recordPoll(feed.id, {
+      feed_type: feedType,
+      etag: backlog ? null : document.etag,
+      last_modified: backlog ? null : document.lastModified,
+      last_polled_at: polledAt,
+      last_poll_status: 'success',
+      last_error: null,
+      last_item_count: listed.length,
+      last_new_count: queued,
+      last_import_job_id: importJobId || feed.last_import_job_id,
+      consecutive_failures: 0
+    });
+
+    return {
+      feed_id: feed.id,
+      status: 'success',
+      feed_type: feedType,
+      listed: listed.length,
+      new_items: queued,
+      backlog: unseen.length - newItems.length,
+      import_job_id: importJobId
+    };
+  } catch (error) {
+    console.error(`Feed ${feed.id} (${feed.feed_url}) poll failed:`, error);
+
+    await recordPoll(feed.id, {
+      last_polled_at: polledAt,
+      last_poll_status: 'failed',
+      last_error: error.message,
+      last_new_count: 0,
+      consecutive_failures: (feed.consecutive_failures || 0) + 1
+    });
+
+    return { feed_id: feed.id, status: 'failed', error: error.message, new_items: 0 };
+  }
+}
+
+/**
+ * Conditional GET of a feed (ETag / Last-Modified)
+ * @returns {Object} { body, etag, lastModified } or { notModified: true }
+ */
+export async function fetchFeed(url, validators = {}) {
+  const headers = { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml;q=0.9, */*;q=0.5' };
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.last_modified) headers['If-Modified-Since'] = validators.last_modified;
+
+  const response = await politeFetch(url, { headers });
+
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+
+  if (!response.ok) {
+    throw new HttpError(
+      response.status,
+      response.statusText,
+      parseRetryAfter(response.headers.get('retry-after'))
+    );
+  }
+
+  return {
+    body: await response.text(),
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified')
+  };
+}
+
+async function readChildSitemaps(sitemapUrls) {
+  const items = [];
+
+  // Job sitemaps first when the index names them (sitemap-jobs.xml, careers-sitemap.xml)
+  const looksLikeJobs = url => /job|career|vacanc|position/i.test(url);
+  const ordered = [...sitemapUrls.filter(looksLikeJobs), ...sitemapUrls.filter(url => !looksLikeJobs(url))];
+
+  for (const sitemapUrl of ordered.slice(0, MAX_CHILD_SITEMAPS)) {
+    const document = await fetchFeed(sitemapUrl);
+    const child = parseFeed(document.body, sitemapUrl);
+    items.push(...child.items);
+  }
+
+  return { type: 'sitemap', items, sitemaps: [] };
+}
+
+function dedupeItems(items) {
+  const byCanonical = new Map();
+  for (const item of items) {
+    const canonical = canonicalizeUrl(item.url);
+    if (!byCanonical.has(canonical)) {
+      byCanonical.set(canonical, { ...item, canonical_url: canonical });
+    }
+  }
+  return [...byCanonical.values()];
+}
+
+async function findSeenUrls(feedId, canonicalUrls) {
+  const seen = new Set();
+
+  for (let i = 0; i < canonicalUrls.length; i += SEEN_CHUNK) {
+    const { data, error } = await supabase
+      .from('feed_items')
+      .select('canonical_url')
+      .eq('feed_id', feedId)
+      .in('canonical_url', canonicalUrls.slice(i, i + SEEN_CHUNK));
+
+    if (error) {
+      throw new Error(`Failed to load seen feed items: ${error.message}`);
+    }
+
+    data.forEach(row => seen.add(row.canonical_url));
+  }
+
+  return seen;
+}
+
+/**
+ * Mark new posting URLs seen, then queue the ones this poll was first to record under a new import
+ * Recording first means a failed insert never leaves URLs queued but unseen (queued again next poll),
+ * and an overlapping poll that already recorded an item does not queue it twice.
+ * @returns {Object} { importJobId, queued } - importJobId is null when nothing was new after all
+ */
+async function queueNewItems(feed, items) {
+  const { data: recorded, error: itemsError } = await supabase
+    .from('feed_items')
+    .upsert(items.map(item => ({
+      feed_id: feed.id,
+      item_url: item.url,
+      canonical_url: item.canonical_url,
+      guid: item.guid,
+      title: item.title,
+      published_at: item.published_at
+    })), { onConflict: 'feed_id,canonical_url', ignoreDuplicates: true })
+    .select('id, item_url');
+
+  if (itemsError) {
+    throw new Error(`Failed to record feed items: ${itemsError.message}`);
+  }
+
+  if (!recorded || recorded.length === 0) {
+    return { importJobId: null, queued: 0 };
+  }
+
+  try {
+    const { data: importJob, error } = await supabase
+      .from('bulk_import_jobs')
+      .insert({
+        import_type: 'feed',
+        total_urls: recorded.length,
+        status: 'queued',
+        started_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create import job: ${error.message}`);
+    }
+
+    await enqueueUrls(importJob.id, interleaveByHost(recorded.map(item => item.item_url)), 'feed');
+    await refreshImportProgress(importJob.id);
+
+    return { importJobId: importJob.id, queued: recorded.length };
+  } catch (error) {
+    // Unmark the items so the next poll queues them
+    await supabase
+      .from('feed_items')
+      .delete()
+      .in('id', recorded.map(item => item.id));
+    throw error;
+  }
+}
+
+async function recordPoll(feedId, fields) {
+  const { error } = await supabase
+    .from('feed_subscriptions')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', feedId);
+
+  if (error) {
+    console.error(`Failed to record poll for feed ${feedId}:`, error);
+  }
+}
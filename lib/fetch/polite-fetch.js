@@ -0,0 +1,259 @@
+// Polite Fetch Layer
+// Shared by manual and bulk ingestion: per-host concurrency caps, minimum delay between
+// requests to the same host, robots.txt compliance (cached) and a configurable User-Agent
+
+import fetch from 'node-fetch';
+
+const USER_AGENT = process.env.FETCH_USER_AGENT || 'Mozilla/5.0 (compatible; JobScanAI/1.0)';
+
+// Token matched against robots.txt User-agent groups
+const ROBOTS_AGENT = (process.env.FETCH_ROBOTS_AGENT || 'JobScanAI').toLowerCase();
+
+const DEFAULT_POLICY = {
+  concurrency: parseInt(process.env.FETCH_HOST_CONCURRENCY, 10) || 1,
+  minDelayMs: parseInt(process.env.FETCH_HOST_MIN_DELAY_MS, 10) || 2000
+};
+
+// Hosts that block aggressively get a slower policy (matched on hostname suffix)
+const HOST_POLICIES = {
+  'linkedin.com': { concurrency: 1, minDelayMs: 5000 },
+  'indeed.com': { concurrency: 1, minDelayMs: 5000 },
+  'glassdoor.com': { concurrency: 1, minDelayMs: 5000 },
+  'myworkdayjobs.com': { concurrency: 1, minDelayMs: 3000 }
+};
+
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const ROBOTS_ERROR_TTL_MS = 10 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const hostState = new Map();
+const robotsCache = new Map();
+
+/**
+ * Fetch a URL respecting robots.txt and the per-host politeness policy
+ * @param {string} url
+ * @param {Object} options - node-fetch options plus skipRobots; headers are merged with the default User-Agent
+ * @returns {Promise<Response>}
+ */
+export async function politeFetch(url, options = {}) {
+  const { skipRobots = false, ...fetchOptions } = options;
+  const { hostname } = new URL(url);
+
+  if (!skipRobots && !(await isAllowedByRobots(url))) {
+    const error = new Error(`Blocked by robots.txt: ${url}`);
+    error.permanent = true;
+    throw error;
+  }
+
+  const release = await acquireHostSlot(hostname);
+
+  try {
+    return await fetch(url, {
+      timeout: REQUEST_TIMEOUT_MS,
+      ...fetchOptions,
+      headers: {
+        'User-Agent': USER_AGENT,
+        ...(fetchOptions.headers || {})
+      }
+    });
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Reorder URLs round-robin by host so consecutive requests hit different sites
+ * e.g. [a1, a2, a3, b1, c1] -> [a1, b1, c1, a2, a3]
+ */
+export function interleaveByHost(urls) {
+  const byHost = new Map();
+
+  for (const url of urls) {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch (error) {
+      host = '';
+    }
+    if (!byHost.has(host)) byHost.set(host, []);
+    byHost.get(host).push(url);
+  }
+
+  const buckets = Array.from(byHost.values());
+  const result = [];
+
+  for (let i = 0; result.length < urls.length; i++) {
+    for (const bucket of buckets) {
+      if (i < bucket.length) result.push(bucket[i]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check a URL against its host's robots.txt
+ */
+export async function isAllowedByRobots(url) {
+  const { protocol, host, pathname, search } = new URL(url);
+  const rules = await getRobotsRules(`${protocol}//${host}`);
+  return isPathAllowed(rules, pathname + search);
+}
+
+function getPolicy(hostname) {
+  const match = Object.keys(HOST_POLICIES).find(suffix =>
+    hostname === suffix || hostname.endsWith(`.${suffix}`)
+  );
+  const policy = { ...DEFAULT_POLICY, ...(match ? HOST_POLICIES[match] : {}) };
+
+  // A robots.txt Crawl-delay stricter than ours wins
+  const robots = robotsCache.get(hostname);
+  if (robots?.rules?.crawlDelayMs) {
+    policy.minDelayMs = Math.max(policy.minDelayMs, robots.rules.crawlDelayMs);
+  }
+
+  return policy;
+}
+
+/**
+ * Wait until the host has a free slot and its minimum delay has elapsed
+ * @returns {Function} release callback
+ */
+async function acquireHostSlot(hostname) {
+  if (!hostState.has(hostname)) {
+    hostState.set(hostname, { active: 0, nextStartAt: 0, waiters: [] });
+  }
+  const state = hostState.get(hostname);
+  const policy = getPolicy(hostname);
+
+  if (state.active >= policy.concurrency) {
+    await new Promise(resolve => state.waiters.push(resolve));
+  }
+  state.active++;
+
+  // Reserve the next start time before sleeping so concurrent callers space out
+  const startAt = Math.max(Date.now(), state.nextStartAt);
+  state.nextStartAt = startAt + policy.minDelayMs;
+  const wait = startAt - Date.now();
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+
+  return () => {
+    state.active--;
+    const next = state.waiters.shift();
+    if (next) next();
+  };
+}
+
+async function getRobotsRules(origin) {
+  const hostname = new URL(origin).hostname;
+  const cached = robotsCache.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.rules;
+  }
+
+  let rules;
+  let ttl = ROBOTS_TTL_MS;
+
+  try {
+    // One small request per host per day, so it skips the host slot queue
+    const response = await fetch(`${origin}/robots.txt`, {
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: { 'User-Agent': USER_AGENT }
+    });
+
+    if (response.ok) {
+      rules = parseRobots(await response.text(), ROBOTS_AGENT);
+    } else {
+      // 4xx means no robots.txt - everything is allowed
+      rules = { allow: [], disallow: [] };
+      if (response.status >= 500) ttl = ROBOTS_ERROR_TTL_MS;
+    }
+  } catch (error) {
+    // Unreachable robots.txt should not block ingestion; check again soon
+    console.warn(`robots.txt unavailable for ${origin}: ${error.message}`);
+    rules = { allow: [], disallow: [] };
+    ttl = ROBOTS_ERROR_TTL_MS;
+  }
+
+  robotsCache.set(hostname, { rules, expiresAt: Date.now() + ttl });
+  return rules;
+}
+
+/**
+ * Parse robots.txt, keeping the group for our agent or falling back to "*"
+ */
+export function parseRobots(text, agent) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], allow: [], disallow: [], crawlDelayMs: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'disallow' && value) current.disallow.push(value);
+    if (field === 'allow' && value) current.allow.push(value);
+    if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds)) current.crawlDelayMs = seconds * 1000;
+    }
+  }
+
+  const group = groups.find(g => g.agents.some(a => a !== '*' && agent.includes(a)))
+    || groups.find(g => g.agents.includes('*'));
+
+  return group
+    ? { allow: group.allow, disallow: group.disallow, crawlDelayMs: group.crawlDelayMs }
+    : { allow: [], disallow: [] };
+}
+
+/**
+ * Longest matching rule wins; Allow wins a tie
+ */
+export function isPathAllowed(rules, path) {
+  let best = { length: -1, allowed: true };
+
+  for (const [patterns, allowed] of [[rules.disallow, false], [rules.allow, true]]) {
+    for (const pattern of patterns) {
+      if (robotsPatternMatches(pattern, path) &&
+          (pattern.length > best.length || (pattern.length === best.length && allowed))) {
+        best = { length: pattern.length, allowed };
+      }
+    }
+  }
+
+  return best.allowed;
+}
+
+function robotsPatternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regex = body
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(path);
+}
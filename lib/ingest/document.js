@@ -0,0 +1,72 @@
+// Document Ingestion
+// Job specs that arrive as a PDF or pasted text have no URL; they are stored under a synthetic
+// document:<hash> source id so they dedupe, list and score like any other job
+
+import crypto from 'crypto';
+import { normalizeJobText } from '../normalizers/enhanced.js';
+
+export const DOCUMENT_ID_PREFIX = 'document:';
+
+// Long enough for any real spec; anything bigger is probably not a single job
+export const MAX_DOCUMENT_CHARS = 100000;
+
+/**
+ * Extract the text layer of a PDF
+ * pdf-parse is loaded on demand so the rest of the pipeline does not pay for it on cold start
+ * @param {Buffer} buffer
+ * @returns {Promise<string>} Text with line breaks kept
+ */
+export async function extractPdfText(buffer) {
+  const { PDFParse } = await import('pdf-parse');
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+
+  try {
+    const result = await parser.getText();
+    // Drop the "-- 1 of 3 --" page separators pdf-parse inserts
+    return result.text.replace(/^-- \d+ of \d+ --$/gm, '').trim();
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Stable source id for a document: the same spec uploaded twice maps to the same job
+ * Hashes the whitespace-collapsed text, so a re-saved PDF or a re-paste still matches.
+ */
+export function documentSourceId(text) {
+  const digest = crypto
+    .createHash('sha256')
+    .update(text.replace(/\s+/g, ' ').trim().toLowerCase())
+    .digest('hex');
+
+  return `${DOCUMENT_ID_PREFIX}${digest.slice(0, 32)}`;
+}
+
+export function isDocumentSourceId(url) {
+  return typeof url === 'string' && url.startsWith(DOCUMENT_ID_PREFIX);
+}
+
+/**
+ * Raw snapshot stored in job_raw for a document
+ * @param {Object} document - { kind: 'pdf'|'text', filename, title, company, location }
+ */
+export function buildDocumentSnapshot(text, document) {
+  return {
+    document: {
+      kind: document.kind,
+      filename: document.filename || null,
+      title: document.title || null,
+      company: document.company || null,
+      location: document.location || null,
+      received_at: new Date().toISOString()
+    },
+    text
+  };
+}
+
+/**
+ * Normalize a stored document snapshot
+ */
+export function normalizeDocumentJob(snapshot) {
+  return normalizeJobText(snapshot.text, snapshot.document);
+}
@@ -0,0 +1,135 @@
+// Idempotency Keys
+// Lets clients retry ingest requests safely: the first request with a key does the work,
+// later requests with the same key get the stored response
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How long a claim holds an in-progress key: past the function's max duration the request is dead
+const CLAIM_LOCK_MS = 2 * 60 * 1000;
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Claim an idempotency key
+ * @param {string} key
+ * @param {string} scope - Endpoint the key belongs to
+ * @param {string} fingerprint - Identifies the request body (a key reused for a different request is rejected)
+ * @returns {Object} { claimed } | { replay: { status, body } } | { in_progress } | { mismatch }
+ *                   An in-progress key whose lock has run out is taken over (claimed).
+ */
+export async function claimIdempotencyKey(key, scope, fingerprint) {
+  const { error } = await supabase
+    .from('ingest_idempotency_keys')
+    .insert({
+      idempotency_key: key,
+      scope,
+      request_fingerprint: fingerprint,
+      status: 'in_progress',
+      locked_until: lockUntil()
+    });
+
+  if (!error) {
+    return { claimed: true };
+  }
+
+  if (error.code !== UNIQUE_VIOLATION) {
+    throw new Error(`Failed to claim idempotency key: ${error.message}`);
+  }
+
+  const { data: existing } = await supabase
+    .from('ingest_idempotency_keys')
+    .select('*')
+    .eq('idempotency_key', key)
+    .single();
+
+  // Expired keys are free to reuse
+  if (Date.now() - new Date(existing.created_at).getTime() > KEY_TTL_MS) {
+    await releaseIdempotencyKey(key);
+    return claimIdempotencyKey(key, scope, fingerprint);
+  }
+
+  if (existing.scope !== scope || existing.request_fingerprint !== fingerprint) {
+    return { mismatch: true };
+  }
+
+  if (existing.status === 'completed') {
+    return { replay: { status: existing.response_status, body: existing.response_body } };
+  }
+
+  // Keys claimed before locks existed fall back to their creation time
+  const lockedUntil = existing.locked_until
+    ? new Date(existing.locked_until).getTime()
+    : new Date(existing.created_at).getTime() + CLAIM_LOCK_MS;
+
+  if (lockedUntil < Date.now() && await takeOverKey(existing)) {
+    return { claimed: true };
+  }
+
+  return { in_progress: true };
+}
+
+/**
+ * Move an abandoned key's lock to this request
+ * Only succeeds if the lock is unchanged, so two retries racing for the same key do not both run.
+ */
+async function takeOverKey(existing) {
+  let query = supabase
+    .from('ingest_idempotency_keys')
+    .update({ locked_until: lockUntil() })
+    .eq('idempotency_key', existing.idempotency_key)
+    .eq('status', 'in_progress');
+
+  query = existing.locked_until
+    ? query.eq('locked_until', existing.locked_until)
+    : query.is('locked_until', null);
+
+  const { data, error } = await query.select('idempotency_key').maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to take over idempotency key: ${error.message}`);
+  }
+
+  return Boolean(data);
+}
+
+function lockUntil() {
+  return new Date(Date.now() + CLAIM_LOCK_MS).toISOString();
+}
+
+/**
+ * Store the response for a claimed key
+ */
+export async function completeIdempotencyKey(key, status, body) {
+  const { error } = await supabase
+    .from('ingest_idempotency_keys')
+    .update({
+      status: 'completed',
+      locked_until: null,
+      response_status: status,
+      response_body: body,
+      completed_at: new Date().toISOString()
+    })
+    .eq('idempotency_key', key);
+
+  if (error) {
+    console.error(`Failed to store idempotent response for ${key}:`, error);
+  }
+}
+
+/**
+ * Drop a key (the request failed, so a retry should run again)
+ */
+export async function releaseIdempotencyKey(key) {
+  await supabase
+    .from('ingest_idempotency_keys')
+    .delete()
+    .eq('idempotency_key', key);
+}
@@ -0,0 +1,59 @@
+// Job Diff
+// Reports which fields of a stored job changed after a refresh
+
+import { extractSponsorshipStatements } from '../visa_intel/enhanced.js';
+
+const TRACKED_FIELDS = [
+  'title',
+  'role_family',
+  'seniority',
+  'company',
+  'location',
+  'salary_raw',
+  'salary_min',
+  'salary_max',
+  'salary_currency',
+  'salary_period',
+  'is_remote',
+  'experience_min',
+  'experience_max',
+  'overall_score',
+  'visa_score',
+  'recommendation'
+];
+
+/**
+ * Compare a stored job_normalized row with a freshly built record
+ * @returns {Object} { field: { old, new } } for every field that changed
+ */
+export function diffJobRecords(oldRow, newRecord) {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    const before = normalizeValue(oldRow[field]);
+    const after = normalizeValue(newRecord[field]);
+    if (before !== after) {
+      changes[field] = { old: oldRow[field] ?? null, new: newRecord[field] ?? null };
+    }
+  }
+
+  const oldStatements = extractSponsorshipStatements(oldRow.normalized_text);
+  const newStatements = extractSponsorshipStatements(newRecord.normalized_text);
+  const added = newStatements.filter(s => !oldStatements.includes(s));
+  const removed = oldStatements.filter(s => !newStatements.includes(s));
+
+  if (added.length > 0 || removed.length > 0) {
+    changes.sponsorship_wording = { old: removed, new: added };
+  }
+
+  return changes;
+}
+
+// DECIMAL columns come back as strings; compare numbers by value
+function normalizeValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value))) {
+    return String(Number(value));
+  }
+  return String(value).trim();
+}
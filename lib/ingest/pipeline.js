@@ -0,0 +1,404 @@
+// Ingestion Pipeline
+// Fetch, normalize, score and store stages shared by the ingest endpoints and the queue worker
+
+import { createClient } from '@supabase/supabase-js';
+import { normalizeJobHTML } from '../normalizers/enhanced.js';
+import { annualizeSalary } from '../normalizers/salary.js';
+import { analyzeVisaSponsorship } from '../visa_intel/enhanced.js';
+import { calculateMultiScore } from '../scoring/multi-score.js';
+import { HttpError, parseRetryAfter } from './retry.js';
+import { politeFetch } from '../fetch/polite-fetch.js';
+import { canonicalizeUrl } from '../dedupe/canonical-url.js';
+import { fingerprintJob } from '../dedupe/fingerprint.js';
+import { isAtsPostingUrl, fetchAtsPosting, normalizeAtsPosting, normalizeAtsPage } from '../ats/index.js';
+import { normalizeSourceJob } from '../sources/index.js';
+import { normalizeDocumentJob } from './document.js';
+import { buildSnapshotColumns, readSnapshotContent, pickResponseHeaders } from '../snapshots/store.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+/**
+ * Fetch a job posting page through the polite fetch layer
+ * Greenhouse, Lever, Ashby, Workday and SmartRecruiters postings are fetched from their JSON API instead; the
+ * snapshot then holds that JSON and normalizeJob maps it through the ATS adapter.
+ * @param {string} url - Posting URL
+ * @returns {Object} { html, status, final_url, headers } - headers holds only the ones kept with the snapshot
+ */
+export async function fetchJobPage(url) {
+  if (isAtsPostingUrl(url)) {
+    const snapshot = await fetchAtsPosting(url);
+    return {
+      html: JSON.stringify(snapshot),
+      status: 200,
+      final_url: url,
+      headers: null
+    };
+  }
+
+  const response = await politeFetch(url);
+
+  if (!response.ok) {
+    throw new HttpError(
+      response.status,
+      response.statusText,
+      parseRetryAfter(response.headers.get('retry-after'))
+    );
+  }
+
+  const html = await response.text();
+
+  return {
+    html,
+    status: response.status,
+    final_url: response.url || url,
+    headers: pickResponseHeaders(response.headers)
+  };
+}
+
+/**
+ * Store the raw snapshot of a posting (compressed, with the fetch's HTTP metadata)
+ * @param {number} jobNormalizedId - Job the snapshot belongs to, when re-fetching a known posting
+ * @param {Object} fetchMeta - fetchJobPage result ({ status, final_url, headers }), when the content was fetched
+ * @returns {Object} Inserted job_raw row (without the content)
+ */
+export async function storeRawJob(url, html, sourceType, jobNormalizedId = null, fetchMeta = null) {
+  const { data, error } = await supabase
+    .from('job_raw')
+    .insert({
+      source_url: url,
+      ...buildSnapshotColumns(html, fetchMeta),
+      source_type: sourceType,
+      job_normalized_id: jobNormalizedId,
+      fetched_at: new Date().toISOString()
+    })
+    .select('id, source_url, source_type, job_normalized_id, fetched_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store raw job: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Store several snapshots in one insert (board imports)
+ * @param {Array} snapshots - [{ url, html }]
+ * @returns {Array} Inserted job_raw rows, in input order
+ */
+export async function storeRawJobs(snapshots, sourceType) {
+  if (snapshots.length === 0) return [];
+
+  const fetchedAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('job_raw')
+    .insert(snapshots.map(({ url, html }) => ({
+      source_url: url,
+      ...buildSnapshotColumns(html),
+      source_type: sourceType,
+      fetched_at: fetchedAt
+    })))
+    .select('id, source_url');
+
+  if (error) {
+    throw new Error(`Failed to store raw jobs: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Load a previously stored snapshot (lets a retried task skip the fetch)
+ * raw_html is always the decompressed content, however the row was stored.
+ */
+export async function loadRawJob(jobRawId) {
+  const { data, error } = await supabase
+    .from('job_raw')
+    .select('*')
+    .eq('id', jobRawId)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load raw job ${jobRawId}: ${error.message}`);
+  }
+
+  return { ...data, raw_html: readSnapshotContent(data), raw_content: undefined };
+}
+
+/**
+ * Attach a snapshot to the job it turned out to belong to (duplicates found after the fetch)
+ * Keeps every fetch of a posting in that job's snapshot history.
+ */
+export async function linkRawJob(jobRawId, jobNormalizedId) {
+  if (!jobRawId) return;
+
+  const { error } = await supabase
+    .from('job_raw')
+    .update({ job_normalized_id: jobNormalizedId })
+    .eq('id', jobRawId)
+    .is('job_normalized_id', null);
+
+  if (error) {
+    console.error(`Failed to link snapshot ${jobRawId} to job ${jobNormalizedId}:`, error);
+  }
+}
+
+/**
+ * Normalize a raw snapshot into the job shape
+ * Snapshots are page HTML, ATS JSON from fetchJobPage, a job board search result stored by lib/sources/runner.js,
+ * or an uploaded document (lib/ingest/document.js)
+ */
+export function normalizeJob(html, url) {
+  if (html.trimStart().startsWith('{')) {
+    const snapshot = JSON.parse(html);
+    if (snapshot.document) return normalizeDocumentJob(snapshot);
+    return snapshot.source ? normalizeSourceJob(snapshot) : normalizeAtsPosting(url, snapshot);
+  }
+
+  if (isAtsPostingUrl(url)) {
+    // Workday / SmartRecruiters pages carry their posting as structured data
+    const fromPage = normalizeAtsPage(url, html);
+    if (fromPage) return fromPage;
+  }
+
+  return normalizeJobHTML(html, url);
+}
+
+/**
+ * Run visa intelligence and multi-score against the stored profile and config
+ * @param {Object} normalized - Output of normalizeJob
+ * @param {Object} context - { profile, config } from loadScoringContext, to skip reloading them per job in batch runs
+ * @returns {Object} { visaData, scoring }
+ */
+export async function scoreJob(normalized, context = null) {
+  const visaData = await analyzeVisaSponsorship(
+    normalized.company,
+    normalized.location,
+    normalized.normalized_text,
+    normalized.salary
+  );
+
+  const { profile, config } = context || await loadScoringContext();
+
+  const scoring = calculateMultiScore(
+    normalized,
+    profile || {},
+    visaData,
+    config || {}
+  );
+
+  return { visaData, scoring };
+}
+
+/**
+ * User profile and default scoring config used by scoreJob
+ */
+export async function loadScoringContext() {
+  // Get user profile for scoring
+  const { data: profile } = await supabase
+    .from('user_profile')
+    .select('*')
+    .limit(1)
+    .single();
+
+  // Get scoring config
+  const { data: config } = await supabase
+    .from('scoring_config')
+    .select('*')
+    .eq('config_name', 'default')
+    .single();
+
+  return { profile, config };
+}
+
+/**
+ * Map pipeline output onto a job_normalized row
+ */
+export function buildNormalizedRecord(jobRawId, url, normalized, visaData, scoring) {
+  // Structured sources (ATS, job board APIs) give a salary without its annual equivalent
+  const salary = annualizeSalary(normalized.salary);
+
+  return {
+    job_raw_id: jobRawId,
+    source_url: url,
+    canonical_url: canonicalizeUrl(url),
+    ...fingerprintJob(normalized),
+    title: normalized.title,
+    role_family: normalized.role_family ?? null,
+    seniority: normalized.seniority ?? null,
+    company: normalized.company,
+    location: normalized.location,
+    normalized_text: normalized.normalized_text,
+    skill_tags: normalized.skills,
+    domain_tags: normalized.domains,
+    country_code: normalized.country_code,
+    salary_raw: salary?.raw,
+    salary_min: salary?.min,
+    salary_max: salary?.max,
+    salary_currency: salary?.currency,
+    salary_period: salary?.period || null,
+    salary_annual_min: salary?.annual_min ?? null,
+    salary_annual_max: salary?.annual_max ?? null,
+    is_remote: normalized.is_remote,
+    recruiter_email: normalized.recruiter_email,
+    recruiter_type: normalized.recruiter_type,
+    posting_date: normalized.posting_date,
+    expires_at: normalized.expires_at,
+    experience_min: normalized.experience_min ?? null,
+    experience_max: normalized.experience_max ?? null,
+    experience_raw: normalized.experience_raw || null,
+
+    // Structured sources (ATS adapters)
+    source_provider: normalized.source_provider,
+    source_job_id: normalized.source_job_id,
+    departments: normalized.departments,
+    employment_type: normalized.employment_type,
+    requisition_id: normalized.requisition_id,
+    locations: normalized.locations,
+    field_sources: normalized.field_sources || null,
+
+    // Multi-Score System (Phase 1.5)
+    visa_score: scoring.visa_score,
+    resume_match_score: scoring.resume_match_score,
+    job_relevance_score: scoring.job_relevance_score,
+    overall_score: scoring.overall_score,
+    score_breakdown: scoring.breakdown,
+
+    // Legacy fields (kept for backward compatibility)
+    visa_confidence: visaData.confidence,
+    visa_score_int: visaData.score,
+    visa_categories: visaData.categories,
+    visa_explanation: visaData.explanation,
+    visa_registry_match: visaData.registry_match,
+    visa_recent_activity: visaData.recent_activity_score,
+    visa_community_score: visaData.community_score,
+    visa_jd_keywords_score: visaData.jd_keywords_score,
+
+    // Overall
+    total_score: scoring.overall_score,
+    recommendation: scoring.recommendation?.action,
+    relevance_score: scoring.overall_score
+  };
+}
+
+/**
+ * Store a scored job and link its raw snapshot to it
+ * @returns {Object} Inserted job_normalized row
+ */
+export async function storeNormalizedJob(record) {
+  const { data, error } = await supabase
+    .from('job_normalized')
+    .insert(record)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store normalized job: ${error.message}`);
+  }
+
+  if (record.job_raw_id) {
+    await supabase
+      .from('job_raw')
+      .update({ job_normalized_id: data.id })
+      .eq('id', record.job_raw_id);
+  }
+
+  return data;
+}
+
+/**
+ * Load a stored job
+ */
+export async function loadNormalizedJob(jobNormalizedId) {
+  const { data, error } = await supabase
+    .from('job_normalized')
+    .select('*')
+    .eq('id', jobNormalizedId)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load job ${jobNormalizedId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Liveness fields for a job whose posting was just fetched again
+ * A successful refresh proves the posting is back up, so any earlier close is undone.
+ */
+export function reopenedJobFields(checkedAt) {
+  return {
+    is_closed: false,
+    closed_at: null,
+    closed_reason: null,
+    liveness_status: 'live',
+    last_liveness_check_at: checkedAt
+  };
+}
+
+/**
+ * Overwrite a stored job with freshly normalized and scored values
+ * @returns {Object} Updated job_normalized row
+ */
+export async function updateNormalizedJob(jobNormalizedId, record) {
+  const { data, error } = await supabase
+    .from('job_normalized')
+    .update(record)
+    .eq('id', jobNormalizedId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update job ${jobNormalizedId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Merge user annotations into a stored job; newer values win per key
+ * Never throws - the job itself is already stored and must not be re-ingested over a note.
+ */
+export async function annotateJob(jobNormalizedId, annotations) {
+  if (!annotations || Object.keys(annotations).length === 0) return;
+
+  const { data: job, error: loadError } = await supabase
+    .from('job_normalized')
+    .select('user_annotations')
+    .eq('id', jobNormalizedId)
+    .maybeSingle();
+
+  if (loadError || !job) {
+    console.error(`Failed to load annotations for job ${jobNormalizedId}:`, loadError);
+    return;
+  }
+
+  const { error } = await supabase
+    .from('job_normalized')
+    .update({ user_annotations: { ...(job.user_annotations || {}), ...annotations } })
+    .eq('id', jobNormalizedId);
+
+  if (error) {
+    console.error(`Failed to annotate job ${jobNormalizedId}:`, error);
+  }
+}
+
+/**
+ * Write an ingestion_log audit row (never throws - logging must not fail the ingestion)
+ */
+export async function logIngestion(fields) {
+  const { error } = await supabase
+    .from('ingestion_log')
+    .insert({
+      ...fields,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Failed to write ingestion log:', error);
+  }
+}
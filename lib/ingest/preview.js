@@ -0,0 +1,51 @@
+// Ingestion Preview
+// Runs fetch -> normalize -> visa analysis -> multi-score for a URL without writing anything,
+// so a posting (or an extractor change) can be checked before it lands in job_raw / job_normalized
+
+import { fetchJobPage, normalizeJob, scoreJob, buildNormalizedRecord } from './pipeline.js';
+import { fingerprintJob } from '../dedupe/fingerprint.js';
+import { findJobByUrl, findDuplicateJob } from '../dedupe/job-matcher.js';
+
+/**
+ * Whether the request asked for a preview (?preview=true, ?dry_run=true or the same in the body)
+ */
+export function isPreviewRequest(req) {
+  const flag = value => value === true || value === 'true' || value === '1';
+  return [req.query?.preview, req.query?.dry_run, req.body?.preview, req.body?.dry_run].some(flag);
+}
+
+/**
+ * Preview what the pipeline would store for a URL
+ * Reads the profile, scoring config and existing jobs; never writes.
+ * @returns {Object} { url, stage, would_store, existing_job, normalized, visa_analysis, scoring }
+ *   On failure: { url, stage, error } with the stage that failed
+ */
+export async function previewUrl(url) {
+  let stage = 'fetching';
+
+  try {
+    const knownJob = await findJobByUrl(url);
+    const page = await fetchJobPage(url);
+
+    stage = 'normalizing';
+    const normalized = normalizeJob(page.html, url);
+    const duplicateJob = knownJob ? null : await findDuplicateJob(fingerprintJob(normalized), normalized);
+
+    stage = 'scoring';
+    const { visaData, scoring } = await scoreJob(normalized);
+
+    return {
+      url,
+      stage: 'done',
+      // A real ingest would refresh the known job or collapse into the duplicate instead of inserting
+      would_store: knownJob ? 'refresh' : duplicateJob ? 'duplicate' : 'new',
+      existing_job: knownJob || duplicateJob || null,
+      fetch: { status: page.status, final_url: page.final_url, bytes: page.html.length },
+      normalized: buildNormalizedRecord(null, url, normalized, visaData, scoring),
+      visa_analysis: visaData,
+      scoring
+    };
+  } catch (error) {
+    return { url, stage, error: error.message, http_status: error.status || null };
+  }
+}
@@ -0,0 +1,458 @@
+// Ingestion Queue
+// Persisted per-URL tasks for bulk imports, drained by the ingestion worker
+// Failed tasks double as the dead-letter list: they stay in 'failed' until requeued
+
+import { createClient } from '@supabase/supabase-js';
+import { MAX_ATTEMPTS } from './retry.js';
+import { notifyImportCompleted, notifyJobFailed } from '../webhooks/events.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+export const TASK_STATES = ['queued', 'fetching', 'normalizing', 'scoring', 'done', 'failed'];
+const ACTIVE_STATES = ['fetching', 'normalizing', 'scoring'];
+
+// Tasks locked longer than this belong to a worker that was killed mid-run
+const STALE_LOCK_MINUTES = 10;
+
+// PostgREST .in() lists are chunked to keep the query string a sane length
+const URL_CHUNK = 100;
+
+// PostgREST caps every response at its max-rows setting (1000 by default), so an import's tasks are read in pages
+const TASK_PAGE_SIZE = 1000;
+
+/**
+ * Add one queued task per URL to an import job
+ * @param {Object} annotations - Optional user annotations keyed by URL (spreadsheet uploads)
+ * @returns {Array} Inserted task rows
+ */
+export async function enqueueUrls(importJobId, urls, sourceType, annotations = {}) {
+  const tasks = urls.map(url => ({
+    bulk_import_job_id: importJobId,
+    source_url: url,
+    source_type: sourceType,
+    state: 'queued',
+    annotations: annotations[url] || null,
+    max_attempts: MAX_ATTEMPTS
+  }));
+
+  const { data, error } = await supabase
+    .from('ingestion_queue')
+    .insert(tasks)
+    .select('id, source_url');
+
+  if (error) {
+    throw new Error(`Failed to enqueue URLs: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Add queued tasks whose snapshot is already stored (board imports fetch every posting in one request)
+ * The worker resumes these from job_raw instead of fetching.
+ * @param {Array} snapshots - [{ url, jobRawId }]
+ */
+export async function enqueueSnapshots(importJobId, snapshots, sourceType) {
+  if (snapshots.length === 0) return [];
+
+  const tasks = snapshots.map(({ url, jobRawId }) => ({
+    bulk_import_job_id: importJobId,
+    source_url: url,
+    source_type: sourceType,
+    state: 'queued',
+    job_raw_id: jobRawId,
+    max_attempts: MAX_ATTEMPTS
+  }));
+
+  const { data, error } = await supabase
+    .from('ingestion_queue')
+    .insert(tasks)
+    .select('id, source_url');
+
+  if (error) {
+    throw new Error(`Failed to enqueue snapshots: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Which of a batch of URLs already have a task, in any state
+ * Queued tasks have no job yet, so findKnownUrls alone would queue them a second time.
+ * @returns {Set} source_url values already in ingestion_queue
+ */
+export async function findQueuedUrls(urls) {
+  const unique = [...new Set(urls)];
+  const queued = new Set();
+
+  for (let i = 0; i < unique.length; i += URL_CHUNK) {
+    const { data, error } = await supabase
+      .from('ingestion_queue')
+      .select('source_url')
+      .in('source_url', unique.slice(i, i + URL_CHUNK));
+
+    if (error) {
+      throw new Error(`Failed to read queued URLs: ${error.message}`);
+    }
+
+    data.forEach(row => queued.add(row.source_url));
+  }
+
+  return queued;
+}
+
+/**
+ * Record URLs that failed validation as already-failed tasks so they show up in the import results
+ * @param {Array} rejected - [{ url, error }]
+ */
+export async function rejectUrls(importJobId, rejected, sourceType) {
+  if (rejected.length === 0) return [];
+
+  const now = new Date().toISOString();
+  const tasks = rejected.map(({ url, error }) => ({
+    bulk_import_job_id: importJobId,
+    source_url: String(url),
+    source_type: sourceType,
+    state: 'failed',
+    failed_stage: 'validation',
+    error_message: error,
+    completed_at: now
+  }));
+
+  const { data, error } = await supabase
+    .from('ingestion_queue')
+    .insert(tasks)
+    .select('id, source_url');
+
+  if (error) {
+    throw new Error(`Failed to record rejected URLs: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Claim up to `limit` queued tasks for this worker run, in enqueue order
+ * A task only counts as claimed if it was still queued when the update landed,
+ * so two overlapping workers never process the same URL.
+ */
+export async function claimTasks(limit) {
+  const { data: candidates, error } = await supabase
+    .from('ingestion_queue')
+    .select('id, attempts')
+    .eq('state', 'queued')
+    .or(`next_attempt_at.is.null,next_attempt_at.lte.${new Date().toISOString()}`)
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to read queue: ${error.message}`);
+  }
+
+  const claimed = [];
+
+  for (const candidate of candidates || []) {
+    const now = new Date().toISOString();
+    const { data: task } = await supabase
+      .from('ingestion_queue')
+      .update({
+        state: 'fetching',
+        attempts: (candidate.attempts || 0) + 1,
+        locked_at: now,
+        updated_at: now
+      })
+      .eq('id', candidate.id)
+      .eq('state', 'queued')
+      .select()
+      .maybeSingle();
+
+    if (task) {
+      claimed.push(task);
+    }
+  }
+
+  return claimed;
+}
+
+/**
+ * Move a task to the next pipeline stage
+ */
+export async function setTaskState(taskId, state, fields = {}) {
+  const { error } = await supabase
+    .from('ingestion_queue')
+    .update({
+      ...fields,
+      state,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', taskId);
+
+  if (error) {
+    throw new Error(`Failed to update task ${taskId}: ${error.message}`);
+  }
+}
+
+export async function completeTask(taskId, fields = {}) {
+  const now = new Date().toISOString();
+  await setTaskState(taskId, 'done', {
+    ...fields,
+    locked_at: null,
+    completed_at: now
+  });
+}
+
+export async function failTask(taskId, stage, errorMessage) {
+  const now = new Date().toISOString();
+  await setTaskState(taskId, 'failed', {
+    failed_stage: stage,
+    error_message: errorMessage,
+    locked_at: null,
+    last_error_at: now,
+    completed_at: now
+  });
+}
+
+/**
+ * Put a task back in the queue after a transient failure
+ */
+export async function retryTask(taskId, stage, errorMessage, delayMs) {
+  const now = Date.now();
+  await setTaskState(taskId, 'queued', {
+    failed_stage: stage,
+    error_message: errorMessage,
+    locked_at: null,
+    last_error_at: new Date(now).toISOString(),
+    next_attempt_at: new Date(now + delayMs).toISOString()
+  });
+}
+
+/**
+ * Failed tasks, newest first
+ * @param {Object} filters - { importJobId, stage, limit }
+ */
+export async function listDeadLetters(filters = {}) {
+  let query = supabase
+    .from('ingestion_queue')
+    .select('*')
+    .eq('state', 'failed')
+    .order('completed_at', { ascending: false })
+    .limit(filters.limit || 50);
+
+  if (filters.importJobId) {
+    query = query.eq('bulk_import_job_id', filters.importJobId);
+  }
+
+  if (filters.stage) {
+    query = query.eq('failed_stage', filters.stage);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch dead letters: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Give failed tasks a fresh set of attempts
+ * Tasks rejected at validation are skipped - retrying an invalid URL cannot succeed.
+ * @param {Object} filters - { ids, importJobId }
+ * @returns {Array} Requeued task rows
+ */
+export async function requeueTasks(filters = {}) {
+  let query = supabase
+    .from('ingestion_queue')
+    .update({
+      state: 'queued',
+      attempts: 0,
+      next_attempt_at: null,
+      failed_stage: null,
+      error_message: null,
+      completed_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('state', 'failed')
+    .neq('failed_stage', 'validation');
+
+  if (filters.ids) {
+    query = query.in('id', filters.ids);
+  }
+
+  if (filters.importJobId) {
+    query = query.eq('bulk_import_job_id', filters.importJobId);
+  }
+
+  const { data, error } = await query.select('id, bulk_import_job_id, source_url');
+
+  if (error) {
+    throw new Error(`Failed to requeue tasks: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Put tasks abandoned by a killed worker back in the queue
+ * A task that has used up its attempts goes to the dead-letter list instead, so a posting that
+ * crashes or times out the worker every time does not loop forever.
+ * @returns {number} Number of tasks released or failed
+ */
+export async function releaseStaleTasks() {
+  const cutoff = new Date(Date.now() - STALE_LOCK_MINUTES * 60 * 1000).toISOString();
+
+  const { data: stale, error } = await supabase
+    .from('ingestion_queue')
+    .select('id, state, attempts, max_attempts, bulk_import_job_id, source_url, source_type')
+    .in('state', ACTIVE_STATES)
+    .lt('locked_at', cutoff);
+
+  if (error) {
+    console.error('Failed to read stale tasks:', error);
+    return 0;
+  }
+
+  let released = 0;
+  const touchedImports = new Set();
+
+  for (const task of stale || []) {
+    const now = new Date().toISOString();
+    const exhausted = (task.attempts || 0) >= (task.max_attempts || MAX_ATTEMPTS);
+    const errorMessage = `Worker stopped during ${task.state} after ${task.attempts} attempt(s)`;
+    const update = exhausted
+      ? { state: 'failed', failed_stage: task.state, error_message: errorMessage, last_error_at: now, completed_at: now }
+      : { state: 'queued' };
+
+    // Only if the task is still where the dead worker left it
+    const { data: updated, error: updateError } = await supabase
+      .from('ingestion_queue')
+      .update({ ...update, locked_at: null, updated_at: now })
+      .eq('id', task.id)
+      .eq('state', task.state)
+      .select('id')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error(`Failed to release stale task ${task.id}:`, updateError);
+      continue;
+    }
+    if (!updated) continue;
+
+    released++;
+
+    if (exhausted) {
+      await notifyJobFailed(
+        { url: task.source_url, stage: task.state, error: errorMessage, attempts: task.attempts, taskId: task.id },
+        { importJobId: task.bulk_import_job_id, sourceType: task.source_type }
+      );
+      if (task.bulk_import_job_id) {
+        touchedImports.add(task.bulk_import_job_id);
+      }
+    }
+  }
+
+  for (const importJobId of touchedImports) {
+    await refreshImportProgress(importJobId);
+  }
+
+  return released;
+}
+
+/**
+ * Recompute bulk_import_jobs counters from its tasks and close it once every task has finished
+ * Closing an import sends the import.completed webhook.
+ */
+export async function refreshImportProgress(importJobId) {
+  const { data: previous } = await supabase
+    .from('bulk_import_jobs')
+    .select('status')
+    .eq('id', importJobId)
+    .maybeSingle();
+
+  // Counted rather than read: an import can hold more tasks than one response returns
+  const total = await countImportTasks(importJobId);
+  const done = await countImportTasks(importJobId, 'done');
+  const failedCount = await countImportTasks(importJobId, 'failed');
+  const processed = done + failedCount;
+
+  const update = {
+    processed_urls: processed,
+    successful_urls: done,
+    failed_urls: failedCount
+  };
+
+  if (processed === total) {
+    const failed = await listImportTasks(importJobId, { columns: 'source_url, failed_stage, error_message', state: 'failed' });
+    update.status = 'completed';
+    update.completed_at = new Date().toISOString();
+    update.error_log = failed.map(t => ({
+      url: t.source_url,
+      stage: t.failed_stage,
+      error: t.error_message
+    }));
+  } else {
+    update.status = processed > 0 ? 'processing' : 'queued';
+    update.completed_at = null;
+  }
+
+  const { data: importJob } = await supabase
+    .from('bulk_import_jobs')
+    .update(update)
+    .eq('id', importJobId)
+    .select()
+    .maybeSingle();
+
+  if (update.status === 'completed' && previous?.status !== 'completed' && importJob) {
+    await notifyImportCompleted(importJob);
+  }
+
+  return { ...update, total };
+}
+
+/**
+ * Every task of an import in id order, read a page at a time
+ * @param {Object} options - { columns, state } - state limits the read to tasks in that state
+ */
+export async function listImportTasks(importJobId, { columns = '*', state = null } = {}) {
+  const tasks = [];
+
+  // Pages advance by what came back, so a server max-rows below TASK_PAGE_SIZE cannot skip tasks
+  for (;;) {
+    let query = supabase
+      .from('ingestion_queue')
+      .select(columns)
+      .eq('bulk_import_job_id', importJobId);
+    if (state) query = query.eq('state', state);
+
+    const { data, error } = await query
+      .order('id', { ascending: true })
+      .range(tasks.length, tasks.length + TASK_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to read import tasks: ${error.message}`);
+    }
+
+    if (data.length === 0) return tasks;
+    tasks.push(...data);
+  }
+}
+
+async function countImportTasks(importJobId, state = null) {
+  let query = supabase
+    .from('ingestion_queue')
+    .select('id', { count: 'exact', head: true })
+    .eq('bulk_import_job_id', importJobId);
+  if (state) query = query.eq('state', state);
+
+  const { count, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to count import tasks: ${error.message}`);
+  }
+
+  return count || 0;
+}
@@ -0,0 +1,102 @@
+// Retry Policy
+// Tells transient ingestion errors apart from permanent ones and computes backoff delays
+
+export const MAX_ATTEMPTS = 4;
+
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 30 * 60 * 1000;
+
+// HTTP statuses worth trying again later
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504, 520, 521, 522, 523, 524];
+
+// Network-level failures from node-fetch / the OS resolver
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Error carrying the HTTP response status of a failed fetch
+ */
+export class HttpError extends Error {
+  constructor(status, statusText, retryAfterMs = null) {
+    super(`HTTP ${status}: ${statusText}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Decide whether an error is worth retrying
+ * @param {Error} error
+ * @param {string} stage - Pipeline stage the error happened in
+ * @returns {boolean}
+ */
+export function isTransientError(error, stage = 'fetching') {
+  // The normalizer is deterministic - the same HTML will fail the same way
+  if (stage === 'normalizing' || stage === 'validation') return false;
+
+  if (error.permanent) return false;
+
+  if (error.status) {
+    return TRANSIENT_STATUSES.includes(error.status);
+  }
+
+  if (error.code && TRANSIENT_CODES.includes(error.code)) return true;
+  if (error.type === 'request-timeout' || error.name === 'AbortError') return true;
+
+  // Anything else, scoring included, recovers only when the network or database round trip failed -
+  // a bug such as a TypeError in the scorer fails the same way on every attempt
+  return /fetch failed|network|timeout|socket hang up/i.test(error.message);
+}
+
+/**
+ * Exponential backoff with jitter, honouring Retry-After when the server sent one
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, error = {}, baseDelayMs = BASE_DELAY_MS) {
+  if (error.retryAfterMs) {
+    return Math.min(error.retryAfterMs, MAX_DELAY_MS);
+  }
+
+  const exponential = baseDelayMs * Math.pow(2, Math.max(0, attempt - 1));
+  const jitter = Math.random() * baseDelayMs;
+  return Math.min(exponential + jitter, MAX_DELAY_MS);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = parseInt(header, 10);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+/**
+ * Run fn, retrying transient failures in-process
+ * Used where the caller is waiting on the result (e.g. manual ingest)
+ */
+export async function withRetry(fn, options = {}) {
+  const attempts = options.attempts || 3;
+  const baseDelayMs = options.baseDelayMs || 1000;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= attempts || !isTransientError(error, options.stage)) {
+        throw error;
+      }
+
+      const delay = Math.min(backoffDelay(attempt, error, baseDelayMs), options.maxDelayMs || 10000);
+      console.warn(`Attempt ${attempt} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -0,0 +1,287 @@
+// Spreadsheet Reader
+// Turns an uploaded CSV or XLSX lead list into posting URLs plus per-row user annotations
+
+import zlib from 'zlib';
+import * as cheerio from 'cheerio';
+
+// Header names recognised as the posting URL column when no mapping is given
+const URL_HEADERS = /^(url|link|job ?url|job ?link|posting ?(url|link)?|job ?posting|application ?(url|link)|href)$/i;
+
+// Annotation fields the UI knows about; other columns keep a slug of their header
+const KNOWN_ANNOTATIONS = {
+  source: /^(source|where( found)?|found on|channel)$/i,
+  notes: /^(notes?|comments?|remarks?)$/i,
+  referral_contact: /^(referral|referr(al|er) ?(contact|name)?|contact|referred by)$/i,
+  priority: /^(priority|prio|rank)$/i
+};
+
+/**
+ * Read the first sheet of an uploaded file into a header row and data rows
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Used to tell XLSX from CSV
+ * @returns {Object} { headers, rows } - rows are arrays aligned with headers
+ */
+export function readSpreadsheet(buffer, filename = '') {
+  const isXlsx = /\.xlsx$/i.test(filename) || buffer.slice(0, 2).toString('latin1') === 'PK';
+  const table = isXlsx ? readXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+
+  const nonEmpty = table.filter(row => row.some(cell => String(cell ?? '').trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('The file has no rows');
+  }
+
+  const [headerRow, ...rows] = nonEmpty;
+  const headers = headerRow.map((cell, index) => String(cell ?? '').trim() || `column_${index + 1}`);
+
+  return { headers, rows: rows.map(row => headers.map((_, index) => String(row[index] ?? '').trim())) };
+}
+
+/**
+ * RFC 4180 CSV (quoted fields, doubled quotes, CRLF); the delimiter is detected from the header line
+ * @returns {Array} Rows of cell strings
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^﻿/, '');
+  const delimiter = detectDelimiter(input);
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Map spreadsheet columns to a URL and annotations
+ * @param {Object} sheet - Output of readSpreadsheet
+ * @param {Object} mapping - { "<header>": "url" | "ignore" | "<annotation key>" }; unmapped columns are auto-detected
+ * @returns {Object} { entries: [{ row, url, annotations }], urlColumn, columns }
+ */
+export function mapSpreadsheetRows(sheet, mapping = {}) {
+  const { headers, rows } = sheet;
+
+  const unknown = Object.keys(mapping).filter(header => !headers.includes(header));
+  if (unknown.length > 0) {
+    throw new Error(`Column mapping names columns not in the file: ${unknown.join(', ')}`);
+  }
+
+  const columns = headers.map((header, index) => ({
+    header,
+    index,
+    field: mapping[header] || detectField(header)
+  }));
+
+  let urlColumn = columns.find(column => column.field === 'url');
+  if (!urlColumn) {
+    // No recognisable header - take the column whose values look most like URLs
+    const byUrlCount = columns
+      .filter(column => column.field !== 'ignore')
+      .map(column => ({ column, count: rows.filter(row => /^https?:\/\//i.test(row[column.index])).length }))
+      .sort((a, b) => b.count - a.count);
+
+    if (!byUrlCount[0] || byUrlCount[0].count === 0) {
+      throw new Error('No URL column found; map one with column_mapping, e.g. {"Job Link": "url"}');
+    }
+
+    urlColumn = byUrlCount[0].column;
+    urlColumn.field = 'url';
+  }
+
+  const annotationColumns = columns.filter(column => column.field !== 'url' && column.field !== 'ignore');
+
+  const entries = rows.map((row, index) => {
+    const annotations = {};
+    for (const column of annotationColumns) {
+      if (row[column.index] !== '') {
+        annotations[column.field] = row[column.index];
+      }
+    }
+
+    return {
+      row: index + 2, // 1-based, after the header row
+      url: row[urlColumn.index],
+      annotations
+    };
+  });
+
+  return {
+    entries,
+    urlColumn: urlColumn.header,
+    columns: Object.fromEntries(columns.map(column => [column.header, column.field]))
+  };
+}
+
+function detectField(header) {
+  if (URL_HEADERS.test(header)) return 'url';
+
+  for (const [field, pattern] of Object.entries(KNOWN_ANNOTATIONS)) {
+    if (pattern.test(header)) return field;
+  }
+
+  return header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'column';
+}
+
+/**
+ * Rows of the first worksheet in an XLSX workbook
+ * Cells are returned as displayed strings; a hyperlinked cell yields its link target.
+ */
+export function readXlsx(buffer) {
+  const files = unzip(buffer);
+  const readXml = path => (files.has(path) ? cheerio.load(files.get(path).toString('utf8'), { xmlMode: true }) : null);
+
+  const sheetPath = firstSheetPath(readXml);
+  const sheet = readXml(sheetPath);
+  if (!sheet) {
+    throw new Error('The workbook has no worksheets');
+  }
+
+  const sharedStrings = [];
+  const strings = readXml('xl/sharedStrings.xml');
+  if (strings) {
+    strings('sst > si').each((_, si) => {
+      sharedStrings.push(strings(si).find('t').toArray().map(t => strings(t).text()).join(''));
+    });
+  }
+
+  const hyperlinks = readHyperlinks(sheet, readXml(sheetPath.replace(/([^/]+)$/, '_rels/$1.rels')));
+
+  const rows = [];
+  sheet('sheetData > row').each((_, rowEl) => {
+    const row = [];
+    sheet(rowEl).children('c').each((position, cellEl) => {
+      const cell = sheet(cellEl);
+      const ref = cell.attr('r');
+      const index = ref ? columnIndex(ref) : position;
+      const type = cell.attr('t');
+
+      let value;
+      if (type === 's') value = sharedStrings[parseInt(cell.children('v').text(), 10)] ?? '';
+      else if (type === 'inlineStr') value = cell.find('is t').toArray().map(t => sheet(t).text()).join('');
+      else if (type === 'b') value = cell.children('v').text() === '1' ? 'TRUE' : 'FALSE';
+      else value = cell.children('v').text();
+
+      if (ref && hyperlinks.has(ref) && !/^https?:\/\//i.test(value)) {
+        value = hyperlinks.get(ref);
+      }
+
+      row[index] = value;
+    });
+    rows.push(Array.from(row, cell => cell ?? ''));
+  });
+
+  return rows;
+}
+
+function firstSheetPath(readXml) {
+  const workbook = readXml('xl/workbook.xml');
+  const rels = readXml('xl/_rels/workbook.xml.rels');
+
+  const relId = workbook?.('sheets > sheet').first().attr('r:id');
+  const target = relId && rels?.(`Relationship[Id="${relId}"]`).attr('Target');
+
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+function readHyperlinks(sheet, rels) {
+  const links = new Map();
+  sheet('hyperlinks > hyperlink').each((_, el) => {
+    const link = sheet(el);
+    const target = rels?.(`Relationship[Id="${link.attr('r:id')}"]`).attr('Target');
+    if (target) links.set(link.attr('ref'), target);
+  });
+  return links;
+}
+
+// "AB12" -> 27
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/)[0];
+  return [...letters].reduce((sum, letter) => sum * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * Minimal ZIP reader (stored and deflated entries) - enough for Office Open XML packages
+ * @returns {Map} path -> Buffer
+ */
+function unzip(buffer) {
+  // End of central directory record sits in the last 64KB + 22 bytes
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a valid XLSX file');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = buffer.slice(dataStart, dataStart + compressedSize);
+
+    if (method === 0) files.set(name, data);
+    else if (method === 8) files.set(name, zlib.inflateRawSync(data));
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
@@ -0,0 +1,67 @@
+// Multipart Upload Reader
+// Vercel only parses JSON/form bodies, so multipart requests are streamed through busboy here
+
+import busboy from 'busboy';
+
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+export function isMultipart(req) {
+  return /^multipart\/form-data/i.test(req.headers['content-type'] || '');
+}
+
+/**
+ * Read a multipart request with a single file field
+ * @param {Object} req - Incoming request (unread)
+ * @param {Object} options - { fileField, maxBytes }
+ * @returns {Promise<Object>} { fields, file: { filename, mimeType, buffer } | null }
+ */
+export function readMultipart(req, options = {}) {
+  const fileField = options.fileField || 'file';
+  const maxBytes = options.maxBytes || MAX_UPLOAD_BYTES;
+
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: maxBytes } });
+    } catch (error) {
+      reject(new Error(error.message));
+      return;
+    }
+
+    const fields = {};
+    let file = null;
+    let tooLarge = false;
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (name, stream, info) => {
+      if (name !== fileField) {
+        stream.resume();
+        return;
+      }
+
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('limit', () => {
+        tooLarge = true;
+      });
+      stream.on('end', () => {
+        file = { filename: info.filename, mimeType: info.mimeType, buffer: Buffer.concat(chunks) };
+      });
+    });
+
+    parser.on('error', error => reject(new Error(error.message)));
+    parser.on('close', () => {
+      if (tooLarge) {
+        reject(new Error(`File exceeds the ${Math.round(maxBytes / 1024 / 1024)}MB upload limit`));
+      } else {
+        resolve({ fields, file });
+      }
+    });
+
+    req.pipe(parser);
+  });
+}
+
@@ -0,0 +1,215 @@
+// Ingestion Worker
+// Drains the ingestion queue: fetch -> normalize -> score -> store for each task
+
+import {
+  claimTasks,
+  setTaskState,
+  completeTask,
+  failTask,
+  retryTask,
+  releaseStaleTasks,
+  refreshImportProgress
+} from './queue.js';
+import {
+  fetchJobPage,
+  storeRawJob,
+  loadRawJob,
+  normalizeJob,
+  scoreJob,
+  buildNormalizedRecord,
+  storeNormalizedJob,
+  annotateJob,
+  linkRawJob,
+  logIngestion
+} from './pipeline.js';
+import { MAX_ATTEMPTS, isTransientError, backoffDelay } from './retry.js';
+import { fingerprintJob } from '../dedupe/fingerprint.js';
+import { findJobByUrl, findDuplicateJob, recordAlias } from '../dedupe/job-matcher.js';
+import { retryDueDeliveries } from '../webhooks/delivery.js';
+import { notifyJobIngested, notifyJobFailed } from '../webhooks/events.js';
+
+const DEFAULT_BATCH_SIZE = 5;
+
+// Stop claiming new work before the serverless function hits its own timeout
+const DEFAULT_TIME_BUDGET_MS = 45000;
+
+// Webhook retries run after the queue, inside what is left of the function's run time
+const WEBHOOK_TIME_BUDGET_MS = 10000;
+
+/**
+ * Process queued tasks until the queue is empty or the time budget runs out
+ * @param {Object} options - { batchSize, timeBudgetMs }
+ * @returns {Object} Run summary
+ */
+export async function drainQueue(options = {}) {
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const timeBudgetMs = options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS;
+  const startTime = Date.now();
+
+  const summary = {
+    released: await releaseStaleTasks(),
+    processed: 0,
+    done: 0,
+    retried: 0,
+    failed: 0
+  };
+  const touchedImports = new Set();
+
+  while (Date.now() - startTime < timeBudgetMs) {
+    const tasks = await claimTasks(batchSize);
+    if (tasks.length === 0) break;
+
+    const results = await Promise.allSettled(tasks.map(task => processTask(task)));
+
+    for (let i = 0; i < tasks.length; i++) {
+      summary.processed++;
+      const state = results[i].status === 'fulfilled' ? results[i].value.state : 'failed';
+      if (state === 'done') {
+        summary.done++;
+      } else if (state === 'queued') {
+        summary.retried++;
+      } else {
+        summary.failed++;
+      }
+      if (tasks[i].bulk_import_job_id) {
+        touchedImports.add(tasks[i].bulk_import_job_id);
+      }
+    }
+  }
+
+  for (const importJobId of touchedImports) {
+    await refreshImportProgress(importJobId);
+  }
+
+  summary.imports_updated = touchedImports.size;
+  summary.webhooks = await retryDueDeliveries({ timeBudgetMs: WEBHOOK_TIME_BUDGET_MS });
+  summary.elapsed_ms = Date.now() - startTime;
+
+  return summary;
+}
+
+/**
+ * Run a single task through the pipeline, recording the stage it reached
+ * Transient failures go back in the queue with backoff until the task runs out of attempts.
+ */
+export async function processTask(task) {
+  let stage = 'fetching';
+  let jobRawId = task.job_raw_id;
+
+  try {
+    let html;
+
+    if (jobRawId) {
+      // A previous attempt already stored the snapshot - resume from it
+      html = (await loadRawJob(jobRawId)).raw_html;
+    } else {
+      // Same posting under another URL shape (tracking params, LinkedIn variants...)
+      const known = await findJobByUrl(task.source_url);
+      if (known) {
+        return await collapseIntoExisting(task, known, null);
+      }
+
+      const page = await fetchJobPage(task.source_url);
+      html = page.html;
+      const jobRaw = await storeRawJob(task.source_url, html, task.source_type, null, page);
+      jobRawId = jobRaw.id;
+    }
+
+    stage = 'normalizing';
+    await setTaskState(task.id, stage, { job_raw_id: jobRawId });
+    const normalized = normalizeJob(html, task.source_url);
+
+    // Same posting mirrored on another site
+    const duplicate = await findDuplicateJob(fingerprintJob(normalized), normalized);
+    if (duplicate) {
+      return await collapseIntoExisting(task, duplicate, jobRawId);
+    }
+
+    stage = 'scoring';
+    await setTaskState(task.id, stage);
+    const { visaData, scoring } = await scoreJob(normalized);
+
+    const jobNormalized = await storeNormalizedJob(
+      buildNormalizedRecord(jobRawId, task.source_url, normalized, visaData, scoring)
+    );
+
+    await recordAlias({
+      jobNormalizedId: jobNormalized.id,
+      url: task.source_url,
+      sourceType: task.source_type,
+      jobRawId
+    });
+    await annotateJob(jobNormalized.id, task.annotations);
+    await completeTask(task.id, { job_normalized_id: jobNormalized.id });
+    await logIngestion({
+      source_url: task.source_url,
+      job_raw_id: jobRawId,
+      job_normalized_id: jobNormalized.id,
+      status: 'success'
+    });
+    await notifyJobIngested(jobNormalized, { importJobId: task.bulk_import_job_id, sourceType: task.source_type });
+
+    console.log(`Successfully processed job: ${task.source_url} - Score: ${scoring.overall_score}/100`);
+    return { state: 'done', job_normalized_id: jobNormalized.id };
+  } catch (error) {
+    const attempts = task.attempts || 1;
+    const maxAttempts = task.max_attempts || MAX_ATTEMPTS;
+
+    if (isTransientError(error, stage) && attempts < maxAttempts) {
+      const delay = backoffDelay(attempts, error);
+      console.warn(`Retrying ${task.source_url} in ${Math.round(delay / 1000)}s (attempt ${attempts}/${maxAttempts}): ${error.message}`);
+
+      await retryTask(task.id, stage, error.message, delay);
+      await logIngestion({
+        source_url: task.source_url,
+        job_raw_id: jobRawId,
+        status: 'retrying',
+        error_message: `${stage}: ${error.message}`
+      });
+      return { state: 'queued', stage, error: error.message };
+    }
+
+    console.error(`Failed to process job ${task.source_url} at ${stage}:`, error);
+
+    await failTask(task.id, stage, error.message);
+    await logIngestion({
+      source_url: task.source_url,
+      job_raw_id: jobRawId,
+      status: 'failed',
+      error_message: error.message
+    });
+    await notifyJobFailed(
+      { url: task.source_url, stage, error: error.message, attempts, taskId: task.id },
+      { importJobId: task.bulk_import_job_id, sourceType: task.source_type }
+    );
+    return { state: 'failed', stage, error: error.message };
+  }
+}
+
+/**
+ * Finish a task whose posting is already stored, keeping its URL as an alias
+ */
+async function collapseIntoExisting(task, match, jobRawId) {
+  await recordAlias({
+    jobNormalizedId: match.job_normalized_id,
+    url: task.source_url,
+    sourceType: task.source_type,
+    jobRawId,
+    matchType: match.match_type
+  });
+  await linkRawJob(jobRawId, match.job_normalized_id);
+  await annotateJob(match.job_normalized_id, task.annotations);
+  await completeTask(task.id, {
+    job_normalized_id: match.job_normalized_id,
+    duplicate_of_existing: true
+  });
+  await logIngestion({
+    source_url: task.source_url,
+    job_raw_id: jobRawId,
+    job_normalized_id: match.job_normalized_id,
+    status: 'duplicate'
+  });
+
+  console.log(`Duplicate of job ${match.job_normalized_id} (${match.match_type}): ${task.source_url}`);
+  return { state: 'done', job_normalized_id: match.job_normalized_id, duplicate: true };
+}
@@ -0,0 +1,128 @@
+// Posting Liveness Checker
+// Re-fetches a stored posting URL and decides whether the job is still open
+
+import * as cheerio from 'cheerio';
+import { politeFetch } from '../fetch/polite-fetch.js';
+
+// Statuses that mean the posting is gone for good
+const DEAD_STATUSES = [404, 410];
+
+// Page text shown once a posting closes
+const CLOSED_TEXT_PATTERNS = [
+  /no longer accepting applications/i,                      // LinkedIn
+  /the job you are looking for is no longer open/i,         // Greenhouse
+  /this job (?:posting )?is no longer (?:available|open|active)/i,
+  /this (?:position|role|vacancy) has (?:been filled|closed|expired)/i,
+  /(?:job|vacancy|posting) has expired/i,
+  /applications? (?:for this (?:job|role) )?(?:are|is|have) (?:now )?closed/i,
+  /the page you are looking for doesn'?t exist/i,
+  /diese stelle ist nicht mehr verfügbar/i,                 // German
+  /deze vacature is (?:niet meer beschikbaar|gesloten)/i    // Dutch
+];
+
+// Where job sites send you once a posting is removed (on the posting's own host)
+const INDEX_PATH_PATTERNS = [
+  /^\/?$/,
+  /^\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?(?:careers?|jobs?|vacancies|openings|positions)\/?$/i,
+  /^\/jobs\/search\/?$/i                                    // LinkedIn
+];
+
+// ATS boards that send closed postings to the company's board root (boards.greenhouse.io/acme)
+const ATS_BOARD_HOSTS = /(?:^|\.)(?:greenhouse\.io|lever\.co|ashbyhq\.com)$/i;
+
+/**
+ * Check whether a posting is still live
+ * @param {string} url - Stored source_url
+ * @returns {Object} { status: 'live'|'closed'|'unknown', reason, http_status, final_url }
+ */
+export async function checkPostingLiveness(url) {
+  let response;
+
+  try {
+    response = await politeFetch(url);
+  } catch (error) {
+    // Network trouble or robots.txt says no - we cannot tell either way
+    return { status: 'unknown', reason: error.message, http_status: null, final_url: url };
+  }
+
+  const finalUrl = response.url || url;
+  const result = { http_status: response.status, final_url: finalUrl };
+
+  if (DEAD_STATUSES.includes(response.status)) {
+    return { ...result, status: 'closed', reason: `http_${response.status}` };
+  }
+
+  if (!response.ok) {
+    return { ...result, status: 'unknown', reason: `http_${response.status}` };
+  }
+
+  if (isRedirectToIndex(url, finalUrl)) {
+    return { ...result, status: 'closed', reason: 'redirect_to_index' };
+  }
+
+  const html = await response.text();
+  const closedText = findClosedText(html);
+  if (closedText) {
+    return { ...result, status: 'closed', reason: 'closed_text', matched_text: closedText };
+  }
+
+  return { ...result, status: 'live', reason: null };
+}
+
+/**
+ * A redirect that lands on a careers index (or carries an error flag) instead of the posting
+ * Only listing pages on the posting's own host count: login walls and click trackers
+ * (LinkedIn /authwall, Indeed /rc/clk -> /viewjob) also redirect live postings.
+ */
+export function isRedirectToIndex(originalUrl, finalUrl) {
+  if (!finalUrl || finalUrl === originalUrl) return false;
+
+  let original;
+  let final;
+  try {
+    original = new URL(originalUrl);
+    final = new URL(finalUrl);
+  } catch (error) {
+    return false;
+  }
+
+  // Greenhouse redirects closed postings to the board with ?error=true
+  if (final.searchParams.get('error') === 'true') return true;
+
+  // LinkedIn marks redirects away from expired postings
+  if (/expired_jd_redirect/i.test(final.search)) return true;
+
+  if (final.pathname === original.pathname) return false;
+  if (hostKey(final) !== hostKey(original)) return false;
+
+  const originalSegments = original.pathname.split('/').filter(Boolean);
+  const finalSegments = final.pathname.split('/').filter(Boolean);
+  if (finalSegments.length >= originalSegments.length) return false;
+
+  if (ATS_BOARD_HOSTS.test(final.hostname) && finalSegments.length === 1 && finalSegments[0] === originalSegments[0]) {
+    return true;
+  }
+
+  return INDEX_PATH_PATTERNS.some(pattern => pattern.test(final.pathname));
+}
+
+function hostKey(url) {
+  return url.hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Look for "posting closed" wording in the page body
+ * @returns {string|null} The matched text
+ */
+export function findClosedText(html) {
+  const $ = cheerio.load(html);
+  $('script, style, noscript').remove();
+  const text = $('body').text().replace(/\s+/g, ' ');
+
+  for (const pattern of CLOSED_TEXT_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return match[0];
+  }
+
+  return null;
+}
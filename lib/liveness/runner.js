@@ -0,0 +1,111 @@
+// Liveness Pass
+// Scheduled sweep that expires jobs past their expires_at and re-checks the oldest-checked open postings
+
+import { createClient } from '@supabase/supabase-js';
+import { checkPostingLiveness } from './checker.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+const DEFAULT_BATCH_SIZE = 25;
+
+// Do not re-check a posting more often than this
+const RECHECK_AFTER_HOURS = 24;
+
+// Stop before the serverless function times out
+const DEFAULT_TIME_BUDGET_MS = 50000;
+
+/**
+ * Run one liveness pass
+ * @param {Object} options - { limit, timeBudgetMs }
+ * @returns {Object} Summary counts
+ */
+export async function runLivenessPass(options = {}) {
+  const limit = options.limit || DEFAULT_BATCH_SIZE;
+  const timeBudgetMs = options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS;
+  const startTime = Date.now();
+
+  const summary = {
+    expired: await expirePastDeadline(),
+    checked: 0,
+    live: 0,
+    closed: 0,
+    unknown: 0,
+    closed_jobs: []
+  };
+
+  const recheckCutoff = new Date(Date.now() - RECHECK_AFTER_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { data: jobs, error } = await supabase
+    .from('job_normalized')
+    .select('id, source_url, title, company')
+    .eq('is_closed', false)
+    .like('source_url', 'http%') // uploaded documents have nothing to re-check
+    .or(`last_liveness_check_at.is.null,last_liveness_check_at.lt.${recheckCutoff}`)
+    .order('last_liveness_check_at', { ascending: true, nullsFirst: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to fetch jobs for liveness check: ${error.message}`);
+  }
+
+  for (const job of jobs) {
+    if (Date.now() - startTime > timeBudgetMs) break;
+
+    const result = await checkPostingLiveness(job.source_url);
+    const now = new Date().toISOString();
+
+    const update = {
+      liveness_status: result.status,
+      last_liveness_check_at: now
+    };
+
+    if (result.status === 'closed') {
+      update.is_closed = true;
+      update.closed_at = now;
+      update.closed_reason = result.reason;
+      summary.closed_jobs.push({ id: job.id, title: job.title, company: job.company, reason: result.reason });
+    }
+
+    await supabase
+      .from('job_normalized')
+      .update(update)
+      .eq('id', job.id);
+
+    summary.checked++;
+    summary[result.status]++;
+  }
+
+  summary.elapsed_ms = Date.now() - startTime;
+  return summary;
+}
+
+/**
+ * Close open jobs whose expires_at has passed (no fetch needed)
+ * @returns {number} Jobs closed
+ */
+async function expirePastDeadline() {
+  const now = new Date().toISOString();
+  const today = now.split('T')[0];
+
+  const { data, error } = await supabase
+    .from('job_normalized')
+    .update({
+      is_closed: true,
+      closed_at: now,
+      closed_reason: 'expired',
+      liveness_status: 'closed'
+    })
+    .eq('is_closed', false)
+    .lt('expires_at', today)
+    .select('id');
+
+  if (error) {
+    console.error('Failed to expire jobs:', error);
+    return 0;
+  }
+
+  return data?.length || 0;
+}
@@ -2,31 +2,222 @@
 // Extracts job data with improved parsing for salary, location, and other fields
 
 import * as cheerio from 'cheerio';
+import { readJobPostingJsonLd, mapJobPosting } from './json-ld.js';
+import { findSiteExtractor, extractSiteFields, JOB_BOARD_NAMES } from './sites/index.js';
+import { extractExperience } from './experience.js';
+import { classifyTitle } from './role.js';
+import { parseSalary } from './salary.js';
+import { extractSkills } from '../skills/taxonomy.js';
 
+const COUNTRY_KEYWORDS = {
+  'GB': ['london', 'manchester', 'edinburgh', 'birmingham', 'uk', 'united kingdom', 'england', 'scotland', 'wales'],
+  'NL': ['amsterdam', 'rotterdam', 'the hague', 'utrecht', 'eindhoven', 'netherlands', 'holland'],
+  'DE': ['berlin', 'munich', 'frankfurt', 'hamburg', 'cologne', 'germany', 'deutschland'],
+  'SE': ['stockholm', 'gothenburg', 'malmö', 'uppsala', 'sweden', 'sverige'],
+  'AE': ['dubai', 'abu dhabi', 'uae', 'united arab emirates'],
+  'AU': ['sydney', 'melbourne', 'brisbane', 'perth', 'adelaide', 'australia'],
+  'CA': ['toronto', 'vancouver', 'montreal', 'calgary', 'ottawa', 'canada']
+};
+
+/**
+ * Normalize a fetched posting page
+ * An embedded schema.org JobPosting is the primary source for every field it states, then the job board's
+ * own extractor (lib/normalizers/sites), then the generic page heuristics. field_sources records where each
+ * field came from ('json_ld', 'site:<name>' or 'heuristic').
+ */
 export function normalizeJobHTML(html, sourceUrl) {
   const $ = cheerio.load(html);
   
+  // Read structured data before the script tags go
+  const structured = mapJobPosting(readJobPostingJsonLd($));
+  
   // Remove script and style tags
   $('script, style, noscript').remove();
   
+  const extractor = findSiteExtractor(sourceUrl, $);
+  const siteFields = extractor ? extractSiteFields(extractor, $) : {};
+  const siteSource = extractor ? `site:${extractor.site}` : null;
+  
+  const pageText = $('body').text().replace(/\s+/g, ' ').trim();
+  
+  // A description (JobPosting, then the board's description block) is the posting without the site's navigation and footer
+  const descriptionSource = structured.description_html ? 'json_ld' : siteFields.description_html ? siteSource : 'heuristic';
+  const descriptionText = htmlToText(structured.description_html || siteFields.description_html || '');
+  const text = descriptionText || pageText;
+  
+  const sources = { normalized_text: descriptionText ? descriptionSource : 'heuristic' };
+  const pick = (field, heuristic) => {
+    if (structured[field] !== undefined) {
+      sources[field] = 'json_ld';
+      return structured[field];
+    }
+    if (siteFields[field] !== undefined) {
+      sources[field] = siteSource;
+      return siteFields[field];
+    }
+    const value = heuristic();
+    sources[field] = value === null || value === undefined ? null : 'heuristic';
+    return value;
+  };
+  
+  const countryCode = resolveCountryCode(structured.country);
+  if (countryCode) structured.country_code = countryCode;
+  
+  const location = pick('location', () => extractLocation($, pageText));
+  const locations = pick('locations', () => (location ? [location] : []));
+  if (structured.locations === undefined && siteFields.locations === undefined) {
+    sources.locations = location ? sources.location : null;
+  }
+  
+  const jobCountry = pick('country_code', () => extractCountryCode($, pageText, location));
+  
+  // The board's salary line reads in the job's country ("$" in Australia is AUD)
+  if (siteFields.salary_text) {
+    siteFields.salary = parseSalary(siteFields.salary_text, { countryCode: jobCountry }) || undefined;
+  }
+  
+  const experience = extractExperience(text, structured.experience_requirements);
+  sources.experience = experience?.source || null;
+  
+  const title = pick('title', () => extractTitle($, pageText));
+  
+  return {
+    title,
+    ...classifyTitle(title),
+    company: pick('company', () => extractCompany($, pageText)),
+    location,
+    locations,
+    country_code: jobCountry,
+    salary: pick('salary', () => parseSalary(text, { countryCode: jobCountry })),
+    skills: extractSkills(text),
+    domains: extractDomains(text),
+    normalized_text: text,
+    is_remote: pick('is_remote', () => detectRemote(text)),
+    recruiter_email: extractRecruiterEmail($, text),
+    recruiter_type: classifyRecruiterType($, text),
+    posting_date: pick('posting_date', () => extractPostingDate($, pageText)),
+    expires_at: pick('expires_at', () => null),
+    employment_type: pick('employment_type', () => null),
+    requisition_id: pick('requisition_id', () => null),
+    ...experienceFields(experience),
+    field_sources: sources
+  };
+}
+
+/**
+ * Normalize a posting that arrived as structured data (ATS JSON)
+ * Fields the source provides are kept as-is; the rest are derived from the description as normalizeJobHTML would
+ * @param {Object} fields - { title, company, location, locations, country, country_code, description_html, salary, is_remote,
+ *                            posting_date, expires_at, departments, employment_type, requisition_id,
+ *                            source_provider, source_job_id }
+ */
+export function normalizeStructuredJob(fields) {
+  const $ = cheerio.load(fields.description_html || '');
+  $('script, style, noscript').remove();
+  
+  // Keep words in adjacent blocks apart ("<h2>About</h2><p>We...")
+  $('p, div, li, br, h1, h2, h3, h4, h5, h6, tr').append(' ');
+  
   const text = $('body').text().replace(/\s+/g, ' ').trim();
+  const locationText = [fields.location, ...(fields.locations || []), fields.country].filter(Boolean).join(' ');
+  const countryCode = fields.country_code || extractCountryCode($, `${locationText} ${text}`);
+  
+  return {
+    title: fields.title,
+    ...classifyTitle(fields.title),
+    company: fields.company || 'Unknown Company',
+    location: fields.location || null,
+    country_code: countryCode,
+    salary: fields.salary || parseSalary(text, { countryCode }),
+    skills: extractSkills(text),
+    domains: extractDomains(text),
+    normalized_text: text,
+    is_remote: fields.is_remote ?? detectRemote(locationText),
+    recruiter_email: extractRecruiterEmail($, text),
+    recruiter_type: classifyRecruiterType($, text),
+    posting_date: fields.posting_date || null,
+    expires_at: fields.expires_at || null,
+    ...experienceFields(extractExperience(text)),
+    
+    // Structured-only fields
+    locations: fields.locations || (fields.location ? [fields.location] : []),
+    departments: fields.departments || [],
+    employment_type: fields.employment_type || null,
+    requisition_id: fields.requisition_id || null,
+    source_provider: fields.source_provider,
+    source_job_id: fields.source_job_id
+  };
+}
+
+/**
+ * Normalize a job description that arrived as plain text (pasted spec, extracted PDF)
+ * Runs the same extractors as normalizeJobHTML; fields the user supplied win over extracted ones
+ * @param {string} rawText - Description with its original line breaks
+ * @param {Object} fields - { title, company, location } (all optional)
+ */
+export function normalizeJobText(rawText, fields = {}) {
+  const $ = cheerio.load('');
+  const lines = rawText.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const text = lines.join(' ').replace(/\s+/g, ' ').trim();
+  // Specs usually label these on their own line; the page regexes would run on into the next line
+  const location = fields.location || extractLabelledLine(lines, 'location|based in|office') || extractLocation($, text);
+  const title = fields.title || extractTextTitle(lines);
+  const countryCode = extractCountryCode($, `${location || ''} ${text}`);
   
   return {
-    title: extractTitle($, text),
-    company: extractCompany($, text),
-    location: extractLocation($, text),
-    country_code: extractCountryCode($, text),
-    salary: extractSalary($, text),
+    title,
+    ...classifyTitle(title),
+    company: fields.company || extractLabelledLine(lines, 'company|employer|client|organi[sz]ation') || extractCompany($, text),
+    location,
+    country_code: countryCode,
+    salary: parseSalary(text, { countryCode }),
     skills: extractSkills(text),
     domains: extractDomains(text),
     normalized_text: text,
     is_remote: detectRemote(text),
     recruiter_email: extractRecruiterEmail($, text),
     recruiter_type: classifyRecruiterType($, text),
-    posting_date: extractPostingDate($, text)
+    posting_date: null,
+    expires_at: null,
+    ...experienceFields(extractExperience(text))
+  };
+}
+
+// Years of experience asked for, as stored on job_normalized (experience_max null = open-ended)
+function experienceFields(experience) {
+  return {
+    experience_min: experience?.min ?? null,
+    experience_max: experience?.max ?? null,
+    experience_raw: experience?.raw || null
   };
 }
 
+function extractLabelledLine(lines, labels) {
+  const pattern = new RegExp(`^(?:${labels})\\s*[:\\-–]\\s*(.{2,100})$`, 'i');
+  
+  for (const line of lines) {
+    const match = line.match(pattern);
+    if (match) return match[1].trim();
+  }
+  
+  return null;
+}
+
+function extractTextTitle(lines) {
+  // "Job Title: Senior Data Engineer"
+  for (const line of lines.slice(0, 15)) {
+    const match = line.match(/^(?:job title|position|role|vacancy)\s*[:\-–]\s*(.{3,120})$/i);
+    if (match) return match[1].trim();
+  }
+  
+  // Otherwise the first short line that is not a document heading
+  const heading = lines
+    .slice(0, 5)
+    .find(line => line.length > 3 && line.length < 100 && !/^(job (description|specification|spec|profile)|role profile|confidential)$/i.test(line));
+  
+  return heading || 'Unknown Position';
+}
+
 function extractTitle($, text) {
   // Try common meta tags first
   const ogTitle = $('meta[property="og:title"]').attr('content');
@@ -52,9 +243,9 @@ function extractTitle($, text) {
 }
 
 function extractCompany($, text) {
-  // Try meta tags
+  // Try meta tags - unless they name the job board the posting is on
   const ogSiteName = $('meta[property="og:site_name"]').attr('content');
-  if (ogSiteName) return ogSiteName.trim();
+  if (ogSiteName && !JOB_BOARD_NAMES.test(ogSiteName.trim())) return ogSiteName.trim();
   
   // Common patterns
   const patterns = [
@@ -72,23 +263,6 @@ function extractCompany($, text) {
 }
 
 function extractLocation($, text) {
-  // Try structured data
-  const schemaLocation = $('script[type="application/ld+json"]')
-    .toArray()
-    .map(el => {
-      try {
-        const data = JSON.parse($(el).html());
-        return data.jobLocation?.address?.addressLocality || 
-               data.jobLocation?.address?.addressRegion ||
-               data.address?.addressLocality;
-      } catch (e) {
-        return null;
-      }
-    })
-    .find(loc => loc);
-  
-  if (schemaLocation) return schemaLocation;
-  
   // Common location patterns
   const patterns = [
     /Location:\s*([A-Z][A-Za-z\s,.-]{3,80})/i,
@@ -104,21 +278,11 @@ function extractLocation($, text) {
   return null;
 }
 
-function extractCountryCode($, text) {
-  const locationText = (extractLocation($, text) || '').toLowerCase();
+function extractCountryCode($, text, location = undefined) {
+  const locationText = (location !== undefined ? location || '' : extractLocation($, text) || '').toLowerCase();
   const fullText = text.toLowerCase();
   
-  const countryMap = {
-    'GB': ['london', 'manchester', 'edinburgh', 'birmingham', 'uk', 'united kingdom', 'england', 'scotland', 'wales'],
-    'NL': ['amsterdam', 'rotterdam', 'the hague', 'utrecht', 'eindhoven', 'netherlands', 'holland'],
-    'DE': ['berlin', 'munich', 'frankfurt', 'hamburg', 'cologne', 'germany', 'deutschland'],
-    'SE': ['stockholm', 'gothenburg', 'malmö', 'uppsala', 'sweden', 'sverige'],
-    'AE': ['dubai', 'abu dhabi', 'uae', 'united arab emirates'],
-    'AU': ['sydney', 'melbourne', 'brisbane', 'perth', 'adelaide', 'australia'],
-    'CA': ['toronto', 'vancouver', 'montreal', 'calgary', 'ottawa', 'canada']
-  };
-  
-  for (const [code, keywords] of Object.entries(countryMap)) {
+  for (const [code, keywords] of Object.entries(COUNTRY_KEYWORDS)) {
     if (keywords.some(kw => locationText.includes(kw) || fullText.includes(kw))) {
       return code;
     }
@@ -127,73 +291,20 @@ function extractCountryCode($, text) {
   return null;
 }
 
-function extractSalary($, text) {
-  const patterns = [
-    // GBP formats
-    /£([\d,]+)(?:\s*-\s*£?([\d,]+))?(?:\s*(?:per|\/)\s*(year|annum|month|hour))?/i,
-    /(?:salary|compensation|pay):\s*£([\d,]+)(?:\s*-\s*£?([\d,]+))?/i,
-    
-    // EUR formats
-    /€([\d,]+)(?:\s*-\s*€?([\d,]+))?(?:\s*(?:per|\/)\s*(year|annum|month|hour))?/i,
-    
-    // USD/AUD/CAD formats
-    /\$([\d,]+)(?:\s*-\s*\$?([\d,]+))?(?:\s*(?:per|\/)\s*(year|annum|month|hour))?/i,
-    
-    // SEK formats
-    /([\d,]+)\s*SEK(?:\s*-\s*([\d,]+)\s*SEK)?/i,
-    
-    // Written formats
-    /([\d,]+)(?:\s*to\s*([\d,]+))?\s*(GBP|EUR|USD|AUD|CAD|SEK)/i
-  ];
-  
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match) {
-      const min = parseInt(match[1].replace(/,/g, ''));
-      const max = match[2] ? parseInt(match[2].replace(/,/g, '')) : min;
-      
-      let currency = 'GBP'; // default
-      if (text.includes('€') || text.includes('EUR')) currency = 'EUR';
-      else if (text.includes('$USD') || text.includes('USD')) currency = 'USD';
-      else if (text.includes('$AUD') || text.includes('AUD')) currency = 'AUD';
-      else if (text.includes('$CAD') || text.includes('CAD')) currency = 'CAD';
-      else if (text.includes('SEK')) currency = 'SEK';
-      
-      return {
-        raw: match[0],
-        min,
-        max,
-        currency,
-        period: match[3] || 'year'
-      };
-    }
-  }
-  
-  return null;
-}
-
-function extractSkills(text) {
-  const skillKeywords = [
-    'JavaScript', 'TypeScript', 'Python', 'Java', 'C++', 'C#', 'Go', 'Rust', 'Ruby', 'PHP',
-    'React', 'Angular', 'Vue', 'Node.js', 'Express', 'Django', 'Flask', 'Spring', 'Laravel',
-    'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'Terraform', 'Jenkins', 'GitLab',
-    'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Elasticsearch', 'Kafka', 'RabbitMQ',
-    'GraphQL', 'REST', 'API', 'Microservices', 'CI/CD', 'DevOps', 'Agile', 'Scrum',
-    'Machine Learning', 'AI', 'Data Science', 'TensorFlow', 'PyTorch', 'Pandas',
-    'Linux', 'Git', 'SQL', 'NoSQL', 'HTML', 'CSS', 'SASS', 'Webpack', 'Babel'
-  ];
-  
-  const found = new Set();
-  const lowerText = text.toLowerCase();
-  
-  for (const skill of skillKeywords) {
-    const pattern = new RegExp(`\\b${skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-    if (pattern.test(text)) {
-      found.add(skill);
-    }
+/**
+ * schema.org addressCountry ("GB", "UK", "United Kingdom") to an ISO code
+ */
+function resolveCountryCode(country) {
+  if (!country) return null;
+  
+  const value = String(country).trim();
+  if (/^[A-Za-z]{2}$/.test(value)) {
+    return value.toUpperCase() === 'UK' ? 'GB' : value.toUpperCase();
   }
   
-  return Array.from(found);
+  const lower = value.toLowerCase();
+  const match = Object.entries(COUNTRY_KEYWORDS).find(([, keywords]) => keywords.includes(lower));
+  return match ? match[0] : null;
 }
 
 function extractDomains(text) {
@@ -259,21 +370,6 @@ function classifyRecruiterType($, text) {
 }
 
 function extractPostingDate($, text) {
-  // Try schema.org structured data
-  const schemaDate = $('script[type="application/ld+json"]')
-    .toArray()
-    .map(el => {
-      try {
-        const data = JSON.parse($(el).html());
-        return data.datePosted;
-      } catch (e) {
-        return null;
-      }
-    })
-    .find(date => date);
-  
-  if (schemaDate) return schemaDate;
-  
   // Try meta tags
   const publishedTime = $('meta[property="article:published_time"]').attr('content');
   if (publishedTime) return publishedTime;
@@ -293,3 +389,20 @@ function extractPostingDate($, text) {
   
   return null;
 }
+
+/**
+ * Plain text from description HTML, which JSON-LD sometimes carries entity-escaped
+ */
+function htmlToText(html) {
+  if (!html) return '';
+  
+  let $ = cheerio.load(html);
+  if (/&lt;\/?[a-z]/i.test(html)) {
+    $ = cheerio.load($.root().text());
+  }
+  
+  // Keep words in adjacent blocks apart ("<h2>About</h2><p>We...")
+  $('p, div, li, br, h1, h2, h3, h4, h5, h6, tr').append(' ');
+  
+  return $.root().text().replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,153 @@
+// Experience Requirements
+// Reads the years of experience a posting asks for ("5+ years", "3-5 years", "minimum of seven years",
+// "mindestens 5 Jahre Berufserfahrung", "minimaal 3 jaar werkervaring") into a min/max range
+
+const NUMBER_WORDS = {
+  // English
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20,
+  // German
+  ein: 1, eine: 1, einem: 1, einen: 1, zwei: 2, drei: 3, vier: 4, 'fünf': 5, funf: 5, sechs: 6, sieben: 7,
+  acht: 8, neun: 9, zehn: 10, zwanzig: 20,
+  // Dutch
+  een: 1, 'één': 1, twee: 2, drie: 3, vijf: 5, zes: 6, zeven: 7, negen: 9, tien: 10, twintig: 20
+};
+
+const NUMBER = `(\\d{1,2}(?:[.,]5)?|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+const YEARS = '(?:years?|yrs?|jahre?n?|jaar|jaren)';
+const TO = '(?:\\s*(?:-|–|—|to|bis|tot|or|oder|of)\\s*)';
+
+// Bare amounts have to be about experience, not company age ("founded 20 years ago"): the experience word must
+// follow the years ("5 years of relevant experience", "5 Jahre Berufserfahrung") or lead into them ("experience of 5 years")
+const EXPERIENCE = '(?:experience|expertise|background|track record|working (?:with|in|as|on)|(?:berufs|praxis)?erfahrung|(?:werk)?ervaring)';
+const LINKING_WORD = '(?!(?:ago|and|or|but|we|our|you|since|und|oder|seit|en|of|sinds|geleden)\\s)[\\p{L}-]+\\s+';
+const EXPERIENCE_AFTER = new RegExp(`^(?:['’]s?)?\\s*(?:of\\s+|an\\s+)?(?:${LINKING_WORD}){0,3}${EXPERIENCE}`, 'iu');
+const EXPERIENCE_BEFORE = new RegExp(`${EXPERIENCE}\\s*(?:of|von|van|:|\\()?\\s*$`, 'iu');
+const LEAD_IN_CHARS = 40;
+
+// Ordered: ranges before open-ended minimums before bare amounts
+// explicit: a requirement phrasing ("3-5 years", "5+ years", "at least 5 years"); these win over any amount that is
+// only attached to an experience word ("over 20 years of experience in the industry"), whatever its size
+const PATTERNS = [
+  // "3-5 years", "3 to 5 years", "3–5 Jahre", "3 tot 5 jaar"
+  { type: 'range', explicit: true, regex: new RegExp(`\\b${NUMBER}${TO}${NUMBER}\\+?\\s*${YEARS}`, 'gi') },
+  // "between 3 and 5 years", "zwischen 3 und 5 Jahren", "tussen 3 en 5 jaar"
+  { type: 'range', explicit: true, regex: new RegExp(`\\b(?:between|zwischen|tussen)\\s+${NUMBER}\\s+(?:and|und|en)\\s+${NUMBER}\\s*${YEARS}`, 'gi') },
+  // "5+ years", "5 + Jahre", "5+ jaar"
+  { type: 'min', explicit: true, regex: new RegExp(`\\b${NUMBER}\\s*\\+\\s*${YEARS}`, 'gi') },
+  // "at least 5 years", "minimum of seven years", "mindestens 5 Jahre", "minimaal 3 jaar", "ten minste drie jaar"
+  {
+    type: 'min',
+    explicit: true,
+    regex: new RegExp(
+      `\\b(?:at least|a minimum of|minimum of|minimum|min\\.?|mindestens|mind\\.|minimaal|ten minste|tenminste|minstens)` +
+      `\\s+${NUMBER}\\s*(?:\\(\\d+\\)\\s*)?${YEARS}`,
+      'gi'
+    )
+  },
+  // "over 5 years", "more than 5 years", "über 5 Jahre", "meer dan 5 jaar"
+  {
+    type: 'min',
+    regex: new RegExp(`\\b(?:over|more than|in excess of|upwards of|über|mehr als|meer dan)\\s+${NUMBER}\\s*${YEARS}`, 'gi')
+  },
+  // "5 or more years", "5 years or more", "5 Jahre oder mehr"
+  { type: 'min', explicit: true, regex: new RegExp(`\\b${NUMBER}\\s+(?:or more\\s+${YEARS}|${YEARS}\\s+or more|${YEARS}\\s+oder mehr|${YEARS}\\s+of meer)`, 'gi') },
+  // "5 years of experience", "5 years' experience", "5 Jahre Berufserfahrung", "3 jaar ervaring"
+  { type: 'exact', regex: new RegExp(`\\b${NUMBER}\\s*${YEARS}\\b`, 'gi') }
+];
+
+// Requirements stated without a number
+const VAGUE_PATTERNS = [
+  { regex: /\bmehrjährige[nr]?\s+(?:Berufs)?erfahrung/i, min: 3 },
+  { regex: /\bmeerjarige\s+(?:werk)?ervaring/i, min: 3 },
+  { regex: /\b(?:several|many) years(?:'|’)? (?:of )?(?:experience|industry experience)/i, min: 3 },
+  { regex: /\b(?:no|keine|geen) (?:prior |previous )?(?:experience|berufserfahrung|werkervaring) (?:required|necessary|erforderlich|nodig|vereist)/i, min: 0, max: 0 }
+];
+
+const MAX_PLAUSIBLE_YEARS = 30;
+
+/**
+ * Experience required by a posting
+ * Explicit requirements ("5+ years", "at least 5 years") are read first, and the strongest of them wins when several
+ * are stated ("5+ years in product, 2+ in payments" -> 5+). Amounts only attached to an experience word
+ * ("10 years of experience with SQL") are the fallback when there is no explicit requirement.
+ * @param {string} text - Description text
+ * @param {Object} structured - schema.org experienceRequirements as mapped by json-ld.js ({ text, months })
+ * @returns {Object|null} { min, max, raw, source } - max is null for open-ended requirements ("5+ years")
+ */
+export function extractExperience(text, structured = null) {
+  if (structured?.months != null) {
+    const years = Math.round(structured.months / 12);
+    return { min: years, max: null, raw: structured.text || `${structured.months} months`, source: 'json_ld' };
+  }
+
+  if (structured?.text) {
+    const fromStructured = findRequirement(structured.text, false);
+    if (fromStructured) return { ...fromStructured, source: 'json_ld' };
+  }
+
+  const fromText = text ? findRequirement(text, true) : null;
+  return fromText ? { ...fromText, source: 'heuristic' } : null;
+}
+
+/**
+ * @param {boolean} requireContext - Check non-explicit amounts are attached to an experience word (free text);
+ *                                   structured experienceRequirements text is about experience already
+ */
+function findRequirement(text, requireContext) {
+  const candidates = [];
+  const taken = [];
+
+  for (const { type, regex, explicit = false } of PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+
+      // A shorter pattern inside a range already read ("3-5 years" also contains "5 years")
+      if (taken.some(([s, e]) => start < e && end > s)) continue;
+      if (requireContext && !explicit && !isAttachedToExperience(text, start, end)) continue;
+
+      const first = toYears(match[1]);
+      const second = type === 'range' ? toYears(match[2]) : null;
+      if (first == null || (type === 'range' && second == null)) continue;
+
+      const min = type === 'range' ? Math.min(first, second) : first;
+      const max = type === 'range' ? Math.max(first, second) : null;
+      if (min > MAX_PLAUSIBLE_YEARS || (max != null && max > MAX_PLAUSIBLE_YEARS)) continue;
+
+      taken.push([start, end]);
+      candidates.push({ min: Math.round(min), max: max != null ? Math.round(max) : null, raw: match[0].trim(), explicit });
+    }
+  }
+
+  const explicitCandidates = candidates.filter(candidate => candidate.explicit);
+  const pool = explicitCandidates.length > 0 ? explicitCandidates : candidates;
+  if (pool.length > 0) {
+    const { explicit, ...best } = pool.reduce((best, candidate) => (candidate.min > best.min ? candidate : best));
+    return best;
+  }
+
+  for (const { regex, min, max = null } of VAGUE_PATTERNS) {
+    const match = text.match(regex);
+    if (match) return { min, max, raw: match[0] };
+  }
+
+  return null;
+}
+
+// "5 years of relevant experience", "5 Jahre Berufserfahrung", "experience of 5 years" - but not "20 years ago; experience in SQL"
+function isAttachedToExperience(text, start, end) {
+  return EXPERIENCE_AFTER.test(text.slice(end)) ||
+    EXPERIENCE_BEFORE.test(text.slice(Math.max(0, start - LEAD_IN_CHARS), start));
+}
+
+function toYears(value) {
+  if (value == null) return null;
+  const word = NUMBER_WORDS[value.toLowerCase()];
+  if (word != null) return word;
+  const number = parseFloat(value.replace(',', '.'));
+  return isNaN(number) ? null : number;
+}
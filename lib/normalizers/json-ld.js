@@ -0,0 +1,259 @@
+// schema.org JobPosting (JSON-LD)
+// Finds the JobPosting a page embeds and maps it onto normalized job fields.
+// Most ATS and job board pages carry one; the normalizer treats it as the primary source.
+
+import { toDate, buildSalary, employmentTypeLabel } from '../ats/common.js';
+import { parseSalary, parseAmount } from './salary.js';
+
+// schema.org unitText -> salary period
+const SALARY_PERIODS = {
+  HOUR: 'hour',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year'
+};
+
+// Nesting to search for a JobPosting (WebPage.mainEntity, ItemPage.about, ...)
+const MAX_DEPTH = 4;
+
+/**
+ * First schema.org JobPosting embedded in a page as JSON-LD
+ * Looks through every ld+json block, top-level arrays, @graph and nested entities; node references
+ * ({ "@id": ... }) for the hiring organization and locations are resolved against the same page.
+ * @param {Object} $ - Cheerio root (before script tags are stripped)
+ * @returns {Object|null}
+ */
+export function readJobPostingJsonLd($) {
+  const blocks = $('script[type="application/ld+json"]')
+    .toArray()
+    .map(el => parseJsonLd($(el).html()))
+    .filter(Boolean);
+
+  const nodesById = new Map();
+  for (const block of blocks) {
+    indexNodes(block, nodesById, 0);
+  }
+
+  for (const block of blocks) {
+    const posting = findJobPosting(block, 0);
+    if (posting) {
+      return {
+        ...posting,
+        hiringOrganization: resolveNode(posting.hiringOrganization, nodesById),
+        jobLocation: [].concat(posting.jobLocation || []).map(place => resolveNode(place, nodesById))
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Readable locations from a JSON-LD jobLocation (object or array)
+ */
+export function jsonLdLocations(jobLocation) {
+  return [].concat(jobLocation || [])
+    .map(place => {
+      if (typeof place === 'string') return place;
+      const address = typeof place?.address === 'string' ? { addressLocality: place.address } : place?.address || {};
+      return [address.addressLocality, address.addressRegion, countryName(address.addressCountry)]
+        .filter(Boolean)
+        .join(', ');
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Map a JobPosting onto normalized job fields
+ * Only fields the posting actually states are set; the normalizer falls back to heuristics for the rest.
+ * @returns {Object} { title, company, location, locations, country, is_remote, salary, employment_type,
+ *                     posting_date, expires_at, requisition_id, experience_requirements, description_html }
+ */
+export function mapJobPosting(posting) {
+  if (!posting) return {};
+
+  const locations = jsonLdLocations(posting.jobLocation);
+  const countries = [].concat(posting.jobLocation || [])
+    .map(place => countryName(place?.address?.addressCountry))
+    .filter(Boolean);
+  const locationTypes = [].concat(posting.jobLocationType || []).map(type => String(type).toUpperCase());
+
+  return compact({
+    title: cleanText(posting.title || posting.name),
+    company: cleanText(organizationName(posting.hiringOrganization)),
+    location: locations[0],
+    locations: locations.length > 0 ? locations : undefined,
+    country: countries[0] || countryName(posting.applicantLocationRequirements?.name),
+    is_remote: locationTypes.includes('TELECOMMUTE') ? true : undefined,
+    salary: mapSalary(posting.baseSalary, posting.salaryCurrency),
+    employment_type: employmentTypeLabel(posting.employmentType),
+    posting_date: toDate(posting.datePosted),
+    expires_at: toDate(posting.validThrough),
+    requisition_id: identifierValue(posting.identifier),
+    experience_requirements: mapExperience(posting.experienceRequirements),
+    description_html: typeof posting.description === 'string' ? posting.description : undefined
+  });
+}
+
+function parseJsonLd(source) {
+  if (!source) return null;
+
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    // CMS output: HTML comment or CDATA wrappers, trailing semicolons, raw line breaks inside strings
+    const cleaned = source
+      .replace(/^\s*(?:<!--|\/\/\s*<!\[CDATA\[)/, '')
+      .replace(/(?:-->|\/\/\s*\]\]>)\s*$/, '')
+      .replace(/;\s*$/, '')
+      .replace(/[\u0000-\u001f]+/g, ' ');
+
+    try {
+      return JSON.parse(cleaned);
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+function findJobPosting(node, depth) {
+  if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return null;
+
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const posting = findJobPosting(item, depth + 1);
+      if (posting) return posting;
+    }
+    return null;
+  }
+
+  if (hasType(node, 'JobPosting')) return node;
+
+  for (const key of ['@graph', 'mainEntity', 'mainEntityOfPage', 'about', 'itemListElement', 'item']) {
+    const posting = findJobPosting(node[key], depth + 1);
+    if (posting) return posting;
+  }
+
+  return null;
+}
+
+function indexNodes(node, nodesById, depth) {
+  if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return;
+
+  if (Array.isArray(node)) {
+    node.forEach(item => indexNodes(item, nodesById, depth + 1));
+    return;
+  }
+
+  if (node['@id'] && Object.keys(node).length > 1) {
+    nodesById.set(node['@id'], node);
+  }
+  indexNodes(node['@graph'], nodesById, depth + 1);
+}
+
+function resolveNode(node, nodesById) {
+  if (node && typeof node === 'object' && node['@id'] && Object.keys(node).length === 1) {
+    return nodesById.get(node['@id']) || node;
+  }
+  return node;
+}
+
+function hasType(node, type) {
+  return [].concat(node['@type'] || []).some(value => String(value).replace(/^.*[/:]/, '') === type);
+}
+
+function organizationName(organization) {
+  if (!organization) return null;
+  if (typeof organization === 'string') return organization;
+  return [].concat(organization)[0]?.name || null;
+}
+
+function countryName(country) {
+  if (!country) return null;
+  if (typeof country === 'string') return country;
+  return country.name || country.identifier || null;
+}
+
+function identifierValue(identifier) {
+  if (!identifier) return undefined;
+  if (typeof identifier !== 'object') return String(identifier);
+  const value = [].concat(identifier)[0]?.value;
+  return value != null ? String(value) : undefined;
+}
+
+/**
+ * baseSalary: a MonetaryAmount whose value is a number or a QuantitativeValue ({ value | minValue/maxValue, unitText }),
+ * or free text some sites put there instead ("€70.000 - €85.000 pro Jahr")
+ */
+function mapSalary(baseSalary, salaryCurrency) {
+  const amount = [].concat(baseSalary || [])[0];
+  if (amount == null) return undefined;
+
+  if (typeof amount === 'string') {
+    const parsed = parseSalary(amount);
+    if (parsed) return parsed;
+  }
+
+  const value = typeof amount === 'object' ? amount.value ?? amount : amount;
+  const quantity = typeof value === 'object' ? value : { value };
+
+  // A string value can hold the whole range ("70.000 - 85.000")
+  const range = typeof quantity.value === 'string' ? quantity.value.split(/\s*(?:–|—|-|\bto\b)\s*/) : [];
+  const min = toNumber(quantity.minValue ?? range[0] ?? quantity.value);
+  const max = toNumber(quantity.maxValue ?? range[range.length - 1] ?? quantity.value);
+  if (min == null && max == null) return undefined;
+
+  const unit = String(quantity.unitText || amount.unitText || 'YEAR').toUpperCase();
+  const currency = amount.currency || salaryCurrency || null;
+
+  return buildSalary(min, max, currency ? String(currency).toUpperCase() : null, SALARY_PERIODS[unit] || 'year') || undefined;
+}
+
+/**
+ * experienceRequirements: free text, or OccupationalExperienceRequirements with monthsOfExperience
+ * @returns {Object} { text, months }
+ */
+function mapExperience(requirements) {
+  const requirement = [].concat(requirements || [])[0];
+  if (!requirement) return undefined;
+
+  if (typeof requirement === 'string') {
+    return { text: cleanText(requirement), months: null };
+  }
+
+  const months = toNumber(requirement.monthsOfExperience);
+  const text = cleanText(requirement.description || requirement.name);
+  if (months == null && !text) return undefined;
+
+  return { text: text || null, months };
+}
+
+// Strings are read in the locale they were written in: "70.000" is seventy thousand, as on the page
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const digits = String(value).replace(/[^\d.,\s]/g, '').trim();
+  if (!/\d/.test(digits)) return null;
+
+  const number = parseAmount(digits);
+  return isNaN(number) ? null : number;
+}
+
+// Titles and names sometimes arrive HTML-escaped or with markup
+function cleanText(value) {
+  if (value == null) return undefined;
+  const text = String(value)
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&#0*39;|&apos;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text || undefined;
+}
+
+function compact(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+}
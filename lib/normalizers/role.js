@@ -0,0 +1,118 @@
+// Role Classification
+// Sorts a job title into a role family (product, engineering, data, design, sales...) and a seniority level
+// (intern -> executive), reading abbreviations such as "Sr.", "PM", "GPM", "Staff", "Principal" and IC levels
+
+// Lowest to highest; scoring compares positions in this list
+export const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'staff', 'principal', 'director', 'vp', 'executive'];
+
+// Checked in order: specific families before the generic ones they overlap with
+// ("Product Designer" is design, "Sales Engineer" is sales, "Data Product Manager" is product)
+// An analyst is data only with a data qualifier: "Business Analyst" and "Graduate Analyst" are not data roles
+const ROLE_FAMILIES = [
+  { family: 'design', pattern: /\bdesign(?:er)?\b|\bux\b|\bui\b|user research|\bcreative director\b/ },
+  { family: 'marketing', pattern: /marketing|marketer|\bseo\b|\bcontent (?:strateg|writer|manager|lead)|\bbrand\b|communications|\bpr manager\b|\bcmo\b/ },
+  { family: 'sales', pattern: /\bsales\b|account executive|\bae\b|account manager|business development|\bbdr\b|\bsdr\b|partnerships?\b|\bcro\b/ },
+  { family: 'customer_success', pattern: /customer success|customer support|customer experience|\bsupport (?:specialist|agent|analyst|engineer|manager)|implementation (?:manager|consultant|specialist)|onboarding/ },
+  { family: 'product', pattern: /\bproduct (?:manager|management|owner|lead|director|head)|(?:head|director)(?: of|,) product\b|(?:vp|vice president)[,\s]+(?:of\s+)?product\b|\bproduct\b(?=.*\b(?:manager|owner)\b)|\b[ags]?pm\b|\bcpo\b|chief product/ },
+  { family: 'project', pattern: /\bproject manager|\bprogram(?:me)? manager|delivery (?:manager|lead)|scrum master|agile coach|\btpm\b|\bpmo\b/ },
+  { family: 'data', pattern: /\bdata\b|analytics|\binsights? analyst\b|machine learning|\bml\b|\bai (?:engineer|scientist|researcher)|scientist|\bbi\b|business intelligence|\bcdo\b|statistician/ },
+  { family: 'engineering', pattern: /engineer|engineering|developer|\bdev\b|devops|\bsre\b|architect|software|programmer|\bqa\b|tester|\bcto\b|full[- ]?stack|front[- ]?end|back[- ]?end|\btech(?:nical)? lead\b/ },
+  { family: 'finance', pattern: /financ|accountant|accounting|controller|treasury|\bcfo\b|\baudit/ },
+  { family: 'people', pattern: /\bhr\b|human resources|people (?:partner|operations|lead|manager)|recruit|talent|\bchro\b/ },
+  { family: 'legal', pattern: /legal|lawyer|counsel|solicitor|paralegal|compliance/ },
+  { family: 'operations', pattern: /operations|\bops\b|\bcoo\b|office manager|supply chain|logistics|procurement/ }
+];
+
+// Checked in order: an explicit level beats a generic one ("Associate Director" is director, "Senior Associate" senior)
+// "Lead" is a level only next to a role noun ("Lead Engineer", "Design Lead"), not in "Lead Generation Specialist"
+const SENIORITY_PATTERNS = [
+  { level: 'intern', pattern: /\bintern(?:ship)?\b|\btrainee\b|\bplacement\b|\bwerkstudent|\bpraktikant|\bstagiair|\bstage\b/ },
+  { level: 'vp', pattern: /\bvp\b|\bsvp\b|\bevp\b|vice[- ]president/ },
+  { level: 'executive', pattern: /\bchief\b|\bc[eotpfmdi]o\b|\bchro\b|\bpresident\b|\bfounder\b|managing director|\bgeneral manager\b|\bgeschäftsführer/ },
+  { level: 'director', pattern: /\bdirector\b|\bhead of\b|\bhead\b|\bdirecteur\b|\bleiter\b/ },
+  { level: 'principal', pattern: /\bprincipal\b|\bdistinguished\b|\bfellow\b|\bgpm\b|group product manager/ },
+  { level: 'staff', pattern: /\bstaff\b|\blead\b(?! gen)(?: [\w-]+){0,3}? (?:engineer|developer|designer|scientist|analyst|architect|researcher|programmer|tester|consultant|manager|writer|strategist)s?\b|\b(?:tech|technical|team|engineering|software|design|product|data|analytics|qa|test|front[- ]?end|back[- ]?end|full[- ]?stack|platform|infrastructure|devops|security|mobile|ios|android|web|ux|ui|research|marketing|content|delivery) lead\b|\bmanager,? (?:engineering|software)\b|\bengineering manager\b/ },
+  { level: 'senior', pattern: /\bsenior\b|\bsr\b\.?|\bsnr\b|\bspm\b|\bexperienced\b/ },
+  { level: 'junior', pattern: /\bjunior\b|\bjr\b\.?|\bjnr\b|\bgraduate\b|\bgrad\b|entry[- ]level|\bassociate\b|\bapm\b|\bapprentice/ },
+  { level: 'mid', pattern: /\bmid[- ]?(?:level|weight)?\b|\bintermediate\b/ }
+];
+
+// Numbered ladders: IC1-IC6, Google/Meta style L3-L8 and E3-E8, "Engineer I/II/III"
+const IC_LEVELS = { 1: 'junior', 2: 'mid', 3: 'senior', 4: 'staff', 5: 'principal', 6: 'principal' };
+const LADDER_LEVELS = { 3: 'junior', 4: 'mid', 5: 'senior', 6: 'staff', 7: 'principal', 8: 'principal' };
+const ROMAN_LEVELS = { i: 'junior', ii: 'mid', iii: 'senior', iv: 'staff', v: 'principal' };
+
+/**
+ * Classify a job title
+ * @param {string} title
+ * @returns {Object} { role_family, seniority } - role_family is null for titles no family matches;
+ *                   seniority falls back to 'mid' when the title carries no level
+ */
+export function classifyTitle(title) {
+  if (!title) return { role_family: null, seniority: null };
+
+  return {
+    role_family: detectRoleFamily(title),
+    seniority: detectSeniority(title) || 'mid'
+  };
+}
+
+/**
+ * @returns {string|null} Role family, or null when nothing matches
+ */
+export function detectRoleFamily(title) {
+  const text = cleanTitle(title);
+  const match = ROLE_FAMILIES.find(({ pattern }) => pattern.test(text));
+  return match ? match.family : null;
+}
+
+/**
+ * @returns {string|null} Seniority level the title states, or null when it states none
+ */
+export function detectSeniority(title) {
+  const text = cleanTitle(title);
+
+  const explicit = SENIORITY_PATTERNS.find(({ pattern }) => pattern.test(text));
+  if (explicit) return explicit.level;
+
+  const ic = text.match(/\bic\s?-?(\d)\b/);
+  if (ic && IC_LEVELS[ic[1]]) return IC_LEVELS[ic[1]];
+
+  const ladder = text.match(/\b[le]-?(\d)\b/);
+  if (ladder && LADDER_LEVELS[ladder[1]]) return LADDER_LEVELS[ladder[1]];
+
+  // A trailing numeral, or one before a separator ("Software Engineer II - Payments")
+  const roman = title.match(/\s(I{1,3}|IV|V)(?=\s*(?:$|[-–|,(/]))/);
+  if (roman) return ROMAN_LEVELS[roman[1].toLowerCase()];
+
+  return null;
+}
+
+/**
+ * Position of a level in SENIORITY_LEVELS (-1 when unknown)
+ */
+export function seniorityRank(level) {
+  return SENIORITY_LEVELS.indexOf(level);
+}
+
+/**
+ * Seniority a number of years in work usually maps to, for profiles that name roles without a level
+ * @returns {string|null}
+ */
+export function seniorityForYears(years) {
+  if (!years) return null;
+  if (years < 2) return 'junior';
+  if (years < 5) return 'mid';
+  if (years < 8) return 'senior';
+  if (years < 11) return 'staff';
+  return 'principal';
+}
+
+// Lower-case and drop gender notes ("(m/w/d)", "(all genders)") that trip the word patterns
+function cleanTitle(title) {
+  return String(title)
+    .toLowerCase()
+    .replace(/\((?:m\/w\/d|m\/f\/d|f\/m\/d|w\/m\/d|all genders|h\/f|m\/v)\)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
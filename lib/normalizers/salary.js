@@ -0,0 +1,189 @@
+// Salary Parser
+// Reads an advertised salary ("£60k–£75k", "€70.000", "up to £90,000 + bonus", "£500/day", "SEK 55 000 per month")
+// into { raw, min, max, currency, period } plus the annual equivalent
+
+// Currency written next to the amount; '$' depends on the country of the job
+const CURRENCY_SYMBOLS = {
+  '£': 'GBP',
+  '€': 'EUR',
+  'us$': 'USD',
+  'a$': 'AUD',
+  'au$': 'AUD',
+  'c$': 'CAD',
+  'ca$': 'CAD',
+  'kr': 'SEK',
+  'kr.': 'SEK',
+  'sek': 'SEK',
+  'dhs': 'AED',
+  'aed': 'AED'
+};
+
+const DOLLAR_CURRENCIES = { AU: 'AUD', CA: 'CAD' };
+
+// Currency an unmarked, labelled amount ("Salary: 45,000 - 55,000") is assumed to be in
+const COUNTRY_CURRENCIES = { GB: 'GBP', NL: 'EUR', DE: 'EUR', SE: 'SEK', AE: 'AED', AU: 'AUD', CA: 'CAD', US: 'USD' };
+
+// Working time used to annualise: 37.5h weeks, 220 contractor days
+const PERIODS_PER_YEAR = { hour: 1950, day: 220, week: 52, month: 12, year: 1 };
+
+const CURRENCY = '(?:US\\$|AU?\\$|CA?\\$|[£€$]|\\b(?:GBP|EUR|USD|AUD|CAD|SEK|AED|CHF)\\b|\\bkr\\b\\.?|\\bDhs\\b)';
+// Grouped thousands (70,000 / 70.000 / 55 000) or a plain number, either with up to two decimals
+const NUMBER = '\\d{1,3}(?:[,.\\u00a0\\u202f ]\\d{3})+(?:[.,]\\d{1,2})?(?!\\d)|\\d+(?:[.,]\\d{1,2})?(?!\\d)';
+const AMOUNT = (n) =>
+  `(?<pre${n}>${CURRENCY})?\\s?(?<num${n}>${NUMBER})(?<k${n}>\\s?[kK](?![a-zA-Z]))?(?:\\s?(?<post${n}>${CURRENCY}))?`;
+const SALARY_PATTERN = new RegExp(`${AMOUNT(1)}(?:\\s*(?:-|–|—|to|bis|tot)\\s*${AMOUNT(2)})?`, 'g');
+
+// Words in front of an amount that make it a salary even without a currency
+const SALARY_LABEL = /(?:salary|compensation|pay|rate|package|remuneration|\bote\b|base|gehalt|vergütung|salaris|\bloon\b|lön)[^.\d]{0,25}$/i;
+
+// Amounts that are about the company, not the job
+const NOT_SALARY_BEFORE = /(?:raised|funding|revenue|valuation|turnover|series [a-e]|invest\w*|backed by|bonus of)[^.]{0,20}$/i;
+const NOT_SALARY_AFTER = /^\s*(?:m|mn|million|bn|billion|%|\+?\s*(?:users|customers|employees|people|countries|years?))\b/i;
+
+const UPPER_BOUND_BEFORE = /(?:up to|upto|max(?:imum)?\.?|bis zu|tot|maximaal)\s*$/i;
+const LOWER_BOUND_BEFORE = /(?:from|starting (?:at|from)|min(?:imum)?\.?|ab|vanaf|vana)\s*$/i;
+
+// Read after the amount, optionally past "gross"/"brutto" ("€4.500 brutto pro Monat")
+const PERIOD_AFTER = [
+  { period: 'hour', pattern: /^\s*(?:gross\s+|brutto\s+|bruto\s+)?(?:(?:per|an|a|pro|\/|p\/?)\s*(?:hour|hr|h|stunde|uur|timme)\b|hourly\b|ph\b)/i },
+  { period: 'day', pattern: /^\s*(?:gross\s+|brutto\s+|bruto\s+)?(?:(?:per|a|pro|\/|p\/?)\s*(?:day|d|tag|dag)\b|daily\b|pd\b|day rate\b)/i },
+  { period: 'week', pattern: /^\s*(?:gross\s+|brutto\s+|bruto\s+)?(?:(?:per|a|pro|\/|p\/?)\s*(?:week|wk|woche)\b|weekly\b|pw\b)/i },
+  { period: 'month', pattern: /^\s*(?:gross\s+|brutto\s+|bruto\s+)?(?:(?:per|a|pro|\/|p\/?|i)\s*(?:month|mth|mo|monat|maand|månad(?:en)?|mån)\b|monthly\b|pcm\b|monatlich\b|maandelijks\b)/i },
+  { period: 'year', pattern: /^\s*(?:gross\s+|brutto\s+|bruto\s+)?(?:(?:per|a|pro|\/|p\.?\s?)\s*(?:year|yr|annum|jahr|jaar|år|a\b\.?)|annually\b|p\.?a\.?(?![a-z])|yearly\b|jährlich\b)/i }
+];
+
+// Read in front of the amount ("Day rate: £500")
+const PERIOD_BEFORE = [
+  { period: 'hour', pattern: /(?:hourly rate|per hour|stundensatz|uurtarief)[^.\d]{0,15}$/i },
+  { period: 'day', pattern: /(?:day rate|daily rate|per day|tagessatz|dagtarief)[^.\d]{0,15}$/i },
+  { period: 'month', pattern: /(?:monthly (?:salary|pay)|monatsgehalt|maandsalaris|månadslön)[^.\d]{0,15}$/i }
+];
+
+// Plausible annual pay in local units (SEK and AED salaries run into the hundreds of thousands)
+const MIN_ANNUAL = 1000;
+const MAX_ANNUAL = 5000000;
+
+/**
+ * Find the advertised salary in posting text
+ * The currency is the one written against the amount; an amount with no currency is only read after a
+ * salary label, in the currency of the job's country.
+ * @param {string} text
+ * @param {Object} options - { countryCode }
+ * @returns {Object|null} { raw, min, max, currency, period, annual_min, annual_max }; min is null for
+ *                        "up to" amounts and max for "from" amounts
+ */
+export function parseSalary(text, options = {}) {
+  if (!text) return null;
+
+  let fallback = null;
+
+  for (const match of String(text).matchAll(SALARY_PATTERN)) {
+    const candidate = readCandidate(text, match, options.countryCode);
+    if (!candidate) continue;
+
+    // A labelled amount beats an earlier unlabelled one ("£500 referral bonus ... Salary: £60k")
+    if (candidate.labelled) return candidate.salary;
+    if (!fallback) fallback = candidate.salary;
+  }
+
+  return fallback;
+}
+
+/**
+ * Add annual_min / annual_max to a salary object from any source
+ */
+export function annualizeSalary(salary) {
+  if (!salary) return null;
+
+  const factor = PERIODS_PER_YEAR[salary.period] || 1;
+  const annual = (value) => (value === null || value === undefined ? null : Math.round(value * factor));
+
+  return { ...salary, annual_min: annual(salary.min), annual_max: annual(salary.max) };
+}
+
+/**
+ * Amount in text -> number
+ * Separators followed by exactly three digits group thousands, whichever character the locale uses
+ * ("70,000", "70.000", "55 000"); otherwise the last separator is the decimal point ("12.50", "12,50", "1.234,56").
+ */
+export function parseAmount(value) {
+  const compact = String(value).replace(/[\s  ]/g, '');
+  const separators = compact.match(/[.,]/g) || [];
+  if (separators.length === 0) return Number(compact);
+
+  const lastIndex = Math.max(compact.lastIndexOf('.'), compact.lastIndexOf(','));
+  const decimals = compact.slice(lastIndex + 1);
+  const mixed = new Set(separators).size > 1;
+
+  if (mixed || decimals.length !== 3) {
+    const whole = compact.slice(0, lastIndex).replace(/[.,]/g, '');
+    return Number(`${whole}.${decimals}`);
+  }
+
+  return Number(compact.replace(/[.,]/g, ''));
+}
+
+function readCandidate(text, match, countryCode) {
+  const groups = match.groups;
+  const before = text.slice(Math.max(0, match.index - 60), match.index);
+  const end = match.index + match[0].length;
+  const after = text.slice(end, end + 40);
+
+  if (NOT_SALARY_BEFORE.test(before) || NOT_SALARY_AFTER.test(after)) return null;
+
+  const currencyToken = groups.pre1 || groups.post1 || groups.pre2 || groups.post2;
+  const labelled = SALARY_LABEL.test(before);
+  if (!currencyToken && !labelled) return null;
+
+  const currency = currencyToken
+    ? resolveCurrency(currencyToken, countryCode)
+    : COUNTRY_CURRENCIES[countryCode] || null;
+
+  let low = parseAmount(groups.num1);
+  let high = groups.num2 ? parseAmount(groups.num2) : null;
+  if (groups.k1) low *= 1000;
+  if (high !== null && groups.k2) {
+    high *= 1000;
+    // "£60-75k": the k covers both ends
+    if (!groups.k1 && low < 1000) low *= 1000;
+  }
+
+  const periodAfter = PERIOD_AFTER.find(({ pattern }) => pattern.test(after));
+  const periodBefore = PERIOD_BEFORE.find(({ pattern }) => pattern.test(before));
+  const period = periodAfter?.period || periodBefore?.period || 'year';
+
+  let min = low;
+  let max = high ?? low;
+  if (max < min) [min, max] = [max, min];
+
+  // An annual figure in the hundreds is a fee or a count, not a salary
+  const factor = PERIODS_PER_YEAR[period];
+  if (max * factor < MIN_ANNUAL || min * factor > MAX_ANNUAL) return null;
+
+  let rawStart = match.index;
+  if (high === null) {
+    const upper = before.match(UPPER_BOUND_BEFORE);
+    const lower = before.match(LOWER_BOUND_BEFORE);
+    if (upper) {
+      min = null;
+      rawStart -= upper[0].length;
+    } else if (lower) {
+      max = null;
+      rawStart -= lower[0].length;
+    }
+  }
+
+  const periodText = periodAfter ? after.match(periodAfter.pattern)[0] : '';
+  const raw = text.slice(rawStart, end + periodText.length).replace(/\s+/g, ' ').trim();
+
+  return {
+    labelled,
+    salary: annualizeSalary({ raw, min, max, currency, period })
+  };
+}
+
+function resolveCurrency(token, countryCode) {
+  const key = token.toLowerCase();
+  if (key === '$') return DOLLAR_CURRENCIES[countryCode] || 'USD';
+  return CURRENCY_SYMBOLS[key] || token.toUpperCase();
+}
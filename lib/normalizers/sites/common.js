@@ -0,0 +1,64 @@
+// Shared helpers for site extractors
+
+/**
+ * Text of the first selector that matches something non-empty
+ */
+export function firstText($, selectors) {
+  for (const selector of selectors) {
+    const text = $(selector).first().text().replace(/\s+/g, ' ').trim();
+    if (text) return text;
+  }
+  return null;
+}
+
+/**
+ * Inner HTML of the first selector that matches something non-empty
+ */
+export function firstHtml($, selectors) {
+  for (const selector of selectors) {
+    const html = $(selector).first().html();
+    if (html && html.trim()) return html;
+  }
+  return null;
+}
+
+/**
+ * Content of the first meta tag present (by property or name)
+ */
+export function metaContent($, names) {
+  for (const name of names) {
+    const content = $(`meta[property="${name}"], meta[name="${name}"]`).attr('content');
+    if (content && content.trim()) return content.trim();
+  }
+  return null;
+}
+
+// A rating is a decimal ("4.1") or a whole number with a star marker ("4★"); a bare trailing digit is part of
+// the name ("Channel 4", "Formula 1", "B2")
+const RATING_SUFFIX = /\s+\d[.,]\d\s*(?:★|out of 5 stars?)?$|\s+\d\s*(?:★|out of 5 stars?)$/i;
+
+/**
+ * Company names shown with a rating ("Acme Ltd 4.1★", "Acme 3.9 out of 5 stars")
+ */
+export function cleanCompany(name) {
+  if (!name) return null;
+  const cleaned = name
+    .trim()
+    .replace(RATING_SUFFIX, '')
+    .replace(/\s*[-–|]\s*(?:jobs|careers|reviews)$/i, '')
+    .trim();
+  return cleaned || null;
+}
+
+/**
+ * Host match for a URL (the host or any subdomain of it)
+ */
+export function hostMatches(url, hosts) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+  return hosts.some(pattern => pattern.test(hostname));
+}
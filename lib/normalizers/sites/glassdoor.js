@@ -0,0 +1,28 @@
+// Glassdoor posting pages (/job-listing/<slug>?jl=<id>, /Job/...)
+// The employer name carries the company rating ("Acme Ltd 4.1★")
+
+import { firstText, firstHtml, metaContent, cleanCompany } from './common.js';
+
+export const site = 'glassdoor';
+
+export const hosts = [/(^|\.)glassdoor\.(com|co\.uk|de|nl|fr|ca|com\.au|ie)$/];
+
+export function matchPage($) {
+  return metaContent($, ['og:site_name']) === 'Glassdoor' ||
+    $('[data-test="employer-name"], [data-test="employerName"], [data-test="jobDescriptionContent"]').length > 0;
+}
+
+export function extract($) {
+  return {
+    title: firstText($, ['[data-test="job-title"]', 'h1[id^="jd-job-title"]', '[data-test="jobTitle"]', 'h1']),
+    company: cleanCompany(firstText($, ['[data-test="employer-name"]', '[data-test="employerName"]', '[class*="EmployerProfile_employerName"]'])),
+    location: firstText($, ['[data-test="location"]', '[data-test="emp-location"]']),
+    salary_text: firstText($, ['[data-test="detailSalary"]', '[data-test="salaryEstimate"]']),
+    description_html: firstHtml($, [
+      '[data-test="jobDescriptionContent"]',
+      '[class*="JobDetails_jobDescription"]',
+      '.jobDescriptionContent',
+      '#JobDescriptionContainer'
+    ])
+  };
+}
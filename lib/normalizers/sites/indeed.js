@@ -0,0 +1,35 @@
+// Indeed posting pages (/viewjob?jk=<id>, /rc/clk redirects land here)
+
+import { firstText, firstHtml, metaContent, cleanCompany } from './common.js';
+
+export const site = 'indeed';
+
+export const hosts = [/(^|\.)indeed\.(com|co\.uk|de|nl|fr|ca|com\.au|ae|se)$/];
+
+export function matchPage($) {
+  return $('#jobDescriptionText').length > 0 || metaContent($, ['og:site_name']) === 'Indeed';
+}
+
+export function extract($) {
+  const salaryAndType = $('#salaryInfoAndJobType span').toArray()
+    .map(el => $(el).text().replace(/^[\s-]+/, '').trim())
+    .filter(Boolean);
+
+  return {
+    title: (firstText($, ['[data-testid="jobsearch-JobInfoHeader-title"]', 'h1.jobsearch-JobInfoHeader-title', 'h1']) || '')
+      .replace(/\s*-\s*job post$/i, '') || null,
+    company: cleanCompany(firstText($, [
+      '[data-testid="inlineHeader-companyName"]',
+      '[data-company-name="true"]',
+      '.jobsearch-InlineCompanyRating > div:first-child'
+    ])),
+    location: firstText($, [
+      '[data-testid="inlineHeader-companyLocation"]',
+      '[data-testid="job-location"]',
+      '.jobsearch-JobInfoHeader-subtitle > div:last-child'
+    ]),
+    salary_text: salaryAndType.find(text => /\d/.test(text)) || firstText($, ['#salaryGuide', '[data-testid="attribute_snippet_testid"]']),
+    employment_type: salaryAndType.find(text => /time|permanent|contract|temporary|internship/i.test(text)) || null,
+    description_html: firstHtml($, ['#jobDescriptionText', '.jobsearch-jobDescriptionText'])
+  };
+}
@@ -0,0 +1,45 @@
+// Site Extractors
+// Job boards whose pages need their own selectors; matched by hostname, or by page signature for pages
+// clipped or saved away from their original URL. Anything else gets the generic heuristics.
+
+import { hostMatches } from './common.js';
+import * as linkedin from './linkedin.js';
+import * as indeed from './indeed.js';
+import * as reed from './reed.js';
+import * as glassdoor from './glassdoor.js';
+import * as stepstone from './stepstone.js';
+import * as totaljobs from './totaljobs.js';
+
+export const SITE_EXTRACTORS = { linkedin, indeed, reed, glassdoor, stepstone, totaljobs };
+
+// og:site_name values that name the board rather than the employer
+export const JOB_BOARD_NAMES = /^(linkedin|indeed(\.com)?|reed(\.co\.uk)?|glassdoor|stepstone|totaljobs|monster|cv-library|adzuna|jobsite|ziprecruiter)$/i;
+
+/**
+ * Find the extractor for a page
+ * @param {string} url - Source URL
+ * @param {Object} $ - Cheerio root
+ * @returns {Object|null} Extractor module
+ */
+export function findSiteExtractor(url, $) {
+  const extractors = Object.values(SITE_EXTRACTORS);
+  return extractors.find(extractor => hostMatches(url, extractor.hosts)) ||
+    extractors.find(extractor => extractor.matchPage($)) ||
+    null;
+}
+
+/**
+ * Run a site extractor, keeping only the fields it found
+ * A broken selector must not take the whole page down - the generic heuristics still run.
+ */
+export function extractSiteFields(extractor, $) {
+  try {
+    const fields = extractor.extract($);
+    return Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+  } catch (error) {
+    console.warn(`Site extractor ${extractor.site} failed: ${error.message}`);
+    return {};
+  }
+}
@@ -0,0 +1,44 @@
+// LinkedIn posting pages (/jobs/view/<id>, guest "top card" layout)
+// og:site_name is "LinkedIn" on every posting, so the company has to come from the top card
+
+import { firstText, firstHtml, metaContent, cleanCompany } from './common.js';
+
+export const site = 'linkedin';
+
+export const hosts = [/(^|\.)linkedin\.com$/];
+
+export function matchPage($) {
+  return metaContent($, ['og:site_name']) === 'LinkedIn' ||
+    /\|\s*LinkedIn\s*$/.test($('title').text()) ||
+    $('.top-card-layout, .topcard__title').length > 0;
+}
+
+export function extract($) {
+  // "Google hiring Senior Software Engineer in Mountain View, CA | LinkedIn"
+  const heading = (metaContent($, ['og:title']) || $('title').text() || '')
+    .match(/^(.+?) hiring (.+?)(?: in (.+?))?\s*\|\s*LinkedIn\s*$/);
+
+  // "Google | Senior Software Engineer | LinkedIn" / "Senior Software Engineer - Google | LinkedIn"
+  const pageTitle = $('title').text().replace(/\s*\|\s*LinkedIn\s*$/, '');
+  const [titlePart, companyPart] = pageTitle.split(/\s+-\s+(?=[^-]+$)/);
+
+  return {
+    title: firstText($, ['h1.top-card-layout__title', 'h1.topcard__title', '.job-details-jobs-unified-top-card__job-title h1', 'h1.job-title']) ||
+      heading?.[2] || titlePart || null,
+    company: cleanCompany(
+      firstText($, ['a.topcard__org-name-link', '.topcard__org-name-link', '.job-details-jobs-unified-top-card__company-name', '.company-name']) ||
+      heading?.[1] || companyPart
+    ),
+    location: firstText($, ['.topcard__flavor--bullet', '.job-details-jobs-unified-top-card__bullet', '.job-location']) || heading?.[3] || null,
+    description_html: firstHtml($, ['.show-more-less-html__markup', '.description__text', '#job-details', '.job-description']),
+    employment_type: criteria($, /employment type/i),
+    is_remote: /\bremote\b/i.test(firstText($, ['.topcard__flavor--bullet', '.job-details-jobs-unified-top-card__workplace-type']) || '') || undefined
+  };
+}
+
+// "Seniority level", "Employment type", "Job function", "Industries" list under the description
+function criteria($, label) {
+  const item = $('.description__job-criteria-item').toArray()
+    .find(el => label.test($(el).find('.description__job-criteria-subheader').text()));
+  return item ? $(item).find('.description__job-criteria-text').text().trim() || null : null;
+}
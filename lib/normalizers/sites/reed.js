@@ -0,0 +1,29 @@
+// Reed posting pages (reed.co.uk/jobs/<slug>/<id>)
+// Company is printed as "Posted 3 days ago by Acme Ltd"
+
+import { firstText, firstHtml, metaContent, cleanCompany } from './common.js';
+
+export const site = 'reed';
+
+export const hosts = [/(^|\.)reed\.co\.uk$/];
+
+export function matchPage($) {
+  return metaContent($, ['og:site_name']) === 'reed.co.uk' || $('[data-qa="job-description"]').length > 0;
+}
+
+export function extract($) {
+  const postedBy = firstText($, ['[data-qa="job-posted-by"]', '.posted-by']);
+
+  return {
+    title: firstText($, ['[data-qa="job-title"]', 'h1[itemprop="title"]', 'header.job-header h1', 'h1']),
+    company: cleanCompany(
+      firstText($, ['[itemprop="hiringOrganization"] [itemprop="name"]', '[data-qa="job-posted-by"] a', '.posted-by a']) ||
+      postedBy?.match(/\bby\s+(.+)$/i)?.[1]
+    ),
+    location: firstText($, ['[data-qa="job-location"]', '[itemprop="jobLocation"] [itemprop="addressLocality"]', '.location span']),
+    salary_text: firstText($, ['[data-qa="salary"]', '[itemprop="baseSalary"]', '.salary']),
+    employment_type: firstText($, ['[data-qa="job-type"]', '[itemprop="employmentType"]']),
+    is_remote: /work from home|remote/i.test(firstText($, ['[data-qa="remote-working"]', '[data-qa="job-location"]']) || '') || undefined,
+    description_html: firstHtml($, ['[data-qa="job-description"]', '[itemprop="description"]', '.description'])
+  };
+}
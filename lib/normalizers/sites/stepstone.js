@@ -0,0 +1,36 @@
+// StepStone posting pages (stepstone.de, .nl, .be, .at ...)
+// The same job-ad markup (data-at attributes) is used by the other StepStone group boards, e.g. Totaljobs
+
+import { firstText, firstHtml, metaContent, cleanCompany } from './common.js';
+
+export const site = 'stepstone';
+
+export const hosts = [/(^|\.)stepstone\.(de|nl|be|at|fr|pl|se|dk)$/];
+
+export function matchPage($) {
+  return $('[data-at="header-job-title"]').length > 0 && !/totaljobs/i.test(metaContent($, ['og:site_name']) || '');
+}
+
+export function extract($) {
+  return readJobAd($);
+}
+
+/**
+ * StepStone-platform job ad
+ */
+export function readJobAd($) {
+  const workFromHome = firstText($, ['[data-at="metadata-work-from-home"]', '[data-at="metadata-work-type"]']) || '';
+
+  return {
+    title: firstText($, ['[data-at="header-job-title"]', 'h1']),
+    company: cleanCompany(firstText($, ['[data-at="metadata-company-name"]', '[data-at="header-company-name"]'])),
+    location: firstText($, ['[data-at="metadata-location"]']),
+    salary_text: firstText($, ['[data-at="metadata-salary"]']),
+    employment_type: firstText($, ['[data-at="metadata-contract-type"]']),
+    is_remote: /home|remote|hybrid/i.test(workFromHome) || undefined,
+    description_html: $('[data-at="job-ad-content"], [data-at^="section-text-"]').toArray()
+      .map(el => $(el).html())
+      .filter(Boolean)
+      .join(' ') || firstHtml($, ['.job-ad-display', 'article'])
+  };
+}
@@ -0,0 +1,17 @@
+// Totaljobs posting pages (totaljobs.com/job/<slug>/<company>-job<id>)
+// Totaljobs runs on the StepStone platform and shares its job-ad markup
+
+import { metaContent } from './common.js';
+import { readJobAd } from './stepstone.js';
+
+export const site = 'totaljobs';
+
+export const hosts = [/(^|\.)totaljobs\.com$/];
+
+export function matchPage($) {
+  return /totaljobs/i.test(metaContent($, ['og:site_name']) || '') && $('[data-at="header-job-title"]').length > 0;
+}
+
+export function extract($) {
+  return readJobAd($);
+}
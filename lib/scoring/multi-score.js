@@ -4,6 +4,10 @@
  * Then combines them into an Overall Score
  */
 
+import { classifyTitle, detectRoleFamily, detectSeniority, seniorityRank, seniorityForYears } from '../normalizers/role.js';
+import { annualizeSalary } from '../normalizers/salary.js';
+import { toSkillIds, skillMatchCredit } from '../skills/taxonomy.js';
+
 /**
  * Calculate all scores for a job against user profile
  * @param {Object} job - Normalized job data
@@ -139,9 +143,9 @@ function calculateResumeMatchScore(job, profile, weights) {
   let score = 0;
   const breakdown = {};
 
-  // Extract job skills (assuming normalized format)
-  const jobSkills = (job.skills || []).map(s => s.toLowerCase());
-  const jobDomains = (job.domains || []).map(d => d.toLowerCase());
+  // Canonical skill ids (stored tags from before the taxonomy are display names)
+  const jobSkills = toSkillIds(job.skills);
+  const jobDomains = toSkillIds(job.domains);
 
   // 1. Domain Match (50 points) - HIGHEST WEIGHT
   const domainSkills = (profile.skills_must_have_domain || []).map(s => s.toLowerCase());
@@ -241,20 +245,22 @@ function calculateJobRelevanceScore(job, profile) {
 // HELPER FUNCTIONS
 // ============================================
 
+/**
+ * Share of the profile's skills the job covers, through the skill taxonomy
+ * A skill the job only names by a parent or child counts for RELATED_SKILL_CREDIT
+ * @param {string[]} userSkills - Profile skills as written
+ * @param {string[]} jobSkills - Canonical skill ids
+ */
 function calculateSkillMatch(userSkills, jobSkills) {
   if (!userSkills || userSkills.length === 0) return 0;
   
-  const matched = userSkills.filter(us => 
-    jobSkills.some(js => js.includes(us) || us.includes(js))
-  );
+  const credit = userSkills.reduce((sum, skill) => sum + skillMatchCredit(skill, jobSkills), 0);
   
-  return Math.round((matched.length / userSkills.length) * 100);
+  return Math.round((credit / userSkills.length) * 100);
 }
 
 function getMatchedSkills(userSkills, jobSkills) {
-  return userSkills.filter(us => 
-    jobSkills.some(js => js.includes(us) || us.includes(js))
-  );
+  return userSkills.filter(skill => skillMatchCredit(skill, jobSkills) > 0);
 }
 
 function calculateLocationMatch(job, profile) {
@@ -284,12 +290,13 @@ function calculateLocationMatch(job, profile) {
 
 function calculateSalaryMatch(job, profile) {
   const expectation = profile.salary_expectation || {};
-  if (!expectation.min || !job.salary_min) {
+  const jobSalary = annualJobSalary(job);
+  if (!expectation.min || !jobSalary.amount) {
     return { score: 12, match_type: 'unknown', note: 'Salary data incomplete' };
   }
   
   // Normalize to GBP for comparison
-  const jobSalaryGBP = normalizeSalaryToGBP(job.salary_min, job.salary_currency);
+  const jobSalaryGBP = normalizeSalaryToGBP(jobSalary.amount, jobSalary.currency);
   const minExpected = expectation.min;
   const maxExpected = expectation.max;
   
@@ -335,32 +342,94 @@ function calculateRoleMatch(job, profile) {
   const jobTitle = (job.title || '').toLowerCase();
   const flexibility = profile.role_flexibility || { preferred: [], acceptable: [] };
   
-  const preferredRoles = (flexibility.preferred || []).map(r => r.toLowerCase());
-  const acceptableRoles = (flexibility.acceptable || []).map(r => r.toLowerCase());
+  // Jobs stored before titles were classified carry no role_family/seniority
+  const classified = job.seniority ? job : classifyTitle(job.title);
+  const jobRole = {
+    role: jobTitle,
+    role_family: classified.role_family || null,
+    seniority: classified.seniority || null
+  };
+  
+  const targets = [
+    ...(flexibility.preferred || []).map(role => ({ role, tier: 'preferred' })),
+    ...(flexibility.acceptable || []).map(role => ({ role, tier: 'acceptable' }))
+  ];
   
-  // Check preferred roles
-  if (preferredRoles.some(role => jobTitle.includes(role) || role.includes(jobTitle))) {
-    return { score: 25, match_type: 'preferred', role: jobTitle };
+  if (targets.length === 0) {
+    return { score: 12, match_type: 'unknown', ...jobRole, note: 'No target roles in profile' };
   }
   
-  // Check acceptable roles
-  if (acceptableRoles.some(role => jobTitle.includes(role) || role.includes(jobTitle))) {
-    return { score: 20, match_type: 'acceptable', role: jobTitle };
+  // Profile roles without a level ("Product Manager") are held to the level the user's experience suggests
+  const profileSeniority = seniorityForYears(profile.years_of_experience);
+  
+  let best = { score: 0, match_type: 'no_match' };
+  
+  for (const { role, tier } of targets) {
+    const match = matchTargetRole(jobRole, jobTitle, role, tier, profileSeniority);
+    if (match.score > best.score) best = match;
+  }
+  
+  return { ...best, ...jobRole };
+}
+
+// Points per target tier by how far the job's seniority is from the one wanted (0, 1, 2+ levels)
+const ROLE_MATCH_POINTS = {
+  preferred: [25, 20, 10],
+  acceptable: [20, 15, 8]
+};
+
+/**
+ * Score a job against one of the profile's target roles
+ * The role family has to match; seniority then decides how well
+ */
+function matchTargetRole(jobRole, jobTitle, targetRole, tier, profileSeniority) {
+  const target = targetRole.toLowerCase();
+  const targetFamily = detectRoleFamily(targetRole);
+  
+  // A target or job title no family covers is matched on the title text
+  if (!targetFamily || !jobRole.role_family) {
+    const titleMatch = jobTitle && (jobTitle.includes(target) || target.includes(jobTitle));
+    return titleMatch
+      ? { score: ROLE_MATCH_POINTS[tier][0], match_type: tier, matched_role: targetRole }
+      : { score: 0, match_type: 'no_match' };
   }
   
-  // Partial match on keywords
-  const roleKeywords = ['product', 'manager', 'pm', 'lead'];
-  if (roleKeywords.some(kw => jobTitle.includes(kw))) {
-    return { score: 10, match_type: 'partial', role: jobTitle };
+  if (targetFamily !== jobRole.role_family) {
+    return { score: 0, match_type: 'no_match' };
   }
   
-  return { score: 0, match_type: 'no_match', role: jobTitle };
+  const targetSeniority = detectSeniority(targetRole) || profileSeniority;
+  const gap = targetSeniority && jobRole.seniority
+    ? Math.abs(seniorityRank(jobRole.seniority) - seniorityRank(targetSeniority))
+    : 0;
+  const points = ROLE_MATCH_POINTS[tier];
+  
+  return {
+    score: points[Math.min(gap, points.length - 1)],
+    match_type: gap === 0 ? tier : `${tier}_family`,
+    matched_role: targetRole,
+    target_seniority: targetSeniority,
+    seniority_gap: gap
+  };
 }
 
 function calculateExperienceMatch(job, profile) {
   const userExp = profile.years_of_experience || 0;
-  const jobExpMin = job.experience_min || 0;
-  const jobExpMax = job.experience_max || 99;
+  
+  // Posting states no requirement - neither reward nor penalise
+  if (job.experience_min === null || job.experience_min === undefined) {
+    return { 
+      score: 10, 
+      match_type: 'unknown', 
+      user_exp: userExp,
+      job_range: null
+    };
+  }
+  
+  const jobExpMin = job.experience_min;
+  // "5+ years" has no upper bound
+  const jobExpMax = job.experience_max ?? Infinity;
+  const jobRange = jobExpMax === Infinity ? `${jobExpMin}+` : `${jobExpMin}-${jobExpMax}`;
   
   // Perfect match: within range
   if (userExp >= jobExpMin && userExp <= jobExpMax) {
@@ -368,7 +437,7 @@ function calculateExperienceMatch(job, profile) {
       score: 15, 
       match_type: 'perfect', 
       user_exp: userExp,
-      job_range: `${jobExpMin}-${jobExpMax}`
+      job_range: jobRange
     };
   }
   
@@ -378,7 +447,7 @@ function calculateExperienceMatch(job, profile) {
       score: 12, 
       match_type: 'slightly_over', 
       user_exp: userExp,
-      job_range: `${jobExpMin}-${jobExpMax}`
+      job_range: jobRange
     };
   }
   
@@ -388,7 +457,7 @@ function calculateExperienceMatch(job, profile) {
       score: 10, 
       match_type: 'slightly_under', 
       user_exp: userExp,
-      job_range: `${jobExpMin}-${jobExpMax}`
+      job_range: jobRange
     };
   }
   
@@ -396,7 +465,7 @@ function calculateExperienceMatch(job, profile) {
     score: 0, 
     match_type: 'mismatch', 
     user_exp: userExp,
-    job_range: `${jobExpMin}-${jobExpMax}`
+    job_range: jobRange
   };
 }
 
@@ -429,11 +498,12 @@ function checkSalaryThreshold(job, profile) {
   };
   
   const threshold = countryThresholds[job.country_code];
-  if (!threshold || !job.salary_min) {
+  const jobSalary = annualJobSalary(job);
+  if (!threshold || !jobSalary.amount) {
     return { meets_threshold: false, close_to_threshold: false };
   }
   
-  const jobSalaryGBP = normalizeSalaryToGBP(job.salary_min, job.salary_currency);
+  const jobSalaryGBP = normalizeSalaryToGBP(jobSalary.amount, jobSalary.currency);
   const thresholdGBP = normalizeSalaryToGBP(threshold, job.country_code === 'SE' ? 'SEK' : 'GBP');
   
   if (jobSalaryGBP >= thresholdGBP) {
@@ -447,6 +517,20 @@ function checkSalaryThreshold(job, profile) {
   return { meets_threshold: false, close_to_threshold: false };
 }
 
+/**
+ * Annual salary floor of a job ("up to" salaries fall back to their ceiling)
+ * Reads the normalizer's salary object, or the stored columns for a job_normalized row
+ */
+function annualJobSalary(job) {
+  const salary = annualizeSalary(job.salary) || {
+    annual_min: job.salary_annual_min ?? job.salary_min,
+    annual_max: job.salary_annual_max ?? job.salary_max,
+    currency: job.salary_currency
+  };
+  
+  return { amount: salary.annual_min ?? salary.annual_max ?? null, currency: salary.currency };
+}
+
 function normalizeSalaryToGBP(amount, currency) {
   const rates = {
     'GBP': 1,
@@ -0,0 +1,241 @@
+// Skill Taxonomy
+// Canonical skills with synonyms, abbreviations, per-language aliases and parent skills, read from taxonomy.json
+// (or the file SKILL_TAXONOMY_PATH points to), so skills are added or renamed by editing data, not code.
+//
+// Each entry: { id, name, parent?, category?, synonyms?, abbreviations?, aliases?: { <lang>: [...] }, ambiguous?, context? }
+// - name, synonyms and aliases match in any case; abbreviations only as written ("PRD", "REST")
+// - ambiguous terms are also ordinary words ("Go", "Swift", "Spring"): they match only as written, and only next to
+//   one of the entry's context words ("Go developer") or a parent or sibling skill ("Go and Kotlin", "Java, Go, Python")
+// - category entries only group other skills and are never read from posting text
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const DEFAULT_TAXONOMY_PATH = join(dirname(fileURLToPath(import.meta.url)), 'taxonomy.json');
+
+// Credit for a profile skill the job only names by a parent or child skill
+// (profile "Experimentation", job "A/B Testing"; profile "Payments", job "FinTech")
+export const RELATED_SKILL_CREDIT = 0.5;
+
+// A term must not run on into a neighbouring letter or digit ("Java" in "JavaScript", "SQL" in "NoSQL")
+const TERM_START = '(?<![\\p{L}\\p{N}_])';
+const TERM_END = '(?![\\p{L}\\p{N}_])';
+
+// What may stand between an ambiguous term and the word that confirms it ("Go developer", "Java, Go", "Go/Rust", "Go and Kotlin")
+const NEIGHBOUR_GAP = '\\s*(?:[,/&()]|\\band\\b|\\bor\\b)?\\s*';
+const NEIGHBOUR_CHARS = 60;
+
+let taxonomy = null;
+
+/**
+ * Read and index the taxonomy file; later calls to the other exports use it
+ * @param {string} path - Defaults to SKILL_TAXONOMY_PATH, then lib/skills/taxonomy.json
+ */
+export function loadTaxonomy(path = process.env.SKILL_TAXONOMY_PATH || DEFAULT_TAXONOMY_PATH) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read skill taxonomy ${path}: ${error.message}`);
+  }
+
+  taxonomy = buildTaxonomy(data);
+  return taxonomy;
+}
+
+/**
+ * Index taxonomy data: skills by id, every term by its lower-case form, and one matcher per skill
+ * Throws on entries an edit has broken (duplicate ids or terms, unknown parents, parent cycles, ambiguous terms
+ * with nothing to confirm them)
+ */
+export function buildTaxonomy(data) {
+  const entries = data?.skills;
+  if (!Array.isArray(entries)) {
+    throw new Error('Skill taxonomy must have a "skills" array');
+  }
+
+  const skills = new Map();
+  for (const entry of entries) {
+    if (!entry.id || !entry.name) {
+      throw new Error(`Skill taxonomy entry needs an id and a name: ${JSON.stringify(entry)}`);
+    }
+    if (skills.has(entry.id)) {
+      throw new Error(`Duplicate skill id in taxonomy: ${entry.id}`);
+    }
+    skills.set(entry.id, entry);
+  }
+
+  const lookup = new Map();
+  const matchers = [];
+
+  for (const skill of skills.values()) {
+    if (skill.parent && !skills.has(skill.parent)) {
+      throw new Error(`Skill "${skill.id}" has unknown parent "${skill.parent}"`);
+    }
+    checkNoCycle(skill, skills);
+
+    const abbreviations = skill.abbreviations || [];
+    const ambiguous = skill.ambiguous || [];
+    const anyCase = [skill.name, ...(skill.synonyms || []), ...Object.values(skill.aliases || {}).flat()]
+      .filter(term => !abbreviations.includes(term) && !ambiguous.includes(term));
+    const exactCase = abbreviations.filter(term => !ambiguous.includes(term));
+
+    for (const term of [skill.id, ...anyCase, ...exactCase, ...ambiguous]) {
+      const key = term.toLowerCase();
+      const existing = lookup.get(key);
+      if (existing && existing !== skill.id) {
+        throw new Error(`Skill term "${term}" is used by both "${existing}" and "${skill.id}"`);
+      }
+      lookup.set(key, skill.id);
+    }
+
+    if (!skill.category) {
+      matchers.push({
+        id: skill.id,
+        anyCase: termPattern(anyCase, 'iu'),
+        exactCase: termPattern(exactCase, 'u'),
+        inContext: ambiguous.length > 0 ? contextMatcher(skill, skills) : null
+      });
+    }
+  }
+
+  return { skills, lookup, matchers };
+}
+
+/**
+ * Canonical ids of the skills a posting mentions, in taxonomy order
+ */
+export function extractSkills(text) {
+  if (!text) return [];
+
+  return getTaxonomy().matchers
+    .filter(({ anyCase, exactCase, inContext }) => anyCase?.test(text) || exactCase?.test(text) || mentionedInContext(text, inContext))
+    .map(({ id }) => id);
+}
+
+/**
+ * Canonical id for a skill as a person wrote it ("A/B tests", "roadmap", "Zahlungsverkehr", "ab-testing")
+ * @returns {string|null} null for skills the taxonomy does not know
+ */
+export function resolveSkill(name) {
+  if (!name) return null;
+  return getTaxonomy().lookup.get(String(name).trim().toLowerCase()) || null;
+}
+
+/**
+ * Skill names or ids -> canonical ids; unknown skills are kept, lower-cased, so they can still match exactly
+ * (tags stored before the taxonomy existed are display names like "JavaScript")
+ */
+export function toSkillIds(skills) {
+  const ids = (skills || []).map(skill => resolveSkill(skill) || String(skill).trim().toLowerCase());
+  return [...new Set(ids)];
+}
+
+/**
+ * Display names for canonical ids
+ */
+export function skillNames(ids) {
+  const { skills } = getTaxonomy();
+  return (ids || []).map(id => skills.get(id)?.name || skills.get(resolveSkill(id))?.name || id);
+}
+
+/**
+ * How far a job covers one profile skill
+ * @param {string} profileSkill - As written in the profile
+ * @param {string[]} jobSkillIds - Output of toSkillIds
+ * @returns {number} 1 for the skill itself, RELATED_SKILL_CREDIT for a parent or child of it, otherwise 0
+ */
+export function skillMatchCredit(profileSkill, jobSkillIds) {
+  const id = resolveSkill(profileSkill) || String(profileSkill).trim().toLowerCase();
+  if (jobSkillIds.includes(id)) return 1;
+
+  const lineage = [...ancestorsOf(id), ...descendantsOf(id)];
+  return jobSkillIds.some(jobSkill => lineage.includes(jobSkill)) ? RELATED_SKILL_CREDIT : 0;
+}
+
+function getTaxonomy() {
+  return taxonomy || loadTaxonomy();
+}
+
+function ancestorsOf(id) {
+  const { skills } = getTaxonomy();
+  const ancestors = [];
+  let parent = skills.get(id)?.parent;
+  while (parent) {
+    ancestors.push(parent);
+    parent = skills.get(parent).parent;
+  }
+  return ancestors;
+}
+
+function descendantsOf(id) {
+  const { skills } = getTaxonomy();
+  const descendants = [];
+  for (const skill of skills.values()) {
+    if (skill.id !== id && ancestorsOf(skill.id).includes(id)) descendants.push(skill.id);
+  }
+  return descendants;
+}
+
+function checkNoCycle(skill, skills) {
+  const seen = new Set([skill.id]);
+  let parent = skill.parent;
+  while (parent) {
+    if (seen.has(parent)) {
+      throw new Error(`Skill "${skill.id}" is its own ancestor`);
+    }
+    seen.add(parent);
+    parent = skills.get(parent)?.parent;
+  }
+}
+
+// One regex over all of a skill's terms, longest first so "React Native" wins over "React"
+function termPattern(terms, flags) {
+  if (terms.length === 0) return null;
+  return new RegExp(`${TERM_START}(?:${alternation(terms)})${TERM_END}`, flags);
+}
+
+function alternation(terms) {
+  return [...new Set(terms)]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+}
+
+// Ambiguous terms as written, and the words around them that confirm they mean the skill:
+// the entry's context words, its parent and its siblings, in any case
+function contextMatcher(skill, skills) {
+  const related = [...skills.values()].filter(other =>
+    other.id !== skill.id && (other.id === skill.parent || (skill.parent && other.parent === skill.parent))
+  );
+  const neighbours = [
+    ...(skill.context || []),
+    ...related.flatMap(other => [other.name, ...(other.synonyms || []), ...(other.abbreviations || []), ...(other.ambiguous || [])])
+  ];
+
+  if (neighbours.length === 0) {
+    throw new Error(`Skill "${skill.id}" has ambiguous terms but no context words, parent or siblings to confirm them`);
+  }
+
+  const neighbour = alternation(neighbours);
+  return {
+    term: termPattern(skill.ambiguous, 'gu'),
+    before: new RegExp(`${TERM_START}(?:${neighbour})${NEIGHBOUR_GAP}$`, 'iu'),
+    after: new RegExp(`^${NEIGHBOUR_GAP}(?:${neighbour})${TERM_END}`, 'iu')
+  };
+}
+
+function mentionedInContext(text, inContext) {
+  if (!inContext) return false;
+
+  for (const match of text.matchAll(inContext.term)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (inContext.before.test(text.slice(Math.max(0, start - NEIGHBOUR_CHARS), start)) ||
+        inContext.after.test(text.slice(end, end + NEIGHBOUR_CHARS))) {
+      return true;
+    }
+  }
+  return false;
+}
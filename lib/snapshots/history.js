@@ -0,0 +1,119 @@
+// Snapshot History
+// Lists the stored fetches of a job and replays normalization and scoring against any of them
+
+import { createClient } from '@supabase/supabase-js';
+import {
+  loadRawJob,
+  normalizeJob,
+  scoreJob,
+  buildNormalizedRecord,
+  loadNormalizedJob,
+  updateNormalizedJob
+} from '../ingest/pipeline.js';
+import { diffJobRecords } from '../ingest/job-diff.js';
+import { SNAPSHOT_METADATA_COLUMNS } from './store.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+/**
+ * Every stored snapshot of a job, newest first (metadata only)
+ * Includes the snapshot the job was first built from, which older rows may not link back to.
+ */
+export async function listJobSnapshots(jobNormalizedId) {
+  const job = await loadNormalizedJob(jobNormalizedId);
+
+  let query = supabase
+    .from('job_raw')
+    .select(SNAPSHOT_METADATA_COLUMNS)
+    .order('fetched_at', { ascending: false });
+
+  query = job.job_raw_id
+    ? query.or(`job_normalized_id.eq.${jobNormalizedId},id.eq.${job.job_raw_id}`)
+    : query.eq('job_normalized_id', jobNormalizedId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list snapshots for job ${jobNormalizedId}: ${error.message}`);
+  }
+
+  return data.map(snapshot => ({ ...snapshot, current: snapshot.id === job.job_raw_id }));
+}
+
+/**
+ * One snapshot's metadata, optionally with its decompressed content
+ * @returns {Object|null}
+ */
+export async function getSnapshot(snapshotId, { includeContent = false } = {}) {
+  if (includeContent) {
+    const raw = await loadRawJob(snapshotId).catch(() => null);
+    if (!raw) return null;
+
+    const { raw_html: content, ...metadata } = raw;
+    return { ...metadata, content };
+  }
+
+  const { data, error } = await supabase
+    .from('job_raw')
+    .select(SNAPSHOT_METADATA_COLUMNS)
+    .eq('id', snapshotId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load snapshot ${snapshotId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Re-run normalization, visa analysis and scoring against a stored snapshot
+ * @param {number} snapshotId - job_raw id
+ * @param {Object} options - { apply: write the result back to the job the snapshot belongs to }
+ * @returns {Object} { snapshot_id, job_normalized_id, normalized, visa_analysis, scoring, changes, applied }
+ */
+export async function replaySnapshot(snapshotId, options = {}) {
+  const raw = await loadRawJob(snapshotId);
+  const jobNormalizedId = raw.job_normalized_id || await findJobBuiltFrom(snapshotId);
+
+  const normalized = normalizeJob(raw.raw_html, raw.source_url);
+  const { visaData, scoring } = await scoreJob(normalized);
+
+  const current = jobNormalizedId ? await loadNormalizedJob(jobNormalizedId) : null;
+
+  // A replay never changes the job's identity
+  const record = buildNormalizedRecord(raw.id, current?.source_url || raw.source_url, normalized, visaData, scoring);
+  const changes = current ? diffJobRecords(current, record) : null;
+
+  let applied = false;
+  if (options.apply && current) {
+    await updateNormalizedJob(jobNormalizedId, { ...record, last_changes: changes });
+    applied = true;
+  }
+
+  return {
+    snapshot_id: raw.id,
+    fetched_at: raw.fetched_at,
+    job_normalized_id: jobNormalizedId,
+    normalized: record,
+    visa_analysis: visaData,
+    scoring,
+    changed_fields: changes ? Object.keys(changes) : null,
+    changes,
+    applied
+  };
+}
+
+// Snapshots stored before job_raw.job_normalized_id existed are only referenced from the job side
+async function findJobBuiltFrom(snapshotId) {
+  const { data } = await supabase
+    .from('job_normalized')
+    .select('id')
+    .eq('job_raw_id', snapshotId)
+    .maybeSingle();
+
+  return data?.id || null;
+}
@@ -0,0 +1,221 @@
+// Snapshot Retention
+// Keeps job_raw growth bounded: compresses rows stored before compression existed, then deletes old
+// snapshots a job no longer needs. Called by api/jobs/snapshot-retention.js on a schedule.
+//
+// Always kept:
+//   - the snapshot a job is currently built from (job_normalized.job_raw_id)
+//   - the newest KEEP_LATEST_PER_JOB snapshots of every job
+//   - snapshots a queued or in-flight ingestion task will resume from
+//   - anything younger than RETENTION_DAYS (ORPHAN_RETENTION_DAYS for snapshots that never became a job)
+
+import { createClient } from '@supabase/supabase-js';
+import { buildSnapshotColumns } from './store.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+export const RETENTION_DAYS = 180;
+export const ORPHAN_RETENTION_DAYS = 30;
+export const KEEP_LATEST_PER_JOB = 5;
+
+const COMPRESS_BATCH_SIZE = 50;
+const EXPIRE_BATCH_SIZE = 500;
+
+// PostgREST .in() lists are chunked to keep the query string a sane length
+const ID_CHUNK = 100;
+
+// Stop before the serverless function times out
+const DEFAULT_TIME_BUDGET_MS = 50000;
+
+/**
+ * Run one retention pass
+ * @param {Object} options - { timeBudgetMs, retentionDays, orphanRetentionDays, keepLatest }
+ * @returns {Object} Summary counts
+ */
+export async function runSnapshotRetention(options = {}) {
+  const timeBudgetMs = options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS;
+  const startTime = Date.now();
+  const outOfTime = () => Date.now() - startTime > timeBudgetMs;
+
+  const summary = {
+    compressed: 0,
+    bytes_before: 0,
+    bytes_after: 0,
+    deleted: 0,
+    kept: 0
+  };
+
+  // Legacy rows first - they are the bulk of the storage
+  while (!outOfTime()) {
+    const batch = await compressLegacySnapshots();
+    summary.compressed += batch.count;
+    summary.bytes_before += batch.bytesBefore;
+    summary.bytes_after += batch.bytesAfter;
+    if (batch.count < COMPRESS_BATCH_SIZE) break;
+  }
+
+  // Walk old snapshots in id order; kept ones are skipped past rather than re-read forever
+  let afterId = 0;
+  while (!outOfTime()) {
+    const batch = await expireSnapshots(afterId, {
+      retentionDays: options.retentionDays || RETENTION_DAYS,
+      orphanRetentionDays: options.orphanRetentionDays || ORPHAN_RETENTION_DAYS,
+      keepLatest: options.keepLatest || KEEP_LATEST_PER_JOB
+    });
+    summary.deleted += batch.deleted;
+    summary.kept += batch.kept;
+    if (!batch.lastId) break;
+    afterId = batch.lastId;
+  }
+
+  summary.elapsed_ms = Date.now() - startTime;
+  return summary;
+}
+
+/**
+ * Compress one batch of rows that still hold plain raw_html
+ */
+async function compressLegacySnapshots() {
+  const { data: rows, error } = await supabase
+    .from('job_raw')
+    .select('id, raw_html')
+    .is('content_encoding', null)
+    .not('raw_html', 'is', null)
+    .order('id', { ascending: true })
+    .limit(COMPRESS_BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to read uncompressed snapshots: ${error.message}`);
+  }
+
+  let bytesBefore = 0;
+  let bytesAfter = 0;
+
+  for (const row of rows) {
+    const { http_status, final_url, response_headers, ...columns } = buildSnapshotColumns(row.raw_html);
+
+    const { error: updateError } = await supabase
+      .from('job_raw')
+      .update(columns)
+      .eq('id', row.id);
+
+    if (updateError) {
+      throw new Error(`Failed to compress snapshot ${row.id}: ${updateError.message}`);
+    }
+
+    bytesBefore += columns.byte_size;
+    bytesAfter += columns.stored_size;
+  }
+
+  return { count: rows.length, bytesBefore, bytesAfter };
+}
+
+/**
+ * Delete the snapshots in one batch of old rows that no rule keeps
+ * @returns {Object} { deleted, kept, lastId } - lastId is null once there is nothing left to look at
+ */
+async function expireSnapshots(afterId, { retentionDays, orphanRetentionDays, keepLatest }) {
+  const cutoff = daysAgo(Math.min(retentionDays, orphanRetentionDays));
+
+  const { data: candidates, error } = await supabase
+    .from('job_raw')
+    .select('id, job_normalized_id, fetched_at')
+    .lt('fetched_at', cutoff)
+    .gt('id', afterId)
+    .order('id', { ascending: true })
+    .limit(EXPIRE_BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to read expired snapshots: ${error.message}`);
+  }
+
+  if (candidates.length === 0) return { deleted: 0, kept: 0, lastId: null };
+
+  const protectedIds = await findProtectedSnapshots(candidates, keepLatest);
+  const jobCutoff = daysAgo(retentionDays);
+  const orphanCutoff = daysAgo(orphanRetentionDays);
+
+  const doomed = candidates
+    .filter(row => !protectedIds.has(row.id))
+    .filter(row => row.fetched_at < (row.job_normalized_id ? jobCutoff : orphanCutoff))
+    .map(row => row.id);
+
+  for (const ids of chunk(doomed, ID_CHUNK)) {
+    const { error: deleteError } = await supabase
+      .from('job_raw')
+      .delete()
+      .in('id', ids);
+
+    if (deleteError) {
+      throw new Error(`Failed to delete snapshots: ${deleteError.message}`);
+    }
+  }
+
+  return {
+    deleted: doomed.length,
+    kept: candidates.length - doomed.length,
+    lastId: candidates.length < EXPIRE_BATCH_SIZE ? null : candidates[candidates.length - 1].id
+  };
+}
+
+/**
+ * Candidate snapshot ids that must survive
+ * Throws if any lookup fails: an incomplete set would delete snapshots that are still in use.
+ */
+async function findProtectedSnapshots(candidates, keepLatest) {
+  const protectedIds = new Set();
+  const candidateIds = candidates.map(row => row.id);
+
+  for (const ids of chunk(candidateIds, ID_CHUNK)) {
+    const [{ data: jobs, error: jobsError }, { data: tasks, error: tasksError }] = await Promise.all([
+      supabase.from('job_normalized').select('job_raw_id').in('job_raw_id', ids),
+      supabase
+        .from('ingestion_queue')
+        .select('job_raw_id')
+        .in('job_raw_id', ids)
+        .in('state', ['queued', 'fetching', 'normalizing', 'scoring'])
+    ]);
+
+    if (jobsError) {
+      throw new Error(`Failed to read snapshots used by jobs: ${jobsError.message}`);
+    }
+    if (tasksError) {
+      throw new Error(`Failed to read snapshots used by queued tasks: ${tasksError.message}`);
+    }
+
+    [...jobs, ...tasks].forEach(row => protectedIds.add(row.job_raw_id));
+  }
+
+  // Newest snapshots of each job, whatever their age
+  const jobIds = [...new Set(candidates.map(row => row.job_normalized_id).filter(Boolean))];
+  for (const jobId of jobIds) {
+    const { data: latest, error } = await supabase
+      .from('job_raw')
+      .select('id')
+      .eq('job_normalized_id', jobId)
+      .order('fetched_at', { ascending: false })
+      .limit(keepLatest);
+
+    if (error) {
+      throw new Error(`Failed to read latest snapshots of job ${jobId}: ${error.message}`);
+    }
+
+    latest.forEach(row => protectedIds.add(row.id));
+  }
+
+  return protectedIds;
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
@@ -0,0 +1,91 @@
+// Snapshot Store
+// job_raw rows hold every fetch of a posting: brotli-compressed content plus the HTTP metadata of the fetch.
+// Rows written before compression keep their plain raw_html and are read transparently.
+
+import zlib from 'zlib';
+import crypto from 'crypto';
+
+export const CONTENT_ENCODING = 'br';
+
+// Response headers worth keeping with a snapshot (caching, content type, robots directives)
+const HEADERS_OF_INTEREST = [
+  'content-type',
+  'content-language',
+  'content-length',
+  'etag',
+  'last-modified',
+  'cache-control',
+  'age',
+  'x-robots-tag',
+  'retry-after',
+  'server'
+];
+
+/**
+ * Columns for a new job_raw row
+ * @param {string} html - Page HTML or JSON snapshot
+ * @param {Object} fetchMeta - { status, final_url, headers } from fetchJobPage (optional)
+ */
+export function buildSnapshotColumns(html, fetchMeta = null) {
+  const content = Buffer.from(html, 'utf8');
+  const compressed = zlib.brotliCompressSync(content, {
+    params: {
+      // Quality 11 is several times slower for a few percent on HTML
+      [zlib.constants.BROTLI_PARAM_QUALITY]: 6,
+      [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+    }
+  }).toString('base64');
+
+  return {
+    raw_html: null,
+    raw_content: compressed,
+    content_encoding: CONTENT_ENCODING,
+    content_sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    byte_size: content.length,
+    stored_size: compressed.length,
+    http_status: fetchMeta?.status ?? null,
+    final_url: fetchMeta?.final_url ?? null,
+    response_headers: fetchMeta?.headers ?? null
+  };
+}
+
+/**
+ * Snapshot content of a job_raw row, whichever way it was stored
+ */
+export function readSnapshotContent(row) {
+  if (row.content_encoding === CONTENT_ENCODING && row.raw_content) {
+    return zlib.brotliDecompressSync(Buffer.from(row.raw_content, 'base64')).toString('utf8');
+  }
+  return row.raw_html;
+}
+
+/**
+ * Headers of interest from a fetch Response, as a plain object
+ */
+export function pickResponseHeaders(headers) {
+  if (!headers) return null;
+
+  const picked = {};
+  for (const name of HEADERS_OF_INTEREST) {
+    const value = headers.get(name);
+    if (value) picked[name] = value;
+  }
+  return picked;
+}
+
+// Columns for listing history without pulling the content itself
+export const SNAPSHOT_METADATA_COLUMNS = [
+  'id',
+  'source_url',
+  'source_type',
+  'job_normalized_id',
+  'fetched_at',
+  'http_status',
+  'final_url',
+  'response_headers',
+  'content_encoding',
+  'content_sha256',
+  'byte_size',
+  'stored_size'
+].join(', ');
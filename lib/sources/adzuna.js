@@ -0,0 +1,168 @@
+// Adzuna Connector
+// Adzuna Search API: https://developer.adzuna.com/docs/search
+// One saved query can cover several countries; each country keeps its own high-water mark
+
+import * as cheerio from 'cheerio';
+import { normalizeStructuredJob } from '../normalizers/enhanced.js';
+import { readJobPostingJsonLd } from '../normalizers/json-ld.js';
+
+export const name = 'adzuna';
+
+const API_BASE = 'https://api.adzuna.com/v1/api/jobs';
+const PAGE_SIZE = 50;
+
+// Results are requested newest first, so paging stops at the high-water mark
+export const sortedByDate = true;
+
+// Adzuna country code -> public site domain
+const COUNTRY_SITES = {
+  gb: 'www.adzuna.co.uk',
+  nl: 'www.adzuna.nl',
+  de: 'www.adzuna.de',
+  at: 'www.adzuna.at',
+  be: 'www.adzuna.be',
+  fr: 'www.adzuna.fr',
+  ch: 'www.adzuna.ch',
+  es: 'www.adzuna.es',
+  it: 'www.adzuna.it',
+  pl: 'www.adzuna.pl',
+  au: 'www.adzuna.com.au',
+  nz: 'www.adzuna.co.nz',
+  ca: 'www.adzuna.ca',
+  us: 'www.adzuna.com',
+  sg: 'www.adzuna.sg',
+  in: 'www.adzuna.in'
+};
+
+export const SUPPORTED_COUNTRIES = Object.keys(COUNTRY_SITES);
+
+export function isConfigured() {
+  return Boolean(process.env.ADZUNA_APP_ID && process.env.ADZUNA_APP_KEY);
+}
+
+/**
+ * Countries a saved query covers (query.country, or params.countries for several)
+ */
+export function partitions(query) {
+  const countries = [].concat(query.params?.countries || query.country || 'gb')
+    .map(country => String(country).toLowerCase())
+    .map(country => (country === 'uk' ? 'gb' : country));
+
+  return [...new Set(countries)].filter(country => COUNTRY_SITES[country]);
+}
+
+/**
+ * HTTP request for one page of search results in one country
+ * @param {number} page - Zero-based page (Adzuna pages start at 1)
+ */
+export function buildSearchRequest(query, country, page) {
+  const params = new URLSearchParams({
+    app_id: process.env.ADZUNA_APP_ID || '',
+    app_key: process.env.ADZUNA_APP_KEY || '',
+    results_per_page: String(PAGE_SIZE),
+    sort_by: 'date',
+    'content-type': 'application/json'
+  });
+
+  if (query.keywords) params.set('what', query.keywords);
+  if (query.location) params.set('where', query.location);
+
+  // Pass-through filters: max_days_old, salary_min, full_time, permanent, what_exclude, category...
+  for (const [key, value] of Object.entries(query.params || {})) {
+    if (key !== 'countries' && value !== undefined && value !== null) params.set(key, String(value));
+  }
+
+  return { url: `${API_BASE}/${country}/search/${page + 1}?${params}`, headers: {} };
+}
+
+/**
+ * @returns {Object} { items: [{ external_id, url, posted_at, data }], hasMore }
+ */
+export function parseSearchResponse(body, query, country, page) {
+  const results = body?.results || [];
+
+  return {
+    items: results.map(job => ({
+      external_id: String(job.id),
+      // redirect_url carries per-request tracking; the details page is stable
+      url: `https://${COUNTRY_SITES[country]}/jobs/details/${job.id}`,
+      posted_at: job.created || null,
+      data: { ...job, country }
+    })),
+    hasMore: (page + 1) * PAGE_SIZE < (body?.count || 0) && results.length > 0
+  };
+}
+
+/**
+ * Search results carry a description cut at ~500 characters; the API has no details endpoint,
+ * so the full text comes from the public details page
+ */
+export function buildDetailRequest(item) {
+  return { url: item.url, headers: {}, format: 'html' };
+}
+
+/**
+ * Full description from a details page, read from its JSON-LD or the ad body
+ * The search snippet is kept when the page only repeats it (ads that send you to the employer's site).
+ */
+export function mergeDetail(item, html) {
+  const $ = cheerio.load(html || '');
+  const description = readJobPostingJsonLd($)?.description || $('.adp-body').first().html()?.trim();
+
+  if (!description || textLength(description) <= textLength(item.data.description)) {
+    return item;
+  }
+
+  return { ...item, data: { ...item.data, description } };
+}
+
+function textLength(html) {
+  return cheerio.load(html || '').text().replace(/\s+/g, ' ').trim().length;
+}
+
+/**
+ * Map an Adzuna result onto the normalized job shape
+ * Adzuna estimates salaries for ads without one; estimates are not treated as the advertised salary.
+ */
+export function mapJob(job) {
+  const hasSalary = (job.salary_min || job.salary_max) && String(job.salary_is_predicted) !== '1';
+  const area = job.location?.area || [];
+
+  const salary = hasSalary
+    ? {
+      raw: `${job.salary_min || job.salary_max} - ${job.salary_max || job.salary_min} ${currencyFor(job.country)}`,
+      min: Math.round(job.salary_min || job.salary_max),
+      max: Math.round(job.salary_max || job.salary_min),
+      currency: currencyFor(job.country),
+      period: 'year'
+    }
+    : null;
+
+  const employmentType = [job.contract_type, job.contract_time]
+    .filter(Boolean)
+    .map(value => value.replace(/_/g, ' '))
+    .join(', ');
+
+  return normalizeStructuredJob({
+    // Search terms come back highlighted ("Product <strong>Manager</strong>")
+    title: String(job.title || '').replace(/<[^>]+>/g, ''),
+    company: job.company?.display_name,
+    location: job.location?.display_name || null,
+    country: area[0],
+    country_code: job.country ? job.country.toUpperCase() : null,
+    description_html: job.description || '',
+    salary,
+    posting_date: job.created ? job.created.split('T')[0] : null,
+    departments: job.category?.label ? [job.category.label] : [],
+    employment_type: employmentType || null,
+    source_provider: name,
+    source_job_id: String(job.id)
+  });
+}
+
+function currencyFor(country) {
+  const currencies = {
+    gb: 'GBP', au: 'AUD', nz: 'NZD', ca: 'CAD', us: 'USD', sg: 'SGD', in: 'INR', ch: 'CHF', pl: 'PLN'
+  };
+  return currencies[country] || 'EUR';
+}
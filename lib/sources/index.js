@@ -0,0 +1,161 @@
+// Source Connectors
+// Job board search APIs behind one interface, run from saved queries by /api/increment
+//
+// A connector module exports:
+//   name, sortedByDate, isConfigured()
+//   partitions(query)                                  - independent result sets (e.g. Adzuna countries)
+//   buildSearchRequest(query, partition, page)         - { url, headers } for one page
+//   parseSearchResponse(body, query, partition, page)  - { items: [{ external_id, url, posted_at, data }], hasMore }
+//   mapJob(data)                                       - normalized job shape
+//   buildDetailRequest(item), mergeDetail(item, body)  - optional, when search results are truncated
+//
+// Requests go through a transport (request -> parsed JSON body, or page text for { format: 'html' })
+// so connectors can be replayed against recorded responses in tests/fixtures.
+
+import { politeFetch } from '../fetch/polite-fetch.js';
+import { HttpError, parseRetryAfter } from '../ingest/retry.js';
+import * as reed from './reed.js';
+import * as adzuna from './adzuna.js';
+
+export const SOURCE_CONNECTORS = { reed, adzuna };
+
+const DEFAULT_MAX_PAGES = 3;
+
+/**
+ * Default transport: JSON over the polite fetch layer
+ * Requests with format 'html' fetch a public page instead, which robots.txt applies to.
+ */
+export async function fetchJson(request) {
+  const isPage = request.format === 'html';
+
+  // Documented APIs - rate limited per host, but not subject to the site's robots.txt
+  const response = await politeFetch(request.url, {
+    skipRobots: !isPage,
+    headers: { Accept: isPage ? 'text/html' : 'application/json', ...(request.headers || {}) }
+  });
+
+  if (!response.ok) {
+    throw new HttpError(
+      response.status,
+      response.statusText,
+      parseRetryAfter(response.headers.get('retry-after'))
+    );
+  }
+
+  return isPage ? response.text() : response.json();
+}
+
+function isAfterMark(postedAt, highWaterMark) {
+  if (!highWaterMark || !postedAt) return true;
+  // Inclusive: Reed dates are day-granular, so same-day postings may still be new
+  return new Date(postedAt) >= new Date(highWaterMark);
+}
+
+function laterOf(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return new Date(b) > new Date(a) ? b : a;
+}
+
+/**
+ * Page through one partition of a search, keeping only postings at or after the high-water mark
+ * @param {Object} options - { highWaterMark, maxPages, transport }
+ * @returns {Object} { items, newest, pages }
+ */
+export async function searchSource(connector, query, partition, options = {}) {
+  const transport = options.transport || fetchJson;
+  const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+  const highWaterMark = options.highWaterMark || null;
+
+  const items = [];
+  let newest = highWaterMark;
+  let pages = 0;
+
+  for (let page = 0; page < maxPages; page++) {
+    const body = await transport(connector.buildSearchRequest(query, partition, page));
+    const { items: pageItems, hasMore } = connector.parseSearchResponse(body, query, partition, page);
+    pages++;
+
+    const fresh = pageItems.filter(item => isAfterMark(item.posted_at, highWaterMark));
+    items.push(...fresh);
+    pageItems.forEach(item => { newest = laterOf(newest, item.posted_at); });
+
+    if (!hasMore) break;
+
+    // Newest-first results: once a page reaches already-seen postings, later pages are older still
+    if (connector.sortedByDate && fresh.length < pageItems.length) break;
+  }
+
+  return { items, newest, pages };
+}
+
+/**
+ * Fill in full descriptions for connectors whose search results are truncated
+ * A failed detail request keeps the search result rather than dropping the job.
+ */
+export async function enrichItems(connector, items, options = {}) {
+  if (!connector.buildDetailRequest) return items;
+
+  const transport = options.transport || fetchJson;
+  const enriched = [];
+
+  for (const item of items) {
+    try {
+      const detail = await transport(connector.buildDetailRequest(item));
+      enriched.push(connector.mergeDetail(item, detail));
+    } catch (error) {
+      console.warn(`Detail fetch failed for ${connector.name} job ${item.external_id}: ${error.message}`);
+      enriched.push(item);
+    }
+  }
+
+  return enriched;
+}
+
+/**
+ * Map a stored search-result snapshot onto the normalized job shape
+ * @param {Object} snapshot - { source, partition, query_id, fetched_at, job }
+ */
+export function normalizeSourceJob(snapshot) {
+  const connector = SOURCE_CONNECTORS[snapshot.source];
+  if (!connector) {
+    throw new Error(`Unknown job source: ${snapshot.source}`);
+  }
+
+  return connector.mapJob(snapshot.job);
+}
+
+/**
+ * One page of mapped results, without storing anything (used by /api/sources/*)
+ * @param {Object} query - { keywords, location, country, params }
+ */
+export async function previewSearch(sourceName, query, page = 0, options = {}) {
+  const connector = SOURCE_CONNECTORS[sourceName];
+  const transport = options.transport || fetchJson;
+  const partition = connector.partitions(query)[0];
+
+  if (!partition) {
+    throw new Error(`No supported country in query for ${sourceName}`);
+  }
+
+  const body = await transport(connector.buildSearchRequest(query, partition, page));
+  const { items, hasMore } = connector.parseSearchResponse(body, query, partition, page);
+
+  return {
+    partition,
+    page,
+    has_more: hasMore,
+    jobs: items.map(item => {
+      const job = connector.mapJob(item.data);
+      return {
+        external_id: item.external_id,
+        url: item.url,
+        posted_at: item.posted_at,
+        title: job.title,
+        company: job.company,
+        location: job.location,
+        salary: job.salary
+      };
+    })
+  };
+}
@@ -0,0 +1,130 @@
+// Reed Connector
+// Reed Jobseeker API: https://www.reed.co.uk/developers/jobseeker
+// Auth is HTTP Basic with the API key as username and an empty password
+
+import { normalizeStructuredJob } from '../normalizers/enhanced.js';
+
+export const name = 'reed';
+
+const API_BASE = 'https://www.reed.co.uk/api/1.0';
+const PAGE_SIZE = 100;
+
+// Reed search results are ordered by relevance, not date, so every page is scanned
+export const sortedByDate = false;
+
+export function isConfigured() {
+  return Boolean(process.env.REED_API_KEY);
+}
+
+function authHeaders() {
+  const token = Buffer.from(`${process.env.REED_API_KEY || ''}:`).toString('base64');
+  return { Authorization: `Basic ${token}` };
+}
+
+/**
+ * Reed searches a single market
+ */
+export function partitions() {
+  return ['gb'];
+}
+
+/**
+ * HTTP request for one page of search results
+ * @param {Object} query - Saved query { keywords, location, params }
+ * @param {number} page - Zero-based page
+ */
+export function buildSearchRequest(query, partition, page) {
+  const params = new URLSearchParams({
+    resultsToTake: String(PAGE_SIZE),
+    resultsToSkip: String(page * PAGE_SIZE)
+  });
+
+  if (query.keywords) params.set('keywords', query.keywords);
+  if (query.location) params.set('locationName', query.location);
+
+  // Pass-through filters: distanceFromLocation, minimumSalary, permanent, fullTime, postedByDirectEmployer...
+  for (const [key, value] of Object.entries(query.params || {})) {
+    if (value !== undefined && value !== null) params.set(key, String(value));
+  }
+
+  return { url: `${API_BASE}/search?${params}`, headers: authHeaders() };
+}
+
+/**
+ * Jobs and paging state from one page of results
+ * @returns {Object} { items: [{ external_id, url, posted_at, data }], hasMore }
+ */
+export function parseSearchResponse(body, query, partition, page) {
+  const results = body?.results || [];
+
+  return {
+    items: results.map(job => ({
+      external_id: String(job.jobId),
+      url: job.jobUrl || `https://www.reed.co.uk/jobs/${job.jobId}`,
+      posted_at: parseReedDate(job.date),
+      data: job
+    })),
+    hasMore: (page + 1) * PAGE_SIZE < (body?.totalResults || 0) && results.length > 0
+  };
+}
+
+/**
+ * Search results carry a truncated description; the details endpoint has the full text
+ */
+export function buildDetailRequest(item) {
+  return { url: `${API_BASE}/jobs/${item.external_id}`, headers: authHeaders() };
+}
+
+export function mergeDetail(item, detail) {
+  return { ...item, data: { ...item.data, ...detail } };
+}
+
+/**
+ * Reed dates are dd/mm/yyyy
+ */
+export function parseReedDate(value) {
+  const match = String(value || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+}
+
+/**
+ * Details responses say "per annum", "per day" or "per hour"; search results omit it
+ */
+function salaryPeriod(salaryType) {
+  if (/hour/i.test(salaryType || '')) return 'hour';
+  if (/day/i.test(salaryType || '')) return 'day';
+  if (/month/i.test(salaryType || '')) return 'month';
+  return 'year';
+}
+
+/**
+ * Map a Reed job onto the normalized job shape
+ */
+export function mapJob(job) {
+  const salary = job.minimumSalary || job.maximumSalary
+    ? {
+      raw: job.salary || `${job.minimumSalary || ''} - ${job.maximumSalary || ''} ${job.currency || 'GBP'}`.trim(),
+      min: job.minimumSalary ? Math.round(job.minimumSalary) : Math.round(job.maximumSalary),
+      max: job.maximumSalary ? Math.round(job.maximumSalary) : Math.round(job.minimumSalary),
+      currency: job.currency || 'GBP',
+      period: salaryPeriod(job.salaryType)
+    }
+    : null;
+
+  const employmentType = [job.contractType, job.jobType].filter(Boolean).join(', ');
+
+  return normalizeStructuredJob({
+    title: job.jobTitle,
+    company: job.employerName,
+    location: job.locationName || null,
+    country: 'United Kingdom',
+    country_code: 'GB',
+    description_html: job.jobDescription || '',
+    salary,
+    posting_date: parseReedDate(job.datePosted || job.date),
+    expires_at: parseReedDate(job.expirationDate),
+    employment_type: employmentType || null,
+    source_provider: name,
+    source_job_id: String(job.jobId)
+  });
+}
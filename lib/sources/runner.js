@@ -0,0 +1,192 @@
+// Saved Query Runner
+// Runs due source_queries: search each connector past its high-water mark, store new results as
+// snapshots and queue them for the ingestion worker (which normalizes, dedupes and scores them)
+
+import { createClient } from '@supabase/supabase-js';
+import { SOURCE_CONNECTORS, searchSource, enrichItems } from './index.js';
+import { storeRawJobs } from '../ingest/pipeline.js';
+import { enqueueSnapshots, findQueuedUrls, refreshImportProgress } from '../ingest/queue.js';
+import { findKnownUrls } from '../dedupe/job-matcher.js';
+import { canonicalizeUrl } from '../dedupe/canonical-url.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+// Stop before the serverless function times out
+const DEFAULT_TIME_BUDGET_MS = 50000;
+
+/**
+ * Run every enabled query whose interval has elapsed
+ * @param {Object} options - { timeBudgetMs, transport, queryIds }
+ * @returns {Object} Summary with one entry per query run
+ */
+export async function runDueQueries(options = {}) {
+  const timeBudgetMs = options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS;
+  const startTime = Date.now();
+
+  let query = supabase
+    .from('source_queries')
+    .select('*')
+    .eq('enabled', true)
+    .order('last_run_at', { ascending: true, nullsFirst: true });
+
+  if (options.queryIds) {
+    query = query.in('id', options.queryIds);
+  }
+
+  const { data: queries, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load saved queries: ${error.message}`);
+  }
+
+  const now = Date.now();
+  const due = queries.filter(saved =>
+    options.queryIds ||
+    !saved.last_run_at ||
+    now - new Date(saved.last_run_at).getTime() >= saved.run_interval_minutes * 60 * 1000
+  );
+
+  const runs = [];
+  for (const saved of due) {
+    if (Date.now() - startTime > timeBudgetMs) break;
+    runs.push(await runSavedQuery(saved, options));
+  }
+
+  return {
+    enabled: queries.length,
+    due: due.length,
+    ran: runs.length,
+    queued: runs.reduce((sum, run) => sum + (run.queued || 0), 0),
+    runs,
+    elapsed_ms: Date.now() - startTime
+  };
+}
+
+/**
+ * Run one saved query and advance its cursor
+ */
+export async function runSavedQuery(saved, options = {}) {
+  const connector = SOURCE_CONNECTORS[saved.source];
+  const runAt = new Date().toISOString();
+
+  if (!connector || !connector.isConfigured()) {
+    const reason = connector ? `${saved.source} API credentials are not configured` : `Unknown source: ${saved.source}`;
+    await recordRun(saved.id, { last_run_at: runAt, last_run_status: 'skipped', last_error: reason });
+    return { query_id: saved.id, name: saved.name, status: 'skipped', error: reason };
+  }
+
+  try {
+    const cursor = { ...(saved.cursor || {}) };
+    const stats = { pages: 0, found: 0, already_known: 0, already_queued: 0, queued: 0, partitions: {} };
+    const fresh = [];
+
+    for (const partition of connector.partitions(saved)) {
+      const { items, newest, pages } = await searchSource(connector, saved, partition, {
+        highWaterMark: cursor[partition]?.high_water_mark,
+        maxPages: saved.max_pages,
+        transport: options.transport
+      });
+
+      stats.pages += pages;
+      stats.found += items.length;
+      stats.partitions[partition] = { pages, found: items.length };
+
+      fresh.push(...items.map(item => ({ ...item, partition })));
+      cursor[partition] = { high_water_mark: newest };
+    }
+
+    // Same job can come back from several partitions or from an earlier run
+    const unique = [...new Map(fresh.map(item => [canonicalizeUrl(item.url), item])).values()];
+    const knownUrls = await findKnownUrls(unique.map(item => item.url));
+    const unknown = unique.filter(item => !knownUrls.has(canonicalizeUrl(item.url)));
+    stats.already_known = unique.length - unknown.length;
+
+    // ...or be waiting in the queue from an earlier run the worker has not reached yet
+    const queuedUrls = await findQueuedUrls(unknown.map(item => item.url));
+    const newItems = unknown.filter(item => !queuedUrls.has(item.url));
+    stats.already_queued = unknown.length - newItems.length;
+
+    let importJobId = null;
+    if (newItems.length > 0) {
+      const enriched = await enrichItems(connector, newItems, { transport: options.transport });
+      importJobId = await queueResults(saved, enriched, runAt);
+    }
+    stats.queued = newItems.length;
+
+    // Cursor only moves once the results are safely queued
+    await recordRun(saved.id, {
+      cursor,
+      last_run_at: runAt,
+      last_run_status: 'success',
+      last_error: null,
+      last_import_job_id: importJobId,
+      last_run_stats: stats
+    });
+
+    return { query_id: saved.id, name: saved.name, status: 'success', import_job_id: importJobId, ...stats };
+  } catch (error) {
+    console.error(`Saved query ${saved.id} (${saved.source}) failed:`, error);
+    await recordRun(saved.id, { last_run_at: runAt, last_run_status: 'failed', last_error: error.message });
+    return { query_id: saved.id, name: saved.name, status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Store results as snapshots under a new import and queue them
+ * @returns {number} bulk_import_jobs id
+ */
+async function queueResults(saved, items, fetchedAt) {
+  const sourceType = `${saved.source}_search`;
+
+  const { data: importJob, error } = await supabase
+    .from('bulk_import_jobs')
+    .insert({
+      import_type: sourceType,
+      total_urls: items.length,
+      status: 'queued',
+      started_at: fetchedAt
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create import job: ${error.message}`);
+  }
+
+  const rawJobs = await storeRawJobs(
+    items.map(item => ({
+      url: item.url,
+      html: JSON.stringify({
+        source: saved.source,
+        partition: item.partition,
+        query_id: saved.id,
+        fetched_at: fetchedAt,
+        job: item.data
+      })
+    })),
+    sourceType
+  );
+
+  await enqueueSnapshots(
+    importJob.id,
+    rawJobs.map(rawJob => ({ url: rawJob.source_url, jobRawId: rawJob.id })),
+    sourceType
+  );
+  await refreshImportProgress(importJob.id);
+
+  return importJob.id;
+}
+
+async function recordRun(queryId, fields) {
+  const { error } = await supabase
+    .from('source_queries')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', queryId);
+
+  if (error) {
+    console.error(`Failed to record run for saved query ${queryId}:`, error);
+  }
+}
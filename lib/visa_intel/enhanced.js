@@ -2,6 +2,7 @@
 // Multi-tier visa sponsorship analysis using government registries and signals
 
 import { createClient } from '@supabase/supabase-js';
+import { annualizeSalary } from '../normalizers/salary.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -160,6 +161,19 @@ async function checkCommunityIntelligence(company) {
   }
 }
 
+/**
+ * Sentences of a job description that talk about sponsorship or right to work
+ * Used to spot wording changes when a posting is refreshed
+ */
+export function extractSponsorshipStatements(text) {
+  const pattern = /\b(visa|sponsor(ship)?|right to work|work permit|work authori[sz]ation|immigration|relocation)\b/i;
+
+  return (text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length < 400 && pattern.test(sentence));
+}
+
 function analyzeJobDescriptionKeywords(text) {
   const lowerText = text.toLowerCase();
   
@@ -246,7 +260,10 @@ async function checkRecentSponsorActivity(company, countryCode) {
 }
 
 async function checkSalaryThreshold(salary, countryCode) {
-  if (!salary || !salary.min || !countryCode) {
+  // Thresholds are annual; day rates and monthly pay are compared on their annual equivalent
+  const annual = annualizeSalary(salary);
+  const annualSalary = annual?.annual_min ?? annual?.annual_max;
+  if (!annualSalary || !countryCode) {
     return { meetsThreshold: false, threshold: null };
   }
   
@@ -264,7 +281,7 @@ async function checkSalaryThreshold(salary, countryCode) {
     }
     
     const threshold = data[0];
-    const meetsThreshold = salary.min >= threshold.min_salary_annual;
+    const meetsThreshold = annualSalary >= threshold.min_salary_annual;
     
     return {
       meetsThreshold,
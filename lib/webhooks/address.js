@@ -0,0 +1,105 @@
+// Webhook Target Addresses
+// Deliveries are server-side POSTs, so a subscriber must not be able to aim them at our own network:
+// loopback, private (RFC 1918), link-local (cloud metadata at 169.254.169.254) and similar ranges are refused,
+// both for literal IPs in the URL and for whatever a hostname resolves to at delivery time.
+// WEBHOOK_ALLOW_PRIVATE_URLS=true lifts the check for local development.
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],      // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],      // benchmarking
+  ['224.0.0.0', 4],        // multicast
+  ['240.0.0.0', 4]         // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],           // unique local
+  ['fe80::', 10],          // link-local
+  ['ff00::', 8]            // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const LOCAL_HOSTNAMES = /^(?:localhost|.+\.localhost)$/i;
+
+export function allowsPrivateTargets() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED.check(address, 'ipv4');
+  if (family !== 6) return false;
+
+  // IPv4-mapped (::ffff:127.0.0.1) is checked as the IPv4 address it carries
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? BLOCKED.check(mapped[1], 'ipv4') : BLOCKED.check(address, 'ipv6');
+}
+
+/**
+ * Whether a URL's host is a private address as written (literal IPs and localhost names)
+ * Hostnames are checked again against what they resolve to when a delivery is sent.
+ */
+export function isPrivateUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  return LOCAL_HOSTNAMES.test(hostname) || isPrivateAddress(hostname);
+}
+
+/**
+ * dns.lookup that refuses private addresses, so a hostname cannot be pointed at one after validation
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(blockedTargetError(`${hostname} resolves to private address ${blocked.address}`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * node-fetch `agent` option for a webhook delivery
+ * @returns {Function|undefined} undefined when private targets are allowed
+ */
+export function webhookAgent() {
+  if (allowsPrivateTargets()) return undefined;
+  return parsedUrl => (parsedUrl.protocol === 'http:' ? httpAgent : httpsAgent);
+}
+
+/**
+ * Throw if a delivery URL names a private host outright
+ */
+export function assertPublicUrl(url) {
+  if (!allowsPrivateTargets() && isPrivateUrl(url)) {
+    throw blockedTargetError(`${new URL(url).hostname} is a private address`);
+  }
+}
+
+// Retrying cannot help: the subscription has to be changed
+function blockedTargetError(message) {
+  const error = new Error(`Webhook target refused: ${message}`);
+  error.permanent = true;
+  return error;
+}
@@ -0,0 +1,234 @@
+// Webhook Delivery
+// Records one delivery per matching subscription, sends it straight away, and retries failed sends with backoff.
+// Pending retries are picked up by the ingestion worker (lib/ingest/worker.js) on its schedule.
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { createClient } from '@supabase/supabase-js';
+import { HttpError, isTransientError, backoffDelay, parseRetryAfter } from '../ingest/retry.js';
+import { findSubscriptions } from './subscriptions.js';
+import { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './signing.js';
+import { assertPublicUrl, webhookAgent } from './address.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+export const MAX_DELIVERY_ATTEMPTS = 6;
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// Keep enough of the receiver's reply to debug with
+const MAX_RESPONSE_CHARS = 1000;
+
+/**
+ * Send an event to every subscription that wants it
+ * Never throws - a webhook problem must not fail the ingestion that triggered it.
+ * @param {string} event - 'import.completed' | 'job.ingested' | 'job.failed'
+ * @param {Object} data - Event body
+ * @param {Object} scope - { importJobId, recommendation } used to match subscriptions
+ * @returns {number} Deliveries created
+ */
+export async function emitWebhookEvent(event, data, scope = {}) {
+  try {
+    const subscriptions = (await findSubscriptions(event, scope.importJobId || null))
+      .filter(subscription => matchesRecommendation(subscription, event, scope.recommendation));
+
+    if (subscriptions.length === 0) return 0;
+
+    const payload = {
+      id: `evt_${crypto.randomUUID()}`,
+      type: event,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    const { data: deliveries, error } = await supabase
+      .from('webhook_deliveries')
+      .insert(subscriptions.map(subscription => ({
+        subscription_id: subscription.id,
+        event,
+        event_id: payload.id,
+        payload,
+        status: 'pending',
+        max_attempts: MAX_DELIVERY_ATTEMPTS,
+        next_attempt_at: payload.created_at
+      })))
+      .select();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const byId = new Map(subscriptions.map(subscription => [subscription.id, subscription]));
+    await Promise.allSettled(deliveries.map(delivery => attemptDelivery(delivery, byId.get(delivery.subscription_id))));
+
+    return deliveries.length;
+  } catch (error) {
+    console.error(`Failed to emit webhook event ${event}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Retry deliveries whose backoff has elapsed
+ * @param {Object} options - { limit, timeBudgetMs }
+ * @returns {Object} { attempted, delivered, failed, retrying }
+ */
+export async function retryDueDeliveries(options = {}) {
+  const summary = { attempted: 0, delivered: 0, failed: 0, retrying: 0 };
+  const startTime = Date.now();
+
+  const { data: due, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*, webhook_subscriptions(*)')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(options.limit || 20);
+
+  if (error) {
+    console.error('Failed to read webhook deliveries:', error);
+    return summary;
+  }
+
+  for (const delivery of due) {
+    if (options.timeBudgetMs && Date.now() - startTime > options.timeBudgetMs) break;
+
+    const { webhook_subscriptions: subscription, ...row } = delivery;
+    const result = await attemptDelivery(row, subscription);
+    summary.attempted++;
+    summary[result.status === 'pending' ? 'retrying' : result.status]++;
+  }
+
+  return summary;
+}
+
+/**
+ * Queue a delivery to be sent again now with a fresh set of attempts
+ */
+export async function redeliver(deliveryId) {
+  const { data: delivery, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*, webhook_subscriptions(*)')
+    .eq('id', deliveryId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load webhook delivery ${deliveryId}: ${error.message}`);
+  }
+
+  if (!delivery) return null;
+
+  const { webhook_subscriptions: subscription, ...row } = delivery;
+  return attemptDelivery({ ...row, attempts: 0 }, subscription);
+}
+
+/**
+ * Deliveries newest first
+ * @param {Object} filters - { subscriptionId, status, event, limit }
+ */
+export async function listDeliveries(filters = {}) {
+  let query = supabase
+    .from('webhook_deliveries')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(filters.limit || 50);
+
+  if (filters.subscriptionId) query = query.eq('subscription_id', filters.subscriptionId);
+  if (filters.status) query = query.eq('status', filters.status);
+  if (filters.event) query = query.eq('event', filters.event);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch webhook deliveries: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * POST the signed payload once and record the outcome on the delivery row
+ * Redirects are not followed, and private or loopback targets are refused (see address.js).
+ * @returns {Object} Updated delivery fields
+ */
+export async function attemptDelivery(delivery, subscription) {
+  const attempts = (delivery.attempts || 0) + 1;
+  const now = new Date();
+  const update = { attempts, last_attempt_at: now.toISOString(), updated_at: now.toISOString() };
+
+  if (!subscription || !subscription.enabled) {
+    Object.assign(update, { status: 'failed', error_message: 'Webhook disabled or removed', next_attempt_at: null });
+    await saveDelivery(delivery.id, update);
+    return update;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  try {
+    assertPublicUrl(subscription.url);
+
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'JobScanAI-Webhooks/1.0',
+        'X-JobScan-Event': delivery.event,
+        'X-JobScan-Delivery': delivery.event_id,
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signPayload(subscription.secret, body, timestamp)
+      },
+      body,
+      redirect: 'manual',
+      agent: webhookAgent(),
+      timeout: DELIVERY_TIMEOUT_MS
+    });
+
+    update.response_status = response.status;
+    update.response_body = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_CHARS);
+
+    if (!response.ok) {
+      throw new HttpError(response.status, response.statusText, parseRetryAfter(response.headers.get('retry-after')));
+    }
+
+    Object.assign(update, { status: 'delivered', delivered_at: update.last_attempt_at, error_message: null, next_attempt_at: null });
+  } catch (error) {
+    const maxAttempts = delivery.max_attempts || MAX_DELIVERY_ATTEMPTS;
+    update.error_message = error.message;
+
+    if (isTransientError(error, 'delivering') && attempts < maxAttempts) {
+      const delay = backoffDelay(attempts, error, RETRY_BASE_DELAY_MS);
+      update.status = 'pending';
+      update.next_attempt_at = new Date(now.getTime() + delay).toISOString();
+      console.warn(`Webhook ${delivery.event} to ${subscription.url} failed (attempt ${attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    } else {
+      update.status = 'failed';
+      update.next_attempt_at = null;
+      console.error(`Webhook ${delivery.event} to ${subscription.url} failed permanently after ${attempts} attempt(s): ${error.message}`);
+    }
+  }
+
+  await saveDelivery(delivery.id, update);
+  return update;
+}
+
+async function saveDelivery(deliveryId, update) {
+  const { error } = await supabase
+    .from('webhook_deliveries')
+    .update(update)
+    .eq('id', deliveryId);
+
+  if (error) {
+    console.error(`Failed to record webhook delivery ${deliveryId}:`, error);
+  }
+}
+
+// job.ingested subscriptions can ask for specific recommendations only (e.g. just "APPLY NOW")
+function matchesRecommendation(subscription, event, recommendation) {
+  if (event !== 'job.ingested' || !subscription.recommendations?.length) return true;
+  return subscription.recommendations.includes(recommendation);
+}
@@ -0,0 +1,61 @@
+// Webhook Events
+// Payload builders for the events ingestion emits; each call never throws (see emitWebhookEvent)
+
+import { emitWebhookEvent } from './delivery.js';
+
+/**
+ * A new job was stored (duplicates and refreshes of known jobs do not count)
+ * @param {Object} job - Stored job_normalized row
+ * @param {Object} context - { importJobId, sourceType }
+ */
+export function notifyJobIngested(job, context = {}) {
+  return emitWebhookEvent('job.ingested', {
+    job_id: job.id,
+    import_job_id: context.importJobId || null,
+    source_type: context.sourceType || null,
+    source_url: job.source_url,
+    title: job.title,
+    company: job.company,
+    location: job.location,
+    overall_score: job.overall_score,
+    visa_score: job.visa_score,
+    resume_match_score: job.resume_match_score,
+    job_relevance_score: job.job_relevance_score,
+    recommendation: job.recommendation
+  }, { importJobId: context.importJobId, recommendation: job.recommendation });
+}
+
+/**
+ * A URL could not be ingested and will not be retried
+ * @param {Object} failure - { url, stage, error, attempts, taskId }
+ * @param {Object} context - { importJobId, sourceType }
+ */
+export function notifyJobFailed(failure, context = {}) {
+  return emitWebhookEvent('job.failed', {
+    source_url: failure.url,
+    import_job_id: context.importJobId || null,
+    task_id: failure.taskId || null,
+    source_type: context.sourceType || null,
+    stage: failure.stage || null,
+    error: failure.error,
+    attempts: failure.attempts || 1
+  }, { importJobId: context.importJobId });
+}
+
+/**
+ * Every task of an import has finished
+ * @param {Object} importJob - bulk_import_jobs row after the final progress update
+ */
+export function notifyImportCompleted(importJob) {
+  return emitWebhookEvent('import.completed', {
+    import_job_id: importJob.id,
+    import_type: importJob.import_type,
+    source_file: importJob.source_file || null,
+    total: importJob.total_urls,
+    successful: importJob.successful_urls,
+    failed: importJob.failed_urls,
+    errors: importJob.error_log || [],
+    started_at: importJob.started_at,
+    completed_at: importJob.completed_at
+  }, { importJobId: importJob.id });
+}
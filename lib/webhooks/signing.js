@@ -0,0 +1,51 @@
+// Webhook Signing
+// HMAC-SHA256 signatures over "<timestamp>.<body>" so receivers can check a payload came from us and is fresh
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-jobscan-signature';
+export const TIMESTAMP_HEADER = 'x-jobscan-timestamp';
+
+// Receivers should reject deliveries signed longer ago than this (replayed requests)
+export const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * New per-subscription signing secret
+ */
+export function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a payload body
+ * @param {string} body - Exact JSON string that is sent
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} "sha256=<hex>"
+ */
+export function signPayload(secret, body, timestamp) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a received delivery (for receivers written in Node)
+ * @param {string} body - Raw request body, before JSON parsing
+ * @param {Object} headers - Request headers (lower-cased names)
+ * @returns {boolean}
+ */
+export function verifySignature(secret, body, headers, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  const timestamp = parseInt(headers[TIMESTAMP_HEADER], 10);
+  const signature = headers[SIGNATURE_HEADER];
+
+  if (!timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
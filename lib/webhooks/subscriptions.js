@@ -0,0 +1,146 @@
+// Webhook Subscriptions
+// Registered callback URLs: global ones receive every matching event, import-scoped ones only that import's
+
+import { createClient } from '@supabase/supabase-js';
+import { generateSecret } from './signing.js';
+import { allowsPrivateTargets, isPrivateUrl } from './address.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+export const WEBHOOK_EVENTS = ['import.completed', 'job.ingested', 'job.failed'];
+
+export const RECOMMENDATIONS = ['APPLY NOW', 'STRONGLY CONSIDER', 'CONSIDER', 'REVIEW CAREFULLY', 'SKIP'];
+
+/**
+ * Validate subscription fields from a request
+ * @returns {string|null} Error message
+ */
+export function validateSubscription(fields) {
+  if (fields.url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(fields.url);
+    } catch (error) {
+      return 'url must be a valid URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be http(s)';
+    }
+    if (!allowsPrivateTargets() && isPrivateUrl(parsed.href)) {
+      return 'url must not point at a loopback, private or link-local address';
+    }
+  }
+
+  if (fields.events !== undefined) {
+    if (!Array.isArray(fields.events) || fields.events.length === 0) {
+      return `events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+    const unknown = fields.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')} (available: ${WEBHOOK_EVENTS.join(', ')})`;
+    }
+  }
+
+  if (fields.recommendations !== undefined && fields.recommendations !== null) {
+    if (!Array.isArray(fields.recommendations)) {
+      return 'recommendations must be an array';
+    }
+    const unknown = fields.recommendations.filter(action => !RECOMMENDATIONS.includes(action));
+    if (unknown.length > 0) {
+      return `Unknown recommendations: ${unknown.join(', ')} (available: ${RECOMMENDATIONS.join(', ')})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the per-import `webhook` option of an import request
+ * Accepts an object, or a JSON string (multipart form field)
+ * @returns {Object|null} Subscription fields; throws on anything the client needs to fix
+ */
+export function readWebhookOption(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let fields = value;
+  if (typeof value === 'string') {
+    try {
+      fields = JSON.parse(value);
+    } catch (error) {
+      throw new Error('webhook must be a JSON object');
+    }
+  }
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || !fields.url) {
+    throw new Error('webhook must be an object with a url');
+  }
+
+  const validationError = validateSubscription(fields);
+  if (validationError) {
+    throw new Error(`webhook: ${validationError}`);
+  }
+
+  return fields;
+}
+
+/**
+ * Register a webhook
+ * @param {Object} fields - { url, events?, recommendations?, description?, secret? }
+ * @param {number} importJobId - Scope the webhook to one import (null for global)
+ * @returns {Object} Inserted row, including the secret
+ */
+export async function createSubscription(fields, importJobId = null) {
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .insert({
+      url: fields.url,
+      events: fields.events || WEBHOOK_EVENTS,
+      recommendations: fields.recommendations || null,
+      description: fields.description || null,
+      secret: fields.secret || generateSecret(),
+      bulk_import_job_id: importJobId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to register webhook: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Enabled subscriptions for an event
+ * @param {number} importJobId - The import the event belongs to, if any
+ */
+export async function findSubscriptions(event, importJobId = null) {
+  let query = supabase
+    .from('webhook_subscriptions')
+    .select('*')
+    .eq('enabled', true)
+    .contains('events', [event]);
+
+  query = importJobId
+    ? query.or(`bulk_import_job_id.is.null,bulk_import_job_id.eq.${importJobId}`)
+    : query.is('bulk_import_job_id', null);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch webhook subscriptions: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Subscription as shown to API callers - the secret is only returned when the webhook is created
+ */
+export function formatSubscription(row) {
+  const { secret, ...rest } = row;
+  return { ...rest, secret_hint: secret ? `${secret.slice(0, 10)}…` : null };
+}
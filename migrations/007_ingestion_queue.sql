@@ -0,0 +1,31 @@
+-- Migration 007: Durable ingestion queue for bulk imports
+-- Purpose: Persist one task per URL so a worker can drain imports outside the HTTP request
+
+CREATE TABLE IF NOT EXISTS ingestion_queue (
+  id BIGSERIAL PRIMARY KEY,
+  bulk_import_job_id BIGINT REFERENCES bulk_import_jobs(id) ON DELETE CASCADE,
+  source_url TEXT NOT NULL,
+  source_type VARCHAR(50) DEFAULT 'bulk_manual',
+  state VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (state IN ('queued', 'fetching', 'normalizing', 'scoring', 'done', 'failed')),
+  attempts INTEGER DEFAULT 0,
+  job_raw_id BIGINT REFERENCES job_raw(id) ON DELETE SET NULL,
+  job_normalized_id BIGINT REFERENCES job_normalized(id) ON DELETE SET NULL,
+  failed_stage VARCHAR(20),
+  error_message TEXT,
+  locked_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Worker picks queued tasks in enqueue order
+CREATE INDEX IF NOT EXISTS idx_ingestion_queue_state ON ingestion_queue(state, id);
+CREATE INDEX IF NOT EXISTS idx_ingestion_queue_import ON ingestion_queue(bulk_import_job_id);
+CREATE INDEX IF NOT EXISTS idx_ingestion_queue_locked ON ingestion_queue(locked_at);
+
+-- Comments
+COMMENT ON TABLE ingestion_queue IS 'Per-URL ingestion tasks drained by the ingestion worker';
+COMMENT ON COLUMN ingestion_queue.state IS 'Task state: queued, fetching, normalizing, scoring, done, failed';
+COMMENT ON COLUMN ingestion_queue.failed_stage IS 'Pipeline stage the task was in when it failed';
+COMMENT ON COLUMN ingestion_queue.locked_at IS 'When a worker claimed the task (used to recover tasks from killed workers)';
@@ -0,0 +1,15 @@
+-- Migration 008: Retry scheduling for the ingestion queue
+-- Purpose: Back off transient failures and keep exhausted tasks as a dead-letter list
+
+ALTER TABLE ingestion_queue
+ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS max_attempts INTEGER DEFAULT 4,
+ADD COLUMN IF NOT EXISTS last_error_at TIMESTAMPTZ;
+
+-- Worker only claims tasks whose backoff has elapsed
+CREATE INDEX IF NOT EXISTS idx_ingestion_queue_next_attempt ON ingestion_queue(state, next_attempt_at);
+
+-- Comments
+COMMENT ON COLUMN ingestion_queue.next_attempt_at IS 'Earliest time a queued task may be retried (NULL = immediately)';
+COMMENT ON COLUMN ingestion_queue.max_attempts IS 'Attempts allowed before the task is dead-lettered';
+COMMENT ON COLUMN ingestion_queue.last_error_at IS 'When the most recent attempt failed';
@@ -0,0 +1,40 @@
+-- Migration 009: URL canonicalization and content-hash deduplication
+-- Purpose: Collapse the same posting arriving via different URLs into one job, keeping every URL as an alias
+
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS canonical_url TEXT,
+ADD COLUMN IF NOT EXISTS dedupe_key TEXT,
+ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64),
+ADD COLUMN IF NOT EXISTS description_simhash VARCHAR(16);
+
+CREATE INDEX IF NOT EXISTS idx_job_normalized_canonical_url ON job_normalized(canonical_url);
+CREATE INDEX IF NOT EXISTS idx_job_normalized_dedupe_key ON job_normalized(dedupe_key);
+CREATE INDEX IF NOT EXISTS idx_job_normalized_content_hash ON job_normalized(content_hash);
+
+-- Table: job_url_aliases
+-- Every URL a job has been seen at, keyed by canonical form
+CREATE TABLE IF NOT EXISTS job_url_aliases (
+  id BIGSERIAL PRIMARY KEY,
+  job_normalized_id BIGINT NOT NULL REFERENCES job_normalized(id) ON DELETE CASCADE,
+  source_url TEXT NOT NULL,
+  canonical_url TEXT NOT NULL UNIQUE,
+  source_type VARCHAR(50),
+  job_raw_id BIGINT REFERENCES job_raw(id) ON DELETE SET NULL,
+  match_type VARCHAR(20) DEFAULT 'original'
+    CHECK (match_type IN ('original', 'url', 'content_hash', 'near_duplicate')),
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_url_aliases_job ON job_url_aliases(job_normalized_id);
+
+-- Queue tasks that collapsed into an existing job
+ALTER TABLE ingestion_queue
+ADD COLUMN IF NOT EXISTS duplicate_of_existing BOOLEAN DEFAULT FALSE;
+
+-- Comments
+COMMENT ON COLUMN job_normalized.canonical_url IS 'Canonical form of source_url (tracking params and URL variants removed)';
+COMMENT ON COLUMN job_normalized.dedupe_key IS 'Normalized title|company used to find near-duplicate candidates';
+COMMENT ON COLUMN job_normalized.content_hash IS 'SHA-256 of normalized title, company, location and description';
+COMMENT ON COLUMN job_normalized.description_simhash IS '64-bit simhash of the description (hex) for near-duplicate matching';
+COMMENT ON TABLE job_url_aliases IS 'All source URLs a job was seen at; canonical_url is unique across jobs';
@@ -0,0 +1,36 @@
+-- Migration 010: Idempotent manual ingest and re-ingest/refresh
+-- Purpose: Replay retried requests instead of duplicating jobs, and keep every raw snapshot linked to its job
+
+-- Link raw snapshots to the job they belong to (one job, many fetches)
+ALTER TABLE job_raw
+ADD COLUMN IF NOT EXISTS job_normalized_id BIGINT REFERENCES job_normalized(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_job_raw_job_normalized_id ON job_raw(job_normalized_id, fetched_at DESC);
+
+-- Refresh tracking on jobs
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS refreshed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS refresh_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_changes JSONB;
+
+-- Table: ingest_idempotency_keys
+-- Stores the response of each keyed request so retries and double-clicks get the same answer
+CREATE TABLE IF NOT EXISTS ingest_idempotency_keys (
+  idempotency_key VARCHAR(255) PRIMARY KEY,
+  scope VARCHAR(50) NOT NULL,
+  request_fingerprint TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+    CHECK (status IN ('in_progress', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_idempotency_created ON ingest_idempotency_keys(created_at);
+
+-- Comments
+COMMENT ON COLUMN job_raw.job_normalized_id IS 'Job this snapshot was fetched for (all refreshes of a job share it)';
+COMMENT ON COLUMN job_normalized.refreshed_at IS 'Last time the posting was re-fetched and re-scored';
+COMMENT ON COLUMN job_normalized.last_changes IS 'Fields that changed on the last refresh: {field: {old, new}}';
+COMMENT ON TABLE ingest_idempotency_keys IS 'Idempotency keys for ingest requests (expire after 24h)';
@@ -0,0 +1,20 @@
+-- Migration 011: Posting liveness checks and automatic expiry
+-- Purpose: Notice when postings are taken down and hide closed jobs from listings
+
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS is_closed BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS closed_reason TEXT,
+ADD COLUMN IF NOT EXISTS last_liveness_check_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS liveness_status VARCHAR(20) DEFAULT 'unchecked'
+  CHECK (liveness_status IN ('unchecked', 'live', 'closed', 'unknown'));
+
+-- Liveness pass picks open jobs that were checked longest ago
+CREATE INDEX IF NOT EXISTS idx_job_normalized_liveness ON job_normalized(is_closed, last_liveness_check_at NULLS FIRST);
+CREATE INDEX IF NOT EXISTS idx_job_normalized_expires_at ON job_normalized(expires_at);
+
+-- Comments
+COMMENT ON COLUMN job_normalized.is_closed IS 'Posting was taken down or expired';
+COMMENT ON COLUMN job_normalized.closed_at IS 'When the liveness check first saw the posting as closed';
+COMMENT ON COLUMN job_normalized.closed_reason IS 'Dead signal that closed the job (http_404, redirect_to_index, closed_text, expired)';
+COMMENT ON COLUMN job_normalized.liveness_status IS 'Result of the last liveness check: unchecked, live, closed, unknown';
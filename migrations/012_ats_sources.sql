@@ -0,0 +1,15 @@
+-- Migration 012: Structured ATS sources (Greenhouse, Lever, Ashby)
+-- Purpose: Keep the provider identity and structured fields that ATS JSON payloads carry
+
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS source_provider VARCHAR(30),
+ADD COLUMN IF NOT EXISTS source_job_id TEXT,
+ADD COLUMN IF NOT EXISTS departments TEXT[],
+ADD COLUMN IF NOT EXISTS employment_type VARCHAR(50),
+ADD COLUMN IF NOT EXISTS locations TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_job_normalized_source_job ON job_normalized(source_provider, source_job_id);
+
+COMMENT ON COLUMN job_normalized.source_provider IS 'Structured source the job was mapped from (greenhouse, lever, ashby); NULL for scraped HTML';
+COMMENT ON COLUMN job_normalized.source_job_id IS 'Posting id within the source provider';
+COMMENT ON COLUMN job_normalized.locations IS 'Every location the posting lists; location holds the primary one';
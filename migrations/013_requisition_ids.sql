@@ -0,0 +1,9 @@
+-- Migration 013: Requisition ids from Workday, SmartRecruiters and Greenhouse
+-- Purpose: Keep the employer's own requisition reference alongside the provider posting id
+
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS requisition_id VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_job_normalized_requisition ON job_normalized(company, requisition_id);
+
+COMMENT ON COLUMN job_normalized.requisition_id IS 'Employer requisition reference (Workday jobReqId, SmartRecruiters refNumber, Greenhouse requisition_id)';
@@ -0,0 +1,31 @@
+-- Migration 014: Saved job board searches
+-- Purpose: Queries run on a schedule by /api/increment against the Reed and Adzuna connectors
+
+CREATE TABLE IF NOT EXISTS source_queries (
+  id BIGSERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  source VARCHAR(30) NOT NULL,
+  keywords TEXT,
+  location TEXT,
+  country VARCHAR(10),
+  params JSONB NOT NULL DEFAULT '{}',
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  run_interval_minutes INTEGER NOT NULL DEFAULT 360,
+  max_pages INTEGER NOT NULL DEFAULT 3,
+  cursor JSONB NOT NULL DEFAULT '{}',
+  last_run_at TIMESTAMPTZ,
+  last_run_status VARCHAR(20)
+    CHECK (last_run_status IN ('success', 'failed', 'skipped')),
+  last_error TEXT,
+  last_import_job_id BIGINT REFERENCES bulk_import_jobs(id) ON DELETE SET NULL,
+  last_run_stats JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_source_queries_due ON source_queries(enabled, last_run_at NULLS FIRST);
+
+COMMENT ON TABLE source_queries IS 'Saved job board searches run by /api/increment';
+COMMENT ON COLUMN source_queries.source IS 'Connector name in lib/sources (reed, adzuna)';
+COMMENT ON COLUMN source_queries.params IS 'Connector-specific filters passed through to the API; Adzuna accepts countries: ["gb", "nl", ...]';
+COMMENT ON COLUMN source_queries.cursor IS 'High-water mark per partition, e.g. {"gb": {"high_water_mark": "2026-10-14T09:00:00Z"}}';
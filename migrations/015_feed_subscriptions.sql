@@ -0,0 +1,48 @@
+-- Migration 015: RSS/Atom and sitemap feed subscriptions
+-- Purpose: Poll registered feeds on a schedule and queue only posting URLs not seen before
+
+-- Table: feed_subscriptions
+CREATE TABLE IF NOT EXISTS feed_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  feed_url TEXT NOT NULL UNIQUE,
+  name VARCHAR(255),
+  feed_type VARCHAR(20)
+    CHECK (feed_type IN ('rss', 'atom', 'sitemap', 'sitemap_index')),
+  url_pattern TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  poll_interval_minutes INTEGER NOT NULL DEFAULT 60,
+  etag TEXT,
+  last_modified TEXT,
+  last_polled_at TIMESTAMPTZ,
+  last_poll_status VARCHAR(20)
+    CHECK (last_poll_status IN ('success', 'not_modified', 'failed')),
+  last_error TEXT,
+  last_item_count INTEGER,
+  last_new_count INTEGER,
+  last_import_job_id BIGINT REFERENCES bulk_import_jobs(id) ON DELETE SET NULL,
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_subscriptions_due ON feed_subscriptions(enabled, last_polled_at NULLS FIRST);
+
+-- Table: feed_items
+-- Every posting URL a feed has listed, so each poll only queues what is new
+CREATE TABLE IF NOT EXISTS feed_items (
+  id BIGSERIAL PRIMARY KEY,
+  feed_id BIGINT NOT NULL REFERENCES feed_subscriptions(id) ON DELETE CASCADE,
+  item_url TEXT NOT NULL,
+  canonical_url TEXT NOT NULL,
+  guid TEXT,
+  title TEXT,
+  published_at TIMESTAMPTZ,
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (feed_id, canonical_url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_items_feed ON feed_items(feed_id, first_seen_at DESC);
+
+COMMENT ON TABLE feed_subscriptions IS 'Registered RSS/Atom feeds and careers sitemaps polled by /api/feeds/poll';
+COMMENT ON COLUMN feed_subscriptions.url_pattern IS 'Regex a listed URL must match to count as a posting (sitemaps also list non-job pages)';
+COMMENT ON TABLE feed_items IS 'Posting URLs already seen per feed';
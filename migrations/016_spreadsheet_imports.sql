@@ -0,0 +1,15 @@
+-- Migration 016: CSV/XLSX bulk uploads with column mapping
+-- Purpose: Carry spreadsheet columns other than the URL through the queue and onto the job as user annotations
+
+ALTER TABLE ingestion_queue
+ADD COLUMN IF NOT EXISTS annotations JSONB;
+
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS user_annotations JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE bulk_import_jobs
+ADD COLUMN IF NOT EXISTS column_mapping JSONB;
+
+COMMENT ON COLUMN ingestion_queue.annotations IS 'Spreadsheet columns for this row (e.g. source, notes, referral_contact, priority), copied onto the job once stored';
+COMMENT ON COLUMN job_normalized.user_annotations IS 'User-supplied notes about the job; later imports merge in, newer values win per key';
+COMMENT ON COLUMN bulk_import_jobs.column_mapping IS 'Resolved spreadsheet header -> field mapping used for the upload';
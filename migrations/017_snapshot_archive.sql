@@ -0,0 +1,30 @@
+-- Migration 017: Compressed raw snapshot archive
+-- Purpose: Store every fetch of a posting compressed, with its HTTP metadata, as a per-job history that
+-- normalization can be replayed against; old snapshots are pruned by the retention pass
+
+-- New rows leave raw_html empty and keep brotli-compressed, base64-encoded content in raw_content
+ALTER TABLE job_raw
+ALTER COLUMN raw_html DROP NOT NULL;
+
+ALTER TABLE job_raw
+ADD COLUMN IF NOT EXISTS raw_content TEXT,
+ADD COLUMN IF NOT EXISTS content_encoding VARCHAR(10)
+  CHECK (content_encoding IN ('br')),
+ADD COLUMN IF NOT EXISTS content_sha256 CHAR(64),
+ADD COLUMN IF NOT EXISTS byte_size INTEGER,
+ADD COLUMN IF NOT EXISTS stored_size INTEGER,
+ADD COLUMN IF NOT EXISTS http_status INTEGER,
+ADD COLUMN IF NOT EXISTS final_url TEXT,
+ADD COLUMN IF NOT EXISTS response_headers JSONB;
+
+-- Retention walks old rows; history lists a job's rows newest first (idx_job_raw_job_normalized_id)
+CREATE INDEX IF NOT EXISTS idx_job_raw_fetched_at ON job_raw(fetched_at);
+CREATE INDEX IF NOT EXISTS idx_job_raw_uncompressed ON job_raw(id) WHERE content_encoding IS NULL;
+
+-- Comments
+COMMENT ON COLUMN job_raw.raw_html IS 'Uncompressed snapshot (rows stored before migration 017 until the retention pass compresses them)';
+COMMENT ON COLUMN job_raw.raw_content IS 'Snapshot content, compressed with content_encoding and base64-encoded';
+COMMENT ON COLUMN job_raw.content_sha256 IS 'SHA-256 of the uncompressed content; equal hashes mean the posting did not change between fetches';
+COMMENT ON COLUMN job_raw.byte_size IS 'Uncompressed size in bytes';
+COMMENT ON COLUMN job_raw.stored_size IS 'Size of raw_content as stored';
+COMMENT ON COLUMN job_raw.response_headers IS 'Response headers kept from the fetch (content-type, etag, last-modified, cache-control, x-robots-tag, ...)';
@@ -0,0 +1,32 @@
+-- Migration 018: Re-normalize / re-score backfill runs
+-- Purpose: Track resumable backfill runs (scripts/rescore-jobs.js) that re-run normalization and scoring
+-- over jobs already stored, so extractor and weight changes reach older rows
+
+CREATE TABLE IF NOT EXISTS backfill_runs (
+  id BIGSERIAL PRIMARY KEY,
+  mode VARCHAR(20) NOT NULL CHECK (mode IN ('normalize', 'score')),
+  filters JSONB NOT NULL DEFAULT '{}',
+  dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+  status VARCHAR(20) NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'interrupted', 'completed', 'failed')),
+
+  -- Resume point: jobs are walked in id order
+  last_job_id BIGINT NOT NULL DEFAULT 0,
+  total_jobs INTEGER NOT NULL DEFAULT 0,
+  summary JSONB NOT NULL DEFAULT '{}',
+  error_message TEXT,
+
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_backfill_runs_status ON backfill_runs(status, started_at DESC);
+
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS rescored_at TIMESTAMPTZ;
+
+-- Comments
+COMMENT ON TABLE backfill_runs IS 'Re-normalize / re-score runs; an interrupted run resumes after last_job_id';
+COMMENT ON COLUMN backfill_runs.summary IS 'Running counts: processed, updated, unchanged, skipped, failed, score and recommendation changes';
+COMMENT ON COLUMN job_normalized.rescored_at IS 'Last time a backfill run rewrote this job';
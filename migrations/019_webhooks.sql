@@ -0,0 +1,48 @@
+-- Migration 019: Webhook callbacks for ingestion events
+-- Purpose: Notify registered URLs (globally or for one import) when an import completes, a job is ingested,
+-- or a URL fails; every delivery is signed, logged, and retried with backoff
+
+-- Table: webhook_subscriptions
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT ARRAY['import.completed', 'job.ingested', 'job.failed'],
+  recommendations TEXT[],
+  description TEXT,
+  bulk_import_job_id BIGINT REFERENCES bulk_import_jobs(id) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_import ON webhook_subscriptions(bulk_import_job_id);
+
+-- Table: webhook_deliveries
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  subscription_id BIGINT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL,
+  event_id TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 6,
+  next_attempt_at TIMESTAMPTZ,
+  last_attempt_at TIMESTAMPTZ,
+  response_status INTEGER,
+  response_body TEXT,
+  error_message TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC);
+
+COMMENT ON TABLE webhook_subscriptions IS 'Callback URLs for ingestion events; bulk_import_job_id NULL means every import';
+COMMENT ON COLUMN webhook_subscriptions.secret IS 'HMAC-SHA256 key for the x-jobscan-signature header';
+COMMENT ON COLUMN webhook_subscriptions.recommendations IS 'Only send job.ingested for these recommendations (e.g. {APPLY NOW}); NULL sends all';
+COMMENT ON TABLE webhook_deliveries IS 'One row per event per subscription; pending rows are retried by the ingestion worker';
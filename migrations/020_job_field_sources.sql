@@ -0,0 +1,7 @@
+-- Migration 020: Per-field source of normalized job data
+-- Purpose: Record whether each field came from the page's schema.org JobPosting (JSON-LD) or from heuristics
+
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS field_sources JSONB;
+
+COMMENT ON COLUMN job_normalized.field_sources IS 'Field -> source it was read from (json_ld, heuristic; null when nothing was found), for jobs normalized from HTML';
@@ -0,0 +1,11 @@
+-- Migration 021: Experience requirements
+-- Purpose: Store the years of experience a posting asks for, read from JSON-LD experienceRequirements or the description
+
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS experience_min INTEGER,
+ADD COLUMN IF NOT EXISTS experience_max INTEGER,
+ADD COLUMN IF NOT EXISTS experience_raw TEXT;
+
+COMMENT ON COLUMN job_normalized.experience_min IS 'Minimum years of experience asked for; null when the posting states none';
+COMMENT ON COLUMN job_normalized.experience_max IS 'Upper end of a stated range ("3-5 years"); null for open-ended requirements ("5+ years")';
+COMMENT ON COLUMN job_normalized.experience_raw IS 'Wording the requirement was read from';
@@ -0,0 +1,9 @@
+-- Migration 022: Role family and seniority
+-- Purpose: Store the classification of each job title that role matching scores against
+
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS role_family TEXT,
+ADD COLUMN IF NOT EXISTS seniority TEXT;
+
+COMMENT ON COLUMN job_normalized.role_family IS 'product, engineering, data, design, sales, marketing, customer_success, project, finance, people, legal or operations; null when the title matches none';
+COMMENT ON COLUMN job_normalized.seniority IS 'intern, junior, mid, senior, staff, principal, director, vp or executive; mid when the title states no level';
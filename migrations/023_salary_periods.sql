@@ -0,0 +1,19 @@
+-- Migration 023: Salary period and annual equivalent
+-- Purpose: Keep the period a salary was advertised in (day rates, hourly and monthly pay) next to its annual figure
+
+ALTER TABLE job_normalized
+ADD COLUMN IF NOT EXISTS salary_period TEXT,
+ADD COLUMN IF NOT EXISTS salary_annual_min DECIMAL(12,2),
+ADD COLUMN IF NOT EXISTS salary_annual_max DECIMAL(12,2);
+
+COMMENT ON COLUMN job_normalized.salary_period IS 'hour, day, week, month or year: the period salary_min/salary_max are quoted per';
+COMMENT ON COLUMN job_normalized.salary_annual_min IS 'salary_min annualised (1950 hours, 220 days, 52 weeks or 12 months a year); null for "up to" salaries';
+COMMENT ON COLUMN job_normalized.salary_annual_max IS 'salary_max annualised; null for "from" salaries';
+
+-- Existing rows were all read as annual figures
+UPDATE job_normalized
+SET salary_period = 'year',
+    salary_annual_min = salary_min,
+    salary_annual_max = salary_max
+WHERE salary_period IS NULL
+  AND (salary_min IS NOT NULL OR salary_max IS NOT NULL);
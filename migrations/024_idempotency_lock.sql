@@ -0,0 +1,7 @@
+-- Migration 024: Idempotency key locks
+-- Purpose: Let a retry take over a key whose request died before it completed or released the key
+
+ALTER TABLE ingest_idempotency_keys
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+COMMENT ON COLUMN ingest_idempotency_keys.locked_until IS 'An in_progress key past this time belongs to a request that died; the next claim takes it over';
@@ -0,0 +1,251 @@
+/**
+ * Re-normalize / Re-score Backfill Script
+ *
+ * Usage:
+ *   node scripts/rescore-jobs.js                              # Re-score every open job
+ *   node scripts/rescore-jobs.js --mode=normalize             # Re-normalize from stored snapshots, then re-score
+ *   node scripts/rescore-jobs.js --country=GB --since=2025-01-01
+ *   node scripts/rescore-jobs.js --company=Monzo --dry-run    # Report changes without writing
+ *   node scripts/rescore-jobs.js --ids=12,15,40
+ *   node scripts/rescore-jobs.js --resume                     # Continue the last interrupted run
+ *   node scripts/rescore-jobs.js --resume --run=7             # Continue a specific run
+ *
+ * Options:
+ *   --mode            score (default) | normalize
+ *   --country         Country code (job_normalized.country_code)
+ *   --company         Company name contains
+ *   --since           Jobs created on or after this date
+ *   --recommendation  Current recommendation (e.g. "SKIP")
+ *   --include-closed  Include closed/expired postings
+ *   --limit           Stop after this many jobs (run stays resumable)
+ *
+ * Features:
+ * - Batch processing (50 jobs per batch), progress saved to backfill_runs after each batch
+ * - Visual progress bar with ETA
+ * - Ctrl+C marks the run interrupted; --resume picks up after the last finished job
+ * - Summary of score and recommendation changes
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+// Validate environment variables
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+  console.error('❌ Error: SUPABASE_URL and SUPABASE_KEY must be set in .env file');
+  process.exit(1);
+}
+
+// Loaded after .env so the modules' Supabase clients see the credentials
+const {
+  BACKFILL_MODES,
+  BATCH_SIZE,
+  createRun,
+  loadRun,
+  saveRun,
+  fetchBatch,
+  rescoreJob
+} = await import('../lib/backfill/rescore.js');
+const { loadScoringContext } = await import('../lib/ingest/pipeline.js');
+
+/**
+ * Helper: Print progress bar
+ */
+function printProgress(processed, total, startTime, batchNum, totalBatches) {
+  const percent = total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 100;
+  const filled = Math.round(percent / 5);
+  const empty = 20 - filled;
+
+  // ETA calculation
+  const elapsed = (Date.now() - startTime) / 1000;
+  const rate = processed / elapsed; // jobs per second
+  const remaining = Math.max(0, total - processed);
+  const etaSeconds = rate > 0 ? remaining / rate : 0;
+
+  let eta;
+  if (etaSeconds < 60) {
+    eta = `${Math.round(etaSeconds)}s`;
+  } else if (etaSeconds < 3600) {
+    eta = `${Math.round(etaSeconds / 60)}m`;
+  } else {
+    eta = `${Math.round(etaSeconds / 3600)}h`;
+  }
+
+  const bar = '█'.repeat(filled) + '░'.repeat(empty);
+  process.stdout.write(`\r${bar} ${percent}% | ${processed.toLocaleString()}/${total.toLocaleString()} | Batch ${batchNum}/${totalBatches} | ETA: ${eta}`);
+}
+
+/**
+ * Parse command line arguments (--name=value or --name value)
+ */
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const nextArg = argv[i + 1];
+
+    if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (nextArg && !nextArg.startsWith('--')) {
+      options[name] = nextArg;
+      i++;
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return options;
+}
+
+function buildFilters(options) {
+  const filters = {};
+  if (options.ids) filters.ids = String(options.ids).split(',').map(id => parseInt(id, 10)).filter(Boolean);
+  if (options.country) filters.country = String(options.country).toUpperCase();
+  if (options.company) filters.company = String(options.company);
+  if (options.since) filters.since = String(options.since);
+  if (options.recommendation) filters.recommendation = String(options.recommendation).toUpperCase();
+  if (options['include-closed']) filters.include_closed = true;
+  return filters;
+}
+
+/**
+ * Main backfill function
+ */
+export async function rescoreJobs(options = parseArgs(process.argv.slice(2))) {
+  const startTime = Date.now();
+  let run;
+
+  if (options.resume) {
+    run = await loadRun(options.run ? parseInt(options.run, 10) : null);
+    if (!run) {
+      throw new Error(options.run ? `Backfill run ${options.run} not found` : 'No interrupted backfill run to resume');
+    }
+    if (run.status === 'completed') {
+      throw new Error(`Backfill run ${run.id} already completed`);
+    }
+    console.log(`\n🔁 Resuming backfill run ${run.id} after job ${run.last_job_id}...`);
+  } else {
+    const mode = options.mode || 'score';
+    if (!BACKFILL_MODES.includes(mode)) {
+      throw new Error(`Unknown mode: ${mode} (available: ${BACKFILL_MODES.join(', ')})`);
+    }
+    run = await createRun(mode, buildFilters(options), { dryRun: Boolean(options['dry-run']) });
+    console.log(`\n🚀 Starting backfill run ${run.id}...`);
+  }
+
+  const limit = options.limit ? parseInt(options.limit, 10) : null;
+  const alreadyProcessed = run.summary.processed;
+  const total = limit ? Math.min(limit, run.total_jobs - alreadyProcessed) : run.total_jobs - alreadyProcessed;
+  const totalBatches = Math.max(1, Math.ceil(total / BATCH_SIZE));
+
+  console.log(`   Mode: ${run.mode}${run.dry_run ? ' (dry run)' : ''}`);
+  console.log(`   Filters: ${JSON.stringify(run.filters)}`);
+  console.log(`   Jobs: ${total.toLocaleString()}`);
+  console.log(`   Batch size: ${BATCH_SIZE}\n`);
+
+  // Ctrl+C: finish the job in hand, save the cursor and stop
+  let stopping = false;
+  const onInterrupt = () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    process.stdout.write('\n⏸  Stopping after the current job...\n');
+  };
+  process.on('SIGINT', onInterrupt);
+
+  try {
+    const context = await loadScoringContext();
+    let processed = 0;
+    let batchNum = 0;
+
+    while (!stopping && (!limit || processed < limit)) {
+      const batchSize = limit ? Math.min(BATCH_SIZE, limit - processed) : BATCH_SIZE;
+      const jobs = await fetchBatch(run, batchSize);
+      if (jobs.length === 0) break;
+
+      batchNum++;
+      for (const job of jobs) {
+        if (stopping) break;
+        await rescoreJob(job, run, context);
+        processed++;
+      }
+
+      await saveRun(run);
+      printProgress(processed, total, startTime, batchNum, totalBatches);
+
+      if (jobs.length < batchSize) break;
+    }
+
+    const finished = !stopping && (!limit || processed < limit);
+    await saveRun(run, finished
+      ? { status: 'completed', completed_at: new Date().toISOString() }
+      : { status: 'interrupted' });
+
+    printSummary(run, finished, Date.now() - startTime);
+
+    return { status: finished ? 'completed' : 'interrupted', run_id: run.id, summary: run.summary };
+  } catch (error) {
+    await saveRun(run, { status: 'failed', error_message: error.message }).catch(() => {});
+    throw error;
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+}
+
+function printSummary(run, finished, elapsedMs) {
+  const summary = run.summary;
+  const averageDelta = summary.score_changed > 0
+    ? (summary.score_delta_total / summary.score_changed).toFixed(1)
+    : '0';
+
+  console.log('\n\n' + '═'.repeat(50));
+  console.log(finished ? '✅ Backfill complete!' : '⏸  Backfill interrupted');
+  console.log('═'.repeat(50));
+  console.log(`   Run: ${run.id} (${run.mode}${run.dry_run ? ', dry run' : ''})`);
+  console.log(`   Jobs processed: ${summary.processed.toLocaleString()}`);
+  console.log(`   ${run.dry_run ? 'Would update' : 'Updated'}: ${summary.updated.toLocaleString()}`);
+  console.log(`   Unchanged: ${summary.unchanged.toLocaleString()}`);
+  console.log(`   Skipped (no snapshot): ${summary.skipped.toLocaleString()}`);
+  console.log(`   Failed: ${summary.failed.toLocaleString()}`);
+  console.log(`   Scores changed: ${summary.score_changed.toLocaleString()} (↑ ${summary.score_up}, ↓ ${summary.score_down}, avg ${averageDelta})`);
+  console.log(`   Recommendations changed: ${summary.recommendation_changed.toLocaleString()}`);
+
+  const transitions = Object.entries(summary.recommendation_transitions).sort((a, b) => b[1] - a[1]);
+  for (const [transition, count] of transitions) {
+    console.log(`      ${transition}: ${count}`);
+  }
+
+  const fields = Object.entries(summary.field_changes).sort((a, b) => b[1] - a[1]);
+  if (fields.length > 0) {
+    console.log(`   Fields changed: ${fields.map(([field, count]) => `${field} ${count}`).join(', ')}`);
+  }
+
+  console.log(`   Duration: ${Math.round(elapsedMs / 1000)}s`);
+  if (!finished) {
+    console.log(`\n   Resume with: node scripts/rescore-jobs.js --resume --run=${run.id}`);
+  }
+  console.log('═'.repeat(50) + '\n');
+}
+
+// Run if called directly
+if (process.argv[1]?.endsWith('rescore-jobs.js')) {
+  console.log('╔═══════════════════════════════════════════════════════╗');
+  console.log('║   JOB RE-NORMALIZE / RE-SCORE BACKFILL                ║');
+  console.log('╚═══════════════════════════════════════════════════════╝');
+
+  rescoreJobs()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`\n❌ Backfill failed: ${error.message}`);
+      process.exit(1);
+    });
+}
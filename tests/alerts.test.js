@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture } from './helpers.js';
+import { readAlertEmails, extractAlertJobs } from '../lib/alerts/index.js';
+import { splitMessages, parseMessage } from '../lib/alerts/mime.js';
+
+const mbox = () => readAlertEmails(readFixture('job_alerts.mbox', null));
+
+test('linkedin: alert .eml yields canonical posting URLs with title, company and location', () => {
+  const [alert] = readAlertEmails(readFixture('linkedin_alert.eml', null));
+
+  assert.equal(alert.provider, 'linkedin');
+  assert.equal(alert.subject, '“product manager”: Monzo Bank - Senior Product Manager and more');
+  assert.deepEqual(alert.jobs, [
+    {
+      url: 'https://www.linkedin.com/jobs/view/3987654321',
+      title: 'Senior Product Manager',
+      company: 'Monzo Bank',
+      location: 'London, England, United Kingdom (Hybrid)'
+    },
+    {
+      url: 'https://www.linkedin.com/jobs/view/3987650012',
+      title: 'Product Manager, Payments',
+      company: 'Wise',
+      location: 'London, England, United Kingdom (On-site)'
+    },
+    {
+      url: 'https://www.linkedin.com/jobs/view/3981122334',
+      title: 'Lead Product Manager - Platform',
+      company: 'Deliveroo',
+      location: 'United Kingdom (Remote)'
+    }
+  ]);
+});
+
+test('indeed: alert links resolve to viewjob URLs', () => {
+  const indeed = mbox().find(alert => alert.provider === 'indeed');
+
+  assert.deepEqual(indeed.jobs.map(job => job.url), [
+    'https://uk.indeed.com/viewjob?jk=a1b2c3d4e5f60718',
+    'https://uk.indeed.com/viewjob?jk=0f9e8d7c6b5a4321',
+    'https://uk.indeed.com/viewjob?jk=1122aabb3344ccdd'
+  ]);
+  assert.deepEqual(indeed.jobs[1], {
+    url: 'https://uk.indeed.com/viewjob?jk=0f9e8d7c6b5a4321',
+    title: 'Senior Product Owner',
+    company: 'Ocado Group',
+    location: 'Hatfield AL10'
+  });
+});
+
+test('reed: alert links resolve to job id URLs without tracking', () => {
+  const reed = mbox().find(alert => alert.provider === 'reed');
+
+  assert.equal(reed.subject, "2 new jobs for 'product manager' – Reed.co.uk");
+  assert.deepEqual(reed.jobs, [
+    { url: 'https://www.reed.co.uk/jobs/51234567', title: 'Product Manager', company: 'Hays Technology', location: 'Manchester' },
+    { url: 'https://www.reed.co.uk/jobs/51239876', title: 'Senior Product Manager - FinTech', company: 'Harnham', location: 'London' }
+  ]);
+});
+
+test('mbox: every message is read and mail that is not an alert yields no jobs', () => {
+  const alerts = mbox();
+
+  assert.deepEqual(alerts.map(alert => alert.provider), ['indeed', 'reed', null]);
+  assert.deepEqual(alerts[2].jobs, []);
+});
+
+test('plain-text alerts: each posting is the paragraph ending in its link', () => {
+  const [raw] = splitMessages(readFixture('job_alerts.mbox', null)).slice(1, 2);
+  const message = { ...parseMessage(raw), html: null };
+  const { provider, jobs } = extractAlertJobs(message);
+
+  assert.equal(provider.provider, 'reed');
+  assert.equal(jobs[0].url, 'https://www.reed.co.uk/jobs/51234567');
+});
+
+test('mime: quoted-printable and base64 parts are decoded as UTF-8', () => {
+  const raw = [
+    'From: Alerts <alerts@example.com>',
+    'Subject: =?UTF-8?Q?Caf=C3=A9_jobs?= =?UTF-8?B?4oCTIHdlZWtseQ==?=',
+    'Date: Tue, 13 Oct 2026 06:02:44 +0000',
+    'Message-ID: <abc@example.com>',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/alternative; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Salary =C2=A360,000 =E2=80=93 a soft line =',
+    'break joined here',
+    '--b1',
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('<p>Zürich – Product Manager</p>', 'utf8').toString('base64'),
+    '--b1--',
+    ''
+  ].join('\r\n');
+
+  const message = parseMessage(splitMessages(raw)[0]);
+
+  assert.equal(message.subject, 'Café jobs– weekly');
+  assert.equal(message.from, 'Alerts <alerts@example.com>');
+  assert.equal(message.message_id, 'abc@example.com');
+  assert.equal(message.date, '2026-10-13T06:02:44.000Z');
+  assert.equal(message.text.trim(), 'Salary £60,000 – a soft line break joined here');
+  assert.equal(message.html.trim(), '<p>Zürich – Product Manager</p>');
+});
+
+test('mime: attachments are not read as the message body', () => {
+  const raw = [
+    'From: Alerts <alerts@example.com>',
+    'Content-Type: multipart/mixed; boundary="b2"',
+    '',
+    '--b2',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Disposition: attachment; filename="notes.txt"',
+    '',
+    'attached notes',
+    '--b2',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'the body',
+    '--b2--',
+    ''
+  ].join('\n');
+
+  assert.equal(parseMessage(raw).text.trim(), 'the body');
+});
@@ -0,0 +1,216 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture, readJsonFixture } from './helpers.js';
+import { ATS_ADAPTERS, BOARD_TOKEN, matchAtsUrl, isAtsPostingUrl, fetchAtsBoard, normalizeAtsPosting, normalizeAtsPage } from '../lib/ats/index.js';
+
+const { greenhouse, lever, ashby, workday, smartrecruiters } = ATS_ADAPTERS;
+
+test('greenhouse: board lists every posting with its board URL', () => {
+  const postings = greenhouse.listPostings(readJsonFixture('greenhouse_board.json'));
+
+  assert.deepEqual(
+    postings.map(posting => greenhouse.postingUrl(posting, 'monzo')),
+    ['https://boards.greenhouse.io/monzo/jobs/6123456', 'https://boards.greenhouse.io/monzo/jobs/6129870']
+  );
+});
+
+test('greenhouse: posting maps title, location, salary and provenance', () => {
+  const url = 'https://boards.greenhouse.io/monzo/jobs/6123456';
+  const posting = greenhouse.selectPosting(readJsonFixture('greenhouse_job.json'));
+  const job = normalizeAtsPosting(url, { provider: 'greenhouse', board: 'monzo', posting });
+
+  assert.equal(job.title, 'Senior Backend Engineer, Payments');
+  assert.equal(job.company, 'Monzo');
+  assert.equal(job.location, 'London, UK');
+  assert.deepEqual(job.locations, ['London, UK', 'London, United Kingdom']);
+  assert.equal(job.country_code, 'GB');
+  assert.deepEqual(job.salary, { raw: '90000 - 115000 GBP per year', min: 90000, max: 115000, currency: 'GBP', period: 'year' });
+  assert.equal(job.posting_date, '2026-09-22');
+  assert.deepEqual(job.departments, ['Engineering']);
+  assert.equal(job.employment_type, 'Full-time');
+  assert.equal(job.requisition_id, 'ENG-1042');
+  assert.equal(job.experience_min, 5);
+  assert.equal(job.source_provider, 'greenhouse');
+  assert.equal(job.source_job_id, '6123456');
+  // content arrives HTML-escaped and is decoded before text extraction
+  assert.ok(!job.normalized_text.includes('&lt;'));
+  assert.ok(job.skills.includes('kafka'));
+});
+
+test('greenhouse: remote board posting', () => {
+  const [, posting] = greenhouse.listPostings(readJsonFixture('greenhouse_board.json'));
+  const job = greenhouse.mapPosting(posting, 'monzo');
+
+  assert.equal(job.title, 'Data Scientist, Financial Crime');
+  assert.equal(job.is_remote, true);
+  assert.equal(job.requisition_id, 'DATA-311');
+  assert.equal(job.salary, null);
+});
+
+test('greenhouse: URL shapes resolve to board and job id', () => {
+  assert.deepEqual(greenhouse.parseUrl('https://boards.greenhouse.io/monzo/jobs/6123456'), { board: 'monzo', jobId: '6123456' });
+  assert.deepEqual(greenhouse.parseUrl('https://boards.greenhouse.io/embed/job_app?for=Monzo&token=42'), { board: 'monzo', jobId: '42' });
+  assert.deepEqual(greenhouse.parseUrl('https://job-boards.greenhouse.io/monzo'), { board: 'monzo', jobId: null });
+  assert.equal(isAtsPostingUrl('https://job-boards.greenhouse.io/monzo'), false);
+});
+
+test('lever: board postings map categories, salary range and URLs', () => {
+  const [platform, product] = lever.listPostings(readJsonFixture('lever_board.json'));
+
+  assert.equal(lever.postingUrl(platform, 'mollie'), 'https://jobs.lever.co/mollie/5f1e2d3c-4b5a-4968-8776-a5b4c3d2e1f0');
+
+  const job = lever.mapPosting(platform, 'mollie');
+  assert.equal(job.title, 'Platform Engineer');
+  assert.equal(job.company, 'Mollie');
+  assert.equal(job.location, 'Amsterdam');
+  assert.deepEqual(job.locations, ['Amsterdam', 'Rotterdam']);
+  assert.equal(job.country_code, 'NL');
+  assert.deepEqual(job.salary, { raw: '70000 - 90000 EUR per year', min: 70000, max: 90000, currency: 'EUR', period: 'year' });
+  assert.deepEqual(job.departments, ['Engineering', 'Platform']);
+  assert.equal(job.employment_type, 'Full-time');
+  assert.equal(job.experience_min, 4);
+  assert.equal(job.source_provider, 'lever');
+  // lists and the additional section are part of the description
+  assert.ok(job.skills.includes('terraform'));
+  assert.ok(job.normalized_text.includes('Skilled Worker'));
+
+  const remote = lever.mapPosting(product, 'mollie');
+  assert.equal(remote.title, 'Product Manager, Checkout');
+  assert.equal(remote.role_family, 'product');
+  assert.equal(remote.is_remote, true);
+});
+
+test('lever: posting URL resolves to the posting id', () => {
+  const match = matchAtsUrl('https://jobs.lever.co/mollie/5f1e2d3c-4b5a-4968-8776-a5b4c3d2e1f0');
+
+  assert.equal(match.adapter.provider, 'lever');
+  assert.equal(match.ref.board, 'mollie');
+  assert.equal(match.ref.jobId, '5f1e2d3c-4b5a-4968-8776-a5b4c3d2e1f0');
+});
+
+test('ashby: board posting maps address, compensation and departments', () => {
+  const payload = readJsonFixture('ashby_board.json');
+  const [posting] = ashby.listPostings(payload);
+  const url = ashby.postingUrl(posting, 'deepl');
+
+  assert.equal(url, 'https://jobs.ashbyhq.com/deepl/3c2b1a09-8f7e-4d6c-b5a4-938271605f4e');
+  assert.equal(ashby.selectPosting(payload, ashby.parseUrl(url)).id, posting.id);
+
+  const job = ashby.mapPosting(posting, 'deepl');
+  assert.equal(job.title, 'Machine Learning Engineer');
+  assert.equal(job.location, 'Berlin, Germany');
+  assert.deepEqual(job.locations, ['Berlin', 'Munich']);
+  assert.equal(job.country_code, 'DE');
+  assert.equal(job.salary.min, 85000);
+  assert.equal(job.salary.max, 110000);
+  assert.equal(job.salary.currency, 'EUR');
+  assert.equal(job.posting_date, '2026-10-05');
+  assert.deepEqual(job.departments, ['Engineering', 'Applied AI']);
+  assert.equal(job.source_provider, 'ashby');
+  assert.ok(job.skills.includes('pytorch'));
+});
+
+test('workday: posting URL resolves to tenant, site and requisition id', () => {
+  const ref = workday.parseUrl(
+    'https://barclays.wd3.myworkdayjobs.com/en-US/External_Career_Site_Barclays/job/London/Senior-Data-Engineer---Markets-Technology_R-0123456/apply'
+  );
+
+  assert.deepEqual(ref, {
+    board: 'barclays',
+    host: 'barclays.wd3.myworkdayjobs.com',
+    site: 'External_Career_Site_Barclays',
+    jobPath: '/job/London/Senior-Data-Engineer---Markets-Technology_R-0123456',
+    jobId: 'R-0123456'
+  });
+  assert.equal(
+    workday.postingApiUrl(ref),
+    'https://barclays.wd3.myworkdayjobs.com/wday/cxs/barclays/External_Career_Site_Barclays/job/London/Senior-Data-Engineer---Markets-Technology_R-0123456'
+  );
+});
+
+test('workday: posting JSON maps locations, dates and requisition id', () => {
+  const url = 'https://barclays.wd3.myworkdayjobs.com/External_Career_Site_Barclays/job/London/Senior-Data-Engineer---Markets-Technology_R-0123456';
+  const posting = workday.selectPosting(readJsonFixture('workday_posting.json'));
+  const job = normalizeAtsPosting(url, { provider: 'workday', board: 'barclays', fetched_at: '2026-10-17T09:00:00Z', posting });
+
+  assert.equal(job.title, 'Senior Data Engineer - Markets Technology');
+  assert.equal(job.company, 'Barclays');
+  assert.equal(job.location, 'London');
+  assert.deepEqual(job.locations, ['London', 'Glasgow', 'Northampton']);
+  assert.equal(job.country_code, 'GB');
+  assert.equal(job.posting_date, '2026-10-14');
+  assert.equal(job.employment_type, 'Full time');
+  assert.equal(job.requisition_id, 'R-0123456');
+  assert.equal(job.is_remote, false);
+  assert.equal(job.salary.min, 75000);
+  assert.equal(job.salary.max, 95000);
+  assert.equal(job.salary.currency, 'GBP');
+  assert.equal(job.source_provider, 'workday');
+});
+
+test('workday: relative posted dates resolve against the snapshot time', () => {
+  assert.equal(workday.parsePostedOn('Posted 3 Days Ago', '2026-10-17T09:00:00Z'), '2026-10-14');
+  assert.equal(workday.parsePostedOn('Posted Today', '2026-10-17T09:00:00Z'), '2026-10-17');
+  assert.equal(workday.parsePostedOn('Posted 30+ Days Ago', '2026-10-17T09:00:00Z'), null);
+});
+
+test('workday: HTML snapshot is read from its JSON-LD', () => {
+  const url = 'https://kpmg.wd3.myworkdayjobs.com/en-US/KPMG_Careers/job/Amstelveen/Senior-Consultant---Technology-Risk_JR-88421';
+  const job = normalizeAtsPage(url, readFixture('workday_page.html'));
+
+  assert.equal(job.title, 'Senior Consultant - Technology Risk');
+  assert.equal(job.company, 'KPMG');
+  assert.equal(job.location, 'Amstelveen, Netherlands');
+  assert.deepEqual(job.locations, ['Amstelveen, Netherlands', 'Rotterdam, Netherlands']);
+  assert.equal(job.country_code, 'NL');
+  assert.equal(job.posting_date, '2026-10-09');
+  assert.equal(job.requisition_id, 'JR-88421');
+  assert.equal(job.experience_min, 4);
+});
+
+test('smartrecruiters: posting JSON maps job ad sections, location and departments', () => {
+  const url = 'https://jobs.smartrecruiters.com/Adyen/744000012345678-software-engineer-java-payments-platform';
+  const { ref } = matchAtsUrl(url);
+  assert.deepEqual(ref, { board: 'Adyen', jobId: '744000012345678' });
+
+  const posting = smartrecruiters.selectPosting(readJsonFixture('smartrecruiters_posting.json'));
+  const job = normalizeAtsPosting(url, { provider: 'smartrecruiters', board: ref.board, posting });
+
+  assert.equal(job.title, 'Software Engineer (Java) - Payments Platform');
+  assert.equal(job.company, 'Adyen');
+  assert.equal(job.location, 'Amsterdam, North Holland, Netherlands');
+  assert.equal(job.country_code, 'NL');
+  assert.equal(job.posting_date, '2026-10-11');
+  assert.deepEqual(job.departments, ['Development', 'Information Technology']);
+  assert.equal(job.employment_type, 'Full-time');
+  assert.equal(job.requisition_id, 'REF2291X');
+  assert.equal(job.source_job_id, '744000012345678');
+  assert.equal(job.experience_min, 3);
+  assert.ok(job.skills.includes('java'));
+});
+
+test('smartrecruiters: HTML snapshot is read from its structured data', () => {
+  const url = 'https://jobs.smartrecruiters.com/DeloitteUK/744000098765432-graduate-analyst-deals-advisory';
+  const job = normalizeAtsPage(url, readFixture('smartrecruiters_page.html'));
+
+  assert.equal(job.title, 'Graduate Analyst - Deals Advisory');
+  assert.equal(job.company, 'Deloitte UK');
+  assert.equal(job.location, 'Manchester, England, United Kingdom');
+  assert.equal(job.country_code, 'GB');
+  assert.equal(job.seniority, 'junior');
+  assert.equal(job.role_family, null);
+  assert.equal(job.posting_date, '2026-10-06');
+  assert.equal(job.source_job_id, '744000098765432');
+});
+
+test('board names are checked before they reach an API path', async () => {
+  for (const board of ['monzo', 'acme-corp', 'acme_uk', 'acme.io']) {
+    assert.ok(BOARD_TOKEN.test(board), board);
+  }
+  for (const board of ['../admin', 'acme/jobs', 'acme?x=1', '.hidden', 'acme..io', '']) {
+    assert.ok(!BOARD_TOKEN.test(board), board);
+  }
+
+  await assert.rejects(fetchAtsBoard('greenhouse', '../v1/admin'), /Not a board name/);
+  assert.equal(greenhouse.boardApiUrl('acme co'), 'https://boards-api.greenhouse.io/v1/boards/acme%20co/jobs?content=true&pay_transparency=true');
+});
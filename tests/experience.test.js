@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractExperience } from '../lib/normalizers/experience.js';
+
+function years(text) {
+  const experience = extractExperience(text);
+  return experience && { min: experience.min, max: experience.max };
+}
+
+test('explicit requirements outrank company age and other bare amounts', () => {
+  assert.deepEqual(years('We have been around for 20 years. You have 3+ years experience with Python.'), { min: 3, max: null });
+  assert.deepEqual(years('With over 20 years of experience in the industry, we need someone with at least 4 years in sales.'), { min: 4, max: null });
+  assert.deepEqual(years('A 10 year old scale-up. 3-5 years of backend experience.'), { min: 3, max: 5 });
+});
+
+test('the strongest explicit requirement wins', () => {
+  assert.deepEqual(years('5+ years in product management, 2+ years in payments'), { min: 5, max: null });
+  assert.deepEqual(years('Minimum of three years as a Product Owner; 1+ years with Jira'), { min: 3, max: null });
+});
+
+test('bare amounts count only when attached to experience', () => {
+  assert.equal(years('Founded 15 years ago; experience in SQL is a plus.'), null);
+  assert.equal(years('Founded 15 years ago and experience in SQL is a plus.'), null);
+  assert.equal(years('For over 20 years we have built payment systems. Experience with Kafka helps.'), null);
+
+  assert.deepEqual(years('You bring 6 years of relevant commercial experience.'), { min: 6, max: null });
+  assert.deepEqual(years("Ideally 4 years' experience in a similar role."), { min: 4, max: null });
+  assert.deepEqual(years('Experience: 7 years in data engineering'), { min: 7, max: null });
+  assert.deepEqual(years('more than 8 years of hands-on experience'), { min: 8, max: null });
+});
+
+test('German and Dutch phrasings', () => {
+  assert.deepEqual(years('Seit 25 Jahren am Markt. Mindestens 5 Jahre Berufserfahrung in der Backend-Entwicklung.'), { min: 5, max: null });
+  assert.deepEqual(years('Du hast 4 Jahre Berufserfahrung.'), { min: 4, max: null });
+  assert.deepEqual(years('Je hebt 3 jaar werkervaring als developer.'), { min: 3, max: null });
+});
+
+test('vague requirements and structured data', () => {
+  assert.deepEqual(years('Several years of experience with React.'), { min: 3, max: null });
+  assert.deepEqual(years('No experience required - full training given.'), { min: 0, max: 0 });
+
+  const structured = extractExperience('Founded 30 years ago.', { text: '5 years', months: null });
+  assert.deepEqual(structured, { min: 5, max: null, raw: '5 years', source: 'json_ld' });
+});
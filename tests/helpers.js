@@ -0,0 +1,20 @@
+// Shared test helpers: fixture loading
+// Import this before any lib module: modules create their Supabase client on import, and it must never
+// point at a real database (writes fail fast against a closed local port and are only logged)
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+process.env.SUPABASE_URL = 'http://127.0.0.1:1';
+process.env.SUPABASE_KEY = 'test-key';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+export function readFixture(name, encoding = 'utf8') {
+  return readFileSync(join(FIXTURES_DIR, name), encoding);
+}
+
+export function readJsonFixture(name) {
+  return JSON.parse(readFixture(name));
+}
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeJobHTML } from '../lib/normalizers/enhanced.js';
+
+function pageWith(jsonLd) {
+  return `<html><head><script type="application/ld+json">${JSON.stringify(jsonLd)}</script></head>` +
+    '<body><h1>Backend Engineer</h1><p>Competitive salary.</p></body></html>';
+}
+
+test('a JobPosting inside @graph with European-formatted string amounts', () => {
+  const html = pageWith({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'Organization', '@id': '#org', name: 'Zalando SE' },
+      {
+        '@type': 'JobPosting',
+        title: 'Senior Backend Engineer',
+        hiringOrganization: { '@id': '#org' },
+        jobLocation: { '@type': 'Place', address: { addressLocality: 'Berlin', addressCountry: 'DE' } },
+        baseSalary: {
+          '@type': 'MonetaryAmount',
+          currency: 'EUR',
+          value: { '@type': 'QuantitativeValue', minValue: '70.000', maxValue: '85.000', unitText: 'YEAR' }
+        }
+      }
+    ]
+  });
+  const job = normalizeJobHTML(html, 'https://careers.example.com/jobs/1');
+
+  assert.equal(job.title, 'Senior Backend Engineer');
+  assert.equal(job.company, 'Zalando SE');
+  assert.equal(job.country_code, 'DE');
+  assert.equal(job.field_sources.salary, 'json_ld');
+  assert.deepEqual([job.salary.min, job.salary.max, job.salary.currency, job.salary.period], [70000, 85000, 'EUR', 'year']);
+});
+
+test('a string baseSalary is read like a salary line', () => {
+  const job = normalizeJobHTML(pageWith({
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title: 'Backend Engineer',
+    baseSalary: '€70.000 - €85.000 pro Jahr'
+  }), 'https://careers.example.com/jobs/2');
+
+  assert.equal(job.field_sources.salary, 'json_ld');
+  assert.deepEqual([job.salary.min, job.salary.max, job.salary.currency, job.salary.period], [70000, 85000, 'EUR', 'year']);
+});
+
+test('string amounts keep their own locale', () => {
+  const salaryOf = (value, currency) => normalizeJobHTML(pageWith({
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title: 'Backend Engineer',
+    baseSalary: { '@type': 'MonetaryAmount', currency, value }
+  }), 'https://careers.example.com/jobs/3').salary;
+
+  const pounds = salaryOf({ value: '70,000.00' }, 'GBP');
+  assert.deepEqual([pounds.min, pounds.max], [70000, 70000]);
+
+  const kronor = salaryOf({ value: '55 000', unitText: 'MONTH' }, 'SEK');
+  assert.deepEqual([kronor.min, kronor.period], [55000, 'month']);
+
+  const range = salaryOf({ value: '70.000 - 85.000' }, 'EUR');
+  assert.deepEqual([range.min, range.max], [70000, 85000]);
+
+  assert.equal(salaryOf(72500, 'EUR').min, 72500);
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpError, isTransientError } from '../lib/ingest/retry.js';
+
+test('scoring errors are transient only when the round trip failed', () => {
+  assert.equal(isTransientError(new TypeError("Cannot read properties of undefined (reading 'skills')"), 'scoring'), false);
+  assert.equal(isTransientError(new Error('Failed to load profile: invalid input syntax for type uuid'), 'scoring'), false);
+
+  assert.equal(isTransientError(new Error('Failed to save score: TypeError: fetch failed'), 'scoring'), true);
+  assert.equal(isTransientError(new Error('Failed to save score: canceling statement due to statement timeout'), 'scoring'), true);
+  assert.equal(isTransientError(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }), 'scoring'), true);
+});
+
+test('other stages keep their rules', () => {
+  assert.equal(isTransientError(new HttpError(503, 'Service Unavailable'), 'fetching'), true);
+  assert.equal(isTransientError(new HttpError(404, 'Not Found'), 'fetching'), false);
+  assert.equal(isTransientError(new Error('fetch failed'), 'normalizing'), false);
+});
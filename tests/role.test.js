@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyTitle, detectRoleFamily, detectSeniority } from '../lib/normalizers/role.js';
+
+test('product leadership titles are product', () => {
+  for (const title of ['VP Product', 'VP of Product', 'Vice President, Product', 'Vice President of Product', 'Head of Product', 'Director, Product']) {
+    assert.equal(detectRoleFamily(title), 'product', title);
+  }
+  assert.deepEqual(classifyTitle('VP, Product - Payments'), { role_family: 'product', seniority: 'vp' });
+  assert.equal(detectRoleFamily('VP Engineering'), 'engineering');
+});
+
+test('analysts are data only with a data qualifier', () => {
+  for (const title of ['Data Analyst', 'Senior BI Analyst', 'Analytics Analyst', 'Insight Analyst', 'Customer Insights Analyst']) {
+    assert.equal(detectRoleFamily(title), 'data', title);
+  }
+  assert.equal(detectRoleFamily('Business Analyst'), null);
+  assert.equal(detectRoleFamily('Graduate Analyst - Deals Advisory'), null);
+  assert.equal(detectRoleFamily('Support Analyst'), 'customer_success');
+  assert.equal(detectRoleFamily('Financial Analyst'), 'finance');
+});
+
+test('lead is a level only next to a role noun', () => {
+  for (const title of ['Lead Software Engineer', 'Lead Site Reliability Engineer', 'Design Lead', 'Team Lead, Customer Support', 'Engineering Lead']) {
+    assert.equal(detectSeniority(title), 'staff', title);
+  }
+  assert.deepEqual(classifyTitle('Lead Generation Specialist'), { role_family: null, seniority: 'mid' });
+  assert.equal(detectSeniority('Senior Lead Generation Executive'), 'senior');
+});
+
+test('tech leads are engineering', () => {
+  assert.deepEqual(classifyTitle('Tech Lead'), { role_family: 'engineering', seniority: 'staff' });
+  assert.deepEqual(classifyTitle('Technical Lead - Payments'), { role_family: 'engineering', seniority: 'staff' });
+});
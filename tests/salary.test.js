@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeJobHTML } from '../lib/normalizers/enhanced.js';
+import { parseSalary } from '../lib/normalizers/salary.js';
+
+function fields(salary) {
+  return salary && [salary.min, salary.max, salary.currency, salary.period];
+}
+
+test('common advertised formats', () => {
+  assert.deepEqual(fields(parseSalary('£60k–£75k')), [60000, 75000, 'GBP', 'year']);
+  assert.deepEqual(fields(parseSalary('£60-75k')), [60000, 75000, 'GBP', 'year']);
+  assert.deepEqual(fields(parseSalary('€70.000')), [70000, 70000, 'EUR', 'year']);
+  assert.deepEqual(fields(parseSalary('£500/day')), [500, 500, 'GBP', 'day']);
+  assert.deepEqual(fields(parseSalary('SEK 55 000 per month')), [55000, 55000, 'SEK', 'month']);
+  assert.deepEqual(fields(parseSalary('€4.500 brutto pro Monat')), [4500, 4500, 'EUR', 'month']);
+});
+
+test('open-ended amounts keep only the bound that was given', () => {
+  const upTo = parseSalary('Salary: up to £90,000 + bonus');
+  assert.equal(upTo.raw, 'up to £90,000');
+  assert.deepEqual(fields(upTo), [null, 90000, 'GBP', 'year']);
+
+  assert.deepEqual(fields(parseSalary('from £50,000')), [50000, null, 'GBP', 'year']);
+});
+
+test('periods are annualised', () => {
+  assert.deepEqual(parseSalary('£500/day'), {
+    raw: '£500/day', min: 500, max: 500, currency: 'GBP', period: 'day', annual_min: 110000, annual_max: 110000
+  });
+
+  const monthly = parseSalary('SEK 55 000 per month');
+  assert.deepEqual([monthly.annual_min, monthly.annual_max], [660000, 660000]);
+
+  const hourly = parseSalary('£25 per hour');
+  assert.deepEqual([hourly.period, hourly.annual_min], ['hour', 48750]);
+
+  const yearly = parseSalary('£60k–£75k');
+  assert.deepEqual([yearly.annual_min, yearly.annual_max], [60000, 75000]);
+});
+
+test('the currency is the one written against the amount', () => {
+  const text = 'Prices in € are shown at checkout. Salary: £55,000 - £65,000. The team expensed €200 of hardware.';
+  assert.deepEqual(fields(parseSalary(text)), [55000, 65000, 'GBP', 'year']);
+
+  const html = '<html><body><h1>Backend Engineer</h1><p>Our Dublin office pays its €15 lunch allowance in cash.</p>' +
+    '<p>Salary: £60,000 - £70,000 per annum</p></body></html>';
+  const job = normalizeJobHTML(html, 'https://careers.example.com/jobs/9');
+  assert.deepEqual(fields(job.salary), [60000, 70000, 'GBP', 'year']);
+
+  // An unmarked amount needs a label and takes the country's currency
+  assert.equal(parseSalary('45,000 - 55,000'), null);
+  assert.deepEqual(fields(parseSalary('Salary: 45,000 - 55,000', { countryCode: 'GB' })), [45000, 55000, 'GBP', 'year']);
+});
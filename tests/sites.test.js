@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture } from './helpers.js';
+import { normalizeJobHTML } from '../lib/normalizers/enhanced.js';
+import { cleanCompany } from '../lib/normalizers/sites/common.js';
+
+function normalizeFixture(name, url) {
+  return normalizeJobHTML(readFixture(name), url);
+}
+
+// Fields every board extractor reads from the page rather than the generic heuristics
+function assertSiteFields(job, site, fields) {
+  for (const field of ['normalized_text', 'title', 'company', 'location', 'locations', ...fields]) {
+    assert.equal(job.field_sources[field], `site:${site}`, `${field} should come from site:${site}`);
+  }
+}
+
+test('linkedin: job view page', () => {
+  const job = normalizeFixture('linkedin_page.html', 'https://www.linkedin.com/jobs/view/4012345678');
+
+  assert.equal(job.title, 'Senior Product Manager, Payments');
+  assert.equal(job.company, 'Monzo');
+  assert.equal(job.location, 'London, England, United Kingdom');
+  assert.equal(job.employment_type, 'Full-time');
+  assert.equal(job.country_code, 'GB');
+  assertSiteFields(job, 'linkedin', ['employment_type']);
+  // The salary sits in the description, not in a LinkedIn field
+  assert.equal(job.field_sources.salary, 'heuristic');
+  assert.equal(job.salary.min, 85000);
+  assert.equal(job.field_sources.posting_date, null);
+});
+
+test('indeed: viewjob page', () => {
+  const job = normalizeFixture('indeed_page.html', 'https://uk.indeed.com/viewjob?jk=a1b2c3d4e5f6');
+
+  assert.equal(job.title, 'Data Engineer');
+  assert.equal(job.company, 'Northwind Analytics');
+  assert.equal(job.location, 'Manchester M1');
+  assert.deepEqual(job.salary, {
+    raw: '£55,000–£65,000 a year', min: 55000, max: 65000, currency: 'GBP', period: 'year', annual_min: 55000, annual_max: 65000
+  });
+  assert.equal(job.employment_type, 'Permanent, Full-time');
+  assertSiteFields(job, 'indeed', ['salary', 'employment_type']);
+  assert.equal(job.field_sources.is_remote, 'heuristic');
+});
+
+test('glassdoor: job listing page', () => {
+  const job = normalizeFixture('glassdoor_page.html', 'https://www.glassdoor.co.uk/job-listing/machine-learning-engineer-JV_IC2671300.htm');
+
+  assert.equal(job.title, 'Machine Learning Engineer');
+  assert.equal(job.company, 'Babylon Health');
+  assert.equal(job.location, 'London');
+  assert.equal(job.salary.min, 70000);
+  assert.equal(job.salary.max, 90000);
+  assertSiteFields(job, 'glassdoor', ['salary']);
+  assert.equal(job.field_sources.employment_type, null);
+});
+
+test('reed: day-rate contract page', () => {
+  const job = normalizeFixture('reed_page.html', 'https://www.reed.co.uk/jobs/product-owner/54321987');
+
+  assert.equal(job.title, 'Product Owner');
+  assert.equal(job.company, 'Hays Technology');
+  assert.equal(job.location, 'Leeds, West Yorkshire');
+  assert.equal(job.salary.period, 'day');
+  assert.equal(job.salary.annual_min, 99000);
+  assert.equal(job.is_remote, true);
+  assert.equal(job.employment_type, 'Contract, full-time');
+  assertSiteFields(job, 'reed', ['salary', 'is_remote', 'employment_type']);
+});
+
+test('stepstone: German page reads euro salary and country', () => {
+  const job = normalizeFixture('stepstone_page.html', 'https://www.stepstone.de/stellenangebote--Senior-Backend-Entwickler-Berlin-Zalando--10203040-inline.html');
+
+  assert.equal(job.title, 'Senior Backend Entwickler (m/w/d) Java');
+  assert.equal(job.company, 'Zalando SE');
+  assert.equal(job.country_code, 'DE');
+  assert.deepEqual([job.salary.min, job.salary.max, job.salary.currency], [65000, 80000, 'EUR']);
+  assert.equal(job.employment_type, 'Feste Anstellung');
+  assert.equal(job.experience_min, 5);
+  assertSiteFields(job, 'stepstone', ['salary', 'is_remote', 'employment_type']);
+});
+
+test('totaljobs: job page', () => {
+  const job = normalizeFixture('totaljobs_page.html', 'https://www.totaljobs.com/job/business-analyst/severn-trent-job104223344');
+
+  assert.equal(job.title, 'Business Analyst');
+  assert.equal(job.role_family, null);
+  assert.equal(job.company, 'Severn Trent');
+  assert.equal(job.location, 'Birmingham (B2)');
+  assert.equal(job.salary.min, 45000);
+  assert.equal(job.employment_type, 'Permanent');
+  assertSiteFields(job, 'totaljobs', ['salary', 'employment_type']);
+});
+
+test('a saved page is matched by its signature when the URL is not the board', () => {
+  const job = normalizeFixture('sample_linkedin.html', 'https://example.com/saved/linkedin-job.html');
+
+  assert.equal(job.title, 'Senior Software Engineer');
+  assert.equal(job.company, 'Google');
+  assert.equal(job.location, 'Mountain View, CA');
+  assertSiteFields(job, 'linkedin', []);
+  assert.equal(job.field_sources.salary, null);
+});
+
+test('an embedded JobPosting outranks the site extractor', () => {
+  const jsonLd = JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title: 'Senior Product Manager, Payments (Lending)',
+    hiringOrganization: { '@type': 'Organization', name: 'Monzo Bank' }
+  });
+  const html = readFixture('linkedin_page.html')
+    .replace('</head>', `<script type="application/ld+json">${jsonLd}</script></head>`);
+  const job = normalizeJobHTML(html, 'https://www.linkedin.com/jobs/view/4012345678');
+
+  assert.equal(job.title, 'Senior Product Manager, Payments (Lending)');
+  assert.equal(job.field_sources.title, 'json_ld');
+  assert.equal(job.company, 'Monzo Bank');
+  assert.equal(job.field_sources.company, 'json_ld');
+  // Fields the JobPosting leaves out still come from the board
+  assert.equal(job.field_sources.location, 'site:linkedin');
+  assert.equal(job.field_sources.normalized_text, 'site:linkedin');
+});
+
+test('pages from other sites fall back to the heuristics', () => {
+  const html = '<html><head><title>Platform Engineer - Acme</title></head><body><h1>Platform Engineer</h1><p>Location: Leeds</p><p>We use Terraform and AWS.</p></body></html>';
+  const job = normalizeJobHTML(html, 'https://careers.acme.example/jobs/42');
+
+  assert.equal(job.title, 'Platform Engineer');
+  assert.equal(job.field_sources.title, 'heuristic');
+  assert.equal(job.field_sources.normalized_text, 'heuristic');
+  assert.ok(Object.values(job.field_sources).every(source => !String(source).startsWith('site:')));
+});
+
+test('company ratings are stripped but digits in the name are kept', () => {
+  assert.equal(cleanCompany('Babylon Health 3.4★'), 'Babylon Health');
+  assert.equal(cleanCompany('Acme Ltd 4,1 ★'), 'Acme Ltd');
+  assert.equal(cleanCompany('Acme 3.9 out of 5 stars'), 'Acme');
+  assert.equal(cleanCompany('Acme 4★'), 'Acme');
+  assert.equal(cleanCompany('Acme - Careers'), 'Acme');
+
+  for (const name of ['Channel 4', 'Formula 1', 'Studio 9', 'B2', 'Ocado Group 365']) {
+    assert.equal(cleanCompany(name), name);
+  }
+
+  const html = readFixture('glassdoor_page.html').replace('Babylon Health 3.4★', 'Channel 4');
+  const job = normalizeJobHTML(html, 'https://www.glassdoor.co.uk/job-listing/machine-learning-engineer-JV_IC2671300.htm');
+  assert.equal(job.company, 'Channel 4');
+});
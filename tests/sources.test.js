@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture, readJsonFixture } from './helpers.js';
+import { SOURCE_CONNECTORS, searchSource, enrichItems, normalizeSourceJob } from '../lib/sources/index.js';
+
+const { reed, adzuna } = SOURCE_CONNECTORS;
+
+// Replays recorded responses: search pages by URL prefix, detail requests by URL
+function fixtureTransport(responses) {
+  const requests = [];
+  const transport = async (request) => {
+    requests.push(request);
+    const key = Object.keys(responses).find(prefix => request.url.startsWith(prefix));
+    if (!key) throw new Error(`No fixture for ${request.url}`);
+    return responses[key];
+  };
+  return { transport, requests };
+}
+
+test('reed: search results become items with ISO dates', () => {
+  const { items, hasMore } = reed.parseSearchResponse(readJsonFixture('reed_search.json'), {}, 'gb', 0);
+
+  assert.equal(hasMore, false);
+  assert.deepEqual(items.map(item => [item.external_id, item.url, item.posted_at]), [
+    ['51234567', 'https://www.reed.co.uk/jobs/product-manager-payments/51234567', '2026-10-14'],
+    ['51229810', 'https://www.reed.co.uk/jobs/senior-product-manager-fintech/51229810?source=searchResults', '2026-10-09']
+  ]);
+});
+
+test('reed: details replace the truncated search description', async () => {
+  const { items } = reed.parseSearchResponse(readJsonFixture('reed_search.json'), {}, 'gb', 0);
+  const { transport, requests } = fixtureTransport({
+    'https://www.reed.co.uk/api/1.0/jobs/51234567': readJsonFixture('reed_job.json')
+  });
+
+  const [enriched, unchanged] = await enrichItems(reed, items, { transport });
+
+  assert.equal(requests[0].url, 'https://www.reed.co.uk/api/1.0/jobs/51234567');
+  assert.match(requests[0].headers.Authorization, /^Basic /);
+  // A failed detail request keeps the search result
+  assert.equal(unchanged, items[1]);
+
+  const job = reed.mapJob(enriched.data);
+  assert.equal(job.title, 'Product Manager - Payments');
+  assert.equal(job.company, 'Wise');
+  assert.equal(job.location, 'London');
+  assert.equal(job.country_code, 'GB');
+  assert.deepEqual(job.salary, { raw: '£80,000 - £95,000 per annum', min: 80000, max: 95000, currency: 'GBP', period: 'year' });
+  assert.equal(job.posting_date, '2026-10-14');
+  assert.equal(job.expires_at, '2026-11-15');
+  assert.equal(job.employment_type, 'Permanent');
+  assert.equal(job.experience_min, 4);
+  assert.ok(job.skills.includes('sql'));
+});
+
+test('reed: search request pages with resultsToSkip and passes filters through', () => {
+  const request = reed.buildSearchRequest({ keywords: 'product manager', location: 'London', params: { minimumSalary: 60000 } }, 'gb', 2);
+  const url = new URL(request.url);
+
+  assert.equal(url.searchParams.get('keywords'), 'product manager');
+  assert.equal(url.searchParams.get('locationName'), 'London');
+  assert.equal(url.searchParams.get('resultsToSkip'), '200');
+  assert.equal(url.searchParams.get('minimumSalary'), '60000');
+});
+
+test('adzuna: search results map to stable details URLs and skip predicted salaries', () => {
+  const { items, hasMore } = adzuna.parseSearchResponse(readJsonFixture('adzuna_search_gb.json'), {}, 'gb', 0);
+
+  assert.equal(hasMore, false);
+  assert.deepEqual(items.map(item => item.url), [
+    'https://www.adzuna.co.uk/jobs/details/4912345678',
+    'https://www.adzuna.co.uk/jobs/details/4909876543'
+  ]);
+
+  const advertised = adzuna.mapJob(items[0].data);
+  assert.equal(advertised.title, 'Product Manager - Payments');
+  assert.equal(advertised.company, 'GoCardless');
+  assert.equal(advertised.country_code, 'GB');
+  assert.equal(advertised.salary.min, 85000);
+  assert.equal(advertised.salary.max, 100000);
+  assert.equal(advertised.salary.currency, 'GBP');
+  assert.equal(advertised.employment_type, 'permanent, full time');
+
+  const predicted = adzuna.mapJob(items[1].data);
+  assert.equal(predicted.title, 'Associate Product Manager');
+  assert.equal(predicted.salary, null);
+});
+
+test('adzuna: full description is read from the details page', async () => {
+  const { items } = adzuna.parseSearchResponse(readJsonFixture('adzuna_search_gb.json'), {}, 'gb', 0);
+  const { transport, requests } = fixtureTransport({
+    'https://www.adzuna.co.uk/jobs/details/4912345678': readFixture('adzuna_details.html')
+  });
+
+  const [enriched] = await enrichItems(adzuna, items.slice(0, 1), { transport });
+
+  assert.equal(requests[0].format, 'html');
+  assert.match(enriched.data.description, /At least 4 years of product management experience/);
+
+  const snippetJob = adzuna.mapJob(items[0].data);
+  const job = adzuna.mapJob(enriched.data);
+  assert.equal(snippetJob.experience_min, null);
+  assert.equal(job.experience_min, 4);
+  assert.ok(job.skills.includes('ab-testing'));
+  assert.ok(!snippetJob.skills.includes('ab-testing'));
+});
+
+test('adzuna: a details page without a longer description keeps the search snippet', () => {
+  const { items } = adzuna.parseSearchResponse(readJsonFixture('adzuna_search_gb.json'), {}, 'gb', 0);
+  const html = '<html><body><section class="adp-body"><p>Apply on the employer site.</p></section></body></html>';
+
+  assert.equal(adzuna.mergeDetail(items[0], html), items[0]);
+});
+
+test('searchSource keeps only postings at or after the high-water mark', async () => {
+  const { transport } = fixtureTransport({
+    'https://api.adzuna.com/v1/api/jobs/gb/search/1': readJsonFixture('adzuna_search_gb.json')
+  });
+
+  const { items, newest, pages } = await searchSource(adzuna, { keywords: 'product manager' }, 'gb', {
+    highWaterMark: '2026-10-14T00:00:00Z',
+    transport
+  });
+
+  assert.equal(pages, 1);
+  assert.deepEqual(items.map(item => item.external_id), ['4912345678']);
+  assert.equal(newest, '2026-10-16T08:12:44Z');
+});
+
+test('normalizeSourceJob maps a stored snapshot through its connector', () => {
+  const job = normalizeSourceJob({ source: 'reed', job: readJsonFixture('reed_job.json') });
+
+  assert.equal(job.source_provider, 'reed');
+  assert.equal(job.source_job_id, '51234567');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture } from './helpers.js';
+import { buildTaxonomy, extractSkills, resolveSkill } from '../lib/skills/taxonomy.js';
+import { normalizeJobHTML } from '../lib/normalizers/enhanced.js';
+
+test('Go counts only next to a context word or another language', () => {
+  assert.deepEqual(extractSkills('We use Go and Kotlin.'), ['kotlin', 'go']);
+  assert.deepEqual(extractSkills('Java, Go, Python'), ['python', 'java', 'go']);
+  assert.deepEqual(extractSkills('Senior Go developer'), ['go']);
+  assert.deepEqual(extractSkills('Backend services in Golang'), ['go']);
+
+  assert.deepEqual(extractSkills("Let's Go! Ready to go live?"), []);
+  assert.deepEqual(extractSkills('We use Java. Go ahead and apply.'), ['java']);
+  assert.deepEqual(extractSkills('Own the Go-to-Market plan'), ['go-to-market']);
+});
+
+test('Swift is the language, not the SWIFT network', () => {
+  assert.deepEqual(extractSkills('iOS engineer: Swift and SwiftUI'), ['swift']);
+  assert.deepEqual(extractSkills('Experience with SWIFT payments'), ['payments']);
+  assert.deepEqual(extractSkills('Swift payments network experience'), ['payments']);
+});
+
+test('other ambiguous tool and framework names need context', () => {
+  assert.deepEqual(extractSkills('Jira, Linear, Notion'), ['jira', 'notion', 'linear']);
+  assert.deepEqual(extractSkills('Linear regression and notion of risk'), []);
+  assert.deepEqual(extractSkills('Node.js and Express'), ['nodejs', 'express']);
+  assert.deepEqual(extractSkills('Express your ideas'), []);
+  assert.deepEqual(extractSkills('Spring 2026 intake'), []);
+  assert.deepEqual(extractSkills('Java/Spring services'), ['java', 'spring']);
+});
+
+test('ambiguous terms still resolve in profiles', () => {
+  assert.equal(resolveSkill('Go'), 'go');
+  assert.equal(resolveSkill('swift'), 'swift');
+});
+
+test('a Requirements heading is not the requirements skill', () => {
+  const pages = {
+    'glassdoor_page.html': 'https://www.glassdoor.co.uk/job-listing/machine-learning-engineer-JV_IC2671300.htm',
+    'totaljobs_page.html': 'https://www.totaljobs.com/job/business-analyst/severn-trent-job104223344',
+    'sample_linkedin.html': 'https://example.com/saved/linkedin-job.html'
+  };
+
+  for (const [fixture, url] of Object.entries(pages)) {
+    assert.ok(!normalizeJobHTML(readFixture(fixture), url).skills.includes('requirements'), fixture);
+  }
+  assert.deepEqual(extractSkills('Requirements: SQL'), ['sql']);
+  // The Reed posting asks for user stories, which is the skill
+  assert.ok(normalizeJobHTML(readFixture('reed_page.html'), 'https://www.reed.co.uk/jobs/product-owner/54321987').skills.includes('requirements'));
+  assert.deepEqual(extractSkills('Writing PRDs and user stories'), ['requirements']);
+});
+
+test('ambiguous terms need something to confirm them', () => {
+  assert.throws(
+    () => buildTaxonomy({ skills: [{ id: 'go', name: 'Go', ambiguous: ['Go'] }] }),
+    /Skill "go" has ambiguous terms but no context words/
+  );
+});
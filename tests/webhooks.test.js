@@ -0,0 +1,152 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import './helpers.js';
+import { attemptDelivery, MAX_DELIVERY_ATTEMPTS } from '../lib/webhooks/delivery.js';
+import { signPayload, verifySignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../lib/webhooks/signing.js';
+import { validateSubscription } from '../lib/webhooks/subscriptions.js';
+import { isPrivateAddress } from '../lib/webhooks/address.js';
+
+const SECRET = 'whsec_test';
+
+// Local receiver: each request is recorded and answered by the next queued reply (200 when none is queued)
+let server;
+let baseUrl;
+let received = [];
+let replies = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      const reply = replies.shift() || { status: 200 };
+      res.writeHead(reply.status, reply.headers || {});
+      res.end(reply.body || 'ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+});
+
+after(() => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  server.close();
+});
+
+beforeEach(() => {
+  received = [];
+  replies = [];
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+});
+
+function delivery(fields = {}) {
+  return {
+    id: 1,
+    event: 'job.ingested',
+    event_id: 'evt_test',
+    payload: { id: 'evt_test', type: 'job.ingested', created_at: '2026-10-19T10:00:00.000Z', data: { title: 'Product Manager' } },
+    attempts: 0,
+    max_attempts: MAX_DELIVERY_ATTEMPTS,
+    ...fields
+  };
+}
+
+function subscription(path = '/hook') {
+  return { id: 7, url: `${baseUrl}${path}`, secret: SECRET, enabled: true };
+}
+
+test('delivery is signed with the subscription secret', async () => {
+  const result = await attemptDelivery(delivery(), subscription());
+
+  assert.equal(result.status, 'delivered');
+  assert.equal(result.response_status, 200);
+  assert.equal(received.length, 1);
+
+  const { headers, body } = received[0];
+  assert.equal(body, JSON.stringify(delivery().payload));
+  assert.equal(headers['x-jobscan-event'], 'job.ingested');
+  assert.equal(headers[SIGNATURE_HEADER], signPayload(SECRET, body, headers[TIMESTAMP_HEADER]));
+  assert.ok(verifySignature(SECRET, body, headers));
+  assert.ok(!verifySignature('whsec_other', body, headers));
+});
+
+test('500 and 503 replies are retried with backoff', async () => {
+  replies = [{ status: 500 }];
+  const before500 = Date.now();
+  const first = await attemptDelivery(delivery(), subscription());
+
+  assert.equal(first.status, 'pending');
+  assert.equal(first.attempts, 1);
+  assert.equal(first.response_status, 500);
+  // First retry waits the 60s base delay plus up to 60s of jitter
+  const delay = Date.parse(first.next_attempt_at) - before500;
+  assert.ok(delay >= 59000 && delay <= 121000, `unexpected delay ${delay}`);
+
+  replies = [{ status: 503, headers: { 'Retry-After': '300' } }];
+  const before503 = Date.now();
+  const second = await attemptDelivery(delivery({ attempts: 1 }), subscription());
+
+  assert.equal(second.status, 'pending');
+  assert.equal(second.attempts, 2);
+  // Retry-After wins over the computed backoff
+  const retryAfter = Date.parse(second.next_attempt_at) - before503;
+  assert.ok(retryAfter >= 299000 && retryAfter <= 301000, `unexpected delay ${retryAfter}`);
+});
+
+test('the last allowed attempt fails for good', async () => {
+  replies = [{ status: 503 }];
+  const result = await attemptDelivery(delivery({ attempts: MAX_DELIVERY_ATTEMPTS - 1 }), subscription());
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.attempts, MAX_DELIVERY_ATTEMPTS);
+  assert.equal(result.next_attempt_at, null);
+});
+
+test('redirects are not followed', async () => {
+  replies = [{ status: 302, headers: { Location: `${baseUrl}/elsewhere` } }];
+  const result = await attemptDelivery(delivery(), subscription());
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.response_status, 302);
+  assert.deepEqual(received.map(request => request.path), ['/hook']);
+});
+
+test('private targets are refused unless explicitly allowed', async () => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  const result = await attemptDelivery(delivery(), subscription());
+
+  assert.equal(result.status, 'failed');
+  assert.match(result.error_message, /private address/);
+  assert.equal(received.length, 0);
+});
+
+test('subscriptions to loopback, private and link-local hosts are rejected', () => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+  for (const url of [
+    'http://localhost:3000/hook',
+    'http://127.0.0.1/hook',
+    'http://10.0.0.5/hook',
+    'http://172.20.1.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook'
+  ]) {
+    assert.match(validateSubscription({ url }), /private/, url);
+  }
+
+  assert.equal(validateSubscription({ url: 'https://hooks.example.com/jobscan' }), null);
+  assert.equal(validateSubscription({ url: 'ftp://hooks.example.com/jobscan' }), 'url must be http(s)');
+});
+
+test('isPrivateAddress leaves public addresses alone', () => {
+  assert.equal(isPrivateAddress('8.8.8.8'), false);
+  assert.equal(isPrivateAddress('2606:4700:4700::1111'), false);
+  assert.equal(isPrivateAddress('172.32.0.1'), false);
+  assert.equal(isPrivateAddress('100.64.0.1'), true);
+});